@@ -6,6 +6,9 @@
 
 let sequenceChart = null;
 
+// Inputs that mark a missing term
+const GAP_TOKENS = ['?', '_', 'null'];
+
 // ============================================================================
 // Tab Navigation
 // ============================================================================
@@ -37,6 +40,8 @@ function switchTab(tabName) {
         loadHistory();
     } else if (tabName === 'metrics') {
         refreshMetrics();
+    } else if (tabName === 'puzzle' && !puzzleGameId) {
+        newPuzzle();
     }
 }
 
@@ -50,7 +55,11 @@ document.getElementById('sequence-input').addEventListener('keypress', (e) => {
 });
 
 function setSequence(seq) {
-    document.getElementById('sequence-input').value = seq.join(', ');
+    document.getElementById('sequence-input').value = formatSequence(seq);
+}
+
+function formatSequence(seq) {
+    return seq.map(value => (value === null ? '?' : value)).join(', ');
 }
 
 async function analyzeSequence() {
@@ -62,18 +71,22 @@ async function analyzeSequence() {
     }
 
     try {
-        // Parse the input
-        const sequence = input.split(',').map(x => {
-            const num = parseFloat(x.trim());
+        // Parse the input (?, _ or null marks a missing term; trailing commas are ignored)
+        const tokens = input.split(',').map(x => x.trim());
+        while (tokens.length > 0 && tokens[tokens.length - 1] === '') tokens.pop();
+        const sequence = tokens.map(token => {
+            if (GAP_TOKENS.includes(token.toLowerCase())) return null;
+            const num = parseFloat(token);
             if (isNaN(num)) throw new Error('Invalid number format');
             return num;
         });
 
-        // Call API
+        // Call API; the derivation trace is only requested when the toggle is on
+        const explain = document.getElementById('explain-toggle').checked;
         const response = await fetch('/api/analyze', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sequence })
+            body: JSON.stringify({ sequence, explain })
         });
 
         const result = await response.json();
@@ -115,8 +128,19 @@ function displayAnalysisResults(result) {
         .map(num => `<div class="prediction-item">${num}</div>`)
         .join('');
 
+    // Display terms inferred for gaps in the input
+    displayInferredTerms(result);
+
+    // Display ranked hypotheses and any ambiguity warning
+    displayHypotheses(result);
+
+    // Display the step-by-step derivation
+    displayTrace(result.trace);
+
     // Update and draw chart
-    drawChart(result.sequence, result.nextNumbers.slice(0, 5));
+    const inferredIndexes = (result.inferredTerms || []).map(t => t.index - 1);
+    const breakIndexes = (result.breaks || []).map(position => position - 1);
+    drawChart(result.filledSequence || result.sequence, result.nextNumbers.slice(0, 5), inferredIndexes, breakIndexes);
 
     // Show results
     resultsDiv.classList.remove('hidden');
@@ -128,11 +152,102 @@ function displayAnalysisResults(result) {
     }, 100);
 }
 
+function displayInferredTerms(result) {
+    const inferredBox = document.getElementById('inferred-box');
+    if (!result.inferredTerms) {
+        inferredBox.classList.add('hidden');
+        return;
+    }
+
+    document.getElementById('inferred-terms').innerHTML = result.inferredTerms.length > 0
+        ? result.inferredTerms
+            .map(t => `<div class="prediction-item inferred-item">a<sub>${t.index}</sub> = ${t.value}</div>`)
+            .join('')
+        : '<p class="text-secondary">The missing terms could not be inferred from the known ones.</p>';
+    inferredBox.classList.remove('hidden');
+}
+
+function displayHypotheses(result) {
+    const hypotheses = result.hypotheses || [];
+    document.getElementById('hypotheses-list').innerHTML = hypotheses
+        .map(h => `
+            <li>
+                <strong>${h.pattern}</strong>
+                <span class="hypothesis-score">score ${h.score}</span> —
+                next ${h.nextNumbers[0]} (${h.supportingTerms} supporting terms)
+                <div><code>${h.formula}</code></div>
+            </li>
+        `)
+        .join('');
+
+    const noteDiv = document.getElementById('ambiguity-note');
+    if (result.ambiguity && result.ambiguity.ambiguous) {
+        noteDiv.textContent = `⚠️ ${result.ambiguity.note}`;
+        noteDiv.classList.remove('hidden');
+    } else {
+        noteDiv.classList.add('hidden');
+    }
+}
+
+function displayTrace(trace) {
+    const traceBox = document.querySelector('.trace-box');
+    if (!trace) {
+        traceBox.classList.add('hidden');
+        return;
+    }
+    traceBox.classList.remove('hidden');
+
+    document.getElementById('trace-differences').innerHTML = trace.differenceTable
+        .map((row, level) => `
+            <tr>
+                <th>${level === 0 ? 'a<sub>n</sub>' : `Δ<sup>${level}</sup>`}</th>
+                ${row.map(value => `<td>${value}</td>`).join('')}
+            </tr>
+        `)
+        .join('');
+
+    document.getElementById('trace-ratios').textContent = trace.ratios
+        .map(ratio => (ratio === null ? '—' : ratio))
+        .join(', ');
+
+    document.getElementById('trace-detectors').innerHTML = trace.detectors
+        .map(entry => `
+            <li class="trace-${entry.status}">
+                <strong>${entry.detector}</strong>
+                <span class="trace-status">${entry.status}</span> — ${entry.reason}
+            </li>
+        `)
+        .join('');
+
+    const gapNote = trace.gaps && trace.gaps.model ? `Gaps filled by a ${trace.gaps.model} fit. ` : '';
+    document.getElementById('trace-conclusion').textContent = gapNote + trace.conclusion;
+}
+
 // ============================================================================
 // Chart Visualization
 // ============================================================================
 
-function drawChart(originalSequence, predictions) {
+// Draws a dashed line just before each point where a piecewise pattern changes
+const segmentBreaksPlugin = {
+    id: 'segmentBreaks',
+    afterDatasetsDraw(chart, args, options) {
+        const { ctx, chartArea, scales } = chart;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(16, 185, 129, 0.8)';
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = 1.5;
+        (options.indexes || []).forEach(index => {
+            const x = (scales.x.getPixelForValue(index - 1) + scales.x.getPixelForValue(index)) / 2;
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+};
+
+function drawChart(originalSequence, predictions, inferredIndexes = [], breakIndexes = []) {
     const ctx = document.getElementById('sequenceChart').getContext('2d');
 
     // Prepare data
@@ -174,9 +289,16 @@ function drawChart(originalSequence, predictions) {
                     borderWidth: 2,
                     fill: true,
                     tension: 0.4,
-                    pointRadius: 5,
+                    pointRadius: (context) => (breakIndexes.includes(context.dataIndex) ? 7 : 5),
+                    pointStyle: (context) => (breakIndexes.includes(context.dataIndex) ? 'rectRot' : 'circle'),
                     pointBackgroundColor: (context) => {
                         const index = context.dataIndex;
+                        if (inferredIndexes.includes(index)) {
+                            return 'rgba(245, 158, 11, 1)';
+                        }
+                        if (breakIndexes.includes(index)) {
+                            return 'rgba(16, 185, 129, 1)';
+                        }
                         return index < originalSequence.length
                             ? 'rgba(109, 40, 217, 1)'
                             : 'rgba(236, 72, 153, 1)';
@@ -196,6 +318,9 @@ function drawChart(originalSequence, predictions) {
                         color: 'rgba(241, 245, 249, 1)',
                         font: { size: 12, weight: '500' }
                     }
+                },
+                segmentBreaks: {
+                    indexes: breakIndexes
                 }
             },
             scales: {
@@ -221,7 +346,8 @@ function drawChart(originalSequence, predictions) {
                     }
                 }
             }
-        }
+        },
+        plugins: [segmentBreaksPlugin]
     });
 }
 
@@ -250,7 +376,7 @@ async function loadHistory() {
                         <span class="history-item-pattern">${item.pattern}</span>
                         <span class="history-item-time">${new Date(item.timestamp).toLocaleString()}</span>
                     </div>
-                    <div class="history-item-sequence">[${item.sequence.join(', ')}]</div>
+                    <div class="history-item-sequence">[${formatSequence(item.sequence)}]</div>
                     <div>
                         <strong>Confidence:</strong> ${item.confidence}% |
                         <strong>Next:</strong> <span class="history-item-prediction">${item.nextNumbers[0]}</span>
@@ -330,7 +456,7 @@ async function compareSequences() {
         const result = await response.json();
 
         if (!result.success) {
-            showError('Failed to compare sequences');
+            showError(result.error || 'Failed to compare sequences');
             return;
         }
 
@@ -358,6 +484,7 @@ function displayComparisonResults(result) {
     const similarity = result.similarity;
     document.getElementById('meter-fill').style.width = `${similarity}%`;
     document.getElementById('similarity-value').textContent = similarity;
+    displaySimilarityBreakdown(result.breakdown);
 
     // Update message
     const msgDiv = document.getElementById('same-pattern-msg');
@@ -372,6 +499,33 @@ function displayComparisonResults(result) {
     resultsDiv.classList.remove('hidden');
 }
 
+const SIMILARITY_LABELS = {
+    pattern: 'Same pattern',
+    parameterDistance: 'Parameter distance',
+    correlation: 'Pearson correlation',
+    dtwDistance: 'DTW distance',
+    sharedPrefix: 'Shared prefix'
+};
+
+function displaySimilarityBreakdown(breakdown) {
+    const format = value => (value === null ? '—' : value === true ? 'yes' : value === false ? 'no' : value);
+
+    document.getElementById('similarity-breakdown').innerHTML = Object.keys(breakdown)
+        .map(name => {
+            const metric = breakdown[name];
+            const score = metric.score === null ? '—' : `${Math.round(metric.score * 100)}%`;
+            return `
+                <tr>
+                    <td>${SIMILARITY_LABELS[name] || name}</td>
+                    <td>${format(metric.value)}</td>
+                    <td>${score}</td>
+                    <td>${Math.round(metric.weight * 100)}%</td>
+                </tr>
+            `;
+        })
+        .join('');
+}
+
 // ============================================================================
 // Metrics
 // ============================================================================
@@ -392,12 +546,137 @@ async function refreshMetrics() {
         document.getElementById('metric-cache').textContent = metrics.cacheHits;
         document.getElementById('metric-time').textContent = `${metrics.averageAnalysisTime.toFixed(2)}ms`;
         document.getElementById('metric-size').textContent = metrics.cacheSize;
+        document.getElementById('metric-evictions').textContent =
+            metrics.cacheEvictions + metrics.cacheExpirations;
+        document.getElementById('metric-history').textContent = metrics.historySize;
 
     } catch (error) {
         console.error('Error loading metrics:', error);
     }
 }
 
+// ============================================================================
+// Puzzle Mode
+// ============================================================================
+
+// The server keeps the score of this game
+let puzzleGameId = null;
+
+document.getElementById('new-puzzle-btn').addEventListener('click', newPuzzle);
+document.getElementById('guess-btn').addEventListener('click', submitGuess);
+document.getElementById('puzzle-guess').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') submitGuess();
+});
+
+async function newPuzzle() {
+    const difficulty = document.getElementById('puzzle-difficulty').value;
+    const family = document.getElementById('puzzle-family').value || undefined;
+
+    try {
+        const response = await fetch('/api/puzzle', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ gameId: puzzleGameId || undefined, difficulty, family })
+        });
+        const result = await response.json();
+
+        // An expired game starts over
+        if (response.status === 404 && puzzleGameId) {
+            puzzleGameId = null;
+            return newPuzzle();
+        }
+        if (!result.success) {
+            showPuzzleError(result.error);
+            return;
+        }
+
+        puzzleGameId = result.gameId;
+        displayPuzzle(result.puzzle);
+        displayPuzzleScore(result.score);
+    } catch (error) {
+        showPuzzleError('Failed to load a puzzle');
+    }
+}
+
+function displayPuzzle(puzzle) {
+    document.getElementById('puzzle-title').textContent =
+        `Puzzle ${puzzle.round} • ${puzzle.difficulty} • ${puzzle.points} points`;
+    document.getElementById('puzzle-sequence').innerHTML = puzzle.sequence
+        .map(num => `<div class="prediction-item">${num}</div>`)
+        .concat('<div class="prediction-item puzzle-blank">?</div>')
+        .join('');
+
+    const guessInput = document.getElementById('puzzle-guess');
+    guessInput.value = '';
+    guessInput.disabled = false;
+    document.getElementById('guess-btn').disabled = false;
+    document.getElementById('puzzle-result').classList.add('hidden');
+    document.getElementById('puzzle-error').classList.add('hidden');
+    document.getElementById('puzzle-box').classList.remove('hidden');
+    guessInput.focus();
+}
+
+async function submitGuess() {
+    const guess = document.getElementById('puzzle-guess').value.trim();
+    if (!guess || !puzzleGameId) {
+        showPuzzleError('Please enter a guess');
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/puzzle/${puzzleGameId}/guess`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ guess })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            showPuzzleError(result.error);
+            return;
+        }
+
+        displayGuessResult(result);
+    } catch (error) {
+        showPuzzleError('Failed to check the guess');
+    }
+}
+
+function displayGuessResult(result) {
+    const verdict = document.getElementById('puzzle-verdict');
+    if (result.correct) {
+        verdict.className = 'message same-pattern';
+        verdict.textContent = `✅ Correct! +${result.points} points`;
+        showToast('🎉 Correct!');
+    } else {
+        verdict.className = 'message different-pattern';
+        verdict.textContent = `❌ Not quite - the next term is ${result.answer}`;
+    }
+
+    document.getElementById('puzzle-formula').textContent = result.formula;
+    document.getElementById('puzzle-explanation').textContent =
+        `${result.explanation}. The sequence continues ${result.nextNumbers.join(', ')}, ...`;
+
+    document.getElementById('puzzle-guess').disabled = true;
+    document.getElementById('guess-btn').disabled = true;
+    document.getElementById('puzzle-result').classList.remove('hidden');
+    document.getElementById('puzzle-error').classList.add('hidden');
+    displayPuzzleScore(result.score);
+}
+
+function displayPuzzleScore(score) {
+    document.getElementById('puzzle-points').textContent = score.points;
+    document.getElementById('puzzle-correct').textContent = `${score.correct}/${score.played}`;
+    document.getElementById('puzzle-streak').textContent = score.streak;
+    document.getElementById('puzzle-best-streak').textContent = score.bestStreak;
+}
+
+function showPuzzleError(message) {
+    const errorDiv = document.getElementById('puzzle-error');
+    errorDiv.textContent = message;
+    errorDiv.classList.remove('hidden');
+}
+
 // ============================================================================
 // Utilities
 // ============================================================================
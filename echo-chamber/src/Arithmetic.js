@@ -0,0 +1,332 @@
+/**
+ * Arithmetic - Number systems used by the SequenceAnalyzer
+ *
+ * Every detector and predictor performs its math through one of these
+ * objects instead of the raw operators, so the same algorithm can run on
+ * IEEE doubles (the default) or on exact fractions backed by BigInt.
+ *
+ * - floatArithmetic(options): plain JavaScript numbers, compared under a
+ *   tolerance policy; FloatArithmetic is the one with the default policy
+ * - ExactArithmetic: Fraction values, results reported as strings
+ *
+ * Tolerance policy: doubles carry rounding error (0.1 + 0.2 is not 0.3), so
+ * two floats are equal when they differ by at most the larger of an
+ * absolute and a relative epsilon:
+ *
+ *   |a - b| <= max(absolute, relative * max(|a|, |b|))
+ *
+ * The absolute part covers values near zero, the relative part large ones.
+ * For input whose largest magnitude is below 1, the absolute part shrinks in
+ * proportion, so it never swallows differences between small values such
+ * as 2e-10 and 4e-10.
+ * Every detector and predictor compares through equals(), isZero() and
+ * isInteger(), so the policy applies everywhere. Exact arithmetic has no
+ * rounding error and always compares exactly.
+ */
+
+const Fraction = require('./Fraction');
+
+const DEFAULT_TOLERANCE = Object.freeze({ absolute: 1e-9, relative: 1e-9 });
+
+// Significant digits a double holds reliably; beyond them is rounding noise
+const SIGNIFICANT_DIGITS = 15;
+
+/**
+ * Validates a tolerance policy
+ *
+ * @param {number|object} [tolerance] - One epsilon for both parts, or
+ *   { absolute, relative } (a missing part keeps its default)
+ * @returns {object} { absolute, relative }
+ * @throws {TypeError} When the tolerance is neither a number nor an object
+ * @throws {RangeError} When an epsilon is negative or not finite
+ */
+function normalizeTolerance(tolerance = DEFAULT_TOLERANCE) {
+  if (typeof tolerance !== 'number' && (tolerance === null || typeof tolerance !== 'object')) {
+    throw new TypeError('tolerance must be a number or { absolute, relative }');
+  }
+  const policy = typeof tolerance === 'number'
+    ? { absolute: tolerance, relative: tolerance }
+    : { ...DEFAULT_TOLERANCE, ...tolerance };
+
+  if (![policy.absolute, policy.relative].every(epsilon => typeof epsilon === 'number' && epsilon >= 0 && isFinite(epsilon))) {
+    throw new RangeError('tolerance must be a non-negative number or { absolute, relative } of them');
+  }
+  return { absolute: policy.absolute, relative: policy.relative };
+}
+
+/**
+ * Most digits after the decimal point among the given numbers (non-numbers
+ * are skipped), e.g. 2 for [1.5, 0.25, 3]
+ *
+ * @param {Array} values - The input values
+ * @returns {number} Decimal places
+ */
+function decimalPlaces(values) {
+  return values.reduce((most, value) => {
+    if (typeof value !== 'number' || !isFinite(value)) return most;
+
+    // 1.5e-7 has 1 + 7 decimals; 1e21 has none
+    const [mantissa, exponent = '0'] = String(value).split('e');
+    const fraction = (mantissa.split('.')[1] || '').length;
+    return Math.max(most, fraction - Number(exponent));
+  }, 0);
+}
+
+/**
+ * Largest absolute value among the given numbers (non-numbers are skipped)
+ *
+ * @param {Array} values - The input values
+ * @returns {number} The magnitude, 0 when there are no numbers
+ */
+function largestMagnitude(values) {
+  return values.reduce((largest, value) =>
+    (typeof value === 'number' && isFinite(value) ? Math.max(largest, Math.abs(value)) : largest), 0);
+}
+
+/**
+ * Float operations that do not depend on the tolerance policy
+ * @private
+ */
+const FLOAT_OPERATIONS = {
+  name: 'float',
+  exact: false,
+  zero: 0,
+  one: 1,
+
+  isValid(value) {
+    return typeof value === 'number' && !isNaN(value) && isFinite(value);
+  },
+  from(value) {
+    return value;
+  },
+  add(a, b) {
+    return a + b;
+  },
+  sub(a, b) {
+    return a - b;
+  },
+  mul(a, b) {
+    return a * b;
+  },
+  div(a, b) {
+    return a / b;
+  },
+  neg(a) {
+    return -a;
+  },
+  pow(a, exponent) {
+    return Math.pow(a, exponent);
+  },
+
+  /**
+   * Real k-th root (the positive one for even k), or null if there is none
+   */
+  root(a, k) {
+    if (k % 2 === 0) {
+      return a < 0 ? null : Math.pow(a, 1 / k);
+    }
+    return Math.sign(a) * Math.pow(Math.abs(a), 1 / k);
+  },
+  toNumber(a) {
+    return a;
+  },
+  toFraction(a) {
+    return Fraction.from(a);
+  },
+  fromFraction(fraction) {
+    return fraction.toNumber();
+  },
+
+  /**
+   * Converts an internal value to the form returned in results
+   */
+  output(a) {
+    return a;
+  },
+
+  /**
+   * Formats a value for formula strings, optionally with fixed digits
+   */
+  format(a, digits) {
+    return digits === undefined ? String(a) : a.toFixed(digits);
+  }
+};
+
+/**
+ * Float number system with a tolerance policy
+ *
+ * @param {object} [options]
+ * @param {number|object} [options.tolerance] - Tolerance policy (see normalizeTolerance)
+ * @param {number} [options.decimals] - Decimal places of the input; clean()
+ *   snaps values to them when that stays within the tolerance
+ * @param {number} [options.magnitude] - Largest magnitude of the input; below
+ *   1 it scales the absolute epsilon down
+ * @returns {object} The number system
+ */
+function floatArithmetic({ tolerance, decimals, magnitude } = {}) {
+  const policy = normalizeTolerance(tolerance);
+  const absolute = magnitude > 0 ? policy.absolute * Math.min(1, magnitude) : policy.absolute;
+  const close = (a, b) =>
+    Math.abs(a - b) <= Math.max(absolute, policy.relative * Math.max(Math.abs(a), Math.abs(b)));
+
+  return {
+    ...FLOAT_OPERATIONS,
+    tolerance: policy,
+    decimals: decimals,
+
+    equals(a, b) {
+      return a === b || close(a, b);
+    },
+    isZero(a) {
+      return close(a, 0);
+    },
+    isInteger(a) {
+      return close(a, Math.round(a));
+    },
+
+    /**
+     * Rounds away floating point noise from a computed value
+     *
+     * Snaps to the input's decimal places when that is within the
+     * tolerance (0.1 + 0.2 becomes 0.3 for one-decimal input); otherwise
+     * keeps 15 significant digits, so genuinely finer values such as
+     * 1.1^5 = 1.61051 survive.
+     */
+    clean(a) {
+      if (Math.abs(a) >= Number.MAX_SAFE_INTEGER) return a;
+      if (decimals !== undefined) {
+        const snapped = Number(a.toFixed(Math.min(decimals, 100)));
+        if (close(a, snapped)) a = snapped;
+      }
+      // Noisy input such as 0.30000000000000004 carries its noise into the
+      // decimal places, so the snapped value still gets the significant-digit cut
+      return Number(a.toPrecision(SIGNIFICANT_DIGITS));
+    }
+  };
+}
+
+/**
+ * Exact k-th root of a non-negative bigint, or null when it is not a perfect power
+ * @private
+ */
+function integerRoot(value, k) {
+  if (value < 2n) {
+    return value;
+  }
+
+  // Newton's method from an overestimate converges down to floor(value^(1/k))
+  const exponent = BigInt(k);
+  let guess = 1n << BigInt(Math.ceil(value.toString(2).length / k));
+  while (true) {
+    const next = ((exponent - 1n) * guess + value / guess ** (exponent - 1n)) / exponent;
+    if (next >= guess) break;
+    guess = next;
+  }
+
+  return guess ** exponent === value ? guess : null;
+}
+
+const ExactArithmetic = {
+  name: 'exact',
+  exact: true,
+  zero: new Fraction(0n),
+  one: new Fraction(1n),
+
+  isValid(value) {
+    if (typeof value === 'number' && !isFinite(value)) {
+      return false;
+    }
+    return ['number', 'bigint', 'string'].includes(typeof value) && Fraction.isValid(value);
+  },
+  from(value) {
+    return Fraction.from(value);
+  },
+  add(a, b) {
+    return a.add(b);
+  },
+  sub(a, b) {
+    return a.sub(b);
+  },
+  mul(a, b) {
+    return a.mul(b);
+  },
+  div(a, b) {
+    return a.div(b);
+  },
+  neg(a) {
+    return a.neg();
+  },
+  pow(a, exponent) {
+    return a.pow(exponent);
+  },
+
+  /**
+   * Rational k-th root (the positive one for even k), or null when the
+   * root is irrational or not real
+   */
+  root(a, k) {
+    const negative = a.numerator < 0n;
+    if (negative && k % 2 === 0) {
+      return null;
+    }
+
+    const numerator = integerRoot(negative ? -a.numerator : a.numerator, k);
+    const denominator = integerRoot(a.denominator, k);
+    if (numerator === null || denominator === null) {
+      return null;
+    }
+    return new Fraction(negative ? -numerator : numerator, denominator);
+  },
+  equals(a, b) {
+    return a.equals(b);
+  },
+  isZero(a) {
+    return a.isZero();
+  },
+  isInteger(a) {
+    return a.isInteger();
+  },
+  toNumber(a) {
+    return a.toNumber();
+  },
+  toFraction(a) {
+    return a;
+  },
+  fromFraction(fraction) {
+    return fraction;
+  },
+  clean(a) {
+    return a;
+  },
+  output(a) {
+    return a.toString();
+  },
+  format(a) {
+    return a.toString();
+  }
+};
+
+const FloatArithmetic = floatArithmetic();
+
+/**
+ * Picks the number system for an analysis
+ *
+ * @param {boolean} exact - Whether exact arithmetic was requested
+ * @param {object} [options] - tolerance, decimals and magnitude for float arithmetic
+ * @returns {object} A float number system or ExactArithmetic
+ */
+function getArithmetic(exact, options) {
+  if (exact) return ExactArithmetic;
+  return options ? floatArithmetic(options) : FloatArithmetic;
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE,
+  FloatArithmetic,
+  ExactArithmetic,
+  floatArithmetic,
+  normalizeTolerance,
+  decimalPlaces,
+  largestMagnitude,
+  getArithmetic
+};
@@ -0,0 +1,1078 @@
+/**
+ * Formula - Structured pattern formulas and their renderers
+ *
+ * Detectors describe their pattern with a plain, JSON-friendly formula
+ * object next to the free-form `formula` string. The object can be rendered
+ * as LaTeX or MathML, exported as JavaScript source, or compiled into a
+ * callable (n) => value function. Indices start at 1, as in analyze().
+ *
+ * Formula kinds:
+ * - { kind: 'closed', expression }                  a_n = expression in n
+ * - { kind: 'recurrence', expression, initialTerms } expression in a_(n-k)
+ * - { kind: 'periodic', cycle }                     a_n = cycle[(n-1) mod p]
+ * - { kind: 'conditional', key, modulus, cases, initialTerms } a_n =
+ *   cases[r], an expression in a_(n-1), where r is a_(n-1) mod 2 for key
+ *   'parity' and n mod modulus for key 'index'
+ * - { kind: 'interleaved', ways, components }       component j covers
+ *   n = j, j + ways, ...; closed parts use their own index m
+ * - { kind: 'transformed', transform, inner, initialTerms } a_n rebuilt
+ *   from the sequence b_n that the transform (see TRANSFORMS) turns it
+ *   into; inner is the formula of b_n
+ * - { kind: 'piecewise', segments }                segment { start, end,
+ *   formula } covers n = start..end (the first also covers earlier n, the
+ *   last has end null and covers later n); each formula uses its own index
+ *   m = n - start + 1
+ * Any kind may carry approximate: true (least-squares fits).
+ *
+ * Expression nodes:
+ * - { type: 'number', value }  a number, or a numeric string in exact mode
+ *                              ("12", "-3/4")
+ * - { type: 'variable' }       the index
+ * - { type: 'term', offset }   the earlier term a_(n-offset)
+ * - { type: 'add', terms }, { type: 'mul', factors },
+ *   { type: 'pow', base, exponent }, { type: 'neg', value },
+ *   { type: 'factorial', value }
+ */
+
+const FORMATS = ['latex', 'mathml', 'js'];
+
+// b_n = a_(n+1) - a_n, a_1 + ... + a_n, a_(n+1) / a_n and ln(a_n)
+const TRANSFORMS = ['differences', 'partial-sums', 'ratios', 'log'];
+
+// a_(n-1) mod 2 and n mod k
+const CONDITIONAL_KEYS = ['parity', 'index'];
+
+const MINUS = '&#x2212;';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+// ============================================================================
+// Builders
+// ============================================================================
+
+function number(value) {
+  return { type: 'number', value: value };
+}
+
+function variable() {
+  return { type: 'variable' };
+}
+
+function term(offset) {
+  return { type: 'term', offset: offset };
+}
+
+function add(...terms) {
+  return terms.length === 1 ? terms[0] : { type: 'add', terms: terms };
+}
+
+function mul(...factors) {
+  return factors.length === 1 ? factors[0] : { type: 'mul', factors: factors };
+}
+
+function pow(base, exponent) {
+  return { type: 'pow', base: base, exponent: exponent };
+}
+
+function neg(value) {
+  return { type: 'neg', value: value };
+}
+
+function factorial(value) {
+  return { type: 'factorial', value: value };
+}
+
+/**
+ * Tests on number node values, which may be numbers or numeric strings
+ * @private
+ */
+function isZeroValue(value) {
+  return Number(String(value).split('/')[0]) === 0;
+}
+
+function isOneValue(value) {
+  return String(value) === '1';
+}
+
+function isNegativeValue(value) {
+  return String(value).startsWith('-');
+}
+
+/**
+ * Absolute value of a number node's value, keeping its type
+ * @private
+ */
+function absoluteValue(value) {
+  if (!isNegativeValue(value)) return value;
+  return typeof value === 'number' ? -value : value.slice(1);
+}
+
+/**
+ * Polynomial c_0 + c_1*n + ... + c_d*n^d, highest power first
+ *
+ * @param {Array<number|string>} coefficients - coefficients[i] multiplies n^i
+ * @returns {object} Expression node
+ */
+function polynomial(coefficients) {
+  const terms = [];
+
+  for (let power = coefficients.length - 1; power >= 0; power--) {
+    const coefficient = coefficients[power];
+    if (isZeroValue(coefficient)) continue;
+
+    if (power === 0) {
+      terms.push(number(coefficient));
+      continue;
+    }
+
+    const monomial = power === 1 ? variable() : pow(variable(), number(power));
+    if (isOneValue(coefficient)) {
+      terms.push(monomial);
+    } else if (String(coefficient) === '-1') {
+      terms.push(neg(monomial));
+    } else {
+      terms.push(mul(number(coefficient), monomial));
+    }
+  }
+
+  return terms.length === 0 ? number(0) : add(...terms);
+}
+
+/**
+ * a_n = expression in n
+ */
+function closed(expression, { approximate = false } = {}) {
+  return { kind: 'closed', expression: expression, ...(approximate && { approximate: true }) };
+}
+
+/**
+ * a_n = c_1*a_(n-1) + ... + c_k*a_(n-k), starting from a_1..a_k
+ *
+ * @param {Array<number|string|object>} coefficients - c_1..c_k, each a
+ *   number or an expression node in n
+ * @param {Array<number|string>} initialTerms - The first k terms
+ */
+function recurrence(coefficients, initialTerms) {
+  const terms = [];
+  coefficients.forEach((coefficient, i) => {
+    if (typeof coefficient === 'object') {
+      terms.push(mul(coefficient, term(i + 1)));
+      return;
+    }
+    if (isZeroValue(coefficient)) return;
+    if (isOneValue(coefficient)) {
+      terms.push(term(i + 1));
+    } else if (String(coefficient) === '-1') {
+      terms.push(neg(term(i + 1)));
+    } else {
+      terms.push(mul(number(coefficient), term(i + 1)));
+    }
+  });
+
+  return {
+    kind: 'recurrence',
+    expression: terms.length === 0 ? number(0) : add(...terms),
+    initialTerms: initialTerms
+  };
+}
+
+function periodic(cycle) {
+  return { kind: 'periodic', cycle: cycle };
+}
+
+/**
+ * a_n = cases[r], picked by the parity of a_(n-1) or by n mod modulus
+ *
+ * @param {string} key - 'parity' or 'index'
+ * @param {number} modulus - 2 for parity, k for n mod k
+ * @param {Array<object>} cases - Expression in a_(n-1) for each residue
+ * @param {Array<number|string>} initialTerms - a_1
+ */
+function conditional(key, modulus, cases, initialTerms) {
+  if (!CONDITIONAL_KEYS.includes(key)) {
+    throw new RangeError(`Unknown condition key: ${key}`);
+  }
+  return { kind: 'conditional', key: key, modulus: modulus, cases: cases, initialTerms: initialTerms };
+}
+
+/**
+ * Interleaved components, or null when any component has no formula or is
+ * conditional (its cases are keyed on the component's own terms)
+ */
+function interleaved(components) {
+  if (components.some(component => !component || component.kind === 'conditional')) {
+    return null;
+  }
+  return { kind: 'interleaved', ways: components.length, components: components };
+}
+
+/**
+ * a_n rebuilt from a transformed sequence b_n
+ *
+ * @param {string} transform - One of TRANSFORMS
+ * @param {object} inner - Formula of b_n
+ * @param {Array<number|string>} [initialTerms] - a_1, which differences
+ *   and ratios need to rebuild the sequence
+ */
+function transformed(transform, inner, initialTerms = [], { approximate = false } = {}) {
+  if (!TRANSFORMS.includes(transform)) {
+    throw new RangeError(`Unknown transform: ${transform}`);
+  }
+  if (!inner) {
+    return null;
+  }
+  return {
+    kind: 'transformed',
+    transform: transform,
+    inner: inner,
+    initialTerms: initialTerms,
+    ...((approximate || inner.approximate) && { approximate: true })
+  };
+}
+
+/**
+ * Consecutive segments { start, end, formula }, or null when any segment
+ * has no formula
+ *
+ * @param {Array<object>} segments - In order; the last end is ignored, as
+ *   the last segment carries on past the sequence
+ */
+function piecewise(segments) {
+  if (segments.some(segment => !segment.formula)) {
+    return null;
+  }
+  return {
+    kind: 'piecewise',
+    segments: segments.map(({ start, end, formula }, i) =>
+      ({ start: start, end: i === segments.length - 1 ? null : end, formula: formula })),
+    ...(segments.some(segment => segment.formula.approximate) && { approximate: true })
+  };
+}
+
+// ============================================================================
+// Shared helpers
+// ============================================================================
+
+/**
+ * Name of the sequence that a transform turns the sequence `name` into, or
+ * of the next piecewise segment (c is kept for cycles)
+ */
+function innerName(name) {
+  return name === 'b' ? 'd' : String.fromCharCode(name.charCodeAt(0) + 1);
+}
+
+/**
+ * Splits a leading minus sign off a node, so sums can print "a - b"
+ * @private
+ */
+function splitSign(node) {
+  if (node.type === 'neg') {
+    return { negative: true, node: node.value };
+  }
+  if (node.type === 'number' && isNegativeValue(node.value)) {
+    return { negative: true, node: number(absoluteValue(node.value)) };
+  }
+  if (node.type === 'mul' && node.factors[0].type === 'number' && isNegativeValue(node.factors[0].value)) {
+    const magnitude = absoluteValue(node.factors[0].value);
+    const rest = node.factors.slice(1);
+    return {
+      negative: true,
+      node: isOneValue(magnitude) ? mul(...rest) : mul(number(magnitude), ...rest)
+    };
+  }
+  return { negative: false, node: node };
+}
+
+/**
+ * Whether a factor is printed with an explicit multiplication sign, as
+ * between two numbers ("2 · 3^n"); other factors are juxtaposed ("3n")
+ * @private
+ */
+function needsExplicitTimes(factor) {
+  return factor.type === 'number' || factor.type === 'factorial' || (factor.type === 'pow' && factor.base.type === 'number');
+}
+
+/**
+ * Whether a power base needs parentheses
+ * @private
+ */
+function needsParentheses(base) {
+  if (base.type === 'number') {
+    return isNegativeValue(base.value) || String(base.value).includes('/');
+  }
+  return base.type !== 'variable' && base.type !== 'term';
+}
+
+/**
+ * Component j of an interleaving holds n = ways*m - shift
+ * @private
+ */
+function componentShift(ways, offset) {
+  return ways - offset;
+}
+
+/**
+ * Rewrites a strand recurrence in terms of the whole sequence: the strand's
+ * previous term is `ways` positions back
+ * @private
+ */
+function spreadTerms(node, ways) {
+  switch (node.type) {
+    case 'term':
+      return term(node.offset * ways);
+    case 'add':
+      return add(...node.terms.map(child => spreadTerms(child, ways)));
+    case 'mul':
+      return mul(...node.factors.map(child => spreadTerms(child, ways)));
+    case 'pow':
+      return pow(spreadTerms(node.base, ways), spreadTerms(node.exponent, ways));
+    case 'neg':
+      return neg(spreadTerms(node.value, ways));
+    case 'factorial':
+      return factorial(spreadTerms(node.value, ways));
+    default:
+      return node;
+  }
+}
+
+// ============================================================================
+// LaTeX
+// ============================================================================
+
+/**
+ * @private
+ */
+function latexNumber(value) {
+  const text = String(absoluteValue(value));
+  const sign = isNegativeValue(value) ? '-' : '';
+
+  if (text.includes('/')) {
+    const [numerator, denominator] = text.split('/');
+    return `${sign}\\frac{${numerator}}{${denominator}}`;
+  }
+
+  const scientific = text.match(/^([\d.]+)e([+-]?\d+)$/);
+  if (scientific) {
+    return `${sign}${scientific[1]} \\times 10^{${Number(scientific[2])}}`;
+  }
+
+  return `${sign}${text}`;
+}
+
+/**
+ * @private
+ */
+function latexIndex(index, offset) {
+  return offset === 0 ? index : `${index} - ${offset}`;
+}
+
+/**
+ * @private
+ */
+function latexNode(node, index, name = 'a') {
+  switch (node.type) {
+    case 'number':
+      return latexNumber(node.value);
+    case 'variable':
+      return index;
+    case 'term':
+      return `${name}_{${latexIndex(index, node.offset)}}`;
+    case 'add':
+      return node.terms.map((child, i) => {
+        const { negative, node: magnitude } = splitSign(child);
+        const body = latexNode(magnitude, index, name);
+        if (i === 0) return negative ? `-${body}` : body;
+        return negative ? ` - ${body}` : ` + ${body}`;
+      }).join('');
+    case 'mul':
+      return node.factors.map((factor, i) => {
+        const body = factor.type === 'add' ? `\\left(${latexNode(factor, index, name)}\\right)` : latexNode(factor, index, name);
+        if (i === 0) return body;
+        return needsExplicitTimes(factor) ? ` \\cdot ${body}` : body;
+      }).join('');
+    case 'pow': {
+      const base = latexNode(node.base, index, name);
+      const wrapped = needsParentheses(node.base) ? `\\left(${base}\\right)` : base;
+      return `${wrapped}^{${latexNode(node.exponent, index, name)}}`;
+    }
+    case 'neg': {
+      const body = latexNode(node.value, index, name);
+      return node.value.type === 'add' ? `-\\left(${body}\\right)` : `-${body}`;
+    }
+    case 'factorial': {
+      const body = latexNode(node.value, index, name);
+      return node.value.type === 'variable' ? `${body}!` : `\\left(${body}\\right)!`;
+    }
+    default:
+      throw new TypeError(`Unknown formula node: ${node.type}`);
+  }
+}
+
+/**
+ * @private
+ */
+function latexCycle(cycle) {
+  return `(${cycle.map(latexNumber).join(', ')})`;
+}
+
+/**
+ * Right-hand side rows for one interleaved component
+ * @private
+ */
+function latexComponentRows(component, ways, offset, name) {
+  const shift = componentShift(ways, offset);
+  const position = `n = ${ways}m${shift === 0 ? '' : ` - ${shift}`}`;
+
+  switch (component.kind) {
+    case 'closed':
+      return [`${latexNode(component.expression, 'm')} & ${position}`];
+    case 'periodic':
+      return [`${latexCycle(component.cycle)}_{(m - 1) \\bmod ${component.cycle.length} + 1} & ${position}`];
+    case 'recurrence': {
+      const order = component.initialTerms.length;
+      const initial = component.initialTerms.map((value, i) => `${latexNumber(value)} & n = ${i * ways + offset}`);
+      const rule = `${latexNode(spreadTerms(component.expression, ways), 'n', name)} & ${position},\\ m > ${order}`;
+      return [...initial, rule];
+    }
+    default:
+      throw new TypeError(`Formula kind ${component.kind} cannot be interleaved`);
+  }
+}
+
+/**
+ * Right-hand side of a transformed formula, followed by the inner formula
+ * @private
+ */
+function latexTransformed(formula, name) {
+  const inner = innerName(name);
+  const first = formula.initialTerms.length > 0 ? latexNumber(formula.initialTerms[0]) : null;
+
+  let rule;
+  switch (formula.transform) {
+    case 'differences':
+      rule = `${name}_{n - 1} + ${inner}_{n - 1}, \\quad ${name}_{1} = ${first}`;
+      break;
+    case 'partial-sums':
+      rule = `${inner}_{n} - ${inner}_{n - 1}, \\quad ${name}_{1} = ${inner}_{1}`;
+      break;
+    case 'ratios':
+      rule = `${inner}_{n - 1} \\cdot ${name}_{n - 1}, \\quad ${name}_{1} = ${first}`;
+      break;
+    case 'log':
+      rule = `e^{${inner}_{n}}`;
+      break;
+    default:
+      throw new TypeError(`Unknown transform: ${formula.transform}`);
+  }
+
+  return `${rule}, \\quad ${latexFormula(formula.inner, inner)}`;
+}
+
+/**
+ * Case rows of a conditional formula: expression & condition
+ * @private
+ */
+function latexConditionalRows(formula, name) {
+  return formula.cases.map((expression, residue) => {
+    const condition = formula.key === 'parity'
+      ? `${name}_{n - 1} \\text{ ${residue === 0 ? 'even' : 'odd'}}`
+      : `n \\equiv ${residue} \\pmod{${formula.modulus}}`;
+    return `${latexNode(expression, 'n', name)} & ${condition}`;
+  });
+}
+
+/**
+ * Names of the sequences behind each piecewise segment: b, d, e, ...
+ * @private
+ */
+function segmentNames(formula, name) {
+  const names = [];
+  formula.segments.forEach((segment, i) => names.push(innerName(i === 0 ? name : names[i - 1])));
+  return names;
+}
+
+/**
+ * Right-hand side of a piecewise formula, followed by the segment formulas
+ * @private
+ */
+function latexPiecewise(formula, name) {
+  const names = segmentNames(formula, name);
+  const last = formula.segments.length - 1;
+  const rows = formula.segments.map((segment, i) => {
+    let range;
+    if (i === last) {
+      range = `n \\ge ${segment.start}`;
+    } else if (i === 0) {
+      range = `n \\le ${segment.end}`;
+    } else {
+      range = `${segment.start} \\le n \\le ${segment.end}`;
+    }
+    return `${names[i]}_{${latexIndex('n', segment.start - 1)}} & ${range}`;
+  });
+  const parts = formula.segments.map((segment, i) => latexFormula(segment.formula, names[i]));
+  return `\\begin{cases} ${rows.join(' \\\\ ')} \\end{cases}, \\quad ${parts.join(', \\quad ')}`;
+}
+
+/**
+ * @private
+ */
+function latexFormula(formula, name) {
+  const equals = formula.approximate ? ' \\approx ' : ' = ';
+  const lhs = `${name}_{n}`;
+
+  switch (formula.kind) {
+    case 'closed':
+      return `${lhs}${equals}${latexNode(formula.expression, 'n', name)}`;
+    case 'recurrence': {
+      const initial = formula.initialTerms.map((value, i) => `${name}_{${i + 1}} = ${latexNumber(value)}`);
+      return `${lhs}${equals}${latexNode(formula.expression, 'n', name)}, \\quad ${initial.join(', ')}`;
+    }
+    case 'periodic':
+      return `${lhs}${equals}c_{(n - 1) \\bmod ${formula.cycle.length} + 1}, \\quad c = ${latexCycle(formula.cycle)}`;
+    case 'conditional':
+      return `${lhs}${equals}\\begin{cases} ${latexConditionalRows(formula, name).join(' \\\\ ')} \\end{cases}, ` +
+        `\\quad ${name}_{1} = ${latexNumber(formula.initialTerms[0])}`;
+    case 'interleaved': {
+      const rows = formula.components.flatMap((component, i) =>
+        latexComponentRows(component, formula.ways, i + 1, name));
+      return `${lhs}${equals}\\begin{cases} ${rows.join(' \\\\ ')} \\end{cases}`;
+    }
+    case 'transformed':
+      return `${lhs}${equals}${latexTransformed(formula, name)}`;
+    case 'piecewise':
+      return `${lhs}${equals}${latexPiecewise(formula, name)}`;
+    default:
+      throw new TypeError(`Unknown formula kind: ${formula.kind}`);
+  }
+}
+
+/**
+ * Renders a formula as LaTeX
+ *
+ * @param {object} formula - Structured formula
+ * @returns {string} LaTeX math (without surrounding delimiters)
+ */
+function toLatex(formula) {
+  return latexFormula(formula, 'a');
+}
+
+// ============================================================================
+// MathML
+// ============================================================================
+
+/**
+ * @private
+ */
+function mathmlNumber(value) {
+  const text = String(absoluteValue(value));
+  const sign = isNegativeValue(value) ? `<mo>${MINUS}</mo>` : '';
+
+  let body;
+  if (text.includes('/')) {
+    const [numerator, denominator] = text.split('/');
+    body = `<mfrac><mn>${numerator}</mn><mn>${denominator}</mn></mfrac>`;
+  } else {
+    const scientific = text.match(/^([\d.]+)e([+-]?\d+)$/);
+    body = scientific
+      ? `<mn>${scientific[1]}</mn><mo>&#x00D7;</mo><msup><mn>10</mn><mn>${Number(scientific[2])}</mn></msup>`
+      : `<mn>${text}</mn>`;
+  }
+
+  return sign || body.includes('<mo>') ? `<mrow>${sign}${body}</mrow>` : body;
+}
+
+/**
+ * @private
+ */
+function mathmlIndex(index, offset) {
+  return offset === 0
+    ? `<mi>${index}</mi>`
+    : `<mrow><mi>${index}</mi><mo>${MINUS}</mo><mn>${offset}</mn></mrow>`;
+}
+
+/**
+ * @private
+ */
+function mathmlParentheses(body) {
+  return `<mrow><mo>(</mo>${body}<mo>)</mo></mrow>`;
+}
+
+/**
+ * @private
+ */
+function mathmlNode(node, index, name = 'a') {
+  switch (node.type) {
+    case 'number':
+      return mathmlNumber(node.value);
+    case 'variable':
+      return `<mi>${index}</mi>`;
+    case 'term':
+      return `<msub><mi>${name}</mi>${mathmlIndex(index, node.offset)}</msub>`;
+    case 'add':
+      return `<mrow>${node.terms.map((child, i) => {
+        const { negative, node: magnitude } = splitSign(child);
+        const body = mathmlNode(magnitude, index, name);
+        if (i === 0) return negative ? `<mo>${MINUS}</mo>${body}` : body;
+        return `<mo>${negative ? MINUS : '+'}</mo>${body}`;
+      }).join('')}</mrow>`;
+    case 'mul':
+      return `<mrow>${node.factors.map((factor, i) => {
+        const body = factor.type === 'add' ? mathmlParentheses(mathmlNode(factor, index, name)) : mathmlNode(factor, index, name);
+        if (i === 0) return body;
+        return `<mo>${needsExplicitTimes(factor) ? '&#x22C5;' : '&#x2062;'}</mo>${body}`;
+      }).join('')}</mrow>`;
+    case 'pow': {
+      const base = mathmlNode(node.base, index, name);
+      const wrapped = needsParentheses(node.base) ? mathmlParentheses(base) : base;
+      return `<msup>${wrapped}${mathmlNode(node.exponent, index, name)}</msup>`;
+    }
+    case 'neg': {
+      const body = mathmlNode(node.value, index, name);
+      return `<mrow><mo>${MINUS}</mo>${node.value.type === 'add' ? mathmlParentheses(body) : body}</mrow>`;
+    }
+    case 'factorial': {
+      const body = mathmlNode(node.value, index, name);
+      return `<mrow>${node.value.type === 'variable' ? body : mathmlParentheses(body)}<mo>!</mo></mrow>`;
+    }
+    default:
+      throw new TypeError(`Unknown formula node: ${node.type}`);
+  }
+}
+
+/**
+ * @private
+ */
+function mathmlCycle(cycle) {
+  return mathmlParentheses(cycle.map(mathmlNumber).join('<mo>,</mo>'));
+}
+
+/**
+ * c_((index-1) mod p + 1)
+ * @private
+ */
+function mathmlCycleIndex(name, index, period) {
+  return `<msub>${name}<mrow><mo>(</mo><mi>${index}</mi><mo>${MINUS}</mo><mn>1</mn><mo>)</mo>` +
+    `<mo>mod</mo><mn>${period}</mn><mo>+</mo><mn>1</mn></mrow></msub>`;
+}
+
+/**
+ * n = ways*m - shift
+ * @private
+ */
+function mathmlPosition(ways, offset) {
+  const shift = componentShift(ways, offset);
+  return `<mi>n</mi><mo>=</mo><mn>${ways}</mn><mo>&#x2062;</mo><mi>m</mi>` +
+    (shift === 0 ? '' : `<mo>${MINUS}</mo><mn>${shift}</mn>`);
+}
+
+/**
+ * Table rows for one interleaved component
+ * @private
+ */
+function mathmlComponentRows(component, ways, offset, name) {
+  const row = (value, condition) => `<mtr><mtd>${value}</mtd><mtd><mrow>${condition}</mrow></mtd></mtr>`;
+  const position = mathmlPosition(ways, offset);
+
+  switch (component.kind) {
+    case 'closed':
+      return [row(mathmlNode(component.expression, 'm'), position)];
+    case 'periodic':
+      return [row(mathmlCycleIndex(mathmlCycle(component.cycle), 'm', component.cycle.length), position)];
+    case 'recurrence': {
+      const order = component.initialTerms.length;
+      const initial = component.initialTerms.map((value, i) =>
+        row(mathmlNumber(value), `<mi>n</mi><mo>=</mo><mn>${i * ways + offset}</mn>`));
+      const rule = row(
+        mathmlNode(spreadTerms(component.expression, ways), 'n', name),
+        `${position}<mo>,</mo><mi>m</mi><mo>&gt;</mo><mn>${order}</mn>`
+      );
+      return [...initial, rule];
+    }
+    default:
+      throw new TypeError(`Formula kind ${component.kind} cannot be interleaved`);
+  }
+}
+
+const MATHML_SEPARATOR = '<mo>,</mo><mspace width="1em"/>';
+
+/**
+ * x_(n - offset), or x_n
+ * @private
+ */
+function mathmlTerm(name, offset) {
+  return `<msub><mi>${name}</mi>${mathmlIndex('n', offset)}</msub>`;
+}
+
+/**
+ * Right-hand side of a transformed formula, followed by the inner formula
+ * @private
+ */
+function mathmlTransformed(formula, name) {
+  const inner = innerName(name);
+  const first = formula.initialTerms.length > 0
+    ? `${MATHML_SEPARATOR}<msub><mi>${name}</mi><mn>1</mn></msub><mo>=</mo>${mathmlNumber(formula.initialTerms[0])}`
+    : '';
+
+  let rule;
+  switch (formula.transform) {
+    case 'differences':
+      rule = `${mathmlTerm(name, 1)}<mo>+</mo>${mathmlTerm(inner, 1)}${first}`;
+      break;
+    case 'partial-sums':
+      rule = `${mathmlTerm(inner, 0)}<mo>${MINUS}</mo>${mathmlTerm(inner, 1)}${MATHML_SEPARATOR}` +
+        `<msub><mi>${name}</mi><mn>1</mn></msub><mo>=</mo><msub><mi>${inner}</mi><mn>1</mn></msub>`;
+      break;
+    case 'ratios':
+      rule = `${mathmlTerm(inner, 1)}<mo>&#x22C5;</mo>${mathmlTerm(name, 1)}${first}`;
+      break;
+    case 'log':
+      rule = `<msup><mi>e</mi>${mathmlTerm(inner, 0)}</msup>`;
+      break;
+    default:
+      throw new TypeError(`Unknown transform: ${formula.transform}`);
+  }
+
+  return `${rule}${MATHML_SEPARATOR}${mathmlFormula(formula.inner, inner)}`;
+}
+
+/**
+ * Table rows of a conditional formula: expression, condition
+ * @private
+ */
+function mathmlConditionalRows(formula, name) {
+  return formula.cases.map((expression, residue) => {
+    const condition = formula.key === 'parity'
+      ? `${mathmlTerm(name, 1)}<mtext>&#x00A0;${residue === 0 ? 'even' : 'odd'}</mtext>`
+      : `<mi>n</mi><mo>&#x2261;</mo><mn>${residue}</mn>` +
+        `<mspace width="0.5em"/><mrow><mo>(</mo><mo>mod</mo><mn>${formula.modulus}</mn><mo>)</mo></mrow>`;
+    return `<mtr><mtd>${mathmlNode(expression, 'n', name)}</mtd><mtd>${condition}</mtd></mtr>`;
+  });
+}
+
+/**
+ * Right-hand side of a piecewise formula, followed by the segment formulas
+ * @private
+ */
+function mathmlPiecewise(formula, name) {
+  const names = segmentNames(formula, name);
+  const last = formula.segments.length - 1;
+  const rows = formula.segments.map((segment, i) => {
+    let range;
+    if (i === last) {
+      range = `<mi>n</mi><mo>&#x2265;</mo><mn>${segment.start}</mn>`;
+    } else if (i === 0) {
+      range = `<mi>n</mi><mo>&#x2264;</mo><mn>${segment.end}</mn>`;
+    } else {
+      range = `<mn>${segment.start}</mn><mo>&#x2264;</mo><mi>n</mi><mo>&#x2264;</mo><mn>${segment.end}</mn>`;
+    }
+    return `<mtr><mtd>${mathmlTerm(names[i], segment.start - 1)}</mtd><mtd>${range}</mtd></mtr>`;
+  });
+  const parts = formula.segments.map((segment, i) => mathmlFormula(segment.formula, names[i]));
+  return `<mrow><mo>{</mo><mtable columnalign="left left">${rows.join('')}</mtable></mrow>` +
+    `${MATHML_SEPARATOR}${parts.join(MATHML_SEPARATOR)}`;
+}
+
+/**
+ * @private
+ */
+function mathmlFormula(formula, name) {
+  const lhs = `<msub><mi>${name}</mi><mi>n</mi></msub>`;
+  const equals = `<mo>${formula.approximate ? '&#x2248;' : '='}</mo>`;
+
+  switch (formula.kind) {
+    case 'closed':
+      return `${lhs}${equals}${mathmlNode(formula.expression, 'n', name)}`;
+    case 'recurrence': {
+      const initial = formula.initialTerms.map((value, i) =>
+        `<msub><mi>${name}</mi><mn>${i + 1}</mn></msub><mo>=</mo>${mathmlNumber(value)}`);
+      return `${lhs}${equals}${mathmlNode(formula.expression, 'n', name)}${MATHML_SEPARATOR}${initial.join('<mo>,</mo>')}`;
+    }
+    case 'periodic':
+      return `${lhs}${equals}${mathmlCycleIndex('<mi>c</mi>', 'n', formula.cycle.length)}` +
+        `${MATHML_SEPARATOR}<mi>c</mi><mo>=</mo>${mathmlCycle(formula.cycle)}`;
+    case 'conditional':
+      return `${lhs}${equals}<mrow><mo>{</mo><mtable columnalign="left left">` +
+        `${mathmlConditionalRows(formula, name).join('')}</mtable></mrow>${MATHML_SEPARATOR}` +
+        `<msub><mi>${name}</mi><mn>1</mn></msub><mo>=</mo>${mathmlNumber(formula.initialTerms[0])}`;
+    case 'interleaved': {
+      const rows = formula.components.flatMap((component, i) =>
+        mathmlComponentRows(component, formula.ways, i + 1, name));
+      return `${lhs}${equals}<mrow><mo>{</mo><mtable columnalign="left left">${rows.join('')}</mtable></mrow>`;
+    }
+    case 'transformed':
+      return `${lhs}${equals}${mathmlTransformed(formula, name)}`;
+    case 'piecewise':
+      return `${lhs}${equals}${mathmlPiecewise(formula, name)}`;
+    default:
+      throw new TypeError(`Unknown formula kind: ${formula.kind}`);
+  }
+}
+
+/**
+ * Renders a formula as a MathML <math> element
+ *
+ * @param {object} formula - Structured formula
+ * @returns {string} MathML markup
+ */
+function toMathML(formula) {
+  return `<math xmlns="${MATHML_NAMESPACE}" display="block"><mrow>${mathmlFormula(formula, 'a')}</mrow></math>`;
+}
+
+// ============================================================================
+// JavaScript
+// ============================================================================
+
+/**
+ * JavaScript literal for a number value; rejects anything that is not a
+ * plain number so the generated source cannot carry other code
+ * @private
+ */
+function javascriptNumber(value) {
+  const text = String(value);
+  if (typeof value === 'number' ? !isFinite(value) : !/^-?\d+(\.\d+)?(\/\d+)?$/.test(text)) {
+    throw new TypeError(`Invalid number in formula: ${text}`);
+  }
+
+  if (text.includes('/')) {
+    const [numerator, denominator] = text.split('/');
+    return `(${numerator} / ${denominator})`;
+  }
+  return isNegativeValue(value) ? `(${text})` : text;
+}
+
+/**
+ * @private
+ */
+function javascriptNode(node, index, list) {
+  const render = child => javascriptNode(child, index, list);
+
+  switch (node.type) {
+    case 'number':
+      return javascriptNumber(node.value);
+    case 'variable':
+      return index;
+    case 'term':
+      if (!Number.isInteger(node.offset) || node.offset < 1) {
+        throw new TypeError(`Invalid term offset in formula: ${node.offset}`);
+      }
+      return `${list}[${index} - ${node.offset}]`;
+    case 'add':
+      return node.terms.map((child, i) => {
+        const { negative, node: magnitude } = splitSign(child);
+        const body = magnitude.type === 'add' ? `(${render(magnitude)})` : render(magnitude);
+        if (i === 0) return negative ? `-${body}` : body;
+        return negative ? ` - ${body}` : ` + ${body}`;
+      }).join('');
+    case 'mul':
+      return node.factors.map(factor => (factor.type === 'add' ? `(${render(factor)})` : render(factor))).join(' * ');
+    case 'pow':
+      return `Math.pow(${render(node.base)}, ${render(node.exponent)})`;
+    case 'neg':
+      return `-(${render(node.value)})`;
+    case 'factorial':
+      return `((k) => { let p = k < 0 ? NaN : 1; for (let i = 2; i <= k; i++) p *= i; return p; })(${render(node.value)})`;
+    default:
+      throw new TypeError(`Unknown formula node: ${node.type}`);
+  }
+}
+
+/**
+ * @private
+ */
+function indent(source, spaces) {
+  return source.split('\n').join(`\n${' '.repeat(spaces)}`);
+}
+
+/**
+ * Exports a formula as the source of a JavaScript arrow function (n) => value
+ *
+ * @param {object} formula - Structured formula
+ * @returns {string} Function source
+ */
+function toJavaScript(formula) {
+  switch (formula.kind) {
+    case 'closed':
+      return `(n) => ${javascriptNode(formula.expression, 'n', 'a')}`;
+    case 'recurrence': {
+      const initial = formula.initialTerms.map(javascriptNumber).join(', ');
+      return [
+        '(n) => {',
+        `  const a = [undefined, ${initial}];`,
+        '  for (let i = a.length; i <= n; i++) {',
+        `    a[i] = ${javascriptNode(formula.expression, 'i', 'a')};`,
+        '  }',
+        '  return a[n];',
+        '}'
+      ].join('\n');
+    }
+    case 'periodic': {
+      const period = formula.cycle.length;
+      return `(n) => [${formula.cycle.map(javascriptNumber).join(', ')}][((n - 1) % ${period} + ${period}) % ${period}]`;
+    }
+    case 'conditional':
+      return javascriptConditional(formula);
+    case 'interleaved': {
+      const ways = formula.ways;
+      if (!Number.isInteger(ways) || ways !== formula.components.length) {
+        throw new TypeError('Interleaved formula needs one component per way');
+      }
+      const cases = formula.components.map((component, i) => {
+        const label = i === ways - 1 ? 'default:' : `case ${i}:`;
+        return `    ${label} return (${indent(toJavaScript(component), 4)})(m);`;
+      });
+      return [
+        '(n) => {',
+        `  const m = Math.floor((n - 1) / ${ways}) + 1;`,
+        `  switch (((n - 1) % ${ways} + ${ways}) % ${ways}) {`,
+        ...cases,
+        '  }',
+        '}'
+      ].join('\n');
+    }
+    case 'transformed':
+      return javascriptTransformed(formula);
+    case 'piecewise':
+      return javascriptPiecewise(formula);
+    default:
+      throw new TypeError(`Unknown formula kind: ${formula.kind}`);
+  }
+}
+
+/**
+ * Source for a transformed formula: rebuilds a_n from b_n, term by term
+ * for differences and ratios
+ * @private
+ */
+function javascriptTransformed(formula) {
+  const inner = `  const b = ${indent(toJavaScript(formula.inner), 2)};`;
+  const first = () => javascriptNumber(formula.initialTerms[0]);
+
+  let body;
+  switch (formula.transform) {
+    case 'differences':
+      body = [`  let value = ${first()};`, '  for (let i = 1; i < n; i++) value += b(i);', '  return value;'];
+      break;
+    case 'partial-sums':
+      body = ['  return n === 1 ? b(1) : b(n) - b(n - 1);'];
+      break;
+    case 'ratios':
+      body = [`  let value = ${first()};`, '  for (let i = 1; i < n; i++) value *= b(i);', '  return value;'];
+      break;
+    case 'log':
+      body = ['  return Math.exp(b(n));'];
+      break;
+    default:
+      throw new TypeError(`Unknown transform: ${formula.transform}`);
+  }
+
+  return ['(n) => {', inner, ...body, '}'].join('\n');
+}
+
+/**
+ * Source for a conditional formula: builds the terms one by one, picking
+ * the case by the residue of a_(i-1) or of i
+ * @private
+ */
+function javascriptConditional(formula) {
+  const { key, modulus, cases } = formula;
+  const expected = key === 'parity' ? 2 : modulus;
+  if (!Number.isInteger(modulus) || modulus < 2 || modulus !== expected || cases.length !== modulus) {
+    throw new TypeError('Conditional formula needs one case per residue');
+  }
+
+  const keyed = key === 'parity' ? 'a[i - 1]' : 'i';
+  const choice = cases.slice(0, -1).reduceRight(
+    (rest, expression, residue) => `r === ${residue} ? ${javascriptNode(expression, 'i', 'a')} : ${rest}`,
+    javascriptNode(cases[cases.length - 1], 'i', 'a'));
+  return [
+    '(n) => {',
+    `  const a = [undefined, ${javascriptNumber(formula.initialTerms[0])}];`,
+    '  for (let i = a.length; i <= n; i++) {',
+    `    const r = (${keyed} % ${modulus} + ${modulus}) % ${modulus};`,
+    `    a[i] = ${choice};`,
+    '  }',
+    '  return a[n];',
+    '}'
+  ].join('\n');
+}
+
+/**
+ * Source for a piecewise formula: picks the segment holding n and calls its
+ * function with the index counted from the segment start
+ * @private
+ */
+function javascriptPiecewise(formula) {
+  const { segments } = formula;
+  const bounds = segments.flatMap((segment, i) => (i === segments.length - 1 ? [segment.start] : [segment.start, segment.end]));
+  if (segments.length === 0 || !bounds.every(Number.isInteger)) {
+    throw new TypeError('Piecewise formula needs integer segment bounds');
+  }
+
+  const functions = segments.map((segment, i) =>
+    `  const s${i} = ${indent(toJavaScript(segment.formula), 2)};`);
+  const choices = segments.map((segment, i) => {
+    const call = `return s${i}(${segment.start === 1 ? 'n' : `n - ${segment.start - 1}`});`;
+    return i === segments.length - 1 ? `  ${call}` : `  if (n <= ${segment.end}) ${call}`;
+  });
+  return ['(n) => {', ...functions, ...choices, '}'].join('\n');
+}
+
+/**
+ * Compiles a formula into a callable function
+ *
+ * The function evaluates the formula in floating point; exact values in the
+ * formula are converted to the nearest double.
+ *
+ * @param {object} formula - Structured formula
+ * @returns {Function} (n) => value
+ */
+function compile(formula) {
+  // The source only holds validated number literals, operators and the index
+  return new Function(`return ${toJavaScript(formula)};`)();
+}
+
+/**
+ * Renders a formula in one of FORMATS
+ *
+ * @param {object} formula - Structured formula
+ * @param {string} format - 'latex', 'mathml' or 'js'
+ * @returns {string} The rendered formula
+ */
+function render(formula, format) {
+  switch (format) {
+    case 'latex':
+      return toLatex(formula);
+    case 'mathml':
+      return toMathML(formula);
+    case 'js':
+      return toJavaScript(formula);
+    default:
+      throw new RangeError(`Unknown formula format: ${format} (use ${FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  TRANSFORMS,
+  number,
+  variable,
+  term,
+  add,
+  mul,
+  pow,
+  neg,
+  factorial,
+  polynomial,
+  closed,
+  recurrence,
+  periodic,
+  conditional,
+  interleaved,
+  transformed,
+  piecewise,
+  innerName,
+  toLatex,
+  toMathML,
+  toJavaScript,
+  compile,
+  render
+};
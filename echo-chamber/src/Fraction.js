@@ -0,0 +1,205 @@
+/**
+ * Fraction - Exact rational number backed by BigInt
+ *
+ * Used by the exact arithmetic mode of the SequenceAnalyzer so that
+ * ratios such as 1/3 and very large integer terms never lose precision.
+ * Values are always kept normalized (reduced, positive denominator).
+ *
+ * @class Fraction
+ */
+
+class Fraction {
+  constructor(numerator, denominator = 1n) {
+    if (denominator === 0n) {
+      throw new RangeError('Fraction denominator cannot be zero');
+    }
+
+    if (denominator < 0n) {
+      numerator = -numerator;
+      denominator = -denominator;
+    }
+
+    const divisor = Fraction.gcd(numerator < 0n ? -numerator : numerator, denominator);
+    this.numerator = divisor > 1n ? numerator / divisor : numerator;
+    this.denominator = divisor > 1n ? denominator / divisor : denominator;
+  }
+
+  /**
+   * Creates a fraction from a number, bigint, numeric string or fraction
+   *
+   * Accepted strings: "42", "-7", "1/3", "0.25", "1.5e3"
+   *
+   * @param {number|bigint|string|Fraction} value - Value to convert
+   * @returns {Fraction} Exact representation of the value
+   */
+  static from(value) {
+    if (value instanceof Fraction) {
+      return value;
+    }
+
+    if (typeof value === 'bigint') {
+      return new Fraction(value, 1n);
+    }
+
+    if (typeof value === 'number') {
+      if (!isFinite(value)) {
+        throw new RangeError(`Cannot represent ${value} as a fraction`);
+      }
+      // Use the shortest decimal representation so 0.1 becomes 1/10
+      return Fraction.parse(String(value));
+    }
+
+    if (typeof value === 'string') {
+      return Fraction.parse(value);
+    }
+
+    throw new TypeError(`Cannot convert ${typeof value} to a fraction`);
+  }
+
+  /**
+   * Parses a numeric string into a fraction
+   * @private
+   */
+  static parse(text) {
+    const trimmed = text.trim();
+
+    const ratio = /^([+-]?\d+)\s*\/\s*([+-]?\d+)$/.exec(trimmed);
+    if (ratio) {
+      return new Fraction(BigInt(ratio[1]), BigInt(ratio[2]));
+    }
+
+    const decimal = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(trimmed);
+    if (!decimal || (decimal[2] === '' && !decimal[3])) {
+      throw new SyntaxError(`Invalid numeric string: "${text}"`);
+    }
+
+    const [, sign, whole, fractionDigits = '', exponentText] = decimal;
+    let numerator = BigInt((whole || '0') + fractionDigits);
+    let denominator = 10n ** BigInt(fractionDigits.length);
+    const exponent = exponentText ? parseInt(exponentText, 10) : 0;
+
+    if (exponent > 0) {
+      numerator *= 10n ** BigInt(exponent);
+    } else if (exponent < 0) {
+      denominator *= 10n ** BigInt(-exponent);
+    }
+
+    return new Fraction(sign === '-' ? -numerator : numerator, denominator);
+  }
+
+  /**
+   * Checks whether a value can be converted to a fraction
+   */
+  static isValid(value) {
+    try {
+      Fraction.from(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Greatest common divisor of two non-negative bigints
+   * @private
+   */
+  static gcd(a, b) {
+    while (b !== 0n) {
+      [a, b] = [b, a % b];
+    }
+    return a === 0n ? 1n : a;
+  }
+
+  add(other) {
+    other = Fraction.from(other);
+    return new Fraction(
+      this.numerator * other.denominator + other.numerator * this.denominator,
+      this.denominator * other.denominator
+    );
+  }
+
+  sub(other) {
+    other = Fraction.from(other);
+    return new Fraction(
+      this.numerator * other.denominator - other.numerator * this.denominator,
+      this.denominator * other.denominator
+    );
+  }
+
+  mul(other) {
+    other = Fraction.from(other);
+    return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+  }
+
+  div(other) {
+    other = Fraction.from(other);
+    if (other.numerator === 0n) {
+      throw new RangeError('Division by zero');
+    }
+    return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+  }
+
+  neg() {
+    return new Fraction(-this.numerator, this.denominator);
+  }
+
+  /**
+   * Raises the fraction to an integer power (negative exponents invert)
+   */
+  pow(exponent) {
+    const power = BigInt(exponent);
+    if (power < 0n) {
+      return new Fraction(this.denominator ** -power, this.numerator ** -power);
+    }
+    return new Fraction(this.numerator ** power, this.denominator ** power);
+  }
+
+  equals(other) {
+    other = Fraction.from(other);
+    return this.numerator === other.numerator && this.denominator === other.denominator;
+  }
+
+  compare(other) {
+    other = Fraction.from(other);
+    const left = this.numerator * other.denominator;
+    const right = other.numerator * this.denominator;
+    return left === right ? 0 : (left < right ? -1 : 1);
+  }
+
+  isZero() {
+    return this.numerator === 0n;
+  }
+
+  isInteger() {
+    return this.denominator === 1n;
+  }
+
+  toNumber() {
+    const numerator = Number(this.numerator);
+    const denominator = Number(this.denominator);
+    if (isFinite(numerator) && isFinite(denominator)) {
+      return numerator / denominator;
+    }
+
+    // Parts beyond the double range would give Infinity / Infinity, so drop
+    // the same number of low bits from both before dividing
+    const bits = value => (value < 0n ? -value : value).toString(16).length * 4;
+    const shift = BigInt(Math.max(bits(this.numerator), bits(this.denominator)) - 1000);
+    return Number(this.numerator >> shift) / Number(this.denominator >> shift);
+  }
+
+  /**
+   * Canonical string form: "42" for integers, "-1/3" otherwise
+   */
+  toString() {
+    return this.isInteger()
+      ? this.numerator.toString()
+      : `${this.numerator}/${this.denominator}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+module.exports = Fraction;
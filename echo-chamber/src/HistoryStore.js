@@ -0,0 +1,325 @@
+/**
+ * HistoryStore - Storage backends for SequenceAnalyzer history
+ *
+ * A store keeps every analysis as an audit trail. Stores are append-only:
+ * clearing the history records a marker instead of deleting anything, so
+ * load() only returns the analyses since the last clear while query() can
+ * still search the whole trail. Records are slim: the explain trace and
+ * the ranked hypotheses are left out (see slimRecord).
+ *
+ * Backends implement the same four methods:
+ * - load(limit)     Analyses since the last clear, oldest first; with a
+ *                   limit only the most recent ones
+ * - append(entry)   Records one analysis result
+ * - clear()         Starts a new history without deleting the trail
+ * - query(filters)  Searches the trail (see filterHistory)
+ *
+ * Available backends:
+ * - MemoryHistoryStore: kept in memory, mainly for tests
+ * - JsonLinesHistoryStore: one JSON object per line in a file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CLEAR_MARKER = 'history-cleared';
+
+// Result fields left out of stored records; they dwarf the result itself
+const UNSTORED_FIELDS = ['trace', 'hypotheses'];
+
+// Records a history file keeps; it is compacted to this many once it holds twice as many
+const DEFAULT_MAX_RECORDS = 10000;
+
+// Bytes read at a time when scanning a history file from its end
+const READ_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Copy of an analysis result as stored: without the fields in UNSTORED_FIELDS
+ *
+ * @param {object} entry - Analysis result
+ * @returns {object} The record to store
+ */
+function slimRecord(entry) {
+  const record = { ...entry };
+  UNSTORED_FIELDS.forEach(field => delete record[field]);
+  return record;
+}
+
+/**
+ * Validates history filters and turns them into a test for one entry
+ * (the limit is only validated; callers apply it)
+ * @private
+ */
+function historyFilter({ pattern, from, to, prefix, limit } = {}) {
+  const patterns = pattern === undefined ? null : [].concat(pattern);
+  const fromTime = from === undefined ? -Infinity : new Date(from).getTime();
+  const toTime = to === undefined ? Infinity : new Date(to).getTime();
+  if (isNaN(fromTime) || isNaN(toTime)) {
+    throw new RangeError('Invalid date in history query');
+  }
+  if (limit !== undefined && !(Number.isInteger(limit) && limit >= 0)) {
+    throw new RangeError('History query limit must be a non-negative integer');
+  }
+
+  // Compare as strings so 2, "2" and exact-mode values match alike
+  const prefixText = prefix === undefined ? null : prefix.map(value => String(value));
+
+  return entry => {
+    if (patterns && !patterns.includes(entry.pattern)) return false;
+
+    const time = new Date(entry.timestamp).getTime();
+    if (time < fromTime || time > toTime) return false;
+
+    if (prefixText) {
+      const sequence = entry.sequence || [];
+      if (sequence.length < prefixText.length) return false;
+      if (!prefixText.every((value, i) => String(sequence[i]) === value)) return false;
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Filters history entries
+ *
+ * @param {object[]} entries - Analysis results, oldest first
+ * @param {object} [filters] - All given filters must match
+ * @param {string|string[]} [filters.pattern] - Pattern name(s)
+ * @param {Date|string|number} [filters.from] - Earliest timestamp (inclusive)
+ * @param {Date|string|number} [filters.to] - Latest timestamp (inclusive)
+ * @param {Array} [filters.prefix] - Leading terms of the sequence
+ * @param {number} [filters.limit] - Keep only the most recent matches
+ * @returns {object[]} Matching entries, oldest first
+ */
+function filterHistory(entries, filters = {}) {
+  const matches = entries.filter(historyFilter(filters));
+  const { limit } = filters;
+
+  if (limit === undefined) {
+    return matches;
+  }
+  return limit === 0 ? [] : matches.slice(-limit);
+}
+
+/**
+ * Splits a trail into the entries since the last clear marker
+ * @private
+ */
+function sinceLastClear(records) {
+  let start = 0;
+  records.forEach((record, i) => {
+    if (record.type === CLEAR_MARKER) start = i + 1;
+  });
+  return records.slice(start).filter(record => record.type !== CLEAR_MARKER);
+}
+
+/**
+ * History kept in memory for the life of the process
+ */
+class MemoryHistoryStore {
+  constructor() {
+    this.records = [];
+  }
+
+  load(limit = Infinity) {
+    return limit === 0 ? [] : sinceLastClear(this.records).slice(-limit);
+  }
+
+  append(entry) {
+    this.records.push(slimRecord(entry));
+  }
+
+  clear() {
+    this.records.push({ type: CLEAR_MARKER, timestamp: new Date().toISOString() });
+  }
+
+  query(filters) {
+    return filterHistory(this.records.filter(record => record.type !== CLEAR_MARKER), filters);
+  }
+}
+
+/**
+ * Append-only history file with one JSON object per line
+ *
+ * Writes are synchronous appends, so every analysis is on disk before the
+ * result is returned. Reads scan the file from its end and stop as soon as
+ * they have what they need, so loading the latest history does not parse
+ * the whole trail. Once the file holds twice maxRecords records it is
+ * rewritten with only the most recent maxRecords, which bounds both its
+ * size and the cost of a full query. Lines that cannot be parsed (for
+ * example one cut off by a crash) are skipped and counted in skippedLines.
+ */
+class JsonLinesHistoryStore {
+  /**
+   * @param {string} filePath - Path of the .jsonl file (created on demand)
+   * @param {object} [options]
+   * @param {number} [options.maxRecords=10000] - Records the trail keeps,
+   *   clear markers included
+   */
+  constructor(filePath, { maxRecords = DEFAULT_MAX_RECORDS } = {}) {
+    if (typeof filePath !== 'string' || filePath === '') {
+      throw new TypeError('JsonLinesHistoryStore needs a file path');
+    }
+    if (!Number.isInteger(maxRecords) || maxRecords < 1) {
+      throw new RangeError('maxRecords must be a positive integer');
+    }
+
+    this.filePath = filePath;
+    this.maxRecords = maxRecords;
+    this.skippedLines = 0;
+    this.lineCount = null;
+
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+  }
+
+  load(limit = Infinity) {
+    const records = [];
+    if (limit === 0) return records;
+
+    for (const record of this.recordsFromEnd()) {
+      if (record.type === CLEAR_MARKER) break;
+      records.push(record);
+      if (records.length === limit) break;
+    }
+    return records.reverse();
+  }
+
+  append(entry) {
+    if (this.lineCount === null) {
+      this.lineCount = this.countLines();
+    }
+
+    fs.appendFileSync(this.filePath, JSON.stringify(entry.type === CLEAR_MARKER ? entry : slimRecord(entry)) + '\n');
+    this.lineCount++;
+    if (this.lineCount >= 2 * this.maxRecords) {
+      this.compact();
+    }
+  }
+
+  clear() {
+    this.append({ type: CLEAR_MARKER, timestamp: new Date().toISOString() });
+  }
+
+  query(filters = {}) {
+    const matches = historyFilter(filters);
+    const limit = filters.limit === undefined ? Infinity : filters.limit;
+    const found = [];
+    if (limit === 0) return found;
+
+    for (const record of this.recordsFromEnd()) {
+      if (record.type === CLEAR_MARKER || !matches(record)) continue;
+      found.push(record);
+      if (found.length === limit) break;
+    }
+    return found.reverse();
+  }
+
+  /**
+   * Rewrites the file with only its most recent maxRecords records
+   * @private
+   */
+  compact() {
+    const kept = [];
+    for (const record of this.recordsFromEnd()) {
+      kept.push(record);
+      if (kept.length === this.maxRecords) break;
+    }
+
+    // Written aside and renamed, so a crash midway leaves the old file whole
+    const temporary = `${this.filePath}.tmp`;
+    fs.writeFileSync(temporary, kept.reverse().map(record => JSON.stringify(record) + '\n').join(''));
+    fs.renameSync(temporary, this.filePath);
+    this.lineCount = kept.length;
+  }
+
+  /**
+   * Counts the lines in the file without parsing them
+   * @private
+   */
+  countLines() {
+    if (!fs.existsSync(this.filePath)) {
+      return 0;
+    }
+
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+      let count = 0;
+      let bytesRead;
+      while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE, null)) > 0) {
+        for (let i = 0; i < bytesRead; i++) {
+          if (buffer[i] === 0x0a) count++;
+        }
+      }
+      return count;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Yields the records in the file newest first, reading it backwards in
+   * chunks; a caller that stops early never reads the rest
+   * @private
+   */
+  *recordsFromEnd() {
+    this.skippedLines = 0;
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      let position = fs.fstatSync(fd).size;
+      // Bytes of the line that started in an earlier chunk (newlines never occur inside a UTF-8 character)
+      let carry = Buffer.alloc(0);
+      while (position > 0) {
+        const length = Math.min(READ_CHUNK_SIZE, position);
+        position -= length;
+        const chunk = Buffer.alloc(length);
+        fs.readSync(fd, chunk, 0, length, position);
+
+        const data = Buffer.concat([chunk, carry]);
+        let end = data.length;
+        let newline = data.lastIndexOf(0x0a, end - 1);
+        while (end > 0 && newline !== -1) {
+          const record = this.parseLine(data.toString('utf8', newline + 1, end));
+          if (record) yield record;
+          end = newline;
+          newline = end > 0 ? data.lastIndexOf(0x0a, end - 1) : -1;
+        }
+        carry = data.subarray(0, end);
+      }
+
+      const record = this.parseLine(carry.toString('utf8'));
+      if (record) yield record;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Parses one line, or counts it in skippedLines when it is unreadable
+   * @private
+   */
+  parseLine(line) {
+    if (line.trim() === '') return null;
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      this.skippedLines++;
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  MemoryHistoryStore,
+  JsonLinesHistoryStore,
+  filterHistory,
+  slimRecord
+};
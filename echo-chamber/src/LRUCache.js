@@ -0,0 +1,192 @@
+/**
+ * LRUCache - Bounded least-recently-used cache with optional expiry
+ *
+ * Used by the SequenceAnalyzer for its analysis cache, so a long-lived
+ * analyzer (such as the one held by the web server) cannot grow without
+ * limit. The cache is bounded by entry count and by an estimate of the
+ * memory its values use; when either limit is exceeded the least recently
+ * used entries are evicted. Entries can also expire after a time to live.
+ *
+ * Map insertion order doubles as the recency order: reading an entry moves
+ * it to the end, so the first key is always the least recently used.
+ *
+ * @class LRUCache
+ */
+
+class LRUCache {
+  /**
+   * @param {object} [options] - Cache limits
+   * @param {number} [options.maxEntries=Infinity] - Maximum number of entries
+   * @param {number} [options.maxBytes=Infinity] - Maximum estimated size of all entries
+   * @param {number} [options.ttl=0] - Milliseconds before an entry expires (0 = never)
+   * @param {Function} [options.sizeOf] - Estimates the size of (key, value) in bytes
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor({ maxEntries = Infinity, maxBytes = Infinity, ttl = 0, sizeOf = LRUCache.estimateSize, now = Date.now } = {}) {
+    if (!(maxEntries > 0) || !(maxBytes > 0) || !(ttl >= 0)) {
+      throw new RangeError('Cache limits must be positive (ttl may be 0 for no expiry)');
+    }
+
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttl = ttl;
+    this.sizeOf = sizeOf;
+    this.now = now;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.resetStats();
+  }
+
+  /**
+   * Rough size of a cache entry: the UTF-8 length of the key and of the
+   * value serialized as JSON
+   */
+  static estimateSize(key, value) {
+    const json = JSON.stringify(value, (k, v) => (typeof v === 'bigint' ? v.toString() : v));
+    return Buffer.byteLength(String(key)) + Buffer.byteLength(json || '');
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Returns the cached value and marks it as recently used
+   *
+   * @returns {*} The value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt !== null && this.now() >= entry.expiresAt) {
+      this.remove(key, entry);
+      this.expirations++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  /**
+   * Stores a value, evicting least recently used entries to stay in bounds
+   *
+   * A value larger than maxBytes on its own is not cached at all.
+   */
+  set(key, value) {
+    const existing = this.entries.get(key);
+    if (existing) {
+      this.remove(key, existing);
+    }
+
+    const bytes = this.sizeOf(key, value);
+    if (bytes > this.maxBytes) {
+      this.rejections++;
+      return this;
+    }
+
+    this.entries.set(key, {
+      value,
+      bytes,
+      expiresAt: this.ttl > 0 ? this.now() + this.ttl : null
+    });
+    this.bytes += bytes;
+
+    for (const [oldestKey, oldest] of this.entries) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.remove(oldestKey, oldest);
+      this.evictions++;
+    }
+
+    return this;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.remove(key, entry);
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Drops expired entries without waiting for them to be read
+   *
+   * @returns {number} Number of entries removed
+   */
+  prune() {
+    const now = this.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && now >= entry.expiresAt) {
+        this.remove(key, entry);
+        removed++;
+      }
+    }
+    this.expirations += removed;
+    return removed;
+  }
+
+  /**
+   * Lists the entries as plain objects, least recently used first, so they
+   * can be saved and handed to load() later
+   *
+   * @returns {object[]} { key, value, expiresAt } with expiresAt in ms since
+   *   the epoch, or null for entries that never expire
+   */
+  dump() {
+    this.prune();
+    return Array.from(this.entries, ([key, { value, expiresAt }]) => ({ key, value, expiresAt }));
+  }
+
+  /**
+   * Adds entries listed by dump(), in order, within this cache's limits
+   *
+   * An entry keeps its expiry unless this cache's ttl ends sooner, and
+   * entries that have already expired are skipped.
+   *
+   * @param {object[]} entries - { key, value, expiresAt } objects
+   */
+  load(entries) {
+    const now = this.now();
+    entries.forEach(({ key, value, expiresAt = null }) => {
+      if (expiresAt !== null && now >= expiresAt) return;
+
+      this.set(key, value);
+      const entry = this.entries.get(key);
+      if (entry && expiresAt !== null) {
+        entry.expiresAt = entry.expiresAt === null ? expiresAt : Math.min(entry.expiresAt, expiresAt);
+      }
+    });
+  }
+
+  resetStats() {
+    this.evictions = 0;
+    this.expirations = 0;
+    this.rejections = 0;
+  }
+
+  /**
+   * @private
+   */
+  remove(key, entry) {
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+  }
+}
+
+module.exports = LRUCache;
@@ -0,0 +1,142 @@
+/**
+ * PointFitting - Exact models through known (x, y) points
+ *
+ * Used to infer the missing terms of sequences with gaps and to analyze
+ * points at irregular indices. Unlike the least-squares fits in
+ * Regression.js, a model only matches when a single set of parameters passes
+ * through every known point: in exact mode the parameters are fractions, in
+ * float mode doubles compared under the number system's tolerance policy.
+ *
+ * - Models that are linear in their parameters (polynomials, Fibonacci-like,
+ *   periodic) are solved as a linear system over their basis functions
+ * - Exponential models (y = a * b^x) take a root of the ratio of two points
+ *
+ * Every fit returns { parameters, evaluate(x) } or null.
+ */
+
+/**
+ * Whether every point lies on the model
+ * @private
+ */
+function passesThrough(points, evaluate, numeric) {
+  return points.every(({ x, y }) => numeric.equals(evaluate(x), y));
+}
+
+/**
+ * Fits y = Σ parameters[j] * basis[j](x) through every point
+ *
+ * Gauss–Jordan elimination with partial pivoting picks the parameters from
+ * the points, then the model is checked against all of them.
+ *
+ * @param {Array<{x, y}>} points - Known points (values in the number system)
+ * @param {Function[]} basis - Basis functions (x, numeric) => value
+ * @param {object} numeric - Number system from Arithmetic.js
+ * @returns {object|null} Fit, or null when the points do not determine a
+ *   unique model or contradict it
+ */
+function fitBasis(points, basis, numeric) {
+  const size = basis.length;
+  if (points.length < size) {
+    return null;
+  }
+
+  const rows = points.map(({ x, y }) => [...basis.map(f => f(x, numeric)), y]);
+  const scale = Math.max(...rows.map(row => Math.max(...row.map(v => Math.abs(numeric.toNumber(v))))));
+  const isNegligible = value => (numeric.exact
+    ? numeric.isZero(value)
+    : Math.abs(value) <= 1e-12 * Math.max(1, scale));
+
+  for (let col = 0; col < size; col++) {
+    let pivot = -1;
+    for (let row = col; row < rows.length; row++) {
+      if (isNegligible(rows[row][col])) continue;
+      if (pivot === -1 || Math.abs(numeric.toNumber(rows[row][col])) > Math.abs(numeric.toNumber(rows[pivot][col]))) {
+        pivot = row;
+      }
+    }
+
+    // No point pins this parameter down
+    if (pivot === -1) {
+      return null;
+    }
+
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let row = 0; row < rows.length; row++) {
+      if (row === col || numeric.isZero(rows[row][col])) continue;
+      const factor = numeric.div(rows[row][col], rows[col][col]);
+      rows[row] = rows[row].map((value, k) => numeric.sub(value, numeric.mul(factor, rows[col][k])));
+    }
+  }
+
+  const parameters = rows.slice(0, size).map((row, i) => numeric.div(row[size], row[i]));
+  const evaluate = x => basis.reduce(
+    (sum, f, j) => numeric.add(sum, numeric.mul(parameters[j], f(x, numeric))),
+    numeric.zero
+  );
+
+  return passesThrough(points, evaluate, numeric) ? { parameters, evaluate } : null;
+}
+
+/**
+ * Basis functions 1, x, ..., x^degree
+ */
+function polynomialBasis(degree) {
+  return Array.from({ length: degree + 1 }, (_, power) => (x, numeric) => numeric.pow(x, power));
+}
+
+/**
+ * Fits y = a * b^x through every point
+ *
+ * The base comes from the root of the ratio between the two closest points.
+ * Exact mode needs integer x values and a rational root; for an even gap both
+ * the positive and the negative root are tried.
+ *
+ * @returns {object|null} Fit with parameters [a, b], or null
+ */
+function fitExponential(points, numeric) {
+  if (points.length < 2 || points.some(({ y }) => numeric.isZero(y))) {
+    return null;
+  }
+  if (numeric.exact && points.some(({ x }) => !numeric.isInteger(x))) {
+    return null;
+  }
+
+  const sorted = points.slice().sort((p, q) => numeric.toNumber(p.x) - numeric.toNumber(q.x));
+  let first = sorted[0];
+  let second = sorted[1];
+  for (let i = 2; i < sorted.length; i++) {
+    const gap = numeric.toNumber(sorted[i].x) - numeric.toNumber(sorted[i - 1].x);
+    if (gap < numeric.toNumber(second.x) - numeric.toNumber(first.x)) {
+      [first, second] = [sorted[i - 1], sorted[i]];
+    }
+  }
+
+  const gap = numeric.toNumber(numeric.sub(second.x, first.x));
+  if (gap === 0) {
+    return null;
+  }
+
+  const ratio = numeric.div(second.y, first.y);
+  const root = Number.isInteger(gap) ? numeric.root(ratio, gap) : (numeric.exact ? null : Math.pow(ratio, 1 / gap));
+  if (root === null || isNaN(numeric.toNumber(root))) {
+    return null;
+  }
+
+  const bases = Number.isInteger(gap) && gap % 2 === 0 ? [root, numeric.neg(root)] : [root];
+  for (const base of bases) {
+    const power = x => numeric.pow(base, numeric.exact ? numeric.toNumber(x) : x);
+    const scale = numeric.div(first.y, power(first.x));
+    const evaluate = x => numeric.mul(scale, power(x));
+    if (passesThrough(points, evaluate, numeric)) {
+      return { parameters: [scale, base], evaluate };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  fitBasis,
+  fitExponential,
+  polynomialBasis
+};
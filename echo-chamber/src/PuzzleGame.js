@@ -0,0 +1,148 @@
+/**
+ * PuzzleGame - Guess-the-next-term game for training sessions
+ *
+ * Deals generated sequences one at a time. The player guesses the next
+ * term and is told whether it was right, what the answer was and how the
+ * analyzer explains the pattern. Correct answers score by difficulty, plus
+ * a bonus for every correct answer in a row before it:
+ *
+ *   points = POINTS[difficulty] + STREAK_BONUS * (streak so far)
+ *
+ * A puzzle is only dealt when the analyzer's prediction agrees with the
+ * generated answer, so the explanation shown always leads to the answer.
+ *
+ * @class PuzzleGame
+ */
+
+const SequenceAnalyzer = require('./SequenceAnalyzer');
+const SequenceGenerator = require('./SequenceGenerator');
+
+// Points for a correct answer at each difficulty
+const POINTS = { easy: 10, medium: 20, hard: 30 };
+
+// Extra points per correct answer in a row
+const STREAK_BONUS = 5;
+
+// Sequences generated before giving up on a fair puzzle
+const MAX_ATTEMPTS = 10;
+
+// Guesses within this relative error of the answer count as correct
+const TOLERANCE = 1e-9;
+
+class PuzzleGame {
+  /**
+   * @param {object} [options]
+   * @param {SequenceAnalyzer} [options.analyzer] - Explains the puzzles (a new one by default)
+   * @param {SequenceGenerator} [options.generator] - Deals the puzzles (a new one by default)
+   */
+  constructor({ analyzer = new SequenceAnalyzer({ maxHistory: 0 }), generator = new SequenceGenerator() } = {}) {
+    this.analyzer = analyzer;
+    this.generator = generator;
+    this.reset();
+  }
+
+  /**
+   * Starts the score over and drops the current puzzle
+   */
+  reset() {
+    this.puzzle = null;
+    this.score = { points: 0, played: 0, correct: 0, streak: 0, bestStreak: 0 };
+  }
+
+  /**
+   * Deals a new puzzle, replacing an unanswered one
+   *
+   * @param {object} [options] - family, difficulty and length (see SequenceGenerator.generate)
+   * @returns {object} The puzzle as the player sees it: { round, difficulty, sequence, points }
+   * @throws {RangeError} For an unknown family or difficulty
+   */
+  next(options = {}) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const generated = this.generator.generate(options);
+      const analysis = this.analyzer.analyze(generated.sequence, { record: false });
+      if (analysis.success && this.matches(analysis.nextNumbers[0], generated.nextNumbers[0])) {
+        this.puzzle = { ...generated, round: this.score.played + 1, analysis: analysis, answered: false };
+        return this.getPuzzle();
+      }
+    }
+    throw new Error('Could not generate a puzzle the analyzer can explain - try another family');
+  }
+
+  /**
+   * The current puzzle as the player sees it, or null before the first one
+   */
+  getPuzzle() {
+    if (!this.puzzle) return null;
+    const { round, difficulty, sequence, answered } = this.puzzle;
+    return { round, difficulty, sequence, points: POINTS[difficulty], answered };
+  }
+
+  /**
+   * Scores a guess for the next term of the current puzzle
+   *
+   * @param {number|string} value - The guessed term
+   * @returns {object} { success, correct, guess, answer, points, score, family,
+   *   formula, explanation, nextNumbers }, or { success: false, error }
+   */
+  guess(value) {
+    if (!this.puzzle) {
+      return { success: false, error: '❌ There is no puzzle yet - ask for one first.' };
+    }
+    if (this.puzzle.answered) {
+      return { success: false, error: '❌ This puzzle is already answered - ask for the next one.' };
+    }
+
+    const guess = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof guess !== 'number' || !Number.isFinite(guess)) {
+      return { success: false, error: '❌ The guess must be a number.' };
+    }
+
+    const { difficulty, family, nextNumbers, analysis } = this.puzzle;
+    const answer = nextNumbers[0];
+    const correct = this.matches(guess, answer);
+    let points = 0;
+
+    this.puzzle.answered = true;
+    this.score.played++;
+    if (correct) {
+      points = POINTS[difficulty] + STREAK_BONUS * this.score.streak;
+      this.score.points += points;
+      this.score.correct++;
+      this.score.streak++;
+      this.score.bestStreak = Math.max(this.score.bestStreak, this.score.streak);
+    } else {
+      this.score.streak = 0;
+    }
+
+    return {
+      success: true,
+      correct: correct,
+      guess: guess,
+      answer: answer,
+      points: points,
+      score: this.getScore(),
+      family: family,
+      pattern: analysis.pattern,
+      formula: analysis.formula,
+      explanation: analysis.explanation,
+      nextNumbers: nextNumbers
+    };
+  }
+
+  /**
+   * Score so far, with the share of puzzles answered correctly (0-100)
+   */
+  getScore() {
+    const { played, correct } = this.score;
+    return { ...this.score, accuracy: played === 0 ? 0 : Math.round((correct / played) * 100) };
+  }
+
+  /**
+   * @private
+   */
+  matches(value, answer) {
+    return typeof value === 'number' && Math.abs(value - answer) <= TOLERANCE * Math.max(1, Math.abs(answer));
+  }
+}
+
+module.exports = PuzzleGame;
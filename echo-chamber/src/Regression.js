@@ -0,0 +1,260 @@
+/**
+ * Regression - Least-squares model fitting for noisy sequences
+ *
+ * Used by the fitting mode of the SequenceAnalyzer when measured data never
+ * matches a pattern exactly. Supported models:
+ * - Linear (y = c0 + c1*x)
+ * - Polynomial (y = c0 + c1*x + ... + cd*x^d)
+ * - Exponential (y = a * b^x)
+ *
+ * Candidates are ranked by the corrected Akaike information criterion
+ * (AICc), which rewards a small residual error but penalizes parameters.
+ */
+
+const MAX_POLYNOMIAL_DEGREE = 5;
+
+/**
+ * Solves a square linear system with Gaussian elimination and partial pivoting
+ *
+ * @param {number[][]} matrix - Coefficient matrix (modified in place)
+ * @param {number[]} vector - Right-hand side (modified in place)
+ * @returns {number[]|null} Solution, or null when the system is singular
+ */
+function solveLinearSystem(matrix, vector) {
+  const size = vector.length;
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+        pivot = row;
+      }
+    }
+
+    if (Math.abs(matrix[pivot][col]) < 1e-12) {
+      return null;
+    }
+
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    [vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+
+    for (let row = col + 1; row < size; row++) {
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k < size; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+      vector[row] -= factor * vector[col];
+    }
+  }
+
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = vector[row];
+    for (let k = row + 1; k < size; k++) {
+      sum -= matrix[row][k] * solution[k];
+    }
+    solution[row] = sum / matrix[row][row];
+  }
+
+  return solution;
+}
+
+/**
+ * Binomial coefficient C(n, k) as a double
+ * @private
+ */
+function binomial(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+}
+
+/**
+ * Evaluates polynomial coefficients (coefficients[i] * x^i) at x
+ */
+function evaluatePolynomial(coefficients, x) {
+  let value = 0;
+  for (let power = coefficients.length - 1; power >= 0; power--) {
+    value = value * x + coefficients[power];
+  }
+  return value;
+}
+
+/**
+ * Computes residuals and goodness-of-fit statistics for fitted values
+ * @private
+ */
+function summarize(ys, fitted, parameterCount) {
+  const n = ys.length;
+  const mean = ys.reduce((sum, y) => sum + y, 0) / n;
+  const residuals = ys.map((y, i) => y - fitted[i]);
+  const rss = residuals.reduce((sum, r) => sum + r * r, 0);
+  const tss = ys.reduce((sum, y) => sum + (y - mean) * (y - mean), 0);
+  const rSquared = tss === 0 ? (rss === 0 ? 1 : 0) : 1 - rss / tss;
+  const adjustedRSquared = n - parameterCount > 0
+    ? 1 - (1 - rSquared) * (n - 1) / (n - parameterCount)
+    : rSquared;
+
+  return {
+    residuals,
+    rss,
+    rSquared,
+    adjustedRSquared,
+    aicc: informationCriterion(rss, n, parameterCount)
+  };
+}
+
+/**
+ * Corrected Akaike information criterion for a least-squares fit
+ *
+ * @param {number} rss - Residual sum of squares
+ * @param {number} n - Number of observations
+ * @param {number} parameterCount - Number of fitted model parameters
+ * @returns {number} AICc (lower is better)
+ */
+function informationCriterion(rss, n, parameterCount) {
+  // The noise variance is estimated too, so it counts as a parameter
+  const k = parameterCount + 1;
+
+  // A perfect fit would give -Infinity, so floor the error at machine precision
+  const variance = Math.max(rss / n, Number.EPSILON);
+  const aic = n * Math.log(variance) + 2 * k;
+  return n - k - 1 > 0 ? aic + (2 * k * (k + 1)) / (n - k - 1) : Infinity;
+}
+
+/**
+ * Least-squares polynomial fit
+ *
+ * The indices are centered and scaled before solving the normal equations
+ * to keep them well conditioned, then the coefficients are expanded back
+ * into powers of the original x.
+ *
+ * @param {number[]} xs - Indices
+ * @param {number[]} ys - Observed values
+ * @param {number} degree - Polynomial degree (1 = linear)
+ * @returns {object|null} Fit with coefficients and statistics, or null
+ */
+function fitPolynomial(xs, ys, degree) {
+  const n = xs.length;
+  const parameterCount = degree + 1;
+  if (n < parameterCount) {
+    return null;
+  }
+
+  const center = xs.reduce((sum, x) => sum + x, 0) / n;
+  const scale = Math.max(...xs.map(x => Math.abs(x - center))) || 1;
+  const ts = xs.map(x => (x - center) / scale);
+
+  const normal = Array.from({ length: parameterCount }, () => new Array(parameterCount).fill(0));
+  const rhs = new Array(parameterCount).fill(0);
+  ts.forEach((t, i) => {
+    const powers = [1];
+    for (let p = 1; p < 2 * parameterCount; p++) {
+      powers.push(powers[p - 1] * t);
+    }
+    for (let row = 0; row < parameterCount; row++) {
+      rhs[row] += powers[row] * ys[i];
+      for (let col = 0; col < parameterCount; col++) {
+        normal[row][col] += powers[row + col];
+      }
+    }
+  });
+
+  const scaled = solveLinearSystem(normal, rhs);
+  if (!scaled) {
+    return null;
+  }
+
+  // Expand Σ b_j ((x - center) / scale)^j into powers of x
+  const coefficients = new Array(parameterCount).fill(0);
+  scaled.forEach((b, j) => {
+    const factor = b / Math.pow(scale, j);
+    for (let i = 0; i <= j; i++) {
+      coefficients[i] += factor * binomial(j, i) * Math.pow(-center, j - i);
+    }
+  });
+
+  const fitted = xs.map(x => evaluatePolynomial(coefficients, x));
+
+  return {
+    model: degree === 1 ? 'linear' : 'polynomial',
+    degree,
+    parameterCount,
+    coefficients,
+    predict: x => evaluatePolynomial(coefficients, x),
+    ...summarize(ys, fitted, parameterCount)
+  };
+}
+
+/**
+ * Least-squares exponential fit y = a * b^x
+ *
+ * Fits a line to log|y| and reports the error in the original space so the
+ * criterion is comparable with the polynomial candidates.
+ *
+ * @returns {object|null} Fit with scale/base and statistics, or null when
+ *   the values are not all of the same sign
+ */
+function fitExponential(xs, ys) {
+  const positive = ys.every(y => y > 0);
+  const negative = ys.every(y => y < 0);
+  if (!positive && !negative) {
+    return null;
+  }
+
+  const sign = positive ? 1 : -1;
+  const line = fitPolynomial(xs, ys.map(y => Math.log(sign * y)), 1);
+  if (!line) {
+    return null;
+  }
+
+  const scale = sign * Math.exp(line.coefficients[0]);
+  const base = Math.exp(line.coefficients[1]);
+  const predict = x => scale * Math.pow(base, x);
+  const parameterCount = 2;
+
+  return {
+    model: 'exponential',
+    parameterCount,
+    scale,
+    base,
+    predict,
+    ...summarize(ys, xs.map(predict), parameterCount)
+  };
+}
+
+/**
+ * Fits every supported model and ranks them by AICc
+ *
+ * @param {number[]} xs - Indices
+ * @param {number[]} ys - Observed values
+ * @returns {object[]} Fits ordered from best to worst
+ */
+function fitModels(xs, ys) {
+  const fits = [];
+  const maxDegree = Math.min(MAX_POLYNOMIAL_DEGREE, xs.length - 2);
+
+  for (let degree = 1; degree <= maxDegree; degree++) {
+    const fit = fitPolynomial(xs, ys, degree);
+    if (fit) fits.push(fit);
+  }
+
+  const exponential = fitExponential(xs, ys);
+  if (exponential) fits.push(exponential);
+
+  // AICc is undefined without enough spare observations, so those fits are dropped
+  return fits
+    .filter(fit => isFinite(fit.rss) && isFinite(fit.aicc))
+    .sort((a, b) => a.aicc - b.aicc);
+}
+
+module.exports = {
+  fitModels,
+  fitPolynomial,
+  fitExponential,
+  informationCriterion,
+  evaluatePolynomial,
+  solveLinearSystem
+};
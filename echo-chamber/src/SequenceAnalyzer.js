@@ -6,38 +6,486 @@
  * - Geometric Progressions (constant ratio)
  * - Polynomial Sequences (quadratic, cubic, etc.)
  * - Fibonacci-like Sequences
+ * - Linear Recurrences with constant coefficients (Berlekamp–Massey)
+ * - Powers c*n^k + d and shifted exponentials c*b^n + d
+ * - Factorials and other sequences whose ratios form a progression
+ * - Periodic sequences (repeating cycles)
+ * - Conditional recurrences keyed on the parity of the previous term or
+ *   on n mod k (Collatz-style rules, alternating operations)
+ * - Interleaved sequences (k progressions woven together)
+ * - Transformed sequences whose differences, partial sums, ratios or
+ *   logarithms follow one of the patterns above
+ * - Piecewise sequences that switch patterns midway
+ * - Least-squares regression fits for noisy measured data (fit mode)
+ * - Well-known sequences from an offline catalog (SequenceCatalog.js),
+ *   also when offset or scaled
+ * 
+ * All math goes through a number system from Arithmetic.js, so every
+ * detector also works in exact mode (BigInt fractions, numeric strings).
+ * 
+ * Detectors live in a registry: the built-in ones above are registered in
+ * the constructor, and custom ones can be added with registerDetector().
  * 
  * @class SequenceAnalyzer
  */
 
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_TOLERANCE,
+  FloatArithmetic,
+  floatArithmetic,
+  normalizeTolerance,
+  decimalPlaces,
+  largestMagnitude,
+  getArithmetic
+} = require('./Arithmetic');
+const Fraction = require('./Fraction');
+const Formula = require('./Formula');
+const { fitModels, evaluatePolynomial: evaluateFittedPolynomial } = require('./Regression');
+const { fitBasis, fitExponential, polynomialBasis } = require('./PointFitting');
+const LRUCache = require('./LRUCache');
+const SequenceCatalog = require('./SequenceCatalog');
+const { filterHistory } = require('./HistoryStore');
+const { parameterDistance, pearsonCorrelation, dtwDistance, sharedPrefixLength } = require('./Similarity');
+const { runWorkerPool } = require('./WorkerPool');
+
+// Largest |n| accepted by term(); growing patterns get huge well before this
+const MAX_TERM_INDEX = 10000000;
+
+// Powers of a fractional ratio are slow to reduce, so exact mode stops at this many bits
+const MAX_EXACT_POWER_BITS = 50000;
+
+// Products of ratios (factorials) are evaluated term by term, so they get a lower limit
+const MAX_PRODUCT_TERM_INDEX = 10000;
+
+// Highest exponent tried by the power detector, and the largest k in (n+k)!
+const MAX_POWER_EXPONENT = 12;
+const MAX_FACTORIAL_OFFSET = 100;
+
+// Conditional rules are applied term by term, so they get a lower limit still
+const MAX_CONDITIONAL_TERM_INDEX = 10000;
+
+// Conditional rules key on a_(n-1) mod 2 or on n mod k for k up to this
+const MAX_CONDITIONAL_MODULUS = 3;
+
+// Multipliers p tried in a conditional rule p * a_(n-1) + q, after a_(n-1) + c and c * a_(n-1)
+const CONDITIONAL_MULTIPLIERS = [2, 3, 4, 5, -1, -2, -3];
+
+// Steps a set of conditional rules must have beyond its parameters
+const CONDITIONAL_SUPPORT = 2;
+
+// Sums and products over a transformed sequence evaluate its pattern once per index
+const MAX_TRANSFORM_TERM_INDEX = 1000;
+
+// Patterns found in a transformed sequence are trusted a little less than direct ones
+const TRANSFORM_CONFIDENCE = 0.9;
+
+// Logarithms are never exact, so terms are taken to be known to no better than this relative precision
+const LOG_TOLERANCE = 1e-12;
+
+// A least-squares fit with a lower adjusted R² explains too little of the terms to be a pattern
+const MIN_FIT_R_SQUARED = 0.5;
+
+// Confidence of an unscaled catalog match, below that of any derived rule
+const CATALOG_CONFIDENCE = 65;
+
+// Piecewise segments need this many terms, and a sequence splits into at most MAX_SEGMENTS
+const MIN_SEGMENT_LENGTH = 3;
+const MAX_SEGMENTS = 4;
+
+// Longer segments tried after the last one that had a pattern, before settling on it
+const SEGMENT_LOOKAHEAD = 3;
+
+// A change of pattern is a further assumption, so piecewise matches are trusted less
+const PIECEWISE_CONFIDENCE = 0.8;
+
+// How the transforms read in formulas and explanations, in the order they are tried
+const TRANSFORM_LABELS = {
+  'differences': 'differences',
+  'partial-sums': 'partial sums',
+  'ratios': 'ratios',
+  'log': 'logarithms'
+};
+
+// Default bounds so a long-lived analyzer cannot grow without limit
+const DEFAULT_CACHE_OPTIONS = {
+  maxEntries: 1000,
+  maxBytes: 32 * 1024 * 1024,
+  ttl: 0
+};
+const DEFAULT_MAX_HISTORY = 1000;
+
+// Snapshot format of exportState(); bump the version when its layout changes
+const STATE_FORMAT = 'echo-chamber-state';
+const STATE_VERSION = 1;
+
+// analyzeMany() defaults: leave a core for the main thread, send sequences in chunks
+const DEFAULT_CONCURRENCY = Math.max(1, os.cpus().length - 1);
+const DEFAULT_CHUNK_SIZE = 64;
+const WORKER_FILE = path.join(__dirname, 'analysisWorker.js');
+
+// Weights of the metrics that make up comparSequences() similarity
+const SIMILARITY_WEIGHTS = {
+  pattern: 0.25,
+  parameterDistance: 0.25,
+  correlation: 0.2,
+  dtwDistance: 0.2,
+  sharedPrefix: 0.1
+};
+
 class SequenceAnalyzer {
-  constructor() {
-    this.history = [];
+  /**
+   * @param {object} [options] - Default analysis options
+   * @param {boolean} [options.exact=false] - Use exact rational/BigInt arithmetic
+   * @param {boolean} [options.fit=false] - Fall back to least-squares fits for noisy data
+   * @param {number} [options.transformDepth=2] - How many transforms may be
+   *   stacked when searching transformed sequences (0 turns the search off)
+   * @param {number|object} [options.tolerance] - Float comparison policy:
+   *   { absolute, relative } epsilons (default 1e-9 each) or one number for
+   *   both; see Arithmetic.js
+   * @param {object} [options.cache] - Analysis cache limits
+   * @param {number} [options.cache.maxEntries=1000] - Maximum cached results
+   * @param {number} [options.cache.maxBytes=33554432] - Maximum estimated cache size in bytes
+   * @param {number} [options.cache.ttl=0] - Milliseconds before a cached result expires (0 = never)
+   * @param {number} [options.maxHistory=1000] - Analyses kept in history (oldest dropped first)
+   * @param {object} [options.historyStore] - Persistent history backend from
+   *   HistoryStore.js; its latest maxHistory analyses are loaded now and
+   *   every analysis is appended
+   * @param {SequenceCatalog|null} [options.catalog] - Catalog of well-known
+   *   sequences (default: the bundled one; null turns catalog matching off)
+   */
+  constructor(options = {}) {
+    const {
+      cache = {},
+      maxHistory = DEFAULT_MAX_HISTORY,
+      historyStore = null,
+      catalog = new SequenceCatalog(),
+      ...defaults
+    } = options;
+    if (!(maxHistory >= 0)) {
+      throw new RangeError('maxHistory must be a non-negative number');
+    }
+
+    this.options = {
+      exact: false,
+      fit: false,
+      transformDepth: 2,
+      ...defaults
+    };
+    if (!Number.isInteger(this.options.transformDepth) || this.options.transformDepth < 0) {
+      throw new RangeError('transformDepth must be a non-negative integer');
+    }
+    this.options.tolerance = normalizeTolerance(this.options.tolerance ?? DEFAULT_TOLERANCE);
+    this.maxHistory = maxHistory;
+    this.historyStore = historyStore;
+    this.catalog = catalog;
+    this.history = historyStore && maxHistory > 0 ? historyStore.load(maxHistory).slice(-maxHistory) : [];
     this.performanceMetrics = {
       totalAnalyses: 0,
       averageAnalysisTime: 0,
-      cacheHits: 0
+      cacheHits: 0,
+      historyEvictions: 0,
+      historyStoreErrors: 0
+    };
+    // Unset (undefined) limits keep their defaults
+    const cacheOptions = { ...DEFAULT_CACHE_OPTIONS };
+    Object.keys(cache).forEach(key => {
+      if (cache[key] !== undefined) cacheOptions[key] = cache[key];
+    });
+    this.analysisCache = new LRUCache(cacheOptions);
+    this.detectors = [];
+    this.detectorMetrics = {};
+    this.registerBuiltInDetectors();
+  }
+
+  /**
+   * Registers the built-in detectors, spaced by 10 so custom detectors can
+   * be slotted in between
+   * @private
+   */
+  registerBuiltInDetectors() {
+    const builtIns = [
+      {
+        name: 'arithmetic',
+        detect: (values, { numeric }) => this.detectArithmetic(values, numeric),
+        term: (values, match, n, { numeric }) => this.termArithmetic(values, n, numeric)
+      },
+      {
+        name: 'geometric',
+        detect: (values, { numeric }) => this.detectGeometric(values, numeric),
+        term: (values, match, n, { numeric }) => this.termGeometric(values, n, numeric)
+      },
+      {
+        name: 'fibonacci',
+        detect: (values, { numeric }) => this.detectFibonacci(values, numeric),
+        term: (values, match, n, { numeric }) => this.termFibonacci(values, n, numeric)
+      },
+      {
+        name: 'polynomial',
+        detect: (values, { numeric }) => this.detectPolynomial(values, numeric),
+        term: (values, match, n, { numeric }) =>
+          this.evaluatePolynomial(this.solvePolynomialCoefficients(values, match.degree, numeric), n)
+      },
+      {
+        name: 'linear-recurrence',
+        detect: (values, { numeric, derived }) =>
+          (derived && !values.every(value => numeric.isInteger(value))
+            ? { pattern: null, reason: 'Recurrences are not searched in fractional ratios or logarithms of the terms' }
+            : this.detectLinearRecurrence(values, numeric)),
+        term: (values, match, n, { numeric }) => this.termLinearRecurrence(values, n, numeric)
+      },
+      {
+        name: 'power',
+        detect: (values, { numeric }) => this.detectPower(values, numeric),
+        term: (values, match, n, { numeric }) => this.termPower(values, match.exponent, n, numeric)
+      },
+      {
+        name: 'exponential',
+        detect: (values, { numeric }) => this.detectExponential(values, numeric),
+        term: (values, match, n, { numeric }) => this.termExponential(values, n, numeric)
+      },
+      {
+        name: 'factorial',
+        detect: (values, { numeric }) => this.detectFactorial(values, numeric),
+        term: (values, match, n, { numeric }) => this.termRatioProduct(values, n, numeric)
+      },
+      {
+        name: 'ratio-progression',
+        detect: (values, { numeric }) => this.detectRatioProgression(values, numeric),
+        term: (values, match, n, { numeric }) => this.termRatioProduct(values, n, numeric)
+      },
+      {
+        name: 'periodic',
+        detect: (values, { numeric }) => this.detectPeriodic(values, numeric),
+        term: (values, match, n) => values[this.mod(n - 1, match.period)]
+      },
+      {
+        name: 'conditional',
+        detect: (values, { numeric, derived }) => (derived
+          ? { pattern: null, reason: 'Conditional rules do not apply to ratios or logarithms of the terms' }
+          : this.detectConditional(values, numeric)),
+        term: (values, match, n, { numeric }) => this.termConditional(values, n, numeric),
+        fill: (values, { numeric, derived }) => (derived ? null : this.fillConditional(values, numeric))
+      },
+      {
+        name: 'interleaved',
+        detect: (values, context) => this.detectInterleaved(values, context.numeric, context),
+        term: (values, match, n, context) => this.termInterleaved(values, match.ways, n, context),
+        fill: (values, context) => this.fillInterleaved(values, context),
+        composite: true
+      },
+      {
+        name: 'transformed',
+        detect: (values, context) => this.detectTransformed(values, context),
+        term: (values, match, n, context) => this.termTransformed(values, match, n, context),
+        fill: (values, context) => this.fillTransformed(values, context),
+        composite: true
+      },
+      {
+        name: 'piecewise',
+        detect: (values, context) => this.detectPiecewise(values, context),
+        term: (values, match, n, context) => this.termPiecewise(values, match, n, context),
+        composite: true
+      },
+      {
+        name: 'regression',
+        detect: (values, { numeric, settings }) =>
+          (settings.fit ? this.detectRegression(values, numeric) : { pattern: null, reason: 'Fit mode is off' }),
+        term: (values, match, n) => this.termRegression(match, n)
+      },
+      {
+        name: 'catalog',
+        detect: (values, { numeric }) => this.detectCatalog(values, numeric),
+        term: (values, match, n) => this.termCatalog(match, n),
+        fill: (values, { numeric }) => this.fillCatalog(values, numeric)
+      }
+    ];
+
+    builtIns.forEach(({ name, ...definition }, index) => {
+      this.registerDetector(name, { ...definition, priority: (index + 1) * 10 });
+      this.detectors[this.detectors.length - 1].builtIn = true;
+    });
+  }
+
+  /**
+   * Registers a pattern detector
+   * 
+   * detect(sequence, context) receives the parsed terms (numbers, or
+   * Fractions in exact mode) and a context with the number system
+   * (context.numeric) and the analysis options (context.settings). It returns
+   * a falsy value or { pattern: null } when the sequence does not match, or a
+   * match object with at least a pattern name. Optional match fields:
+   * confidence (default 100), parameterCount (terms needed to determine the
+   * model, default 2), nextNumbers, formula and explanation.
+   * 
+   * predict(sequence, match, count, context) is called for the next terms
+   * when the match does not already include nextNumbers.
+   * 
+   * term(sequence, match, n, context) returns the value at any index n
+   * (1 = first term) for analyzer.term(); without it the pattern does not
+   * support nth-term evaluation.
+   * 
+   * fill(sequence, context) receives a sequence with gaps (null terms) and
+   * returns it completed, or null when the detector cannot fill it. Every
+   * detector fills gaps next to runs of known terms it matches; fill reaches
+   * the gaps those runs are too short for (see inferMissingTerms).
+   * 
+   * @param {string} name - Unique detector name
+   * @param {object} definition - Detector definition
+   * @param {Function} definition.detect - Detection function
+   * @param {Function} [definition.predict] - Prediction function
+   * @param {Function} [definition.term] - Nth-term function
+   * @param {Function} [definition.fill] - Gap-filling function
+   * @param {number} [definition.priority=100] - Lower runs first and wins ties
+   * @param {boolean} [definition.composite=false] - Combines other detectors,
+   *   so it is skipped when analyzing the parts of a sequence
+   * @param {boolean} [definition.enabled=true] - Start enabled
+   * @returns {SequenceAnalyzer} The analyzer, for chaining
+   */
+  registerDetector(name, { detect, predict = null, term = null, fill = null, priority = 100, composite = false, enabled = true } = {}) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new TypeError('Detector name must be a non-empty string');
+    }
+    if (typeof detect !== 'function') {
+      throw new TypeError(`Detector "${name}" needs a detect function`);
+    }
+    if (predict !== null && typeof predict !== 'function') {
+      throw new TypeError(`Detector "${name}" predict must be a function`);
+    }
+    if (term !== null && typeof term !== 'function') {
+      throw new TypeError(`Detector "${name}" term must be a function`);
+    }
+    if (fill !== null && typeof fill !== 'function') {
+      throw new TypeError(`Detector "${name}" fill must be a function`);
+    }
+    if (this.findDetector(name)) {
+      throw new Error(`Detector "${name}" is already registered`);
+    }
+
+    this.detectors.push({ name, detect, predict, term, fill, priority, composite, enabled, builtIn: false });
+
+    // Stable sort keeps registration order among equal priorities
+    this.detectors.sort((a, b) => a.priority - b.priority);
+    this.detectorMetrics[name] = this.createDetectorMetrics();
+    this.analysisCache.clear();
+
+    return this;
+  }
+
+  /**
+   * Removes a registered detector
+   * 
+   * @returns {boolean} Whether a detector was removed
+   */
+  unregisterDetector(name) {
+    const index = this.detectors.findIndex(detector => detector.name === name);
+    if (index === -1) {
+      return false;
+    }
+
+    this.detectors.splice(index, 1);
+    delete this.detectorMetrics[name];
+    this.analysisCache.clear();
+    return true;
+  }
+
+  /**
+   * Enables a registered detector
+   */
+  enableDetector(name) {
+    return this.setDetectorEnabled(name, true);
+  }
+
+  /**
+   * Disables a registered detector without removing it
+   */
+  disableDetector(name) {
+    return this.setDetectorEnabled(name, false);
+  }
+
+  /**
+   * Lists registered detectors in the order they run
+   */
+  getDetectors() {
+    return this.detectors.map(({ name, priority, enabled, composite, builtIn }) => ({
+      name, priority, enabled, composite, builtIn
+    }));
+  }
+
+  /**
+   * Toggles a detector and drops cached results that may no longer apply
+   * @private
+   */
+  setDetectorEnabled(name, enabled) {
+    const detector = this.findDetector(name);
+    if (!detector) {
+      throw new Error(`Detector "${name}" is not registered`);
+    }
+
+    if (detector.enabled !== enabled) {
+      detector.enabled = enabled;
+      this.analysisCache.clear();
+    }
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  findDetector(name) {
+    return this.detectors.find(detector => detector.name === name);
+  }
+
+  /**
+   * @private
+   */
+  createDetectorMetrics() {
+    return {
+      calls: 0,
+      matches: 0,
+      errors: 0,
+      totalTime: 0,
+      lastError: null
     };
-    this.analysisCache = new Map();
   }
 
   /**
    * Analyzes a sequence and identifies its pattern type
    * 
-   * @param {number[]} sequence - The sequence to analyze
+   * In exact mode the sequence may contain numbers, bigints or numeric
+   * strings ("1/3", "0.25", "354224848179261915075"), and every value in
+   * the result (terms, parameters, predictions) is reported as an exact
+   * string instead of a double.
+   * 
+   * Missing terms can be given as null. They are inferred from the known
+   * terms first (see inferMissingTerms), and the detectors then run on the
+   * completed sequence while only the known terms count as evidence.
+   * 
+   * @param {Array<number|bigint|string|null>} sequence - The sequence to analyze
+   * @param {object} [options] - Per-call overrides of the analyzer options
+   * @param {boolean} [options.exact] - Use exact rational/BigInt arithmetic
+   * @param {boolean} [options.fit] - Fall back to least-squares fits for noisy data
+   * @param {number} [options.transformDepth] - Stacked transforms to search
+   * @param {number|object} [options.tolerance] - Float comparison policy
+   * @param {boolean} [options.explain] - Include a step-by-step derivation trace
+   * @param {boolean} [options.record=true] - Add the result to the history
    * @returns {object} Analysis result with pattern type and predictions
    */
-  analyze(sequence) {
+  analyze(sequence, options = {}) {
     const startTime = performance.now();
+    const settings = { ...this.options, ...options };
     
     // Check cache
-    const cacheKey = JSON.stringify(sequence);
-    if (this.analysisCache.has(cacheKey)) {
+    const cacheKey = this.buildCacheKey(sequence, settings);
+    const cached = this.analysisCache.get(cacheKey);
+    if (cached !== undefined) {
       this.performanceMetrics.cacheHits++;
-      return this.analysisCache.get(cacheKey);
+      return cached;
     }
 
-    const validation = this.validateSequence(sequence);
+    const numeric = this.numberSystem(sequence, settings);
+    const validation = this.validateSequence(sequence, numeric);
     if (!validation.isValid) {
       return {
         success: false,
@@ -46,36 +494,55 @@ class SequenceAnalyzer {
       };
     }
 
-    // Try to detect pattern type in order of complexity
-    let result = this.detectArithmetic(sequence);
-    if (!result.pattern) {
-      result = this.detectGeometric(sequence);
-    }
-    if (!result.pattern) {
-      result = this.detectFibonacci(sequence);
-    }
-    if (!result.pattern) {
-      result = this.detectPolynomial(sequence);
+    const given = sequence.map(value => (value === null ? null : numeric.from(value)));
+    const knownCount = given.filter(value => value !== null).length;
+
+    // Fill any gaps before the detectors run; null values means they could not be filled
+    let values = given;
+    let inference = null;
+    if (knownCount < given.length) {
+      inference = this.inferMissingTerms(given, { numeric, settings });
+      values = inference ? inference.values : null;
     }
 
+    // Run every enabled detector (in priority order) and rank what matched
+    const detectorTrace = settings.explain ? [] : null;
+    const detections = values ? this.runDetectors(values, { numeric, settings }, { trace: detectorTrace }) : [];
+    const hypotheses = this.rankHypotheses(detections, knownCount);
+    let result = hypotheses[0];
+
     // If still no pattern, try advanced analysis
-    if (!result.pattern) {
+    if (!result) {
       result = {
         pattern: 'unknown',
         confidence: 0,
         nextNumbers: [null],
-        formula: 'Pattern not recognized'
+        formula: 'Pattern not recognized',
+        structuredFormula: null
       };
     }
 
     const endTime = performance.now();
     const analysisTime = endTime - startTime;
 
+    const output = list => list.map(value => (value === null ? null : numeric.output(value)));
+    const gapped = knownCount < given.length;
+
     const analysisResult = {
       success: true,
-      sequence: sequence,
+      sequence: output(given),
       sequenceLength: sequence.length,
+      arithmetic: numeric.name,
       ...result,
+      ...(gapped && {
+        filledSequence: values ? output(values) : null,
+        inferredTerms: inference ? inference.inferredTerms : []
+      }),
+      hypotheses: hypotheses,
+      ambiguity: this.assessAmbiguity(hypotheses, knownCount, numeric),
+      ...(detectorTrace && {
+        trace: this.buildTrace(values, numeric, detectorTrace, hypotheses, gapped ? inference : undefined)
+      }),
       analysisTime: analysisTime,
       timestamp: new Date().toISOString()
     };
@@ -86,271 +553,3081 @@ class SequenceAnalyzer {
     // Cache the result
     this.analysisCache.set(cacheKey, analysisResult);
 
-    // Store in history
-    this.history.push(analysisResult);
+    if (settings.record !== false) {
+      this.recordHistory(analysisResult);
+    }
 
     return analysisResult;
   }
 
   /**
-   * Detects arithmetic progressions
+   * Analyzes many sequences on a pool of worker threads
+   * 
+   * The analyses run off the main thread, so a large batch does not block
+   * the event loop. Results come back in input order and are merged into
+   * this analyzer as if analyze() had been called for each sequence in turn:
+   * cached results are reused, new ones are cached and added to the history,
+   * and the performance and detector metrics include the workers' work.
+   * Each distinct sequence is analyzed only once per batch.
+   * 
+   * A sequence that fails (invalid input, or a worker that crashed while
+   * analyzing it) gets an error result and is listed in failures; the rest
+   * of the batch carries on.
+   * 
+   * Custom detectors cannot be sent to a worker, so an analyzer with custom
+   * detectors analyzes the batch on the main thread instead, yielding to
+   * the event loop between chunks.
+   * 
+   * @param {Array<Array>} sequences - The sequences to analyze
+   * @param {object} [options] - Same options as analyze(), plus:
+   * @param {number} [options.concurrency] - Maximum worker threads
+   *   (default: one less than the number of CPUs, at least 1)
+   * @param {number} [options.chunkSize=64] - Sequences sent to a worker at a time
+   * @returns {Promise<object>} Results in input order, failures and batch stats
+   */
+  async analyzeMany(sequences, options = {}) {
+    const startTime = performance.now();
+    const { concurrency = DEFAULT_CONCURRENCY, chunkSize = DEFAULT_CHUNK_SIZE, ...analysisOptions } = options;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new RangeError('concurrency must be a positive integer');
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new RangeError('chunkSize must be a positive integer');
+    }
+    if (!Array.isArray(sequences)) {
+      return {
+        success: false,
+        error: '❌ The echoes must be an array of sequences.'
+      };
+    }
+
+    const settings = { ...this.options, ...analysisOptions };
+    const results = new Array(sequences.length);
+    let cacheHits = 0;
+
+    // Serve cached sequences right away and queue each distinct new one once
+    const pending = new Map();
+    sequences.forEach((sequence, index) => {
+      let cacheKey;
+      try {
+        cacheKey = this.buildCacheKey(sequence, settings);
+      } catch (error) {
+        results[index] = this.batchFailure(sequence, error.message);
+        return;
+      }
+
+      const cached = this.analysisCache.get(cacheKey);
+      if (cached !== undefined) {
+        results[index] = cached;
+      } else if (pending.has(cacheKey)) {
+        pending.get(cacheKey).indexes.push(index);
+      } else {
+        pending.set(cacheKey, { cacheKey, sequence, indexes: [index] });
+        return;
+      }
+      this.performanceMetrics.cacheHits++;
+      cacheHits++;
+    });
+
+    const items = [...pending.values()];
+    const chunks = [];
+    for (let i = 0; i < items.length; i += chunkSize) {
+      chunks.push(items.slice(i, i + chunkSize));
+    }
+
+    // Merges a worker's outcome for one distinct sequence
+    const settle = (item, outcome) => {
+      let result = outcome.result;
+      if (!result) {
+        result = this.batchFailure(item.sequence, outcome.error);
+      } else if (result.success) {
+        this.updateMetrics(result.analysisTime);
+        this.analysisCache.set(item.cacheKey, result);
+      }
+      item.indexes.forEach(index => {
+        results[index] = result;
+      });
+    };
+
+    let workers = 0;
+    if (this.detectors.some(detector => !detector.builtIn)) {
+      for (const chunk of chunks) {
+        chunk.forEach(item => {
+          // analyze() caches the result and updates the metrics itself
+          let result;
+          try {
+            result = this.analyze(item.sequence, { ...settings, record: false });
+          } catch (error) {
+            result = this.batchFailure(item.sequence, error.message);
+          }
+          item.indexes.forEach(index => {
+            results[index] = result;
+          });
+        });
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    } else {
+      const { record, ...workerSettings } = settings;
+      const tasks = chunks.map(chunk => ({ sequences: chunk.map(item => item.sequence), settings: workerSettings }));
+      const workerData = {
+        options: this.options,
+        detectors: this.getDetectors(),
+        catalog: this.catalog ? this.catalog.getEntries() : null
+      };
+
+      workers = await runWorkerPool(WORKER_FILE, workerData, tasks, {
+        onReply: (index, reply) => {
+          chunks[index].forEach((item, i) => settle(item, reply.results[i]));
+          this.mergeDetectorMetrics(reply.detectors);
+        },
+        onError: (index, error) => {
+          chunks[index].forEach(item => settle(item, { error: `Worker failed: ${error.message}` }));
+        }
+      }, concurrency);
+    }
+
+    // Record in input order, once per analyzed sequence
+    if (settings.record !== false) {
+      items
+        .filter(item => results[item.indexes[0]].success)
+        .sort((a, b) => a.indexes[0] - b.indexes[0])
+        .forEach(item => this.recordHistory(results[item.indexes[0]]));
+    }
+
+    const failures = [];
+    results.forEach((result, index) => {
+      if (!result.success) failures.push({ index, error: result.error });
+    });
+
+    return {
+      success: true,
+      results: results,
+      failures: failures,
+      stats: {
+        total: sequences.length,
+        analyzed: items.length,
+        cacheHits: cacheHits,
+        succeeded: sequences.length - failures.length,
+        failed: failures.length,
+        workers: workers,
+        elapsed: performance.now() - startTime
+      }
+    };
+  }
+
+  /**
+   * Error result for a sequence that could not be analyzed in a batch
+   * @private
+   */
+  batchFailure(sequence, message) {
+    return {
+      success: false,
+      error: `❌ The echo could not be analyzed - ${message}`,
+      sequence: sequence
+    };
+  }
+
+  /**
+   * Adds detector metrics reported by a worker to this analyzer's
+   * @private
+   */
+  mergeDetectorMetrics(reported) {
+    Object.entries(reported).forEach(([name, { calls, matches, errors, totalTime, lastError }]) => {
+      const metrics = this.detectorMetrics[name];
+      if (!metrics) return;
+      metrics.calls += calls;
+      metrics.matches += matches;
+      metrics.errors += errors;
+      metrics.totalTime += totalTime;
+      if (lastError !== null) metrics.lastError = lastError;
+    });
+  }
+
+  /**
+   * Adds a result to the history and the history store
+   * @private
+   */
+  recordHistory(analysisResult) {
+    // Store in history, dropping the oldest entries beyond the retention cap
+    this.history.push(analysisResult);
+    if (this.history.length > this.maxHistory) {
+      const excess = this.history.length - this.maxHistory;
+      this.history.splice(0, excess);
+      this.performanceMetrics.historyEvictions += excess;
+    }
+
+    // A failing store must not fail the analysis itself
+    if (this.historyStore) {
+      try {
+        this.historyStore.append(analysisResult);
+      } catch (error) {
+        this.performanceMetrics.historyStoreErrors++;
+      }
+    }
+  }
+
+  /**
+   * Evaluates the nth term of a sequence's pattern
+   * 
+   * Uses closed forms for arithmetic, geometric and polynomial patterns and
+   * matrix exponentiation for Fibonacci-like and linear recurrences, so
+   * indices such as n = 1000000 are cheap. Indices count from 1 (the first
+   * term); 0 and negative indices extend the pattern backward.
+   * 
+   * Values are computed exactly where the pattern allows it. In float mode an
+   * integer too large for a double is also returned as an exact string.
+   * 
+   * @param {Array<number|bigint|string>} sequence - The sequence to analyze
+   * @param {number} n - Index of the term (1 = first term)
+   * @param {object} [options] - Same options as analyze()
+   * @returns {object} Result with the term value
+   */
+  term(sequence, n, options = {}) {
+    if (!Number.isSafeInteger(n) || Math.abs(n) > MAX_TERM_INDEX) {
+      return {
+        success: false,
+        error: `❌ The index must be an integer between -${MAX_TERM_INDEX} and ${MAX_TERM_INDEX}.`
+      };
+    }
+
+    const settings = { ...this.options, ...options, explain: false };
+    const analysis = this.analyze(sequence, settings);
+    if (!analysis.success) {
+      return analysis;
+    }
+
+    const detector = analysis.detector && this.findDetector(analysis.detector);
+    if (!detector) {
+      return {
+        success: false,
+        error: '❌ No pattern was recognized, so the term cannot be computed.',
+        pattern: analysis.pattern
+      };
+    }
+    if (!detector.term) {
+      return {
+        success: false,
+        error: `❌ The ${analysis.pattern} pattern does not support nth-term evaluation.`,
+        pattern: analysis.pattern
+      };
+    }
+
+    const numeric = this.numberSystem(sequence, settings);
+    const values = (analysis.filledSequence || sequence).map(value => numeric.from(value));
+
+    let raw;
+    try {
+      raw = detector.term(values, analysis, n, { numeric, settings });
+    } catch (error) {
+      return {
+        success: false,
+        error: `❌ ${error.message}`,
+        pattern: analysis.pattern
+      };
+    }
+
+    const result = {
+      success: true,
+      n: n,
+      pattern: analysis.pattern,
+      formula: analysis.formula,
+      arithmetic: numeric.name
+    };
+
+    if (numeric.exact) {
+      result.value = numeric.output(numeric.from(raw));
+    } else if (typeof raw === 'number') {
+      result.value = numeric.clean(raw);
+    } else {
+      const exactValue = Fraction.from(raw);
+      result.value = numeric.clean(exactValue.toNumber());
+      if (exactValue.isInteger() && !Number.isSafeInteger(result.value)) {
+        result.exactValue = exactValue.toString();
+        // Beyond the double range only the exact value means anything
+        if (!Number.isFinite(result.value)) delete result.value;
+      }
+    }
+
+    if (!numeric.exact && result.exactValue === undefined && !Number.isFinite(result.value)) {
+      return {
+        success: false,
+        error: `❌ The term at n = ${n} is beyond the floating-point range.`,
+        pattern: analysis.pattern
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Analyzes (index, value) points whose indices need not be 1, 2, 3, ...
+   *
+   * Measurements often skip indices (n = 1, 2, 5, 9). The points are fitted
+   * at their own indices with the exact models that fill gaps in analyze()
+   * (see PointFitting.js), fewest parameters first: arithmetic
+   * (a_n = c + d*n), exponential (a_n = a * b^n) and polynomials up to
+   * degree 5. A model must be confirmed by at least one point beyond those
+   * that determine it, except that two points are joined by a straight line.
+   * With `fit`, points no exact model passes through fall back to a
+   * least-squares fit. Point analyses are not cached or added to the history.
+   *
+   * @param {Array<{x, y}|Array>} points - { x, y } objects or [x, y] pairs,
+   *   in any order; x is the index
+   * @param {object} [options] - exact, fit and tolerance as for analyze(), plus
+   * @param {number[]} [options.at] - Indices to predict (default: the five
+   *   integers after the last index)
+   * @returns {object} Result with the model and its `predictions` ({ x, y }
+   *   at each requested index), or { success: false, error }
+   * @throws {RangeError} When `at` is not an array of finite numbers
+   */
+  analyzePoints(points, options = {}) {
+    const startTime = performance.now();
+    const { at, ...analysisOptions } = options;
+    const settings = { ...this.options, ...analysisOptions };
+
+    const parsed = this.parsePoints(points, settings);
+    if (parsed.error) {
+      return { success: false, error: parsed.error, points: points };
+    }
+    const { numeric, known } = parsed;
+
+    const last = numeric.toNumber(known[known.length - 1].x);
+    const indices = at === undefined ? [1, 2, 3, 4, 5].map(p => Math.floor(last) + p) : at;
+    if (!Array.isArray(indices) || !indices.every(x => typeof x === 'number' && isFinite(x))) {
+      throw new RangeError('at must be an array of finite indices');
+    }
+
+    let result = this.fitPoints(known, indices, numeric);
+    if (!result && settings.fit && known.length >= 5) {
+      const fitted = this.fitRegression(known.map(({ x }) => numeric.toNumber(x)), known.map(({ y }) => numeric.toNumber(y)), indices);
+      if (fitted.pattern) result = fitted;
+    }
+    if (!result) {
+      result = {
+        pattern: 'unknown',
+        confidence: 0,
+        nextNumbers: indices.map(() => null),
+        formula: 'Pattern not recognized',
+        structuredFormula: null
+      };
+    }
+
+    return {
+      success: true,
+      points: known.map(({ x, y }) => ({ x: numeric.output(x), y: numeric.output(y) })),
+      arithmetic: numeric.name,
+      ...result,
+      predictions: indices.map((x, i) => ({ x: numeric.output(numeric.from(x)), y: result.nextNumbers[i] })),
+      analysisTime: performance.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Validates points and converts them to the number system, sorted by index
+   * @private
+   */
+  parsePoints(points, settings) {
+    if (!Array.isArray(points)) {
+      return { error: '❌ The points must be an array of { x, y } pairs.' };
+    }
+
+    const pairs = points.map(point => {
+      if (Array.isArray(point) && point.length === 2) return { x: point[0], y: point[1] };
+      return point && typeof point === 'object' && !Array.isArray(point) ? { x: point.x, y: point.y } : null;
+    });
+    if (pairs.includes(null)) {
+      return { error: '❌ Every point must be an { x, y } object or an [x, y] pair.' };
+    }
+    if (pairs.length < 2) {
+      return { error: '❌ The echo is too faint - need at least 2 points.' };
+    }
+
+    const numeric = this.numberSystem(pairs.map(({ y }) => y), settings);
+    if (!pairs.every(({ x, y }) => numeric.isValid(x) && numeric.isValid(y))) {
+      return { error: '❌ The echo is distorted - every index and value must be a valid number.' };
+    }
+
+    const known = pairs
+      .map(({ x, y }) => ({ x: numeric.from(x), y: numeric.from(y) }))
+      .sort((p, q) => numeric.toNumber(p.x) - numeric.toNumber(q.x));
+    for (let i = 1; i < known.length; i++) {
+      if (numeric.equals(known[i].x, known[i - 1].x)) {
+        return { error: `❌ Two points share the index ${numeric.format(known[i].x)}.` };
+      }
+    }
+
+    return { numeric, known };
+  }
+
+  /**
+   * Fits the simplest exact model through every point (see analyzePoints)
+   * and evaluates it at the requested indices
+   * @private
+   */
+  fitPoints(known, indices, numeric) {
+    const candidates = [
+      { pattern: 'arithmetic', parameterCount: 2, fit: () => fitBasis(known, polynomialBasis(1), numeric) },
+      { pattern: 'exponential', parameterCount: 2, fit: () => fitExponential(known, numeric) }
+    ];
+    for (let degree = 2; degree <= 5; degree++) {
+      candidates.push({
+        pattern: 'polynomial',
+        parameterCount: degree + 1,
+        fit: () => fitBasis(known, polynomialBasis(degree), numeric)
+      });
+    }
+
+    const maxParameters = known.length === 2 ? 2 : known.length - 1;
+    for (const { pattern, parameterCount, fit: solve } of candidates) {
+      if (parameterCount > maxParameters) break;
+
+      const fit = solve();
+      if (!fit) continue;
+
+      // Exact exponentials only take integer powers
+      const nextNumbers = indices.map(x => (numeric.exact && pattern === 'exponential' && !Number.isInteger(x)
+        ? null
+        : numeric.output(numeric.clean(fit.evaluate(numeric.from(x))))));
+      const parameters = fit.parameters.map(value => numeric.clean(value));
+      const shared = { pattern, confidence: pattern === 'polynomial' ? 95 : 100, parameterCount, nextNumbers };
+
+      if (pattern === 'exponential') {
+        const [scale, base] = parameters;
+        const baseText = numeric.toNumber(base) < 0 || !numeric.isInteger(base)
+          ? `(${numeric.format(base)})`
+          : numeric.format(base);
+        return {
+          ...shared,
+          scale: numeric.output(scale),
+          base: numeric.output(base),
+          formula: `a_n = ${this.formatScaled(scale, `${baseText}^n`, numeric)}`,
+          structuredFormula: Formula.closed(this.scaled(scale,
+            Formula.pow(Formula.number(numeric.output(base)), Formula.variable()), numeric)),
+          explanation: `Each step of 1 in n multiplies the value by ${numeric.format(base)}`
+        };
+      }
+
+      const coefficients = parameters.map(value => numeric.toFraction(value));
+      const formula = this.formatPolynomial(coefficients, numeric);
+      return {
+        ...shared,
+        ...(pattern === 'arithmetic'
+          ? { commonDifference: numeric.output(parameters[1]) }
+          : { degree: parameterCount - 1 }),
+        coefficients: parameters.map(value => numeric.output(value)),
+        formula: formula,
+        structuredFormula: Formula.closed(Formula.polynomial(parameters.map(value => numeric.output(value)))),
+        explanation: pattern === 'arithmetic'
+          ? `The points lie on a line: each step of 1 in n adds ${numeric.format(parameters[1])}`
+          : `The points lie on a polynomial of degree ${parameterCount - 1}: ${formula}`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Runs the enabled detectors in priority order and collects their matches
+   * 
+   * A detector that throws is counted as an error in its metrics and treated
+   * as not matching, so one faulty plugin cannot break the analysis. When a
+   * trace array is given, the outcome of every detector is recorded in it.
+   * With only, just the detector of that name runs.
+   * @private
+   */
+  runDetectors(values, context, { includeComposite = true, trace = null, only = null } = {}) {
+    const matches = [];
+    const record = entry => trace && trace.push({ detector: entry.detector.name, priority: entry.detector.priority, ...entry.outcome });
+
+    for (const detector of this.detectors) {
+      if (detector.composite && !includeComposite) continue;
+      if (only !== null && detector.name !== only) continue;
+      if (!detector.enabled) {
+        record({ detector, outcome: { status: 'disabled', reason: 'Detector is disabled' } });
+        continue;
+      }
+
+      const metrics = this.detectorMetrics[detector.name];
+      const start = performance.now();
+      metrics.calls++;
+
+      try {
+        const match = detector.detect(values, context);
+        if (match && match.pattern) {
+          matches.push(this.normalizeMatch(detector, match, values, context));
+          metrics.matches++;
+          record({ detector, outcome: { status: 'matched', pattern: match.pattern } });
+        } else {
+          record({ detector, outcome: { status: 'rejected', reason: (match && match.reason) || 'No match' } });
+        }
+      } catch (error) {
+        metrics.errors++;
+        metrics.lastError = error.message;
+        record({ detector, outcome: { status: 'error', reason: `Detector failed: ${error.message}` } });
+      } finally {
+        metrics.totalTime += performance.now() - start;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Fills in defaults for a detector match and reports values in the
+   * analysis number system
+   * @private
+   */
+  normalizeMatch(detector, match, values, context) {
+    const { numeric } = context;
+    let nextNumbers = match.nextNumbers;
+
+    if (!nextNumbers && detector.predict) {
+      nextNumbers = detector.predict(values, match, 5, context);
+    }
+
+    return {
+      ...match,
+      detector: detector.name,
+      confidence: match.confidence !== undefined ? match.confidence : 100,
+      parameterCount: match.parameterCount !== undefined ? match.parameterCount : 2,
+      nextNumbers: detector.builtIn
+        ? nextNumbers
+        : (nextNumbers || [null]).map(value => (value === null ? null : numeric.output(numeric.from(value)))),
+      formula: match.formula || `${match.pattern} pattern`,
+      structuredFormula: match.structuredFormula || null,
+      explanation: match.explanation || `Detected by the ${detector.name} detector`
+    };
+  }
+
+  /**
+   * Scores and ranks the detectors that matched, best first
+   * 
+   * A hypothesis needs parameterCount terms just to pin down its parameters;
+   * only the remaining terms actually test it. The score scales the detector's
+   * confidence by that evidence, so a rule verified by many extra terms beats
+   * a flexible one that merely passes through every point. Ties keep the
+   * detector order (simplest pattern first).
+   * @private
+   */
+  rankHypotheses(detections, length) {
+    return detections
+      .filter(detection => detection.pattern)
+      .map(detection => {
+        const supportingTerms = Math.max(0, length - (detection.parameterCount || 0));
+        const evidence = (supportingTerms + 1) / (supportingTerms + 2);
+        return {
+          ...detection,
+          supportingTerms: supportingTerms,
+          score: Math.round(detection.confidence * evidence * 10) / 10
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .map((hypothesis, index) => ({ rank: index + 1, ...hypothesis }));
+  }
+
+  /**
+   * Explains when the ranked hypotheses cannot be told apart
+   * 
+   * The sequence is ambiguous when another hypothesis predicts a different
+   * next term and either the winner is barely verified (fewer than two
+   * supporting terms) or the rival scores within 10 points of it. Next
+   * terms are compared under the tolerance policy. Custom detectors without
+   * predictions cannot be compared, so they never count.
+   * @private
+   */
+  assessAmbiguity(hypotheses, length, numeric = FloatArithmetic) {
+    const predicts = h => h.nextNumbers[0] !== null && h.nextNumbers[0] !== undefined;
+    if (hypotheses.length < 2 || !predicts(hypotheses[0])) {
+      return { ambiguous: false, note: null, alternatives: [] };
+    }
+
+    const [top, ...others] = hypotheses;
+    const value = next => (numeric.exact ? Fraction.from(next) : this.toNumber(next));
+    const topNext = value(top.nextNumbers[0]);
+    const rivals = others.filter(predicts).filter(h => !numeric.equals(value(h.nextNumbers[0]), topNext));
+    const tooShort = top.supportingTerms < 2;
+    const close = rivals.filter(h => top.score - h.score < 10);
+
+    if (rivals.length === 0 || (!tooShort && close.length === 0)) {
+      return { ambiguous: false, note: null, alternatives: [] };
+    }
+
+    const alternatives = (tooShort ? rivals : close).slice(0, 3);
+    const described = alternatives
+      .map(h => `${h.pattern} predicts ${h.nextNumbers[0]}`)
+      .join(', ');
+    const note = tooShort
+      ? `With only ${length} terms the sequence is too short to discriminate: ${top.pattern} predicts ` +
+        `${top.nextNumbers[0]}, but ${described}. Add more terms to tell them apart.`
+      : `Close alternatives: ${top.pattern} predicts ${top.nextNumbers[0]}, but ${described}.`;
+
+    return {
+      ambiguous: true,
+      note: note,
+      alternatives: alternatives.map(h => h.pattern)
+    };
+  }
+
+  /**
+   * Builds the derivation trace returned by the explain option
+   * 
+   * The trace holds the difference table (until a row is constant or only one
+   * term is left), the ratios between consecutive terms, the outcome of every
+   * detector in the order they ran, and a one-line conclusion. Sequences
+   * with gaps also record how the missing terms were inferred.
+   * @private
+   */
+  buildTrace(values, numeric, detectorTrace, hypotheses, inference) {
+    const gaps = inference === undefined ? {} : {
+      gaps: inference
+        ? { model: inference.model, inferredTerms: inference.inferredTerms }
+        : { model: null, inferredTerms: [] }
+    };
+
+    if (!values) {
+      return {
+        ...gaps,
+        differenceTable: [],
+        ratios: [],
+        detectors: [],
+        conclusion: 'No model fits the known terms, so the gaps could not be filled and no detector ran'
+      };
+    }
+
+    const differenceTable = [values];
+    let row = values;
+    while (row.length > 1 && !row.every(value => numeric.equals(value, row[0]))) {
+      row = this.calculateDifferences(row, numeric);
+      differenceTable.push(row);
+    }
+
+    const ratios = values.slice(1).map((value, i) =>
+      (numeric.isZero(values[i]) ? null : numeric.output(numeric.clean(numeric.div(value, values[i])))));
+
+    // Matched detectors also report where their hypothesis ended up
+    const detectors = detectorTrace.map(entry => {
+      const hypothesis = hypotheses.find(h => h.detector === entry.detector);
+      if (!hypothesis) return entry;
+      const [top] = hypotheses;
+      let reason = `Best match (score ${hypothesis.score}, ${hypothesis.supportingTerms} supporting terms)`;
+      if (hypothesis.rank > 1) {
+        reason = hypothesis.score === top.score
+          ? `Matched, but ties with ${top.pattern} (score ${top.score}), which ran first`
+          : `Matched, but outranked by ${top.pattern} (score ${hypothesis.score} vs ${top.score})`;
+      }
+      return { ...entry, rank: hypothesis.rank, score: hypothesis.score, reason: reason };
+    });
+
+    const [top] = hypotheses;
+    const conclusion = top
+      ? `${top.pattern} wins with score ${top.score}: ${top.formula}`
+      : 'No detector matched, so the pattern is unknown';
+
+    return {
+      ...gaps,
+      differenceTable: differenceTable.map(values => values.map(value => numeric.output(value))),
+      ratios: ratios,
+      detectors: detectors,
+      conclusion: conclusion
+    };
+  }
+
+  /**
+   * Builds the cache key for a sequence and the options that affect its result
+   * @private
+   */
+  buildCacheKey(sequence, settings) {
+    return JSON.stringify(
+      {
+        sequence,
+        exact: Boolean(settings.exact),
+        fit: Boolean(settings.fit),
+        explain: Boolean(settings.explain),
+        transformDepth: settings.transformDepth,
+        tolerance: settings.exact ? null : settings.tolerance
+      },
+      (key, value) => (typeof value === 'bigint' ? `${value}n` : value)
+    );
+  }
+
+  /**
+   * Number system for analyzing a sequence: exact, or floats compared under
+   * the tolerance policy (its absolute part scaled to small input) with
+   * predictions cleaned to the input's decimals
+   * @private
+   */
+  numberSystem(sequence, settings) {
+    if (settings.exact) {
+      return getArithmetic(true);
+    }
+    // Invalid input gets the plain policy and is rejected by validateSequence
+    if (!Array.isArray(sequence)) {
+      return getArithmetic(false, { tolerance: settings.tolerance });
+    }
+    return getArithmetic(false, {
+      tolerance: settings.tolerance,
+      decimals: decimalPlaces(sequence),
+      magnitude: largestMagnitude(sequence)
+    });
+  }
+
+  /**
+   * Number system for the logarithms of a sequence
+   * 
+   * A term x known to within the tolerance has its logarithm known to
+   * within delta = max(relative, absolute / |x|), and at least
+   * LOG_TOLERANCE. Detectors also compare ratios of the logarithms, which
+   * are only known to delta / |ln x|, so both epsilons are that; a fixed
+   * log tolerance would call large, slowly growing terms (counters,
+   * timestamps) geometric in their logarithms. The input's decimals no
+   * longer apply.
+   * @private
+   */
+  logArithmetic(numeric, sequence) {
+    const { absolute, relative } = numeric.tolerance;
+    const smallest = Math.min(...sequence.map(value => Math.abs(value)));
+    const scaledAbsolute = absolute * Math.min(1, largestMagnitude(sequence));
+    const delta = Math.max(LOG_TOLERANCE, relative, scaledAbsolute / smallest);
+    const epsilon = delta / Math.max(1, largestMagnitude(sequence.map(value => Math.log(value))));
+    return floatArithmetic({ tolerance: { absolute: epsilon, relative: epsilon } });
+  }
+
+  /**
+   * Detects arithmetic progressions
+   * @private
+   */
+  detectArithmetic(sequence, numeric = FloatArithmetic) {
+    const differences = this.calculateDifferences(sequence, numeric);
+    
+    // Check if all differences are the same
+    if (differences.every(d => numeric.equals(d, differences[0]))) {
+      const difference = numeric.clean(differences[0]);
+      return {
+        pattern: 'arithmetic',
+        confidence: 100,
+        parameterCount: 2,
+        commonDifference: numeric.output(difference),
+        nextNumbers: this.predictArithmetic(sequence, 5, numeric),
+        formula: `a_n = a_1 + (n-1)d, where d = ${numeric.format(difference)}`,
+        structuredFormula: Formula.closed(Formula.polynomial(
+          [numeric.sub(sequence[0], differences[0]), differences[0]].map(c => numeric.output(numeric.clean(c)))
+        )),
+        explanation: 'This is an arithmetic progression with constant difference'
+      };
+    }
+
+    const mismatch = differences.findIndex(d => !numeric.equals(d, differences[0]));
+    return {
+      pattern: null,
+      reason: `Differences are not constant: a_${mismatch + 2} - a_${mismatch + 1} = ` +
+        `${numeric.format(numeric.clean(differences[mismatch]))}, but the first difference is ` +
+        numeric.format(numeric.clean(differences[0]))
+    };
+  }
+
+  /**
+   * Detects geometric progressions
+   * @private
+   */
+  detectGeometric(sequence, numeric = FloatArithmetic) {
+    // Avoid division by zero
+    if (sequence.some(n => numeric.isZero(n))) {
+      return { pattern: null, reason: 'A term is zero, so the ratios are undefined' };
+    }
+
+    const ratios = [];
+    for (let i = 1; i < sequence.length; i++) {
+      ratios.push(numeric.div(sequence[i], sequence[i - 1]));
+    }
+
+    // equals() allows for floating point error (exact mode compares exactly)
+    const firstRatio = ratios[0];
+    const isGeometric = ratios.every(r => numeric.equals(r, firstRatio));
+
+    if (isGeometric) {
+      return {
+        pattern: 'geometric',
+        confidence: 100,
+        parameterCount: 2,
+        commonRatio: numeric.output(numeric.clean(firstRatio)),
+        nextNumbers: this.predictGeometric(sequence, 5, numeric),
+        formula: `a_n = a_1 * r^(n-1), where r = ${numeric.format(numeric.clean(firstRatio), 4)}`,
+        structuredFormula: this.geometricFormula(sequence[0], firstRatio, numeric),
+        explanation: 'This is a geometric progression with constant ratio'
+      };
+    }
+
+    const mismatch = ratios.findIndex(r => !numeric.equals(r, firstRatio));
+    return {
+      pattern: null,
+      reason: `Ratios are not constant: a_${mismatch + 2} / a_${mismatch + 1} = ` +
+        `${numeric.format(numeric.clean(ratios[mismatch]))}, but the first ratio is ${numeric.format(numeric.clean(firstRatio))}`
+    };
+  }
+
+  /**
+   * Structured form of a_n = a_1 * r^(n-1)
+   * @private
+   */
+  geometricFormula(first, ratio, numeric = FloatArithmetic) {
+    const power = Formula.pow(
+      Formula.number(numeric.output(numeric.clean(ratio))),
+      Formula.add(Formula.variable(), Formula.number(-1))
+    );
+    if (numeric.equals(first, numeric.one)) {
+      return Formula.closed(power);
+    }
+    if (numeric.equals(first, numeric.neg(numeric.one))) {
+      return Formula.closed(Formula.neg(power));
+    }
+    return Formula.closed(Formula.mul(Formula.number(numeric.output(first)), power));
+  }
+
+  /**
+   * Detects polynomial sequences (quadratic, cubic, etc.)
+   * @private
+   */
+  detectPolynomial(sequence, numeric = FloatArithmetic) {
+    // Calculate successive differences until we find a pattern
+    let differences = [...sequence];
+    let level = 0;
+    const maxLevels = 5;
+
+    while (level < maxLevels) {
+      const nextDiffs = this.calculateDifferences(differences, numeric);
+      
+      if (nextDiffs.length === 0) break;
+
+      // Check if differences are constant at this level
+      if (nextDiffs.every(d => numeric.equals(d, nextDiffs[0]))) {
+        const degree = level + 1;
+        const coefficients = this.solvePolynomialCoefficients(sequence, degree, numeric);
+        const formula = this.formatPolynomial(coefficients, numeric);
+        return {
+          pattern: 'polynomial',
+          degree: degree,
+          confidence: 95,
+          parameterCount: degree + 1,
+          constantDifference: numeric.output(nextDiffs[0]),
+          coefficients: coefficients.map(c => numeric.output(numeric.fromFraction(c))),
+          nextNumbers: this.predictPolynomial(sequence, coefficients, 5, numeric),
+          formula: formula,
+          structuredFormula: Formula.closed(Formula.polynomial(
+            coefficients.map(c => numeric.output(numeric.clean(numeric.fromFraction(c))))
+          )),
+          explanation: `This is a polynomial sequence of degree ${degree} where ${formula} for n = 1, 2, 3, ...`
+        };
+      }
+
+      differences = nextDiffs;
+      level++;
+    }
+
+    return {
+      pattern: null,
+      reason: `No row of the difference table is constant (checked ${level} level${level === 1 ? '' : 's'})`
+    };
+  }
+
+  /**
+   * Solves the exact coefficients of a polynomial sequence
+   * 
+   * Uses Newton's forward difference form a_n = Σ Δ^k a_1 * C(n-1, k) and
+   * expands it into powers of n, with n = 1 for the first term.
+   * 
+   * @returns {Fraction[]} coefficients where coefficients[i] multiplies n^i
+   * @private
+   */
+  solvePolynomialCoefficients(sequence, degree, numeric = FloatArithmetic) {
+    const zero = new Fraction(0n);
+    const coefficients = new Array(degree + 1).fill(zero);
+    let row = sequence.map(value => numeric.toFraction(value));
+
+    // basis holds the expanded coefficients of C(n-1, k), starting with C(n-1, 0) = 1
+    let basis = [new Fraction(1n)];
+
+    for (let k = 0; k <= degree && row.length > 0; k++) {
+      const leading = row[0];
+      basis.forEach((value, power) => {
+        coefficients[power] = coefficients[power].add(leading.mul(value));
+      });
+
+      // C(n-1, k+1) = C(n-1, k) * (n - 1 - k) / (k + 1)
+      const offset = new Fraction(BigInt(-1 - k));
+      const divisor = new Fraction(BigInt(k + 1));
+      const next = new Array(basis.length + 1).fill(zero);
+      basis.forEach((value, power) => {
+        next[power + 1] = next[power + 1].add(value.div(divisor));
+        next[power] = next[power].add(value.mul(offset).div(divisor));
+      });
+      basis = next;
+
+      const nextRow = [];
+      for (let i = 1; i < row.length; i++) {
+        nextRow.push(row[i].sub(row[i - 1]));
+      }
+      row = nextRow;
+    }
+
+    while (coefficients.length > 1 && coefficients[coefficients.length - 1].isZero()) {
+      coefficients.pop();
+    }
+
+    return coefficients;
+  }
+
+  /**
+   * Evaluates polynomial coefficients (coefficients[i] * n^i) at index n
+   * @private
+   */
+  evaluatePolynomial(coefficients, n) {
+    const index = new Fraction(BigInt(n));
+    let value = new Fraction(0n);
+
+    // Horner's method from the highest power down
+    for (let power = coefficients.length - 1; power >= 0; power--) {
+      value = value.mul(index).add(coefficients[power]);
+    }
+
+    return value;
+  }
+
+  /**
+   * Formats polynomial coefficients as a_n = 2n^2 - n + 3
+   * @private
+   */
+  formatPolynomial(coefficients, numeric = FloatArithmetic) {
+    const parts = [];
+
+    for (let power = coefficients.length - 1; power >= 0; power--) {
+      const coefficient = coefficients[power];
+      if (coefficient.isZero()) continue;
+
+      const negative = coefficient.compare(0) < 0;
+      const magnitude = numeric.clean(numeric.fromFraction(negative ? coefficient.neg() : coefficient));
+      const variable = power === 0 ? '' : (power === 1 ? 'n' : `n^${power}`);
+
+      let body;
+      if (variable && numeric.equals(magnitude, numeric.one)) {
+        body = variable;
+      } else if (variable && numeric.exact && !numeric.isInteger(magnitude)) {
+        body = `(${numeric.format(magnitude)})${variable}`;
+      } else {
+        body = `${numeric.format(magnitude)}${variable}`;
+      }
+
+      if (parts.length === 0) {
+        parts.push(negative ? `-${body}` : body);
+      } else {
+        parts.push(negative ? `- ${body}` : `+ ${body}`);
+      }
+    }
+
+    return `a_n = ${parts.length > 0 ? parts.join(' ') : '0'}`;
+  }
+
+  /**
+   * Detects Fibonacci-like sequences
+   * @private
+   */
+  detectFibonacci(sequence, numeric = FloatArithmetic) {
+    if (sequence.length < 3) return { pattern: null, reason: 'Needs at least 3 terms' };
+
+    // Check if each number is the sum of the previous two
+    let isFibonacci = true;
+    let matchCount = 0;
+    let mismatch = -1;
+    
+    for (let i = 2; i < sequence.length; i++) {
+      if (numeric.equals(sequence[i], numeric.add(sequence[i - 1], sequence[i - 2]))) {
+        matchCount++;
+      } else {
+        isFibonacci = false;
+        mismatch = i;
+        break;
+      }
+    }
+
+    // Allow if we have at least 2 matches (for min 3-element sequences)
+    if (matchCount >= sequence.length - 2) {
+      return {
+        pattern: 'fibonacci',
+        confidence: 100,
+        parameterCount: 2,
+        nextNumbers: this.predictFibonacci(sequence, 5, numeric),
+        formula: 'a_n = a_(n-1) + a_(n-2)',
+        structuredFormula: Formula.recurrence([1, 1], sequence.slice(0, 2).map(value => numeric.output(value))),
+        explanation: 'This is a Fibonacci-like sequence where each term is the sum of the previous two'
+      };
+    }
+
+    return {
+      pattern: null,
+      reason: `a_${mismatch + 1} = ${numeric.format(sequence[mismatch])} is not ` +
+        `a_${mismatch} + a_${mismatch - 1} = ${numeric.format(numeric.add(sequence[mismatch - 1], sequence[mismatch - 2]))}`
+    };
+  }
+
+  /**
+   * Detects linear recurrences with constant coefficients
+   * 
+   * Runs Berlekamp–Massey over exact fractions to find the minimal order k
+   * such that a_n = c_1*a_(n-1) + ... + c_k*a_(n-k). The recurrence is only
+   * accepted when at least one term beyond the 2k needed to determine it
+   * confirms the rule.
+   *
+   * Two recurrences of order k or less that agree on 2k terms agree on all
+   * of them, so Berlekamp–Massey only runs on the first 2 * maxOrder + 2
+   * terms and the rest of a long sequence is checked in the analysis
+   * number system, instead of in fractions.
+   * @private
+   */
+  detectLinearRecurrence(sequence, numeric = FloatArithmetic) {
+    const maxOrder = 10;
+    const prefixLength = Math.min(sequence.length, 2 * maxOrder + 2);
+    const { order, coefficients } = this.berlekampMassey(
+      sequence.slice(0, prefixLength).map(value => numeric.toFraction(value)), maxOrder);
+
+    const factors = coefficients.map(c => numeric.fromFraction(c));
+    const fitsRest = order <= maxOrder && sequence.slice(prefixLength).every((value, i) => {
+      const n = prefixLength + i;
+      const expected = factors.reduce((sum, c, j) => numeric.add(sum, numeric.mul(c, sequence[n - 1 - j])), numeric.zero);
+      return numeric.equals(expected, value);
+    });
+
+    if (order > maxOrder || !fitsRest) {
+      return { pattern: null, reason: `No linear recurrence of order ${maxOrder} or less fits` };
+    }
+    if (order === 0) {
+      return { pattern: null, reason: 'Every term is zero' };
+    }
+    if (sequence.length < 2 * order + 1) {
+      return {
+        pattern: null,
+        reason: `An order-${order} recurrence fits, but confirming it needs ${2 * order + 1} terms`
+      };
+    }
+
+    const coefficientValues = factors.map(c => numeric.clean(c));
+    return {
+      pattern: 'linear-recurrence',
+      order: order,
+      confidence: 90,
+      parameterCount: 2 * order,
+      coefficients: coefficientValues.map(c => numeric.output(c)),
+      initialTerms: sequence.slice(0, order).map(value => numeric.output(value)),
+      nextNumbers: this.predictLinearRecurrence(sequence.slice(-order).map(value => numeric.toFraction(value)), coefficients, 5, numeric),
+      formula: this.formatRecurrence(coefficientValues, numeric),
+      structuredFormula: Formula.recurrence(
+        coefficientValues.map(c => numeric.output(c)),
+        sequence.slice(0, order).map(value => numeric.output(value))
+      ),
+      explanation: `This sequence follows a linear recurrence of order ${order} with constant coefficients`
+    };
+  }
+
+  /**
+   * Berlekamp–Massey algorithm over fractions
+   * 
+   * @param {Fraction[]} terms - Sequence terms
+   * @param {number} [maxOrder=Infinity] - Give up once the order exceeds this
+   * @returns {{order: number, coefficients: Fraction[]}} Minimal recurrence
+   *   a_n = coefficients[0]*a_(n-1) + ... + coefficients[order-1]*a_(n-order)
+   * @private
+   */
+  berlekampMassey(terms, maxOrder = Infinity) {
+    const zero = new Fraction(0n);
+    let current = [new Fraction(1n)];
+    let previous = [new Fraction(1n)];
+    let order = 0;
+    let shift = 1;
+    let lastDiscrepancy = new Fraction(1n);
+
+    for (let n = 0; n < terms.length; n++) {
+      let discrepancy = terms[n];
+      for (let i = 1; i <= order; i++) {
+        discrepancy = discrepancy.add(current[i].mul(terms[n - i]));
+      }
+
+      if (discrepancy.isZero()) {
+        shift++;
+        continue;
+      }
+
+      const factor = discrepancy.div(lastDiscrepancy);
+      const updated = current.slice();
+      while (updated.length < previous.length + shift) {
+        updated.push(zero);
+      }
+      previous.forEach((value, i) => {
+        updated[i + shift] = updated[i + shift].sub(factor.mul(value));
+      });
+
+      if (2 * order <= n) {
+        previous = current;
+        order = n + 1 - order;
+        lastDiscrepancy = discrepancy;
+        shift = 1;
+      } else {
+        shift++;
+      }
+      current = updated;
+
+      // The order never decreases, so stop early on sequences with no short rule
+      if (order > maxOrder) {
+        return { order, coefficients: [] };
+      }
+    }
+
+    const coefficients = [];
+    for (let i = 1; i <= order; i++) {
+      coefficients.push(current[i] ? current[i].neg() : zero);
+    }
+
+    return { order, coefficients };
+  }
+
+  /**
+   * Formats a recurrence as a_n = c_1*a_(n-1) + ... for display
+   * @private
+   */
+  formatRecurrence(coefficients, numeric = FloatArithmetic) {
+    const parts = [];
+
+    coefficients.forEach((coefficient, i) => {
+      if (numeric.isZero(coefficient)) return;
+
+      const term = `a_(n-${i + 1})`;
+      const negative = numeric.toNumber(coefficient) < 0;
+      const magnitude = numeric.clean(negative ? numeric.neg(coefficient) : coefficient);
+      const factor = numeric.exact && !numeric.isInteger(magnitude) ? `(${numeric.format(magnitude)})` : numeric.format(magnitude);
+      const body = numeric.equals(magnitude, numeric.one) ? term : `${factor}${term}`;
+
+      if (parts.length === 0) {
+        parts.push(negative ? `-${body}` : body);
+      } else {
+        parts.push(negative ? `- ${body}` : `+ ${body}`);
+      }
+    });
+
+    return `a_n = ${parts.length > 0 ? parts.join(' ') : '0'}`;
+  }
+
+  /**
+   * Detects power sequences a_n = c*n^k + d for a whole exponent k >= 3
+   * 
+   * Squares are left to the polynomial detector, which needs no more
+   * parameters for them. For higher powers this model needs 3 parameters
+   * where a full polynomial of degree k needs k + 1, so n^3 is recognized
+   * from 4 terms. Every term is checked exactly.
+   * @private
+   */
+  detectPower(sequence, numeric = FloatArithmetic) {
+    if (sequence.length < 4) {
+      return { pattern: null, reason: 'Needs at least 4 terms' };
+    }
+
+    const terms = sequence.map(value => numeric.toFraction(value));
+    if (terms[1].equals(terms[0])) {
+      return { pattern: null, reason: 'The first two terms are equal, so no power of n fits' };
+    }
+
+    for (let exponent = 3; exponent <= MAX_POWER_EXPONENT; exponent++) {
+      // Solve c and d from the first two terms, then check the rest
+      const scale = terms[1].sub(terms[0]).div(new Fraction(2n ** BigInt(exponent) - 1n));
+      const offset = terms[0].sub(scale);
+      const fits = terms.every((term, i) =>
+        term.equals(scale.mul(new Fraction(BigInt(i + 1) ** BigInt(exponent))).add(offset)));
+
+      if (fits) {
+        const coefficients = new Array(exponent + 1).fill(new Fraction(0n));
+        coefficients[0] = offset;
+        coefficients[exponent] = scale;
+        const formula = this.formatPolynomial(coefficients, numeric);
+
+        return {
+          pattern: 'power',
+          exponent: exponent,
+          confidence: 95,
+          parameterCount: 3,
+          scale: numeric.output(numeric.fromFraction(scale)),
+          offset: numeric.output(numeric.fromFraction(offset)),
+          nextNumbers: this.predictPolynomial(sequence, coefficients, 5, numeric),
+          formula: formula,
+          structuredFormula: Formula.closed(Formula.polynomial(
+            coefficients.map(c => numeric.output(numeric.clean(numeric.fromFraction(c))))
+          )),
+          explanation: `This is a power sequence: ${formula} for n = 1, 2, 3, ...`
+        };
+      }
+    }
+
+    return { pattern: null, reason: `No power n^k with 3 <= k <= ${MAX_POWER_EXPONENT} fits` };
+  }
+
+  /**
+   * Detects shifted exponentials a_n = c*b^n + d with d != 0
+   * 
+   * The differences of such a sequence form a geometric progression with
+   * ratio b (plain geometric progressions, where d = 0, are left to the
+   * geometric detector). Ratios are compared with the same tolerance.
+   * @private
+   */
+  detectExponential(sequence, numeric = FloatArithmetic) {
+    if (sequence.length < 4) {
+      return { pattern: null, reason: 'Needs at least 4 terms' };
+    }
+
+    const differences = this.calculateDifferences(sequence, numeric);
+    if (differences.some(d => numeric.isZero(d))) {
+      return { pattern: null, reason: 'A difference is zero, so the difference ratios are undefined' };
+    }
+
+    const ratios = differences.slice(1).map((d, i) => numeric.div(d, differences[i]));
+    const base = ratios[0];
+    const mismatch = ratios.findIndex(r => !numeric.equals(r, base));
+    if (mismatch !== -1) {
+      return {
+        pattern: null,
+        reason: `Differences do not grow by a constant ratio: ${numeric.format(numeric.clean(ratios[mismatch]))} ` +
+          `after ${numeric.format(numeric.clean(base))}`
+      };
+    }
+    if (numeric.equals(base, numeric.one)) {
+      return { pattern: null, reason: 'Differences are constant' };
+    }
+
+    // a_1 = c*b + d and a_2 - a_1 = c*b*(b - 1)
+    const scale = numeric.div(differences[0], numeric.mul(base, numeric.sub(base, numeric.one)));
+    const offset = numeric.sub(sequence[0], numeric.mul(scale, base));
+    if (numeric.isZero(numeric.clean(offset))) {
+      return { pattern: null, reason: 'There is no constant offset, so this is a plain geometric progression' };
+    }
+
+    // Write c*b^n as c*b * b^(n-1) when that avoids a fractional factor, as in 3^(n-1) - 1
+    const shifted = !numeric.isInteger(numeric.clean(scale));
+    const [factorValue, baseValue, offsetValue] = [shifted ? numeric.mul(scale, base) : scale, base, offset]
+      .map(value => numeric.clean(value));
+    const formula = this.formatExponential(factorValue, baseValue, offsetValue, shifted, numeric);
+    const exponent = shifted ? Formula.add(Formula.variable(), Formula.number(-1)) : Formula.variable();
+
+    return {
+      pattern: 'exponential',
+      confidence: 95,
+      parameterCount: 3,
+      base: numeric.output(baseValue),
+      scale: numeric.output(numeric.clean(scale)),
+      offset: numeric.output(offsetValue),
+      nextNumbers: this.predictExponential(sequence, base, 5, numeric),
+      formula: formula,
+      structuredFormula: Formula.closed(Formula.add(
+        this.scaled(factorValue, Formula.pow(Formula.number(numeric.output(baseValue)), exponent), numeric),
+        Formula.number(numeric.output(offsetValue))
+      )),
+      explanation: `The differences form a geometric progression with ratio ${numeric.format(baseValue)}, ` +
+        `so the terms are a power of ${numeric.format(baseValue)} plus a constant`
+    };
+  }
+
+  /**
+   * Formats a_n = c * b^n + d (or b^(n-1) when shifted) for display
+   * @private
+   */
+  formatExponential(factor, base, offset, shifted, numeric = FloatArithmetic) {
+    const baseText = numeric.toNumber(base) < 0 || !numeric.isInteger(base)
+      ? `(${numeric.format(base)})`
+      : numeric.format(base);
+    const body = this.formatScaled(factor, `${baseText}^${shifted ? '(n-1)' : 'n'}`, numeric);
+
+    const negative = numeric.toNumber(offset) < 0;
+    return `a_n = ${body} ${negative ? '-' : '+'} ${numeric.format(negative ? numeric.neg(offset) : offset)}`;
+  }
+
+  /**
+   * Detects factorials a_n = c*(n+k)!: each ratio a_(n+1)/a_n is one more
+   * than the previous one and the first is a whole number
+   * @private
+   */
+  detectFactorial(sequence, numeric = FloatArithmetic) {
+    if (sequence.length < 3) {
+      return { pattern: null, reason: 'Needs at least 3 terms' };
+    }
+
+    const progression = this.ratioProgression(sequence, numeric);
+    if (!progression.matches) {
+      return { pattern: null, reason: progression.reason };
+    }
+    if (!numeric.equals(progression.step, numeric.one)) {
+      return {
+        pattern: null,
+        reason: `Ratios grow by ${numeric.format(numeric.clean(progression.step))}, not by 1`
+      };
+    }
+
+    const start = numeric.clean(progression.start);
+    if (!numeric.isInteger(start) || numeric.toNumber(start) < 1 || numeric.toNumber(start) > MAX_FACTORIAL_OFFSET + 1) {
+      return {
+        pattern: null,
+        reason: `The first ratio ${numeric.format(start)} is not a whole number from 1 to ${MAX_FACTORIAL_OFFSET + 1}`
+      };
+    }
+
+    // a_1 = c*(1+k)! and a_2/a_1 = k + 2
+    const offset = numeric.toNumber(start) - 2;
+    let base = new Fraction(1n);
+    for (let i = 2; i <= offset + 1; i++) {
+      base = base.mul(i);
+    }
+    const scale = numeric.fromFraction(numeric.toFraction(sequence[0]).div(base));
+    const formula = `a_n = ${this.formatScaled(scale, this.formatFactorial(offset), numeric)}`;
+    const argument = offset === 0
+      ? Formula.variable()
+      : Formula.add(Formula.variable(), Formula.number(offset));
+
+    return {
+      pattern: 'factorial',
+      confidence: 100,
+      parameterCount: 2,
+      scale: numeric.output(scale),
+      offset: offset,
+      nextNumbers: this.predictRatioProduct(sequence, start, numeric.one, 5, numeric),
+      formula: formula,
+      structuredFormula: Formula.closed(this.scaled(numeric.clean(scale), Formula.factorial(argument), numeric)),
+      explanation: 'Each term is the previous one times the next whole number, so the terms are factorials'
+    };
+  }
+
+  /**
+   * Detects sequences whose ratios a_(n+1)/a_n form an arithmetic
+   * progression other than a constant (geometric) or a factorial one,
+   * e.g. the double factorials 1, 3, 15, 105 with ratios 3, 5, 7
+   * @private
+   */
+  detectRatioProgression(sequence, numeric = FloatArithmetic) {
+    if (sequence.length < 4) {
+      return { pattern: null, reason: 'Needs at least 4 terms' };
+    }
+
+    const progression = this.ratioProgression(sequence, numeric);
+    if (!progression.matches) {
+      return { pattern: null, reason: progression.reason };
+    }
+
+    if (numeric.isZero(progression.step)) {
+      return { pattern: null, reason: 'Ratios are constant, so this is a geometric progression' };
+    }
+    const start = numeric.clean(progression.start);
+    if (numeric.equals(progression.step, numeric.one) && numeric.isInteger(start) &&
+        numeric.toNumber(start) >= 1) {
+      return { pattern: null, reason: 'Ratios count up by 1 from a whole number, so this is a factorial' };
+    }
+
+    const step = numeric.clean(progression.step);
+
+    // a_n = r_(n-1) * a_(n-1) with r_(n-1) = r_1 + (n-2)q
+    const multiplier = [numeric.sub(start, numeric.mul(step, numeric.from(2))), step]
+      .map(c => numeric.output(numeric.clean(c)));
+    const multiplierText = this.formatPolynomial(multiplier.map(c => Fraction.from(c)), numeric).replace('a_n = ', '');
+
+    return {
+      pattern: 'ratio-progression',
+      confidence: 90,
+      parameterCount: 3,
+      ratioStart: numeric.output(start),
+      ratioStep: numeric.output(step),
+      nextNumbers: this.predictRatioProduct(sequence, progression.start, progression.step, 5, numeric),
+      formula: `a_n = (${multiplierText}) * a_(n-1), a_1 = ${numeric.format(sequence[0])}`,
+      structuredFormula: Formula.recurrence(
+        [Formula.polynomial(multiplier)],
+        [numeric.output(sequence[0])]
+      ),
+      explanation: `The ratios between consecutive terms form an arithmetic progression ` +
+        `starting at ${numeric.format(start)} with step ${numeric.format(step)}`
+    };
+  }
+
+  /**
+   * Checks whether the ratios a_(i+1)/a_i form an arithmetic progression
+   * @returns {{matches: boolean, start, step, reason}} First ratio and step
+   * @private
+   */
+  ratioProgression(sequence, numeric = FloatArithmetic) {
+    if (sequence.some(value => numeric.isZero(value))) {
+      return { matches: false, reason: 'A term is zero, so the ratios are undefined' };
+    }
+
+    const ratios = sequence.slice(1).map((value, i) => numeric.div(value, sequence[i]));
+    const steps = this.calculateDifferences(ratios, numeric);
+    const mismatch = steps.findIndex(step => !numeric.equals(step, steps[0]));
+    if (mismatch !== -1) {
+      return {
+        matches: false,
+        reason: `Ratios do not change by a constant step: ${numeric.format(numeric.clean(steps[mismatch]))} ` +
+          `after ${numeric.format(numeric.clean(steps[0]))}`
+      };
+    }
+
+    return { matches: true, start: ratios[0], step: steps[0] };
+  }
+
+  /**
+   * Formats (n+k)! for display
+   * @private
+   */
+  formatFactorial(offset) {
+    if (offset === 0) return 'n!';
+    return offset > 0 ? `(n+${offset})!` : `(n${offset})!`;
+  }
+
+  /**
+   * Formats c * body, leaving out a factor of 1 or -1
+   * @private
+   */
+  formatScaled(scale, body, numeric = FloatArithmetic) {
+    if (numeric.equals(scale, numeric.one)) return body;
+    if (numeric.equals(scale, numeric.neg(numeric.one))) return `-${body}`;
+    return `${numeric.format(numeric.clean(scale))} * ${body}`;
+  }
+
+  /**
+   * Structured c * node, leaving out a factor of 1 or -1
+   * @private
+   */
+  scaled(scale, node, numeric = FloatArithmetic) {
+    if (numeric.equals(scale, numeric.one)) return node;
+    if (numeric.equals(scale, numeric.neg(numeric.one))) return Formula.neg(node);
+    return Formula.mul(Formula.number(numeric.output(scale)), node);
+  }
+
+  /**
+   * Fits linear, polynomial and exponential models by least squares
+   * 
+   * The model with the lowest AICc wins, and the confidence is its adjusted
+   * R² as a percentage; below MIN_FIT_R_SQUARED the terms are taken to be
+   * noise rather than a pattern. Fits always run in floating point, even in
+   * exact mode, and need at least 5 values so AICc can be computed.
+   * @private
+   */
+  detectRegression(sequence, numeric = FloatArithmetic) {
+    if (sequence.length < 5) {
+      return { pattern: null, reason: 'Fitting needs at least 5 terms' };
+    }
+
+    const ys = sequence.map(value => numeric.toNumber(value));
+    const xs = ys.map((_, i) => i + 1);
+    return this.fitRegression(xs, ys, [1, 2, 3, 4, 5].map(p => xs.length + p));
+  }
+
+  /**
+   * Least-squares fit of (x, y) points, predicting the values at `at`
+   * @private
+   */
+  fitRegression(xs, ys, at) {
+    const fits = fitModels(xs, ys);
+
+    if (fits.length === 0) {
+      return { pattern: null, reason: 'No model could be fitted' };
+    }
+
+    const best = fits[0];
+    const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+    if (!(best.adjustedRSquared >= MIN_FIT_R_SQUARED)) {
+      return {
+        pattern: null,
+        reason: `The best fit (${best.model}) has an adjusted R² of ${round(best.adjustedRSquared)}, ` +
+          `below ${MIN_FIT_R_SQUARED}, so the terms look like noise`
+      };
+    }
+    const nextNumbers = at.map(x => round(best.predict(x)));
+
+    let formula;
+    let expression;
+    let parameters;
+    if (best.model === 'exponential') {
+      parameters = { scale: best.scale, base: best.base };
+      formula = `a_n ≈ ${round(best.scale)} * ${round(best.base)}^n`;
+      expression = Formula.mul(Formula.number(round(best.scale)), Formula.pow(Formula.number(round(best.base)), Formula.variable()));
+    } else {
+      parameters = { coefficients: best.coefficients };
+      const rounded = best.coefficients.map(c => Fraction.from(round(c)));
+      formula = this.formatPolynomial(rounded, FloatArithmetic).replace('a_n =', 'a_n ≈');
+      expression = Formula.polynomial(best.coefficients.map(c => round(c)));
+    }
+
+    return {
+      pattern: 'regression',
+      model: best.model,
+      ...(best.degree !== undefined && { degree: best.degree }),
+      parameters: parameters,
+      confidence: round(Math.max(0, best.adjustedRSquared) * 100, 1),
+      parameterCount: best.parameterCount,
+      rSquared: round(best.rSquared, 6),
+      residuals: best.residuals.map(r => round(r, 6)),
+      informationCriterion: { name: 'AICc', value: round(best.aicc) },
+      candidates: fits.map(fit => ({
+        model: fit.model,
+        ...(fit.degree !== undefined && { degree: fit.degree }),
+        rSquared: round(fit.rSquared, 6),
+        aicc: round(fit.aicc)
+      })),
+      nextNumbers: nextNumbers,
+      formula: formula,
+      structuredFormula: Formula.closed(expression, { approximate: true }),
+      explanation: `Least-squares ${best.model} fit (R² = ${round(best.rSquared)}), ` +
+        `chosen by AICc among ${fits.length} candidate models`
+    };
+  }
+
+  /**
+   * Detects periodic sequences that repeat a fixed cycle
+   * 
+   * Finds the smallest period p such that a_n = a_(n-p) for every term, and
+   * requires the cycle to repeat at least once. Constant sequences (period 1)
+   * are left to the arithmetic detector.
+   * @private
+   */
+  detectPeriodic(sequence, numeric = FloatArithmetic) {
+    for (let period = 1; 2 * period <= sequence.length; period++) {
+      let repeats = true;
+      for (let i = period; i < sequence.length && repeats; i++) {
+        repeats = numeric.equals(sequence[i], sequence[i - period]);
+      }
+
+      if (!repeats) continue;
+      if (period === 1) {
+        return { pattern: null, reason: 'The sequence is constant, which is left to the arithmetic detector' };
+      }
+
+      const cycle = sequence.slice(0, period).map(value => numeric.output(value));
+      return {
+        pattern: 'periodic',
+        confidence: 100,
+        parameterCount: period,
+        period: period,
+        cycle: cycle,
+        nextNumbers: this.predictPeriodic(sequence, period, 5, numeric),
+        formula: `a_n = a_((n-1) mod ${period} + 1), cycle = [${cycle.join(', ')}]`,
+        structuredFormula: Formula.periodic(cycle),
+        explanation: `This sequence repeats a cycle of ${period} terms`
+      };
+    }
+
+    return {
+      pattern: null,
+      reason: sequence.length < 4
+        ? 'Needs at least 4 terms to see a cycle repeat'
+        : `No cycle of ${Math.floor(sequence.length / 2)} terms or fewer repeats`
+    };
+  }
+
+  /**
+   * Detects conditional recurrences, where a_n follows from a_(n-1) by one
+   * of several rules picked by the parity of a_(n-1) or by n mod k
+   * 
+   * The steps a_(n-1) -> a_n are grouped by their key, and each group gets
+   * the first rule that fits all its steps: a_(n-1) + c, c * a_(n-1), or
+   * p * a_(n-1) + q for p in CONDITIONAL_MULTIPLIERS. A rule is pinned down
+   * by one step, so every group needs a second step to confirm it, and the
+   * groups must not all share one rule. With that many candidates an affine
+   * rule fits almost any second step, so its choice of p counts as a
+   * parameter and all steps together must outnumber the parameters by
+   * CONDITIONAL_SUPPORT. Keys are tried as the parity of
+   * a_(n-1) (integer terms only), n mod 2 and n mod 3; the key whose rules
+   * have the fewest parameters wins, the first one on a tie (terms that
+   * alternate between even and odd fit both of the first two).
+   * @private
+   */
+  detectConditional(sequence, numeric = FloatArithmetic) {
+    if (sequence.length < 5) {
+      return { pattern: null, reason: 'Needs at least 5 terms to confirm a rule for each case' };
+    }
+
+    const fit = this.conditionalRules(sequence, numeric);
+    if (!fit.rules) {
+      return { pattern: null, reason: fit.reason };
+    }
+
+    const { key, modulus, rules } = fit;
+    const cases = rules.map((rule, residue) => ({
+      condition: this.conditionText(key, modulus, residue),
+      rule: this.conditionalRuleText(rule, numeric)
+    }));
+    const first = numeric.format(sequence[0]);
+
+    return {
+      pattern: 'conditional',
+      confidence: 90,
+      parameterCount: 1 + fit.parameters,
+      key: key,
+      modulus: modulus,
+      cases: cases,
+      nextNumbers: this.continueConditional(sequence, fit, 5, numeric).map(value => numeric.output(numeric.clean(value))),
+      formula: `a_n = ${cases.map(c => `${c.rule} if ${c.condition}`).join('; ')}; a_1 = ${first}`,
+      structuredFormula: Formula.conditional(key, modulus,
+        rules.map(rule => this.conditionalExpression(rule, numeric)), [numeric.output(sequence[0])]),
+      explanation: key === 'parity'
+        ? 'Each term follows from the previous one by a rule that depends on whether that term is even or odd'
+        : `Each term follows from the previous one by a rule that depends on its position modulo ${modulus}`
+    };
+  }
+
+  /**
+   * Finds the simplest set of conditional rules that fits every step
+   * 
+   * Steps next to a gap (null) are skipped. Unconfirmed rules need only one
+   * step per case and no steps to spare; they are enough to fill gaps,
+   * since the completed sequence is analyzed again.
+   * @param {object} [options]
+   * @param {boolean} [options.confirmed=true] - Require confirmed rules
+   * @returns {object} { key, modulus, rules, parameters } with rules[r] for
+   *   residue r, or { reason } when no key gives every case a confirmed rule
+   * @private
+   */
+  conditionalRules(sequence, numeric = FloatArithmetic, { confirmed = true } = {}) {
+    const two = numeric.from(2);
+    const keys = [{ key: 'parity', modulus: 2 }, { key: 'index', modulus: 2 }];
+    for (let modulus = 3; modulus <= MAX_CONDITIONAL_MODULUS; modulus++) {
+      keys.push({ key: 'index', modulus: modulus });
+    }
+
+    let best = null;
+    keys.forEach(({ key, modulus }) => {
+      if (key === 'parity' && !sequence.slice(0, -1).every(value => value === null || numeric.isInteger(value))) return;
+
+      const steps = Array.from({ length: modulus }, () => []);
+      sequence.slice(1).forEach((value, i) => {
+        const previous = sequence[i];
+        if (previous === null || value === null) return;
+        const residue = key === 'parity'
+          ? (numeric.isInteger(numeric.div(previous, two)) ? 0 : 1)
+          : (i + 2) % modulus;
+        steps[residue].push([previous, value]);
+      });
+      if (steps.some(group => group.length < (confirmed ? 2 : 1))) return;
+
+      const rules = steps.map(group => this.fitConditionalRule(group, numeric));
+      if (rules.some(rule => !rule)) return;
+      if (rules.every(rule => this.sameConditionalRule(rule, rules[0], numeric))) return;
+
+      // One constant per add/scale rule; an affine rule also picks its multiplier
+      const parameters = rules.reduce((sum, rule) => sum + (rule.op === 'affine' ? 3 : 1), 0);
+      const stepCount = steps.reduce((sum, group) => sum + group.length, 0);
+      if (confirmed && stepCount < parameters + CONDITIONAL_SUPPORT) return;
+      if (!best || parameters < best.parameters) {
+        best = { key, modulus, rules, parameters };
+      }
+    });
+
+    return best || {
+      reason: `No rule keyed on the parity of a_(n-1) or on n mod 2 to ${MAX_CONDITIONAL_MODULUS} ` +
+        `fits every step with a confirmed rule per case and ${CONDITIONAL_SUPPORT} steps to spare`
+    };
+  }
+
+  /**
+   * First rule, simplest first, that takes every x to its y in steps [[x, y], ...]
+   * @private
+   */
+  fitConditionalRule(steps, numeric = FloatArithmetic) {
+    const [x, y] = steps[0];
+    const candidates = [{ op: 'add', constant: numeric.sub(y, x) }];
+    if (!numeric.isZero(x)) {
+      candidates.push({ op: 'scale', constant: numeric.div(y, x) });
+    }
+    CONDITIONAL_MULTIPLIERS.forEach(p => {
+      const multiplier = numeric.from(p);
+      candidates.push({ op: 'affine', multiplier: multiplier, constant: numeric.sub(y, numeric.mul(multiplier, x)) });
+    });
+
+    return candidates.find(rule =>
+      steps.every(([from, to]) => numeric.equals(this.applyConditionalRule(rule, from, numeric), to))) || null;
+  }
+
+  /**
+   * @private
+   */
+  applyConditionalRule(rule, value, numeric = FloatArithmetic) {
+    switch (rule.op) {
+      case 'add':
+        return numeric.add(value, rule.constant);
+      case 'scale':
+        return numeric.mul(value, rule.constant);
+      default:
+        return numeric.add(numeric.mul(rule.multiplier, value), rule.constant);
+    }
+  }
+
+  /**
+   * @private
+   */
+  sameConditionalRule(a, b, numeric = FloatArithmetic) {
+    return a.op === b.op && numeric.equals(a.constant, b.constant) &&
+      (a.op !== 'affine' || numeric.equals(a.multiplier, b.multiplier));
+  }
+
+  /**
+   * Terms after the sequence, by applying the rules from the last term
+   * @private
+   */
+  continueConditional(sequence, { key, modulus, rules }, count, numeric = FloatArithmetic) {
+    const two = numeric.from(2);
+    const terms = [];
+    let value = sequence[sequence.length - 1];
+
+    for (let n = sequence.length + 1; terms.length < count; n++) {
+      let residue = this.mod(n, modulus);
+      if (key === 'parity') {
+        if (!numeric.isInteger(value)) {
+          throw new Error(`a_${n - 1} is not a whole number, so its parity is undefined`);
+        }
+        residue = numeric.isInteger(numeric.div(value, two)) ? 0 : 1;
+      }
+      value = this.applyConditionalRule(rules[residue], value, numeric);
+      terms.push(value);
+    }
+
+    return terms;
+  }
+
+  /**
+   * Fills gaps with conditional rules learned from the known steps, applied
+   * forwards from the first term
+   * @private
+   */
+  fillConditional(sequence, numeric = FloatArithmetic) {
+    if (sequence[0] === null) return null;
+
+    const fit = this.conditionalRules(sequence, numeric, { confirmed: false });
+    if (!fit.rules) return null;
+
+    const filled = sequence.slice();
+    for (let i = 1; i < filled.length; i++) {
+      if (filled[i] === null) {
+        [filled[i]] = this.continueConditional(filled.slice(0, i), fit, 1, numeric);
+      }
+    }
+    return filled;
+  }
+
+  /**
+   * @private
+   */
+  conditionText(key, modulus, residue) {
+    if (key === 'parity') {
+      return `a_(n-1) is ${residue === 0 ? 'even' : 'odd'}`;
+    }
+    if (modulus === 2) {
+      return `n is ${residue === 0 ? 'even' : 'odd'}`;
+    }
+    return `n mod ${modulus} = ${residue}`;
+  }
+
+  /**
+   * A rule as text: "a_(n-1) + 3", "a_(n-1) / 2", "3 * a_(n-1) + 1"
+   * @private
+   */
+  conditionalRuleText(rule, numeric = FloatArithmetic) {
+    const signed = value => (numeric.toNumber(value) < 0
+      ? ` - ${numeric.format(numeric.neg(value))}`
+      : ` + ${numeric.format(value)}`);
+    const constant = numeric.clean(rule.constant);
+
+    switch (rule.op) {
+      case 'add':
+        return numeric.isZero(constant) ? 'a_(n-1)' : `a_(n-1)${signed(constant)}`;
+      case 'scale': {
+        const divisor = numeric.clean(numeric.div(numeric.one, constant));
+        if (numeric.toNumber(divisor) > 1 && numeric.isInteger(divisor)) {
+          return `a_(n-1) / ${numeric.format(divisor)}`;
+        }
+        return `${numeric.format(constant)} * a_(n-1)`;
+      }
+      default:
+        return `${numeric.format(rule.multiplier)} * a_(n-1)${numeric.isZero(constant) ? '' : signed(constant)}`;
+    }
+  }
+
+  /**
+   * A rule as a structured expression in a_(n-1)
+   * @private
+   */
+  conditionalExpression(rule, numeric = FloatArithmetic) {
+    const previous = Formula.term(1);
+    const constant = Formula.number(numeric.output(numeric.clean(rule.constant)));
+
+    switch (rule.op) {
+      case 'add':
+        return numeric.isZero(rule.constant) ? previous : Formula.add(previous, constant);
+      case 'scale':
+        return Formula.mul(constant, previous);
+      default: {
+        const scaled = Formula.mul(Formula.number(numeric.output(rule.multiplier)), previous);
+        return numeric.isZero(rule.constant) ? scaled : Formula.add(scaled, constant);
+      }
+    }
+  }
+
+  /**
+   * Detects k interleaved subsequences, each following its own pattern
+   * 
+   * Splits the sequence into k subsequences by position (a_1, a_(1+k), ...),
+   * analyzes each with the non-composite detectors and accepts the smallest
+   * k where every subsequence has a pattern verified by at least one extra term.
+   * @private
+   */
+  detectInterleaved(sequence, numeric = FloatArithmetic, context = { numeric, settings: this.options }) {
+    const strandContext = { ...context, settings: { ...context.settings, fit: false } };
+    const minTermsPerStrand = 3;
+
+    for (let ways = 2; ways * minTermsPerStrand <= sequence.length; ways++) {
+      const components = [];
+
+      for (let offset = 0; offset < ways; offset++) {
+        const strand = sequence.filter((_, i) => i % ways === offset);
+        const detections = this.runDetectors(strand, strandContext, { includeComposite: false });
+        const [best] = this.rankHypotheses(detections, strand.length);
+        if (!best || best.supportingTerms < 1) break;
+        components.push(best);
+      }
+
+      if (components.length !== ways) continue;
+
+      return {
+        pattern: 'interleaved',
+        confidence: Math.min(...components.map(c => c.confidence)),
+        parameterCount: components.reduce((sum, c) => sum + c.parameterCount, 0),
+        ways: ways,
+        components: components.map((c, offset) => ({
+          offset: offset + 1,
+          pattern: c.pattern,
+          formula: c.formula,
+          nextNumbers: c.nextNumbers
+        })),
+        nextNumbers: this.predictInterleaved(sequence.length, components, 5),
+        formula: `${ways} interleaved sequences: ` +
+          components.map((c, offset) => `(${offset + 1}) ${c.formula}`).join('; '),
+        structuredFormula: Formula.interleaved(components.map(c => c.structuredFormula)),
+        explanation: `This sequence weaves together ${ways} subsequences: ` +
+          components.map(c => c.pattern).join(', ')
+      };
+    }
+
+    const maxWays = Math.floor(sequence.length / minTermsPerStrand);
+    return {
+      pattern: null,
+      reason: maxWays < 2
+        ? `Needs at least ${2 * minTermsPerStrand} terms to split into subsequences`
+        : `No split into ${maxWays === 2 ? '2' : `2 to ${maxWays}`} subsequences gives every part a confirmed pattern`
+    };
+  }
+
+  /**
+   * Fills gaps subsequence by subsequence, for the smallest k where the
+   * gaps of every subsequence can be inferred from its own known terms
+   * @private
+   */
+  fillInterleaved(sequence, context) {
+    const strandContext = { ...context, settings: { ...context.settings, fit: false } };
+
+    for (let ways = 2; ways * 3 <= sequence.length; ways++) {
+      const strands = Array.from({ length: ways }, (_, offset) => {
+        const strand = sequence.filter((_, i) => i % ways === offset);
+        if (!strand.includes(null)) return strand;
+        if (strand.filter(value => value !== null).length < 2) return null;
+        const inference = this.inferMissingTerms(strand, strandContext, { includeComposite: false });
+        return inference && inference.values;
+      });
+
+      if (strands.every(Boolean)) {
+        return sequence.map((_, i) => strands[i % ways][Math.floor(i / ways)]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Detects sequences that follow a pattern once transformed
+   * 
+   * Tries the first differences, the partial sums, the ratios between
+   * consecutive terms and (in float mode, for positive terms) the natural
+   * logarithms. Each transformed sequence is analyzed with the non-composite
+   * detectors and, while settings.transformDepth allows, transformed again,
+   * so second differences are the differences of the differences. The best
+   * transform wins; its pattern must be verified by at least one extra term,
+   * and it is trusted a little less than the same pattern found directly.
+   * Stacking another transform is skipped when the transformed sequence
+   * already has a pattern that scores higher than any transform could.
+   * @private
+   */
+  detectTransformed(sequence, context) {
+    const { numeric, settings } = context;
+    const depth = settings.transformDepth;
+    if (!(depth > 0)) {
+      return { pattern: null, reason: 'Transform search is off' };
+    }
+
+    const candidates = [];
+    Object.keys(TRANSFORM_LABELS).forEach(transform => {
+      const transformed = this.applyTransform(transform, sequence, numeric);
+      if (!transformed || transformed.length < 3) return;
+
+      const innerContext = this.transformContext(transform, context, sequence);
+      const detections = this.runDetectors(transformed, innerContext, { includeComposite: false });
+      const [direct] = this.rankHypotheses(detections, transformed.length);
+      if (depth > 1 && !(direct && direct.score >= 100 * TRANSFORM_CONFIDENCE)) {
+        const nested = this.detectTransformed(transformed, innerContext);
+        if (nested.pattern) {
+          detections.push(this.normalizeMatch(this.findDetector('transformed'), nested, transformed, innerContext));
+        }
+      }
+
+      const [inner] = this.rankHypotheses(detections, transformed.length);
+      if (!inner || inner.supportingTerms < 1 || inner.nextNumbers[0] === null) return;
+      candidates.push(this.transformedMatch(transform, sequence, transformed, inner, numeric));
+    });
+
+    const [best] = this.rankHypotheses(candidates, sequence.length);
+    if (!best) {
+      return { pattern: null, reason: 'No transform of the sequence has a confirmed pattern' };
+    }
+
+    // rankHypotheses adds these again for the outer ranking
+    const { rank, supportingTerms, score, ...match } = best;
+    return match;
+  }
+
+  /**
+   * Builds the match for a transform whose sequence has a pattern
+   * @private
+   */
+  transformedMatch(transform, sequence, transformed, inner, numeric) {
+    const label = TRANSFORM_LABELS[transform];
+    const first = numeric.output(sequence[0]);
+    const innerFormula = inner.formula.replace(/(?<![a-z])([a-z])_/g, (_, name) => `${Formula.innerName(name)}_`);
+
+    let rule;
+    switch (transform) {
+      case 'differences':
+        rule = `a_n = a_(n-1) + b_(n-1), a_1 = ${numeric.format(sequence[0])}`;
+        break;
+      case 'partial-sums':
+        rule = 'a_n = b_n - b_(n-1), a_1 = b_1';
+        break;
+      case 'ratios':
+        rule = `a_n = b_(n-1) * a_(n-1), a_1 = ${numeric.format(sequence[0])}`;
+        break;
+      default:
+        rule = 'a_n = e^(b_n)';
+    }
+
+    // Differences and ratios lose a_1, so it is one more parameter
+    const anchored = transform === 'differences' || transform === 'ratios';
+
+    return {
+      pattern: 'transformed',
+      transform: transform,
+      confidence: Math.round(inner.confidence * TRANSFORM_CONFIDENCE * 10) / 10,
+      parameterCount: inner.parameterCount + (anchored ? 1 : 0),
+      transformedSequence: transformed.map(value => numeric.output(numeric.clean(value))),
+      inner: inner,
+      nextNumbers: this.predictTransformed(transform, sequence, transformed, inner.nextNumbers, numeric),
+      formula: `${rule}; ${innerFormula}`,
+      structuredFormula: Formula.transformed(transform, inner.structuredFormula, anchored ? [first] : [], {
+        approximate: transform === 'log'
+      }),
+      explanation: `The ${label} of this sequence follow a ${inner.pattern} pattern`
+    };
+  }
+
+  /**
+   * Transforms a sequence, or returns null when the transform does not apply
+   * (ratios need non-zero terms, logarithms positive terms in float mode)
+   * @private
+   */
+  applyTransform(transform, sequence, numeric = FloatArithmetic) {
+    switch (transform) {
+      case 'differences':
+        return this.calculateDifferences(sequence, numeric);
+      case 'partial-sums': {
+        let sum = numeric.zero;
+        return sequence.map(value => (sum = numeric.add(sum, value)));
+      }
+      case 'ratios':
+        if (sequence.some(value => numeric.isZero(value))) return null;
+        return sequence.slice(1).map((value, i) => numeric.div(value, sequence[i]));
+      case 'log':
+        if (numeric.exact || sequence.some(value => value <= 0)) return null;
+        // Terms that stay within the tolerance of each other have logarithms that are all noise
+        if (sequence.slice(1).every((value, i) => numeric.equals(numeric.div(value, sequence[i]), numeric.one))) return null;
+        return sequence.map(value => Math.log(value));
+      default:
+        throw new RangeError(`Unknown transform: ${transform}`);
+    }
+  }
+
+  /**
+   * Context for analyzing a transformed sequence: one transform less, no
+   * fitting, and a number system for logarithms that matches the precision
+   * of the terms. Below ratios or logarithms the context is derived: there
+   * are no conditional rules, and no recurrence search unless the values
+   * are whole numbers, since Berlekamp–Massey over the exact fractions of
+   * float values blows up their size
+   * @private
+   */
+  transformContext(transform, context, sequence) {
+    return {
+      ...context,
+      derived: context.derived || transform === 'ratios' || transform === 'log',
+      numeric: transform === 'log' ? this.logArithmetic(context.numeric, sequence) : context.numeric,
+      settings: { ...context.settings, fit: false, transformDepth: context.settings.transformDepth - 1 }
+    };
+  }
+
+  /**
+   * Fills gaps through the differences or the ratios: the transform is
+   * taken wherever both terms are known, its own gaps are inferred, and the
+   * sequence is rebuilt from its first known term. The first transform whose
+   * rebuilt sequence passes through every known term wins.
+   * @private
+   */
+  fillTransformed(sequence, context) {
+    const { numeric, settings } = context;
+    if (!(settings.transformDepth > 0)) return null;
+
+    const first = sequence.findIndex(value => value !== null);
+    for (const transform of ['differences', 'ratios']) {
+      const step = transform === 'differences'
+        ? { apply: numeric.sub, undo: numeric.add, back: numeric.sub }
+        : { apply: numeric.div, undo: numeric.mul, back: numeric.div };
+      if (transform === 'ratios' && sequence.some(value => value !== null && numeric.isZero(value))) continue;
+
+      const transformed = sequence.slice(1).map((value, i) =>
+        (value === null || sequence[i] === null ? null : step.apply(value, sequence[i])));
+      if (transformed.filter(value => value !== null).length < 3) continue;
+
+      const inference = transformed.includes(null)
+        ? this.inferMissingTerms(transformed, this.transformContext(transform, context, sequence), { includeComposite: false })
+        : { values: transformed };
+      if (!inference) continue;
+
+      const rebuilt = sequence.slice();
+      for (let i = first + 1; i < rebuilt.length; i++) {
+        rebuilt[i] = numeric.clean(step.undo(rebuilt[i - 1], inference.values[i - 1]));
+      }
+      for (let i = first - 1; i >= 0; i--) {
+        rebuilt[i] = numeric.clean(step.back(rebuilt[i + 1], inference.values[i]));
+      }
+      if (sequence.every((value, i) => value === null || numeric.equals(value, rebuilt[i]))) {
+        return sequence.map((value, i) => (value === null ? rebuilt[i] : value));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Detects sequences that switch from one pattern to another midway
+   * 
+   * Only tried when no single non-composite pattern covers the whole
+   * sequence. Walking from the left, each segment is the longest run of at
+   * least MIN_SEGMENT_LENGTH terms that the non-composite detectors explain
+   * with at least one extra term to spare; the search gives up on a segment
+   * after SEGMENT_LOOKAHEAD longer runs in a row fail, and never leaves a
+   * tail too short to be a segment of its own. Taking the longest segments
+   * places the breaks where the old pattern first fails, as the stream
+   * change points do. Predictions continue the last segment.
+   * @private
+   */
+  detectPiecewise(sequence, context) {
+    const segmentContext = { ...context, settings: { ...context.settings, fit: false } };
+    const length = sequence.length;
+    const explain = (start, end) => {
+      const part = sequence.slice(start, end);
+      const [best] = this.rankHypotheses(this.runDetectors(part, segmentContext, { includeComposite: false }), part.length);
+      return best && best.supportingTerms >= 1 ? best : null;
+    };
+
+    if (length < 2 * MIN_SEGMENT_LENGTH) {
+      return { pattern: null, reason: `Needs at least ${2 * MIN_SEGMENT_LENGTH} terms to split into segments` };
+    }
+    if (explain(0, length)) {
+      return { pattern: null, reason: 'A single pattern covers the whole sequence' };
+    }
+
+    const segments = [];
+    for (let start = 0; start < length; start = segments[segments.length - 1].end) {
+      if (segments.length === MAX_SEGMENTS) {
+        return { pattern: null, reason: `No split into ${MAX_SEGMENTS} segments or fewer gives every part a confirmed pattern` };
+      }
+
+      let segment = null;
+      let misses = 0;
+      for (let end = start + MIN_SEGMENT_LENGTH; end <= length && misses < SEGMENT_LOOKAHEAD; end++) {
+        const tail = length - end;
+        if (tail > 0 && tail < MIN_SEGMENT_LENGTH) continue;
+
+        const match = explain(start, end);
+        if (match) {
+          segment = { start, end, match };
+          misses = 0;
+        } else {
+          misses++;
+        }
+      }
+
+      if (!segment) {
+        return { pattern: null, reason: `No pattern is confirmed for the terms from position ${start + 1}` };
+      }
+      segments.push(segment);
+    }
+
+    const ranges = segments.map(({ start, end }) => `${start + 1}-${end}`);
+    const breaks = segments.slice(1).map(({ start }) => start + 1);
+    const last = segments[segments.length - 1].match;
+
+    return {
+      pattern: 'piecewise',
+      confidence: Math.round(Math.min(...segments.map(({ match }) => match.confidence)) * PIECEWISE_CONFIDENCE),
+      // Each break position is one more parameter
+      parameterCount: segments.reduce((sum, { match }) => sum + match.parameterCount, 0) + breaks.length,
+      segments: segments.map(({ start, end, match }) => ({
+        start: start + 1,
+        end: end,
+        pattern: match.pattern,
+        confidence: match.confidence,
+        formula: match.formula
+      })),
+      breaks: breaks,
+      nextNumbers: last.nextNumbers,
+      formula: 'Piecewise: ' + segments.map(({ match }, i) => `terms ${ranges[i]}: ${match.formula}`).join('; '),
+      structuredFormula: Formula.piecewise(segments.map(({ start, end, match }) =>
+        ({ start: start + 1, end: end, formula: match.structuredFormula }))),
+      explanation: `The pattern changes at term${breaks.length === 1 ? '' : 's'} ${breaks.join(', ')}: ` +
+        segments.map(({ match }, i) => `${match.pattern} for terms ${ranges[i]}`).join(', then ') +
+        ' (each segment counts n from its own first term)'
+    };
+  }
+
+  /**
+   * Matches the sequence against the catalog of well-known sequences
+   * 
+   * Reports the simplest catalog match: the sequence as listed, scaled, or
+   * scaled and shifted, starting at any listed term. The continuation of
+   * the catalog entry gives the predictions. A catalog match only shows the
+   * sequence starts like a listed one, so it ranks below any rule the other
+   * detectors derive, and lower still when it needs a scale or offset.
+   * @private
+   */
+  detectCatalog(sequence, numeric = FloatArithmetic) {
+    if (!this.catalog) {
+      return { pattern: null, reason: 'No catalog is loaded' };
+    }
+
+    if (sequence.length > this.catalog.longestEntry) {
+      return { pattern: null, reason: `The catalog lists at most ${this.catalog.longestEntry} terms of a sequence` };
+    }
+
+    const [match] = this.catalog.search(sequence.map(value => numeric.toFraction(value)), { limit: 1 });
+    if (!match) {
+      return { pattern: null, reason: `None of the ${this.catalog.size} catalog sequences contains this sequence` };
+    }
+
+    const value = fraction => numeric.output(numeric.fromFraction(fraction));
+    const scale = numeric.fromFraction(match.scale);
+    const offset = numeric.fromFraction(match.offset);
+    const continuation = match.continuation.slice(0, 10).map(value);
+
+    const index = match.start === 1 ? 'n' : `n+${match.start - 1}`;
+    let formula = `a_n = ${this.formatScaled(scale, `${match.id}(${index})`, numeric)}`;
+    if (!numeric.isZero(offset)) {
+      const negative = numeric.toNumber(offset) < 0;
+      formula += ` ${negative ? '-' : '+'} ${numeric.format(negative ? numeric.neg(offset) : offset)}`;
+    }
+
+    const adjustments = [];
+    if (!numeric.equals(scale, numeric.one)) adjustments.push(`scaled by ${numeric.format(scale)}`);
+    if (!numeric.isZero(offset)) adjustments.push(`shifted by ${numeric.format(offset)}`);
+
+    return {
+      pattern: 'catalog',
+      confidence: CATALOG_CONFIDENCE - 5 * adjustments.length,
+      parameterCount: match.parameterCount,
+      catalog: {
+        id: match.id,
+        name: match.name,
+        start: match.start,
+        scale: numeric.output(scale),
+        offset: numeric.output(offset),
+        continuation: continuation
+      },
+      nextNumbers: continuation.length > 0 ? continuation.slice(0, 5) : [null],
+      formula: formula,
+      explanation: `This is ${match.name} (${match.id}) from the catalog, starting at its listed term ` +
+        `${match.start}${adjustments.length > 0 ? `, ${adjustments.join(' and ')}` : ''}`
+    };
+  }
+
+  /**
+   * Fills gaps from the simplest catalog entry the known terms match, with
+   * the gaps matching any listed term
+   * @private
+   */
+  fillCatalog(sequence, numeric = FloatArithmetic) {
+    if (!this.catalog || sequence.length > this.catalog.longestEntry) return null;
+
+    const [match] = this.catalog.search(
+      sequence.map(value => (value === null ? null : numeric.toFraction(value))), { limit: 1 });
+    if (!match) return null;
+
+    const { terms } = this.catalog.get(match.id);
+    return sequence.map((value, i) => (value !== null
+      ? value
+      : numeric.fromFraction(terms[match.start - 1 + i].mul(match.scale).add(match.offset))));
+  }
+
+  /**
+   * Infers missing (null) terms from the known ones
+   * 
+   * Candidate completions come from the registered detectors: every detector
+   * that matches a run of consecutive known terms extends it across the gaps
+   * after it (through its nth-term function, or its predictions) and, matched
+   * on the reversed run, across the gaps before it. Detectors with a fill
+   * function also complete the whole sequence their own way, which reaches
+   * gaps between runs too short to match anything, and so do simple models
+   * fitted through the known terms at their positions (see fitMissingTerms).
+   * 
+   * The plain detectors then run on every candidate and the one whose best
+   * hypothesis scores highest on the known terms fills the gaps. A detector's
+   * completion must be confirmed by at least one known term beyond the
+   * parameters of that hypothesis; ties keep the fitted model. Only when no
+   * candidate passes do the composite detectors propose completions of their
+   * own, as composite patterns are only tried when no plain one explains a
+   * sequence: their fill functions first, then their matches on the runs.
+   * Each is judged by the detector that proposed it.
+   * 
+   * @param {Array} values - Terms in the number system, null for gaps
+   * @param {object} context - Detector context ({ numeric, settings })
+   * @param {object} [options]
+   * @param {boolean} [options.includeComposite=true] - Also use the
+   *   composite detectors, as runDetectors()
+   * @returns {object|null} { model, values, inferredTerms }, or null when no
+   *   candidate fits
+   * @private
+   */
+  inferMissingTerms(values, context, { includeComposite = true } = {}) {
+    const { numeric } = context;
+    const knownCount = values.filter(value => value !== null).length;
+    const fitted = this.fitMissingTerms(values, numeric);
+
+    let best = this.bestCompletion([
+      ...(fitted ? [{ ...fitted, fitted: true }] : []),
+      ...this.fillWithDetectors(values, context, false),
+      ...this.extendKnownRuns(values, context, false)
+    ], context, knownCount, false);
+    if (!best && includeComposite) {
+      best = this.bestCompletion(this.fillWithDetectors(values, context, true), context, knownCount, true) ||
+        this.bestCompletion(this.extendKnownRuns(values, context, true), context, knownCount, true);
+    }
+    if (!best) {
+      return null;
+    }
+
+    const inferredTerms = values
+      .map((value, i) => (value === null ? { index: i + 1, value: numeric.output(best.values[i]) } : null))
+      .filter(Boolean);
+    return { model: best.model, values: best.values, inferredTerms };
+  }
+
+  /**
+   * Scores each distinct completion by its best hypothesis on the known terms
+   * (from the plain detectors, or from the composite that proposed it) and
+   * returns the highest; only a fitted completion may go unconfirmed
+   * @private
+   */
+  bestCompletion(candidates, context, knownCount, composite) {
+    const { numeric } = context;
+    const seen = new Set();
+    let best = null;
+
+    for (const candidate of candidates) {
+      const key = candidate.values.map(value => numeric.output(value)).join(',');
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const detections = composite
+        ? this.runDetectors(candidate.values, context, { only: candidate.detector })
+        : this.runDetectors(candidate.values, context, { includeComposite: false });
+      const [top] = this.rankHypotheses(detections, knownCount);
+      if (!candidate.fitted && !(top && top.supportingTerms >= 1)) continue;
+
+      const score = top ? top.score : 0;
+      if (!best || score > best.score) best = { ...candidate, score };
+    }
+    return best;
+  }
+
+  /**
+   * Completes a gapped sequence with the fill function of every enabled
+   * composite or plain detector that has one; a fill that throws or leaves
+   * a gap is skipped
+   * @private
+   */
+  fillWithDetectors(values, context, composite) {
+    const { numeric } = context;
+    const candidates = [];
+
+    for (const detector of this.detectors) {
+      if (!detector.fill || !detector.enabled || detector.composite !== composite) continue;
+
+      let completed;
+      try {
+        const filled = detector.fill(values, context);
+        if (!Array.isArray(filled) || filled.length !== values.length) continue;
+        // Custom detectors may fill with plain numbers or strings, as in their predictions
+        completed = values.map((value, i) => (value !== null ? value : detector.builtIn ? filled[i] : numeric.from(filled[i])));
+      } catch (error) {
+        continue;
+      }
+      if (completed.some(value => value === null || value === undefined)) continue;
+      if (!numeric.exact && !completed.every(Number.isFinite)) continue;
+
+      candidates.push({ model: detector.name, detector: detector.name, values: completed });
+    }
+    return candidates;
+  }
+
+  /**
+   * Completes a gapped sequence from each composite or plain detector that
+   * matches a run of consecutive known terms, continuing the run forwards
+   * over the gaps after it and its reverse over the gaps before it
+   * @private
+   */
+  extendKnownRuns(values, context, composite) {
+    const gaps = values.map((value, i) => (value === null ? i : -1)).filter(i => i >= 0);
+    const candidates = [];
+
+    for (let start = 0; start < values.length; start++) {
+      if (values[start] === null) continue;
+      let end = start;
+      while (end < values.length && values[end] !== null) end++;
+      const run = values.slice(start, end);
+
+      if (run.length >= 2) {
+        const forward = end < values.length
+          ? this.continueRun(run, gaps[gaps.length - 1] - end + 1, context, composite)
+          : null;
+        const backward = start > 0
+          ? this.continueRun([...run].reverse(), start - gaps[0], context, composite)
+          : null;
+
+        for (const [detector, { model }] of forward || backward) {
+          if ((forward && !forward.has(detector)) || (backward && !backward.has(detector))) continue;
+          candidates.push({
+            model: model,
+            detector: detector,
+            values: values.map((value, i) => {
+              if (value !== null) return value;
+              return i < start ? backward.get(detector).terms[start - 1 - i] : forward.get(detector).terms[i - end];
+            })
+          });
+        }
+      }
+      start = end;
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Next count terms of a run from every composite or plain detector that
+   * matches it, keyed by detector name
+   * @private
+   */
+  continueRun(run, count, context, composite) {
+    const { numeric } = context;
+    const continuations = new Map();
+
+    for (const match of this.runDetectors(run, context, { includeComposite: composite })) {
+      const detector = this.findDetector(match.detector);
+      if (detector.composite !== composite) continue;
+      let terms;
+      try {
+        terms = detector.term
+          ? Array.from({ length: count }, (_, i) => detector.term(run, match, run.length + i + 1, context))
+          : match.nextNumbers.slice(0, count);
+      } catch (error) {
+        continue;
+      }
+      if (terms.length < count || terms.some(term => term === null || term === undefined)) continue;
+
+      terms = terms.map(term => numeric.clean(typeof term === 'number' && !numeric.exact
+        ? term
+        : numeric.fromFraction(Fraction.from(term))));
+      if (!numeric.exact && !terms.every(Number.isFinite)) continue;
+      continuations.set(match.detector, { model: match.pattern, terms });
+    }
+
+    return continuations;
+  }
+
+  /**
+   * Fits simple models through the known terms at their positions, from the
+   * fewest parameters up: arithmetic, geometric, Fibonacci-like, polynomials
+   * up to degree 5 and repeating cycles. The first model that passes through
+   * every known term fills the gaps. A model must be confirmed by at least
+   * one known term beyond those that determine it, except that two known
+   * terms are joined by a straight line, as two-term sequences are.
+   * 
+   * @returns {object|null} { model, values }, or null when no model fits
+   * @private
+   */
+  fitMissingTerms(values, numeric = FloatArithmetic) {
+    const points = values
+      .map((y, i) => ({ x: numeric.from(i + 1), y }))
+      .filter(point => point.y !== null);
+    const index = x => numeric.toNumber(x);
+
+    // a_n = F(n-2)*a_1 + F(n-1)*a_2 with F(-1) = 1, F(0) = 0
+    const fibonacci = [numeric.one, numeric.zero];
+    while (fibonacci.length <= values.length + 1) {
+      fibonacci.push(numeric.add(fibonacci[fibonacci.length - 1], fibonacci[fibonacci.length - 2]));
+    }
+
+    const candidates = [
+      { model: 'arithmetic', parameterCount: 2, fit: () => fitBasis(points, polynomialBasis(1), numeric) },
+      { model: 'geometric', parameterCount: 2, fit: () => fitExponential(points, numeric) },
+      {
+        model: 'fibonacci',
+        parameterCount: 2,
+        fit: () => fitBasis(points, [x => fibonacci[index(x) - 1], x => fibonacci[index(x)]], numeric)
+      }
+    ];
+    for (let degree = 2; degree <= 5; degree++) {
+      candidates.push({
+        model: 'polynomial',
+        parameterCount: degree + 1,
+        fit: () => fitBasis(points, polynomialBasis(degree), numeric)
+      });
+    }
+    for (let period = 2; 2 * period <= values.length; period++) {
+      const basis = Array.from({ length: period }, (_, residue) =>
+        x => ((index(x) - 1) % period === residue ? numeric.one : numeric.zero));
+      candidates.push({ model: 'periodic', parameterCount: period, fit: () => fitBasis(points, basis, numeric) });
+    }
+
+    // Stable sort keeps the simpler family first among equal parameter counts
+    candidates.sort((a, b) => a.parameterCount - b.parameterCount);
+
+    const maxParameters = points.length === 2 ? 2 : points.length - 1;
+    for (const candidate of candidates) {
+      if (candidate.parameterCount > maxParameters) break;
+
+      const fit = candidate.fit();
+      if (!fit) continue;
+
+      return {
+        model: candidate.model,
+        values: values.map((value, i) => (value !== null ? value : numeric.clean(fit.evaluate(numeric.from(i + 1)))))
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Validates sequence input
+   * @private
+   */
+  validateSequence(sequence, numeric = FloatArithmetic) {
+    if (!Array.isArray(sequence)) {
+      return {
+        isValid: false,
+        error: '❌ The echo is not a valid sequence array.'
+      };
+    }
+
+    if (sequence.length < 2) {
+      return {
+        isValid: false,
+        error: '❌ The echo is too faint - need at least 2 numbers.'
+      };
+    }
+
+    if (!sequence.every(num => num === null || numeric.isValid(num))) {
+      return {
+        isValid: false,
+        error: '❌ The echo is distorted - all elements must be valid numbers (or null for a gap).'
+      };
+    }
+
+    if (sequence.filter(num => num !== null).length < 2) {
+      return {
+        isValid: false,
+        error: '❌ The echo is too faint - need at least 2 known numbers.'
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Calculates differences between consecutive elements
+   * @private
+   */
+  calculateDifferences(sequence, numeric = FloatArithmetic) {
+    const differences = [];
+    for (let i = 1; i < sequence.length; i++) {
+      differences.push(numeric.sub(sequence[i], sequence[i - 1]));
+    }
+    return differences;
+  }
+
+  /**
+   * Nth term of an arithmetic progression: a_n = a_1 + (n-1)d
+   * @private
+   */
+  termArithmetic(sequence, n, numeric = FloatArithmetic) {
+    const first = numeric.toFraction(sequence[0]);
+    const difference = numeric.toFraction(sequence[1]).sub(first);
+    return first.add(difference.mul(n - 1));
+  }
+
+  /**
+   * Nth term of a geometric progression, anchored at the last term like
+   * predictGeometric: a_n = a_L * r^(n-L)
+   * @private
+   */
+  termGeometric(sequence, n, numeric = FloatArithmetic) {
+    const length = sequence.length;
+    const last = numeric.toFraction(sequence[length - 1]);
+    const ratio = last.div(numeric.toFraction(sequence[length - 2]));
+    const power = this.ratioPower(ratio, n - length, numeric);
+    return typeof power === 'number' ? last.toNumber() * power : last.mul(power);
+  }
+
+  /**
+   * ratio^exponent for nth-term evaluation
+   * 
+   * Whole ratios stay exact. A fractional ratio grows a numerator and a
+   * denominator that take ever longer to reduce, so float mode raises it in
+   * floating point and exact mode refuses powers beyond MAX_EXACT_POWER_BITS.
+   * @returns {Fraction|number} A number in float mode for fractional ratios
+   * @private
+   */
+  ratioPower(ratio, exponent, numeric = FloatArithmetic) {
+    if (ratio.isInteger()) {
+      return ratio.pow(exponent);
+    }
+    if (!numeric.exact) {
+      return Math.pow(ratio.toNumber(), exponent);
+    }
+
+    const bits = value => (value < 0n ? -value : value).toString(2).length;
+    if (Math.abs(exponent) * (bits(ratio.numerator) + bits(ratio.denominator)) > MAX_EXACT_POWER_BITS) {
+      throw new Error(`The exact value would need more than ${MAX_EXACT_POWER_BITS} bits - use float mode for this index`);
+    }
+    return ratio.pow(exponent);
+  }
+
+  /**
+   * Nth term of a Fibonacci-like sequence, anchored at the last two terms
+   * @private
+   */
+  termFibonacci(sequence, n, numeric = FloatArithmetic) {
+    const length = sequence.length;
+    const window = sequence.slice(-2).map(value => numeric.toFraction(value));
+    const one = new Fraction(1n);
+    return this.recurrenceTerm(window, [one, one], n - (length - 1));
+  }
+
+  /**
+   * Nth term of a linear recurrence, anchored at its last `order` terms
+   * @private
+   */
+  termLinearRecurrence(sequence, n, numeric = FloatArithmetic) {
+    const terms = sequence.map(value => numeric.toFraction(value));
+    const { order, coefficients } = this.berlekampMassey(terms, 10);
+    return this.recurrenceTerm(terms.slice(-order), coefficients, n - (terms.length - order + 1));
+  }
+
+  /**
+   * Nth term of a power sequence a_n = c*n^k + d
+   * @private
+   */
+  termPower(sequence, exponent, n, numeric = FloatArithmetic) {
+    const first = numeric.toFraction(sequence[0]);
+    const scale = numeric.toFraction(sequence[1]).sub(first).div(new Fraction(2n ** BigInt(exponent) - 1n));
+    return scale.mul(new Fraction(BigInt(n) ** BigInt(exponent))).add(first.sub(scale));
+  }
+
+  /**
+   * Nth term of a shifted exponential, anchored at the last two terms:
+   * a_n = a_L + (a_L - a_(L-1)) * (b + b^2 + ... + b^(n-L))
+   * @private
+   */
+  termExponential(sequence, n, numeric = FloatArithmetic) {
+    const terms = sequence.map(value => numeric.toFraction(value));
+    const length = terms.length;
+    const difference = terms[length - 1].sub(terms[length - 2]);
+    const base = difference.div(terms[length - 2].sub(terms[length - 3]));
+
+    // Geometric sum of the differences between a_L and a_n (negative when n < L)
+    const power = this.ratioPower(base, n - length, numeric);
+    if (typeof power === 'number') {
+      const b = base.toNumber();
+      return terms[length - 1].toNumber() + difference.toNumber() * b * (power - 1) / (b - 1);
+    }
+    const one = new Fraction(1n);
+    const sum = base.mul(power.sub(one)).div(base.sub(one));
+    return terms[length - 1].add(difference.mul(sum));
+  }
+
+  /**
+   * Nth term of a sequence whose ratios form an arithmetic progression,
+   * multiplied out from the first term (and divided back for n < 1)
+   * @private
+   */
+  termRatioProduct(sequence, n, numeric = FloatArithmetic) {
+    if (Math.abs(n) > MAX_PRODUCT_TERM_INDEX) {
+      throw new Error(`Products of ratios are only evaluated up to |n| = ${MAX_PRODUCT_TERM_INDEX}`);
+    }
+
+    const terms = sequence.slice(0, 3).map(value => numeric.toFraction(value));
+    const start = terms[1].div(terms[0]);
+    const step = terms[2].div(terms[1]).sub(start);
+
+    // ratio(i) = a_(i+1) / a_i
+    const ratio = i => start.add(step.mul(i - 1));
+    let value = terms[0];
+    for (let i = 1; i < n; i++) {
+      value = value.mul(ratio(i));
+    }
+    for (let i = 0; i >= n; i--) {
+      if (ratio(i).isZero()) {
+        throw new Error(`The pattern is undefined at n = ${i}`);
+      }
+      value = value.div(ratio(i));
+    }
+    return value;
+  }
+
+  /**
+   * Nth term of a conditional recurrence, by applying its rules term by term
+   * past the sequence; rules cannot be run backwards, so n starts at 1
+   * @private
+   */
+  termConditional(sequence, n, numeric = FloatArithmetic) {
+    if (n < 1) {
+      throw new Error('Conditional rules only run forwards, so n must be at least 1');
+    }
+    if (n > MAX_CONDITIONAL_TERM_INDEX) {
+      throw new Error(`Conditional rules are only evaluated up to n = ${MAX_CONDITIONAL_TERM_INDEX}`);
+    }
+    if (n <= sequence.length) {
+      return sequence[n - 1];
+    }
+
+    const terms = this.continueConditional(sequence, this.conditionalRules(sequence, numeric), n - sequence.length, numeric);
+    return terms[terms.length - 1];
+  }
+
+  /**
+   * Nth term of interleaved subsequences: picks the subsequence that owns
+   * index n and evaluates its own pattern there
+   * @private
+   */
+  termInterleaved(sequence, ways, n, context) {
+    const offset = this.mod(n - 1, ways);
+    const position = Math.floor((n - 1) / ways) + 1;
+    const strand = sequence.filter((_, i) => i % ways === offset);
+    const strandContext = { ...context, settings: { ...context.settings, fit: false } };
+
+    const detections = this.runDetectors(strand, strandContext, { includeComposite: false });
+    const [best] = this.rankHypotheses(detections, strand.length);
+    const detector = this.findDetector(best.detector);
+    if (!detector.term) {
+      throw new Error(`The ${best.pattern} pattern does not support nth-term evaluation.`);
+    }
+
+    return detector.term(strand, best, position, strandContext);
+  }
+
+  /**
+   * Nth term of a piecewise sequence: picks the segment that owns index n
+   * (the first one before it, the last one after it) and evaluates its own
+   * pattern there
+   * @private
+   */
+  termPiecewise(sequence, match, n, context) {
+    const segment = match.segments.slice().reverse().find(({ start }) => start <= n) || match.segments[0];
+    const part = sequence.slice(segment.start - 1, segment.end);
+    const segmentContext = { ...context, settings: { ...context.settings, fit: false } };
+
+    const detections = this.runDetectors(part, segmentContext, { includeComposite: false });
+    const [best] = this.rankHypotheses(detections, part.length);
+    const detector = this.findDetector(best.detector);
+    if (!detector.term) {
+      throw new Error(`The ${best.pattern} pattern does not support nth-term evaluation.`);
+    }
+
+    return detector.term(part, best, n - segment.start + 1, segmentContext);
+  }
+
+  /**
+   * Nth term of a transformed sequence, rebuilt from the nth terms of the
+   * transformed pattern: summed up for differences, multiplied out for
+   * ratios (and taken back for n < 1), differenced for partial sums and
+   * exponentiated for logarithms
+   * @private
+   */
+  termTransformed(sequence, match, n, context) {
+    const { transform } = match;
+    if ((transform === 'differences' || transform === 'ratios') && Math.abs(n) > MAX_TRANSFORM_TERM_INDEX) {
+      throw new Error(`Transformed sequences are only evaluated up to |n| = ${MAX_TRANSFORM_TERM_INDEX}`);
+    }
+
+    return this.transformedTerms(sequence, match, n, n, context)[0];
+  }
+
+  /**
+   * Terms a_first..a_last of a transformed sequence, rebuilt in one pass
+   * over the transformed terms they need. A transformed inner pattern hands
+   * over its terms the same way, so stacked transforms stay linear in n
+   * instead of evaluating every inner term from scratch.
+   * @private
+   */
+  transformedTerms(sequence, match, first, last, context) {
+    const { transform, inner } = match;
+    const innerContext = this.transformContext(transform, { ...context, settings: { ...context.settings, transformDepth: 1 } }, sequence);
+    const transformed = this.applyTransform(transform, sequence, context.numeric);
+
+    // b_from..b_to of the transformed sequence
+    const innerTerms = (from, to) => {
+      if (from > to) return [];
+      if (inner.detector === 'transformed') {
+        return this.transformedTerms(transformed, inner, from, to, innerContext).map(value => Fraction.from(value));
+      }
+      const detector = this.findDetector(inner.detector);
+      if (!detector.term) {
+        throw new Error(`The ${inner.pattern} pattern does not support nth-term evaluation.`);
+      }
+      return Array.from({ length: to - from + 1 }, (_, k) =>
+        Fraction.from(detector.term(transformed, inner, from + k, innerContext)));
+    };
+
+    switch (transform) {
+      case 'differences':
+      case 'ratios': {
+        const combine = transform === 'differences' ? (a, x) => a.add(x) : (a, x) => a.mul(x);
+        const undo = transform === 'differences' ? (a, x) => a.sub(x) : (a, x) => a.div(x);
+
+        // Rebuild a_low..a_high outward from a_1; terms[i - low] = a_i, b[i - low] = b_i
+        const low = Math.min(first, 1);
+        const high = Math.max(last, 1);
+        const b = innerTerms(low, high - 1);
+        const terms = [];
+        terms[1 - low] = context.numeric.toFraction(sequence[0]);
+        for (let i = 2; i <= high; i++) {
+          terms[i - low] = combine(terms[i - 1 - low], b[i - 1 - low]);
+        }
+        for (let i = 0; i >= low; i--) {
+          const step = b[i - low];
+          if (transform === 'ratios' && step.isZero()) {
+            throw new Error(`The pattern is undefined at n = ${i}`);
+          }
+          terms[i - low] = undo(terms[i + 1 - low], step);
+        }
+        return terms.slice(first - low, last - low + 1);
+      }
+      case 'partial-sums': {
+        // a_1 = b_1 needs no b_0
+        const from = first === 1 ? 1 : first - 1;
+        const b = innerTerms(from, last);
+        return Array.from({ length: last - first + 1 }, (_, k) => {
+          const i = first + k;
+          return i === 1 ? b[1 - from] : b[i - from].sub(b[i - 1 - from]);
+        });
+      }
+      default:
+        return innerTerms(first, last).map(value => Math.exp(value.toNumber()));
+    }
+  }
+
+  /**
+   * Nth term of a catalog match, as far as the catalog lists the sequence
    * @private
    */
-  detectArithmetic(sequence) {
-    const differences = this.calculateDifferences(sequence);
-    
-    // Check if all differences are the same
-    if (differences.every(d => d === differences[0])) {
-      const nextNumber = sequence[sequence.length - 1] + differences[0];
-      return {
-        pattern: 'arithmetic',
-        confidence: 100,
-        commonDifference: differences[0],
-        nextNumbers: this.predictArithmetic(sequence, 5),
-        formula: `a_n = a_1 + (n-1)d, where d = ${differences[0]}`,
-        explanation: 'This is an arithmetic progression with constant difference'
-      };
+  termCatalog(match, n) {
+    const { id, start, scale, offset } = match.catalog;
+    const entry = this.catalog.get(id);
+    const index = start + n - 2;
+    if (index < 0 || index >= entry.terms.length) {
+      throw new Error(`The catalog lists ${entry.terms.length} terms of ${id}, so a_${n} is not known`);
     }
+    return entry.terms[index].mul(Fraction.from(scale)).add(Fraction.from(offset));
+  }
 
-    return { pattern: null };
+  /**
+   * Nth term of a regression fit (always floating point)
+   * @private
+   */
+  termRegression(match, n) {
+    if (match.model === 'exponential') {
+      return match.parameters.scale * Math.pow(match.parameters.base, n);
+    }
+    return evaluateFittedPolynomial(match.parameters.coefficients, n);
   }
 
   /**
-   * Detects geometric progressions
+   * Evaluates a linear recurrence at any offset with matrix exponentiation
+   * 
+   * The state [a_(j+k-1), ..., a_j] advances one step when multiplied by the
+   * companion matrix, so a_(j+m) takes O(k^3 log m) fraction operations.
+   * Negative offsets run the recurrence backward, which needs c_k ≠ 0.
+   * 
+   * @param {Fraction[]} window - k consecutive terms, oldest first
+   * @param {Fraction[]} coefficients - c_1..c_k in a_n = c_1*a_(n-1) + ... + c_k*a_(n-k)
+   * @param {number} offset - Position of the wanted term relative to window[0]
+   * @returns {Fraction} The term
    * @private
    */
-  detectGeometric(sequence) {
-    // Avoid division by zero
-    if (sequence.some(n => n === 0)) {
-      return { pattern: null };
+  recurrenceTerm(window, coefficients, offset) {
+    const order = coefficients.length;
+    if (offset >= 0 && offset < order) {
+      return window[offset];
     }
 
-    const ratios = [];
-    for (let i = 1; i < sequence.length; i++) {
-      ratios.push(sequence[i] / sequence[i - 1]);
+    const zero = new Fraction(0n);
+    const one = new Fraction(1n);
+
+    if (offset < 0) {
+      // a_(n-k) = (a_n - c_1*a_(n-1) - ... - c_(k-1)*a_(n-k+1)) / c_k
+      const last = coefficients[order - 1];
+      if (last.isZero()) {
+        throw new RangeError('This recurrence cannot be extended backward.');
+      }
+      const backward = coefficients.slice(0, -1).reverse().map(c => c.neg().div(last));
+      backward.push(one.div(last));
+      return this.recurrenceTerm(window.slice().reverse(), backward, order - 1 - offset);
     }
 
-    // Allow small floating-point variations
-    const firstRatio = ratios[0];
-    const tolerance = 0.0001;
-    const isGeometric = ratios.every(r => Math.abs(r - firstRatio) < tolerance);
+    const multiply = (a, b) => a.map(row =>
+      b[0].map((_, col) => row.reduce((sum, value, k) => sum.add(value.mul(b[k][col])), zero)));
 
-    if (isGeometric) {
-      return {
-        pattern: 'geometric',
-        confidence: 100,
-        commonRatio: firstRatio,
-        nextNumbers: this.predictGeometric(sequence, 5),
-        formula: `a_n = a_1 * r^(n-1), where r = ${firstRatio.toFixed(4)}`,
-        explanation: 'This is a geometric progression with constant ratio'
-      };
+    const companion = coefficients.map((_, row) =>
+      (row === 0 ? coefficients.slice() : coefficients.map((__, col) => (col === row - 1 ? one : zero))));
+
+    let power = offset - order + 1;
+    let result = companion.map((row, i) => row.map((_, j) => (i === j ? one : zero)));
+    let base = companion;
+    while (power > 0) {
+      if (power % 2 === 1) result = multiply(result, base);
+      power = Math.floor(power / 2);
+      if (power > 0) base = multiply(base, base);
     }
 
-    return { pattern: null };
+    // The first row of the power times the initial state gives the newest term
+    const state = window.slice().reverse();
+    return result[0].reduce((sum, value, k) => sum.add(value.mul(state[k])), zero);
   }
 
   /**
-   * Detects polynomial sequences (quadratic, cubic, etc.)
+   * Non-negative remainder, for indices that run backward
    * @private
    */
-  detectPolynomial(sequence) {
-    // Calculate successive differences until we find a pattern
-    let differences = [...sequence];
-    let level = 0;
-    const maxLevels = 5;
-
-    while (level < maxLevels) {
-      const nextDiffs = this.calculateDifferences(differences);
-      
-      if (nextDiffs.length === 0) break;
+  mod(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+  }
 
-      // Check if differences are constant at this level
-      if (nextDiffs.every(d => d === nextDiffs[0])) {
-        const degree = level + 1;
-        return {
-          pattern: 'polynomial',
-          degree: degree,
-          confidence: 95,
-          constantDifference: nextDiffs[0],
-          nextNumbers: this.predictPolynomial(sequence, level, nextDiffs[0], 5),
-          formula: `Polynomial of degree ${degree}`,
-          explanation: `This is a polynomial sequence of degree ${degree}`
-        };
-      }
+  /**
+   * Predicts next numbers for arithmetic progression
+   * @private
+   */
+  predictArithmetic(sequence, count, numeric = FloatArithmetic) {
+    const differences = this.calculateDifferences(sequence, numeric);
+    const difference = differences[0];
+    const predictions = [];
+    let last = sequence[sequence.length - 1];
 
-      differences = nextDiffs;
-      level++;
+    for (let i = 0; i < count; i++) {
+      last = numeric.add(last, difference);
+      predictions.push(numeric.output(numeric.clean(last)));
     }
 
-    return { pattern: null };
+    return predictions;
   }
 
   /**
-   * Detects Fibonacci-like sequences
+   * Predicts next numbers for geometric progression
    * @private
    */
-  detectFibonacci(sequence) {
-    if (sequence.length < 3) return { pattern: null };
-
-    // Check if each number is the sum of the previous two
-    let isFibonacci = true;
-    let matchCount = 0;
-    
-    for (let i = 2; i < sequence.length; i++) {
-      if (Math.abs(sequence[i] - (sequence[i - 1] + sequence[i - 2])) < 0.0001) {
-        matchCount++;
-      } else {
-        isFibonacci = false;
-        break;
-      }
-    }
+  predictGeometric(sequence, count, numeric = FloatArithmetic) {
+    const ratio = numeric.div(sequence[sequence.length - 1], sequence[sequence.length - 2]);
+    const predictions = [];
+    let last = sequence[sequence.length - 1];
 
-    // Allow if we have at least 2 matches (for min 3-element sequences)
-    if (matchCount >= sequence.length - 2) {
-      return {
-        pattern: 'fibonacci',
-        confidence: 100,
-        nextNumbers: this.predictFibonacci(sequence, 5),
-        formula: 'a_n = a_(n-1) + a_(n-2)',
-        explanation: 'This is a Fibonacci-like sequence where each term is the sum of the previous two'
-      };
+    for (let i = 0; i < count; i++) {
+      last = numeric.mul(last, ratio);
+      predictions.push(numeric.output(numeric.clean(last))); // Round to avoid floating point errors
     }
 
-    return { pattern: null };
+    return predictions;
   }
 
   /**
-   * Validates sequence input
+   * Predicts next numbers for polynomial sequences
    * @private
    */
-  validateSequence(sequence) {
-    if (!Array.isArray(sequence)) {
-      return {
-        isValid: false,
-        error: '❌ The echo is not a valid sequence array.'
-      };
-    }
+  predictPolynomial(sequence, coefficients, count, numeric = FloatArithmetic) {
+    const predictions = [];
 
-    if (sequence.length < 2) {
-      return {
-        isValid: false,
-        error: '❌ The echo is too faint - need at least 2 numbers.'
-      };
+    // Evaluate the closed form at the indices following the sequence
+    for (let p = 1; p <= count; p++) {
+      const value = this.evaluatePolynomial(coefficients, sequence.length + p);
+      predictions.push(numeric.output(numeric.clean(numeric.fromFraction(value))));
     }
 
-    if (!sequence.every(num => typeof num === 'number' && !isNaN(num) && isFinite(num))) {
-      return {
-        isValid: false,
-        error: '❌ The echo is distorted - all elements must be valid numbers.'
-      };
+    return predictions;
+  }
+
+  /**
+   * Predicts next numbers for Fibonacci sequences
+   * @private
+   */
+  predictFibonacci(sequence, count, numeric = FloatArithmetic) {
+    const predictions = [];
+    let a = sequence[sequence.length - 2];
+    let b = sequence[sequence.length - 1];
+
+    for (let i = 0; i < count; i++) {
+      const next = numeric.add(a, b);
+      predictions.push(numeric.output(numeric.clean(next)));
+      a = b;
+      b = next;
     }
 
-    return { isValid: true };
+    return predictions;
   }
 
   /**
-   * Calculates differences between consecutive elements
+   * Predicts next numbers for linear recurrences
+   * 
+   * Works on exact fractions and converts at the end so float mode does not
+   * accumulate rounding errors from fractional coefficients.
    * @private
    */
-  calculateDifferences(sequence) {
-    const differences = [];
-    for (let i = 1; i < sequence.length; i++) {
-      differences.push(sequence[i] - sequence[i - 1]);
+  predictLinearRecurrence(terms, coefficients, count, numeric = FloatArithmetic) {
+    const extended = terms.slice();
+    const predictions = [];
+
+    for (let p = 0; p < count; p++) {
+      let next = new Fraction(0n);
+      coefficients.forEach((coefficient, i) => {
+        next = next.add(coefficient.mul(extended[extended.length - 1 - i]));
+      });
+      extended.push(next);
+      predictions.push(numeric.output(numeric.clean(numeric.fromFraction(next))));
     }
-    return differences;
+
+    return predictions;
   }
 
   /**
-   * Predicts next numbers for arithmetic progression
+   * Predicts next numbers for shifted exponentials: each difference is the
+   * previous one times the base
    * @private
    */
-  predictArithmetic(sequence, count) {
-    const differences = this.calculateDifferences(sequence);
-    const difference = differences[0];
+  predictExponential(sequence, base, count, numeric = FloatArithmetic) {
     const predictions = [];
     let last = sequence[sequence.length - 1];
+    let difference = numeric.sub(last, sequence[sequence.length - 2]);
 
     for (let i = 0; i < count; i++) {
-      last += difference;
-      predictions.push(last);
+      difference = numeric.mul(difference, base);
+      last = numeric.add(last, difference);
+      predictions.push(numeric.output(numeric.clean(last)));
     }
 
     return predictions;
   }
 
   /**
-   * Predicts next numbers for geometric progression
+   * Predicts next numbers when the ratios a_(n+1)/a_n form an arithmetic
+   * progression starting at `start`
    * @private
    */
-  predictGeometric(sequence, count) {
-    const ratio = sequence[sequence.length - 1] / sequence[sequence.length - 2];
+  predictRatioProduct(sequence, start, step, count, numeric = FloatArithmetic) {
     const predictions = [];
     let last = sequence[sequence.length - 1];
+    let ratio = numeric.add(start, numeric.mul(step, numeric.from(sequence.length - 1)));
 
     for (let i = 0; i < count; i++) {
-      last *= ratio;
-      predictions.push(Math.round(last * 10000) / 10000); // Round to avoid floating point errors
+      last = numeric.mul(last, ratio);
+      ratio = numeric.add(ratio, step);
+      predictions.push(numeric.output(numeric.clean(last)));
     }
 
     return predictions;
   }
 
   /**
-   * Predicts next numbers for polynomial sequences
+   * Predicts next numbers by continuing a repeating cycle
    * @private
    */
-  predictPolynomial(sequence, level, constantDiff, count) {
+  predictPeriodic(sequence, period, count, numeric = FloatArithmetic) {
     const predictions = [];
-    
-    // Build the complete difference table
-    const diffTable = [sequence.slice()];
-    for (let i = 0; i <= level; i++) {
-      const diffs = this.calculateDifferences(diffTable[diffTable.length - 1]);
-      if (diffs.length === 0) break;
-      diffTable.push(diffs);
-    }
-
-    // Extend each row and predict next values
     for (let p = 0; p < count; p++) {
-      // At the deepest level, add the constant difference
-      if (diffTable[level] && diffTable[level].length > 0) {
-        diffTable[level].push(diffTable[level][diffTable[level].length - 1]);
-      } else {
-        diffTable[level].push(constantDiff);
-      }
+      predictions.push(numeric.output(sequence[(sequence.length + p) % period]));
+    }
+    return predictions;
+  }
 
-      // Work back up to get the next value
-      for (let i = level - 1; i >= 0; i--) {
-        const prevLast = diffTable[i][diffTable[i].length - 1];
-        const diffLast = diffTable[i + 1][diffTable[i + 1].length - 1];
-        diffTable[i].push(prevLast + diffLast);
-      }
+  /**
+   * Predicts next numbers by taking turns between interleaved components
+   * @private
+   */
+  predictInterleaved(length, components, count) {
+    const ways = components.length;
+    const used = new Array(ways).fill(0);
+    const predictions = [];
 
-      // The new value at level 0 is our prediction
-      const nextNum = diffTable[0][diffTable[0].length - 1];
-      predictions.push(nextNum);
+    for (let p = 0; p < count; p++) {
+      const strand = (length + p) % ways;
+      predictions.push(components[strand].nextNumbers[used[strand]++]);
     }
 
     return predictions;
   }
 
   /**
-   * Predicts next numbers for Fibonacci sequences
+   * Predicts next numbers by undoing a transform on the predictions of the
+   * transformed sequence
    * @private
    */
-  predictFibonacci(sequence, count) {
+  predictTransformed(transform, sequence, transformed, innerNext, numeric = FloatArithmetic) {
+    if (transform === 'log') {
+      return innerNext.map(value => (value === null ? null : numeric.clean(Math.exp(value))));
+    }
+
     const predictions = [];
-    let a = sequence[sequence.length - 2];
-    let b = sequence[sequence.length - 1];
+    let last = sequence[sequence.length - 1];
+    let previous = transformed[transformed.length - 1];
 
-    for (let i = 0; i < count; i++) {
-      const next = a + b;
-      predictions.push(next);
-      a = b;
-      b = next;
+    for (const value of innerNext) {
+      if (value === null) break;
+      const next = numeric.from(value);
+      if (transform === 'differences') {
+        last = numeric.add(last, next);
+      } else if (transform === 'ratios') {
+        last = numeric.mul(last, next);
+      } else {
+        last = numeric.sub(next, previous);
+        previous = next;
+      }
+      predictions.push(numeric.output(numeric.clean(last)));
     }
 
-    return predictions;
+    return predictions.length > 0 ? predictions : [null];
   }
 
   /**
@@ -372,69 +3649,380 @@ class SequenceAnalyzer {
     return [...this.history];
   }
 
+  /**
+   * Finds every catalog sequence that contains a sequence
+   * 
+   * Unlike analyze(), which only reports the best catalog match as one
+   * hypothesis, this lists all of them, simplest first.
+   * 
+   * @param {Array<number|bigint|string>} sequence - The sequence to look up
+   * @param {object} [options] - exact, plus limit (default 5)
+   * @returns {object} Result with the matching catalog entries
+   */
+  searchCatalog(sequence, options = {}) {
+    const { limit = 5, ...analysisOptions } = options;
+    const settings = { ...this.options, ...analysisOptions };
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new RangeError('limit must be a positive integer');
+    }
+
+    const numeric = this.numberSystem(sequence, settings);
+    const validation = this.validateSequence(sequence, numeric);
+    if (!validation.isValid) {
+      return { success: false, error: validation.error, sequence: sequence };
+    }
+    if (sequence.includes(null)) {
+      return { success: false, error: '❌ Catalog lookups need every term of the echo.', sequence: sequence };
+    }
+
+    const value = fraction => numeric.output(numeric.fromFraction(fraction));
+    const matches = this.catalog
+      ? this.catalog.search(sequence.map(term => numeric.toFraction(numeric.from(term))), { limit })
+      : [];
+
+    return {
+      success: true,
+      sequence: sequence.map(term => numeric.output(numeric.from(term))),
+      matches: matches.map(match => ({
+        id: match.id,
+        name: match.name,
+        start: match.start,
+        scale: value(match.scale),
+        offset: value(match.offset),
+        continuation: match.continuation.slice(0, 10).map(value)
+      }))
+    };
+  }
+
+  /**
+   * Adds custom entries to the catalog (see SequenceCatalog.add) and drops
+   * cached results that may no longer apply
+   * 
+   * @param {object[]} entries - { id, name, terms } objects
+   * @returns {number} Number of entries added
+   */
+  addCatalogEntries(entries) {
+    if (!this.catalog) {
+      throw new Error('This analyzer has no catalog');
+    }
+    const added = this.catalog.add(entries);
+    this.analysisCache.clear();
+    return added;
+  }
+
+  /**
+   * Searches the analysis history
+   * 
+   * With a history store this searches its whole audit trail, including
+   * analyses from earlier runs and before clear(); otherwise the in-memory
+   * history.
+   * 
+   * @param {object} [filters] - { pattern, from, to, prefix, limit }, see
+   *   filterHistory in HistoryStore.js
+   * @returns {object[]} Matching analyses, oldest first
+   */
+  queryHistory(filters = {}) {
+    return this.historyStore
+      ? this.historyStore.query(filters)
+      : filterHistory(this.history, filters);
+  }
+
   /**
    * Gets performance metrics
    */
   getMetrics() {
+    // Expired results still count towards the cache size until they are dropped
+    this.analysisCache.prune();
+
+    const detectors = {};
+    Object.entries(this.detectorMetrics).forEach(([name, metrics]) => {
+      detectors[name] = {
+        ...metrics,
+        averageTime: metrics.calls > 0 ? metrics.totalTime / metrics.calls : 0,
+        enabled: this.findDetector(name).enabled
+      };
+    });
+
     return {
       ...this.performanceMetrics,
-      cacheSize: this.analysisCache.size
+      cacheSize: this.analysisCache.size,
+      cacheBytes: this.analysisCache.bytes,
+      cacheEvictions: this.analysisCache.evictions,
+      cacheExpirations: this.analysisCache.expirations,
+      historySize: this.history.length,
+      detectors: detectors
     };
   }
 
   /**
    * Clears history and cache
+   * 
+   * A history store is append-only: it records the clear, so the next start
+   * loads an empty history, but queryHistory() still finds older analyses.
    */
   clear() {
     this.history = [];
+    if (this.historyStore) {
+      this.historyStore.clear();
+    }
     this.analysisCache.clear();
+    this.analysisCache.resetStats();
+    this.performanceMetrics = {
+      totalAnalyses: 0,
+      averageAnalysisTime: 0,
+      cacheHits: 0,
+      historyEvictions: 0,
+      historyStoreErrors: 0
+    };
+    Object.keys(this.detectorMetrics).forEach(name => {
+      this.detectorMetrics[name] = this.createDetectorMetrics();
+    });
+  }
+
+  /**
+   * Snapshot of the history, cache and metrics, e.g. to move an analyzer to
+   * another machine or to restore one in tests
+   * 
+   * The snapshot is plain JSON. Cache entries keep their expiry time, and
+   * only make sense to an analyzer with the same detectors and catalog.
+   * 
+   * @returns {object} { format, version, exportedAt, history, cache,
+   *   performanceMetrics, detectorMetrics }
+   */
+  exportState() {
+    const detectorMetrics = {};
+    Object.entries(this.detectorMetrics).forEach(([name, metrics]) => {
+      detectorMetrics[name] = { ...metrics };
+    });
+
+    return {
+      format: STATE_FORMAT,
+      version: STATE_VERSION,
+      exportedAt: new Date().toISOString(),
+      history: this.getHistory(),
+      cache: this.analysisCache.dump(),
+      performanceMetrics: { ...this.performanceMetrics },
+      detectorMetrics: detectorMetrics
+    };
+  }
+
+  /**
+   * Replaces the history, cache and metrics with a snapshot from exportState()
+   * 
+   * The snapshot is checked completely before anything changes. The history
+   * and cache keep to this analyzer's limits (the most recent analyses and
+   * most recently used results win), metrics of detectors this analyzer does
+   * not have are skipped, and a history store starts a new history holding
+   * the imported analyses.
+   * 
+   * @param {object} state - Snapshot from exportState()
+   * @returns {object} { historySize, cacheSize } after the import
+   * @throws {TypeError} When the snapshot is malformed
+   * @throws {RangeError} When the snapshot version is not supported
+   */
+  importState(state) {
+    if (!state || typeof state !== 'object' || state.format !== STATE_FORMAT) {
+      throw new TypeError(`Not an analyzer snapshot (expected format "${STATE_FORMAT}")`);
+    }
+    if (!Number.isInteger(state.version) || state.version < 1 || state.version > STATE_VERSION) {
+      throw new RangeError(`Unsupported snapshot version ${state.version} (this analyzer reads up to ${STATE_VERSION})`);
+    }
+
+    const { history, cache, performanceMetrics, detectorMetrics = {} } = state;
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isCount = value => typeof value === 'number' && value >= 0 && isFinite(value);
+    if (!Array.isArray(history) || !history.every(isObject)) {
+      throw new TypeError('Snapshot history must be an array of analysis results');
+    }
+    if (!Array.isArray(cache) || !cache.every(entry => isObject(entry) && typeof entry.key === 'string' &&
+        isObject(entry.value) && (entry.expiresAt === null || isCount(entry.expiresAt)))) {
+      throw new TypeError('Snapshot cache must be an array of { key, value, expiresAt } entries');
+    }
+    if (!isObject(performanceMetrics) || !Object.values(performanceMetrics).every(isCount)) {
+      throw new TypeError('Snapshot performanceMetrics must map names to non-negative numbers');
+    }
+    // lastError is the one counter that is a message (or null)
+    const isCounters = metrics => isObject(metrics) && Object.entries(metrics).every(([name, value]) =>
+      (name === 'lastError' ? value === null || typeof value === 'string' : isCount(value)));
+    if (!isObject(detectorMetrics) || !Object.values(detectorMetrics).every(isCounters)) {
+      throw new TypeError('Snapshot detectorMetrics must map detector names to their counters');
+    }
+
     this.performanceMetrics = {
       totalAnalyses: 0,
       averageAnalysisTime: 0,
-      cacheHits: 0
+      cacheHits: 0,
+      historyEvictions: 0,
+      historyStoreErrors: 0,
+      ...performanceMetrics
     };
+    Object.keys(this.detectorMetrics).forEach(name => {
+      this.detectorMetrics[name] = { ...this.createDetectorMetrics(), ...detectorMetrics[name] };
+    });
+
+    this.analysisCache.clear();
+    this.analysisCache.resetStats();
+    this.analysisCache.load(cache);
+
+    this.history = this.maxHistory > 0 ? history.slice(-this.maxHistory) : [];
+    if (this.historyStore) {
+      try {
+        this.historyStore.clear();
+        this.history.forEach(entry => this.historyStore.append(entry));
+      } catch (error) {
+        this.performanceMetrics.historyStoreErrors++;
+      }
+    }
+
+    return { historySize: this.history.length, cacheSize: this.analysisCache.size };
   }
 
   /**
-   * Compares two sequences and finds similarities
+   * Compares two sequences and scores how similar they are
+   * 
+   * The overall similarity (0-100) is a weighted average of:
+   * - pattern: both have the same recognized pattern
+   * - parameterDistance: relative distance between the pattern parameters
+   *   (only when the patterns match)
+   * - correlation: Pearson correlation of the overlapping terms
+   * - dtwDistance: dynamic time warping distance, relative to the size of
+   *   the terms, so out-of-step copies still score well
+   * - sharedPrefix: leading terms in common, relative to the shorter sequence
+   * 
+   * Each entry of the breakdown has the raw value, a score in [0, 1] and its
+   * weight. A metric that is undefined for the input (a score of null) is
+   * left out and the remaining weights are rescaled.
+   * 
+   * @param {Array} seq1 - First sequence
+   * @param {Array} seq2 - Second sequence
+   * @param {object} [options] - Same options as analyze(), plus:
+   * @param {object} [options.weights] - Overrides of SIMILARITY_WEIGHTS by metric name
+   * @returns {object} Both analyses, the similarity and its breakdown
    */
-  comparSequences(seq1, seq2) {
-    const analysis1 = this.analyze(seq1);
-    const analysis2 = this.analyze(seq2);
+  comparSequences(seq1, seq2, options = {}) {
+    const { weights = {}, ...analysisOptions } = options;
+    const analysis1 = this.analyze(seq1, analysisOptions);
+    const analysis2 = this.analyze(seq2, analysisOptions);
+
+    if (!analysis1.success || !analysis2.success) {
+      const failed = analysis1.success ? analysis2 : analysis1;
+      return {
+        success: false,
+        error: failed.error,
+        sequence1: analysis1,
+        sequence2: analysis2
+      };
+    }
+
+    const { similarity, breakdown } = this.calculateSimilarity(analysis1, analysis2, { ...SIMILARITY_WEIGHTS, ...weights });
 
     return {
+      success: true,
       sequence1: analysis1,
       sequence2: analysis2,
       samePattern: analysis1.pattern === analysis2.pattern,
-      similarity: this.calculateSimilarity(analysis1, analysis2)
+      similarity: similarity,
+      breakdown: breakdown
     };
   }
 
   /**
-   * Calculates similarity between two analysis results
+   * Computes every similarity metric and the weighted overall score
    * @private
    */
-  calculateSimilarity(analysis1, analysis2) {
-    if (analysis1.pattern !== analysis2.pattern) {
-      return 0;
-    }
+  calculateSimilarity(analysis1, analysis2, weights = SIMILARITY_WEIGHTS) {
+    const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+    const terms = analysis => (analysis.filledSequence || analysis.sequence)
+      .filter(value => value !== null)
+      .map(value => this.toNumber(value));
+    const xs = terms(analysis1);
+    const ys = terms(analysis2);
 
-    let similarity = 50; // Base similarity for same pattern
+    const samePattern = analysis1.pattern === analysis2.pattern && analysis1.pattern !== 'unknown';
 
-    // Bonus for similar parameters
-    if (analysis1.commonDifference !== undefined && 
-        analysis2.commonDifference !== undefined &&
-        analysis1.commonDifference === analysis2.commonDifference) {
-      similarity += 25;
+    // Parameters only compare within one pattern; a different pattern shares none
+    const parameters1 = this.parameterVector(analysis1);
+    const parameters2 = this.parameterVector(analysis2);
+    let distance = null;
+    let parameterScore = 0;
+    if (samePattern) {
+      distance = parameters1 && parameters2 ? parameterDistance(parameters1, parameters2) : null;
+      parameterScore = distance === null ? null : 1 - distance;
     }
 
-    if (analysis1.commonRatio !== undefined && 
-        analysis2.commonRatio !== undefined &&
-        Math.abs(analysis1.commonRatio - analysis2.commonRatio) < 0.01) {
-      similarity += 25;
+    const correlation = pearsonCorrelation(xs, ys);
+
+    // DTW cost per aligned term, relative to the mean magnitude of the terms
+    const dtw = dtwDistance(xs, ys);
+    const magnitude = [...xs, ...ys].reduce((sum, value) => sum + Math.abs(value), 0) / (xs.length + ys.length);
+    const relativeDtw = dtw === 0 ? 0 : dtw / ((xs.length + ys.length) * (magnitude || 1));
+
+    const prefix = sharedPrefixLength(analysis1.sequence, analysis2.sequence);
+
+    const breakdown = {
+      pattern: { value: samePattern, score: samePattern ? 1 : 0 },
+      parameterDistance: { value: round(distance), score: round(parameterScore) },
+      correlation: { value: round(correlation), score: correlation === null ? null : round((correlation + 1) / 2) },
+      dtwDistance: { value: round(dtw), score: round(1 / (1 + relativeDtw)) },
+      sharedPrefix: {
+        value: prefix,
+        score: round(prefix / Math.min(analysis1.sequence.length, analysis2.sequence.length))
+      }
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    Object.keys(breakdown).forEach(name => {
+      const weight = weights[name] || 0;
+      breakdown[name].weight = weight;
+      if (breakdown[name].score === null) return;
+      weighted += weight * breakdown[name].score;
+      totalWeight += weight;
+    });
+
+    return {
+      similarity: totalWeight === 0 ? 0 : Math.round((weighted / totalWeight) * 1000) / 10,
+      breakdown: breakdown
+    };
+  }
+
+  /**
+   * Parameters of a recognized pattern as doubles in a fixed order, or null
+   * when the pattern has no comparable parameters (interleaved, custom, unknown)
+   * @private
+   */
+  parameterVector(analysis) {
+    const values = list => list.map(value => this.toNumber(value));
+    const first = (analysis.filledSequence || analysis.sequence)[0];
+
+    switch (analysis.pattern) {
+      case 'arithmetic':
+        return values([first, analysis.commonDifference]);
+      case 'geometric':
+        return values([first, analysis.commonRatio]);
+      case 'polynomial':
+        return values(analysis.coefficients);
+      case 'fibonacci':
+        return values((analysis.filledSequence || analysis.sequence).slice(0, 2));
+      case 'linear-recurrence':
+        return values([...analysis.coefficients, ...analysis.initialTerms]);
+      case 'periodic':
+        return values(analysis.cycle);
+      case 'regression':
+        return analysis.parameters.coefficients
+          ? analysis.parameters.coefficients.slice()
+          : [analysis.parameters.scale, analysis.parameters.base];
+      default:
+        return null;
     }
+  }
 
-    return Math.min(similarity, 100);
+  /**
+   * Converts a reported value (number or exact string) to a double
+   * @private
+   */
+  toNumber(value) {
+    return typeof value === 'number' ? value : Fraction.from(value).toNumber();
   }
 }
 
@@ -0,0 +1,294 @@
+/**
+ * SequenceCatalog - Offline catalog of well-known integer sequences
+ *
+ * Holds named sequences and finds the ones a sequence is part of, without
+ * any network access. The bundled catalog.json lists a few hundred entries
+ * from the OEIS (primes, squares, triangular, Catalan and Bell numbers,
+ * factorials, powers of two, ...), and custom entries can be added from
+ * arrays or JSON files in the same format:
+ *
+ *   [{ "id": "A000040", "name": "Prime numbers", "terms": [2, 3, 5, 7, 11] }]
+ *
+ * Terms are integers: numbers, or strings for values beyond 2^53.
+ *
+ * A match may start at any listed term and may be scaled and shifted, so
+ * a_n = scale * X(start + n - 1) + offset, where X(k) is the kth listed term.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Fraction = require('./Fraction');
+
+const BUNDLED_FILE = path.join(__dirname, 'catalog.json');
+
+// Entries need enough terms to be told apart
+const MIN_ENTRY_TERMS = 4;
+
+// Terms beyond the parameters of a match that must confirm it
+const MIN_CONFIRMING_TERMS = 2;
+
+// Float pre-check before the exact comparison
+const FLOAT_TOLERANCE = 1e-9;
+
+/**
+ * @private
+ */
+function close(a, b) {
+  return Math.abs(a - b) <= FLOAT_TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+class SequenceCatalog {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.bundled=true] - Start with the bundled entries
+   * @param {object[]} [options.entries] - Extra entries
+   * @param {string[]} [options.files] - JSON files with extra entries
+   */
+  constructor({ bundled = true, entries = [], files = [] } = {}) {
+    this.entries = [];
+    this.byId = new Map();
+    this.longestEntry = 0;
+
+    if (bundled) {
+      this.loadFile(BUNDLED_FILE);
+    }
+    files.forEach(file => this.loadFile(file));
+    this.add(entries);
+  }
+
+  /**
+   * Number of entries in the catalog
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Adds entries to the catalog
+   *
+   * @param {object[]} entries - { id, name, terms } objects
+   * @returns {number} Number of entries added
+   * @throws {TypeError} When an entry is malformed
+   * @throws {Error} When an id is already in the catalog
+   */
+  add(entries) {
+    if (!Array.isArray(entries)) {
+      throw new TypeError('Catalog entries must be an array');
+    }
+
+    // Validate everything first so a bad entry adds nothing
+    const parsed = entries.map(entry => this.parseEntry(entry));
+    const ids = new Set();
+    parsed.forEach(({ id }) => {
+      if (this.byId.has(id) || ids.has(id)) {
+        throw new Error(`Catalog entry "${id}" is already registered`);
+      }
+      ids.add(id);
+    });
+
+    parsed.forEach(entry => {
+      this.entries.push(entry);
+      this.byId.set(entry.id, entry);
+      this.longestEntry = Math.max(this.longestEntry, entry.terms.length);
+    });
+    return parsed.length;
+  }
+
+  /**
+   * Adds the entries of a JSON file (an array of entries)
+   *
+   * @param {string} filePath - Path of the JSON file
+   * @returns {number} Number of entries added
+   */
+  loadFile(filePath) {
+    let entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read catalog file ${filePath}: ${error.message}`);
+    }
+    return this.add(entries);
+  }
+
+  /**
+   * Looks up an entry by id
+   *
+   * @returns {object|undefined} { id, name, terms } with terms as Fractions
+   */
+  get(id) {
+    return this.byId.get(id);
+  }
+
+  /**
+   * Lists every entry in its JSON form, e.g. to rebuild the catalog in a worker
+   */
+  getEntries() {
+    return this.entries.map(({ id, name, source }) => ({ id, name, terms: source }));
+  }
+
+  /**
+   * Finds the entries a sequence is part of
+   *
+   * Every start position of every entry is tried, first as is, then scaled,
+   * then scaled and shifted. Each entry reports its simplest match (fewest
+   * parameters, then earliest start). A match must be confirmed by at least
+   * two terms beyond its parameters, and constant sequences never match.
+   * Gaps (null) match any listed term and do not count as confirmation.
+   *
+   * @param {Array<Fraction|number|bigint|string|null>} values - The sequence
+   * @param {object} [options]
+   * @param {number} [options.limit=5] - Maximum matches to return
+   * @returns {object[]} Matches, simplest first: { id, name, start, scale,
+   *   offset, parameterCount, continuation } with Fraction scale, offset and
+   *   continuation (the listed terms after the match, scaled and shifted)
+   */
+  search(values, { limit = 5 } = {}) {
+    // No entry can contain a sequence longer than itself
+    if (values.length > this.longestEntry) {
+      return [];
+    }
+
+    const exact = values.map(value => (value === null ? null : Fraction.from(value)));
+    const floats = exact.map(value => (value === null ? null : value.toNumber()));
+    const known = exact.filter(value => value !== null);
+
+    if (known.length < MIN_CONFIRMING_TERMS + 2 || known.every(value => value.equals(known[0]))) {
+      return [];
+    }
+
+    const length = exact.length;
+
+    const matches = [];
+    this.entries.forEach(entry => {
+      let best = null;
+      for (let start = 0; start + length <= entry.terms.length; start++) {
+        const match = this.matchAt(entry, start, exact, floats);
+        if (match && (!best || match.parameterCount < best.parameterCount)) {
+          best = match;
+          if (best.parameterCount === 2) break;
+        }
+      }
+      if (best) matches.push(best);
+    });
+
+    // Stable sort keeps catalog order among equally simple matches
+    return matches
+      .sort((a, b) => a.parameterCount - b.parameterCount)
+      .slice(0, limit);
+  }
+
+  /**
+   * Tries to match the sequence at one start position of an entry
+   * @private
+   */
+  matchAt(entry, start, exact, floats) {
+    const length = exact.length;
+    const listed = entry.floats;
+    const first = floats.findIndex(value => value !== null);
+    const knownCount = floats.filter(value => value !== null).length;
+
+    // Plain loops with an early exit: most start positions fail on the first terms
+    const fits = (scale, offset) => {
+      for (let i = 0; i < length; i++) {
+        if (floats[i] !== null && !close(floats[i], scale * listed[start + i] + offset)) return false;
+      }
+      return true;
+    };
+
+    let scale = 1;
+    let offset = 0;
+    let parameterCount = 2;
+
+    if (!fits(1, 0)) {
+      // Scaled: a_n = c * X(k)
+      let pivot = start;
+      while (pivot < start + length && (listed[pivot] === 0 || floats[pivot - start] === null)) pivot++;
+      if (pivot === start + length) return null;
+      scale = floats[pivot - start] / listed[pivot];
+      parameterCount = 3;
+
+      if (scale === 0 || !fits(scale, 0)) {
+        // Scaled and shifted: a_n = c * X(k) + d
+        const anchor = start + first;
+        let other = anchor + 1;
+        while (other < start + length && (listed[other] === listed[anchor] || floats[other - start] === null)) other++;
+        if (other === start + length) return null;
+        scale = (floats[other - start] - floats[first]) / (listed[other] - listed[anchor]);
+        offset = floats[first] - scale * listed[anchor];
+        parameterCount = 4;
+        if (scale === 0 || !fits(scale, offset)) return null;
+      }
+    }
+    if (knownCount < parameterCount + MIN_CONFIRMING_TERMS) return null;
+
+    // Confirm with exact arithmetic, solving for the parameters again
+    const terms = entry.terms.slice(start, start + length);
+    let exactScale = new Fraction(1n);
+    let exactOffset = new Fraction(0n);
+    if (parameterCount > 2) {
+      const pivot = terms.findIndex((value, i) => exact[i] !== null && !value.equals(terms[first]));
+      if (parameterCount === 3) {
+        const nonZero = terms.findIndex((value, i) => exact[i] !== null && !value.isZero());
+        exactScale = exact[nonZero].div(terms[nonZero]);
+      } else {
+        exactScale = exact[pivot].sub(exact[first]).div(terms[pivot].sub(terms[first]));
+        exactOffset = exact[first].sub(exactScale.mul(terms[first]));
+      }
+    }
+    const value = term => exactScale.mul(term).add(exactOffset);
+    if (!terms.every((term, i) => exact[i] === null || value(term).equals(exact[i]))) return null;
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      start: start + 1,
+      scale: exactScale,
+      offset: exactOffset,
+      parameterCount: parameterCount,
+      continuation: entry.terms.slice(start + length).map(value)
+    };
+  }
+
+  /**
+   * Validates an entry and converts its terms
+   * @private
+   */
+  parseEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+      throw new TypeError('Catalog entries must be objects');
+    }
+    const { id, name, terms } = entry;
+    if (typeof id !== 'string' || id.trim() === '') {
+      throw new TypeError('Catalog entry id must be a non-empty string');
+    }
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new TypeError(`Catalog entry "${id}" needs a name`);
+    }
+    if (!Array.isArray(terms) || terms.length < MIN_ENTRY_TERMS) {
+      throw new TypeError(`Catalog entry "${id}" needs at least ${MIN_ENTRY_TERMS} terms`);
+    }
+
+    const parsed = terms.map(term => {
+      let value;
+      try {
+        value = (typeof term === 'number' || typeof term === 'string') ? Fraction.from(term) : null;
+      } catch (error) {
+        value = null;
+      }
+      if (!value || !value.isInteger()) {
+        throw new TypeError(`Catalog entry "${id}" has a term that is not an integer: ${term}`);
+      }
+      return value;
+    });
+
+    return {
+      id: id,
+      name: name,
+      source: terms,
+      terms: parsed,
+      floats: parsed.map(value => value.toNumber())
+    };
+  }
+}
+
+module.exports = SequenceCatalog;
@@ -0,0 +1,321 @@
+/**
+ * SequenceGenerator - Random sequences of a chosen family and difficulty
+ *
+ * The inverse of SequenceAnalyzer.analyze(): picks the parameters of a
+ * pattern and writes out its terms. Used by PuzzleGame for training
+ * sessions. Difficulty widens the parameter ranges and moves on to
+ * families with more parameters:
+ *
+ * - easy:   arithmetic, geometric, periodic
+ * - medium: polynomial (quadratic), Fibonacci-like, power, interleaved
+ * - hard:   polynomial (cubic), factorial, linear recurrence, and harder
+ *           versions of the other families
+ *
+ * Every family generates integers only, so answers can be typed exactly.
+ *
+ * @class SequenceGenerator
+ */
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Terms shown per difficulty, unless a family needs more to be recognizable
+const DEFAULT_LENGTHS = { easy: 6, medium: 6, hard: 7 };
+
+// Shortest sequence anyone can be asked to continue
+const MIN_LENGTH = 4;
+
+// Terms generated beyond the shown ones
+const PREDICTIONS = 5;
+
+/**
+ * Small seeded PRNG (mulberry32), so a seed always gives the same puzzles
+ * @private
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Term writer for a formula for a_n: count => [a_1, ..., a_count]
+ * @private
+ */
+function closed(formula) {
+  return count => Array.from({ length: count }, (_, i) => formula(i + 1));
+}
+
+/**
+ * Term writer for initial terms and a rule for the next one
+ * @private
+ */
+function recurrence(initial, next) {
+  return count => {
+    const terms = initial.slice(0, count);
+    while (terms.length < count) {
+      terms.push(next(terms));
+    }
+    return terms;
+  };
+}
+
+function factorial(n) {
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+/**
+ * Families, the difficulties they are offered at, and how they pick their
+ * parameters. Each generator gets the difficulty and the random helpers and
+ * returns { parameters, terms, minLength? }, where terms(count) writes out
+ * the first count terms.
+ * @private
+ */
+const FAMILIES = {
+  arithmetic: {
+    difficulties: ['easy', 'medium', 'hard'],
+    generate(difficulty, { int, nonZero }) {
+      const range = { easy: [1, 10, 5], medium: [-20, 20, 12], hard: [-100, 100, 40] }[difficulty];
+      const first = int(range[0], range[1]);
+      const difference = difficulty === 'easy' ? int(1, range[2]) : nonZero(range[2]);
+      return {
+        terms: closed(n => first + (n - 1) * difference),
+        parameters: { first, difference }
+      };
+    }
+  },
+
+  geometric: {
+    difficulties: ['easy', 'medium', 'hard'],
+    generate(difficulty, { int, pick }) {
+      const first = int(1, { easy: 5, medium: 9, hard: 12 }[difficulty]) * (difficulty === 'hard' ? pick([1, -1]) : 1);
+      const ratio = pick({ easy: [2, 3], medium: [2, 3, 4, 5, -2], hard: [-2, -3, 3, 4, 5, 6] }[difficulty]);
+      return {
+        terms: closed(n => first * ratio ** (n - 1)),
+        parameters: { first, ratio }
+      };
+    }
+  },
+
+  periodic: {
+    difficulties: ['easy', 'medium'],
+    generate(difficulty, { int }) {
+      const period = difficulty === 'easy' ? int(2, 3) : int(3, 4);
+      const cycle = [];
+      while (cycle.length < period) {
+        // Neighbours differ, so the cycle is never shorter than intended
+        const value = int(0, 9);
+        if (value !== cycle[cycle.length - 1] && !(cycle.length === period - 1 && value === cycle[0])) {
+          cycle.push(value);
+        }
+      }
+      return {
+        terms: closed(n => cycle[(n - 1) % period]),
+        parameters: { cycle },
+        minLength: 2 * period + 1
+      };
+    }
+  },
+
+  polynomial: {
+    difficulties: ['medium', 'hard'],
+    generate(difficulty, { int, nonZero }) {
+      const degree = difficulty === 'medium' ? 2 : 3;
+      // coefficients[k] multiplies n^k
+      const coefficients = Array.from({ length: degree }, () => int(-5, 5));
+      coefficients.push(difficulty === 'medium' ? nonZero(3) : nonZero(2));
+      return {
+        terms: closed(n => coefficients.reduce((sum, c, k) => sum + c * n ** k, 0)),
+        parameters: { coefficients },
+        minLength: degree + 3
+      };
+    }
+  },
+
+  fibonacci: {
+    difficulties: ['medium', 'hard'],
+    generate(difficulty, { int }) {
+      let initial;
+      do {
+        initial = difficulty === 'medium' ? [int(1, 5), int(1, 5)] : [int(-10, 10), int(-10, 10)];
+      } while (initial[0] === 0 && initial[1] === 0);
+      return {
+        terms: recurrence(initial, terms => terms[terms.length - 1] + terms[terms.length - 2]),
+        parameters: { initial },
+        minLength: 6
+      };
+    }
+  },
+
+  power: {
+    difficulties: ['medium', 'hard'],
+    generate(difficulty, { int, nonZero }) {
+      const exponent = difficulty === 'medium' ? int(2, 3) : int(3, 4);
+      const coefficient = difficulty === 'medium' ? 1 : nonZero(3);
+      const offset = difficulty === 'medium' ? int(0, 5) : int(-10, 10);
+      return {
+        terms: closed(n => coefficient * n ** exponent + offset),
+        parameters: { coefficient, exponent, offset }
+      };
+    }
+  },
+
+  interleaved: {
+    difficulties: ['medium', 'hard'],
+    generate(difficulty, { int, nonZero, pick }) {
+      const strand = () => ({ first: int(1, 20), difference: nonZero(difficulty === 'medium' ? 5 : 12) });
+      const strands = [strand(), strand()];
+      // Hard puzzles weave a doubling strand in
+      if (difficulty === 'hard') strands[1] = { first: int(1, 5), ratio: pick([2, 3]) };
+
+      const term = (s, k) => (s.ratio ? s.first * s.ratio ** k : s.first + k * s.difference);
+      return {
+        terms: closed(n => term(strands[(n - 1) % 2], Math.floor((n - 1) / 2))),
+        parameters: { strands },
+        minLength: 8
+      };
+    }
+  },
+
+  factorial: {
+    difficulties: ['hard'],
+    generate(difficulty, { int }) {
+      const shift = int(0, 2);
+      const coefficient = int(1, 3);
+      return {
+        terms: closed(n => coefficient * factorial(n + shift)),
+        parameters: { coefficient, shift },
+        minLength: 6
+      };
+    }
+  },
+
+  'linear-recurrence': {
+    difficulties: ['hard'],
+    generate(difficulty, { int, nonZero }) {
+      // Skip Fibonacci and a_n = q * a_(n-2), which are other families
+      let coefficients;
+      do {
+        coefficients = [int(-3, 3), nonZero(3)];
+      } while ((coefficients[0] === 1 && coefficients[1] === 1) || coefficients[0] === 0);
+      const initial = [int(0, 5), int(1, 5)];
+      return {
+        terms: recurrence(initial, terms =>
+          coefficients[0] * terms[terms.length - 1] + coefficients[1] * terms[terms.length - 2]),
+        parameters: { coefficients, initial },
+        minLength: 7
+      };
+    }
+  }
+};
+
+class SequenceGenerator {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.seed] - Seed for reproducible sequences
+   *   (default: Math.random)
+   * @param {Function} [options.random] - Source of numbers in [0, 1); wins over seed
+   */
+  constructor({ seed, random } = {}) {
+    if (random !== undefined && typeof random !== 'function') {
+      throw new TypeError('random must be a function');
+    }
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      throw new TypeError('seed must be an integer');
+    }
+    this.random = random || (seed === undefined ? Math.random : seededRandom(seed));
+  }
+
+  /**
+   * Families that can be generated, simplest first
+   */
+  static get FAMILIES() {
+    return Object.keys(FAMILIES);
+  }
+
+  static get DIFFICULTIES() {
+    return DIFFICULTIES.slice();
+  }
+
+  /**
+   * Families offered at a difficulty
+   *
+   * @param {string} difficulty - easy, medium or hard
+   * @returns {string[]} Family names
+   */
+  static familiesFor(difficulty) {
+    return Object.keys(FAMILIES).filter(name => FAMILIES[name].difficulties.includes(difficulty));
+  }
+
+  /**
+   * Generates a sequence
+   *
+   * @param {object} [options]
+   * @param {string} [options.family] - Family to generate (default: a random
+   *   family offered at the difficulty)
+   * @param {string} [options.difficulty='medium'] - easy, medium or hard
+   * @param {number} [options.length] - Terms to show (default depends on the
+   *   difficulty; raised to what the family needs to be recognizable)
+   * @returns {object} { family, difficulty, sequence, nextNumbers, parameters },
+   *   where nextNumbers holds the 5 terms that follow
+   * @throws {RangeError} For an unknown family or difficulty, a family not
+   *   offered at the difficulty, or a length below 4
+   */
+  generate({ family, difficulty = 'medium', length } = {}) {
+    if (!DIFFICULTIES.includes(difficulty)) {
+      throw new RangeError(`Unknown difficulty "${difficulty}" - use ${DIFFICULTIES.join(', ')}`);
+    }
+    if (family !== undefined && !FAMILIES[family]) {
+      throw new RangeError(`Unknown family "${family}" - use ${Object.keys(FAMILIES).join(', ')}`);
+    }
+    if (family !== undefined && !FAMILIES[family].difficulties.includes(difficulty)) {
+      throw new RangeError(`The ${family} family is not offered at ${difficulty} difficulty - use ` +
+        FAMILIES[family].difficulties.join(', '));
+    }
+    if (length !== undefined && !(Number.isInteger(length) && length >= MIN_LENGTH)) {
+      throw new RangeError(`length must be an integer of at least ${MIN_LENGTH}`);
+    }
+
+    const name = family || this.pick(SequenceGenerator.familiesFor(difficulty));
+    const helpers = {
+      int: (min, max) => this.int(min, max),
+      nonZero: limit => this.int(1, limit) * this.pick([1, -1]),
+      pick: values => this.pick(values)
+    };
+
+    const { parameters, terms: write, minLength = 0 } = FAMILIES[name].generate(difficulty, helpers);
+    const shown = Math.max(length || DEFAULT_LENGTHS[difficulty], minLength);
+    const terms = write(shown + PREDICTIONS);
+
+    return {
+      family: name,
+      difficulty: difficulty,
+      sequence: terms.slice(0, shown),
+      nextNumbers: terms.slice(shown),
+      parameters: parameters
+    };
+  }
+
+  /**
+   * Random integer in [min, max]
+   * @private
+   */
+  int(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  /**
+   * @private
+   */
+  pick(values) {
+    return values[Math.floor(this.random() * values.length)];
+  }
+}
+
+module.exports = SequenceGenerator;
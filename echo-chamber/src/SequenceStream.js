@@ -0,0 +1,300 @@
+/**
+ * SequenceStream - Incremental analysis of values arriving one at a time
+ *
+ * Built for monitoring counters. The stream splits its values into regimes,
+ * each following one pattern:
+ *
+ * - While a regime is unsettled, every new value re-analyzes its recent
+ *   values until a pattern is confirmed: the top hypothesis is tested by at
+ *   least `confirmations` terms beyond its parameters and is not ambiguous
+ * - Once confirmed, each new value is only checked against the pattern's
+ *   next term (through the detector's nth-term function), so a long regime
+ *   costs the same per value as a short one
+ * - A value that does not match is a change point: it starts a new regime,
+ *   which is analyzed from scratch again
+ *
+ * Events:
+ * - 'regime'      A regime's pattern is confirmed (including the first one)
+ * - 'break'       A value broke the confirmed pattern
+ * - 'changepoint' The regime after a break is confirmed; carries the break
+ *                 and both the previous and the new regime
+ *
+ * @class SequenceStream
+ */
+
+const { EventEmitter } = require('events');
+const SequenceAnalyzer = require('./SequenceAnalyzer');
+const Fraction = require('./Fraction');
+const { getArithmetic, largestMagnitude } = require('./Arithmetic');
+
+class SequenceStream extends EventEmitter {
+  /**
+   * @param {object} [options] - Stream settings; anything else is passed to analyze()
+   * @param {SequenceAnalyzer} [options.analyzer] - Analyzer to use (a new one by default)
+   * @param {number} [options.confirmations=2] - Supporting terms needed to confirm a pattern
+   * @param {number|object} [options.tolerance] - Float comparison policy for
+   *   detecting and matching (default: the analyzer's; exact mode always
+   *   compares exactly)
+   * @param {number} [options.window=50] - Most values re-analyzed while a
+   *   regime is unsettled; older ones drop out of the regime
+   */
+  constructor(options = {}) {
+    super();
+
+    const { analyzer = new SequenceAnalyzer(), confirmations = 2, window = 50, ...settings } = options;
+    if (!Number.isInteger(confirmations) || confirmations < 0) {
+      throw new RangeError('confirmations must be a non-negative integer');
+    }
+    if (!Number.isInteger(window) || window < 2) {
+      throw new RangeError('window must be an integer of at least 2');
+    }
+
+    this.analyzer = analyzer;
+    this.confirmations = confirmations;
+    this.window = window;
+    this.settings = { ...analyzer.options, ...settings, explain: false, record: false };
+    this.numeric = getArithmetic(this.settings.exact, { tolerance: this.settings.tolerance });
+    this.reset();
+  }
+
+  /**
+   * Forgets every value and regime
+   */
+  reset() {
+    this.length = 0;
+    this.regimes = [];
+    this.changePoints = [];
+    this.pendingBreak = null;
+    this.regime = this.createRegime(0);
+  }
+
+  /**
+   * Adds the next value of the stream
+   *
+   * @param {number|bigint|string} value - The value (bigint and string in exact mode)
+   * @returns {object} Result with the value's index and status:
+   *   'pending' (no confirmed pattern yet), 'confirmed' (this value confirmed
+   *   one), 'match' (it follows the confirmed pattern) or 'break' (it does not)
+   */
+  push(value) {
+    if (value === null || !this.numeric.isValid(value)) {
+      return {
+        success: false,
+        error: '❌ The echo is distorted - stream values must be valid numbers.',
+        value: value
+      };
+    }
+
+    const index = this.length++;
+    const regime = this.regime;
+
+    if (!regime.analysis) {
+      return this.extendPending(index, value);
+    }
+
+    let expected = null;
+    try {
+      expected = this.expectedTerm(regime);
+    } catch (error) {
+      // Treated like a mismatch: the pattern can no longer be followed
+    }
+
+    if (expected !== null && this.matches(value, expected)) {
+      regime.length++;
+      return this.result(index, value, 'match', expected);
+    }
+
+    return this.breakRegime(index, value, expected);
+  }
+
+  /**
+   * The current regime and every closed one, oldest first
+   *
+   * @returns {object[]} Regime summaries
+   */
+  getRegimes() {
+    return [...this.regimes, this.summarize(this.regime)];
+  }
+
+  /**
+   * Current state of the stream
+   *
+   * @returns {object} Values seen, current regime and change point indexes
+   */
+  getState() {
+    return {
+      length: this.length,
+      regime: this.summarize(this.regime),
+      changePoints: this.changePoints.slice(),
+      regimes: this.getRegimes()
+    };
+  }
+
+  /**
+   * @private
+   */
+  createRegime(start) {
+    return {
+      start: start,
+      length: 0,
+      recent: [],
+      values: null,
+      analysis: null,
+      provisional: null,
+      detector: null
+    };
+  }
+
+  /**
+   * Adds a value to an unsettled regime and re-analyzes it
+   * @private
+   */
+  extendPending(index, value) {
+    const regime = this.regime;
+    regime.recent.push(value);
+    regime.length++;
+
+    // Without a pattern in sight, keep only the latest values
+    if (regime.recent.length > this.window) {
+      regime.recent.shift();
+      regime.start++;
+      regime.length--;
+    }
+
+    if (regime.recent.length < 2) {
+      return this.result(index, value, 'pending');
+    }
+
+    const analysis = this.analyzer.analyze(regime.recent, this.settings);
+    regime.provisional = analysis.success ? analysis : null;
+
+    const detector = analysis.detector && this.analyzer.findDetector(analysis.detector);
+    const confirmed = detector && detector.term &&
+      analysis.supportingTerms >= this.confirmations &&
+      !analysis.ambiguity.ambiguous;
+
+    if (!confirmed) {
+      return this.result(index, value, 'pending');
+    }
+
+    regime.analysis = analysis;
+    regime.detector = detector;
+    regime.values = regime.recent.map(term => this.numeric.from(term));
+    regime.recent = [];
+    this.announce(regime);
+
+    return this.result(index, value, 'confirmed');
+  }
+
+  /**
+   * Closes the current regime and starts a new one at the breaking value
+   * @private
+   */
+  breakRegime(index, value, expected) {
+    const previous = this.summarize(this.regime);
+    this.regimes.push(previous);
+    this.changePoints.push(index);
+
+    this.pendingBreak = {
+      index: index,
+      value: value,
+      expected: expected === null ? null : this.output(expected),
+      previous: previous
+    };
+    this.emit('break', this.pendingBreak);
+
+    this.regime = this.createRegime(index);
+    this.extendPending(index, value);
+
+    return this.result(index, value, 'break', expected);
+  }
+
+  /**
+   * Emits the events for a newly confirmed regime
+   * @private
+   */
+  announce(regime) {
+    const summary = this.summarize(regime);
+    this.emit('regime', summary);
+
+    if (this.pendingBreak) {
+      this.emit('changepoint', { ...this.pendingBreak, regime: summary });
+      this.pendingBreak = null;
+    }
+  }
+
+  /**
+   * Next term of a confirmed regime, from the values it was confirmed with
+   * @private
+   */
+  expectedTerm(regime) {
+    const context = { numeric: this.numeric, settings: this.settings };
+    const raw = regime.detector.term(regime.values, regime.analysis, regime.length + 1, context);
+    if (this.numeric.exact) {
+      return this.numeric.from(raw);
+    }
+    return typeof raw === 'number' ? raw : Fraction.from(raw).toNumber();
+  }
+
+  /**
+   * Whether a value equals the expected term (within tolerance for floats,
+   * with the absolute part scaled to small values as in analyze())
+   * @private
+   */
+  matches(value, expected) {
+    const numeric = this.numeric.exact
+      ? this.numeric
+      : getArithmetic(false, { tolerance: this.settings.tolerance, magnitude: largestMagnitude([value, expected]) });
+    return numeric.equals(numeric.from(value), expected);
+  }
+
+  /**
+   * @private
+   */
+  output(value) {
+    return this.numeric.exact ? this.numeric.output(value) : this.numeric.clean(value);
+  }
+
+  /**
+   * Public view of a regime
+   * @private
+   */
+  summarize(regime) {
+    const analysis = regime.analysis || regime.provisional || null;
+    const summary = {
+      start: regime.start,
+      end: regime.length > 0 ? regime.start + regime.length - 1 : null,
+      length: regime.length,
+      confirmed: Boolean(regime.analysis),
+      pattern: analysis ? analysis.pattern : 'unknown',
+      formula: analysis ? analysis.formula : null,
+      confidence: analysis ? analysis.confidence : 0
+    };
+
+    if (regime.analysis) {
+      try {
+        summary.nextNumber = this.output(this.expectedTerm(regime));
+      } catch (error) {
+        summary.nextNumber = null;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * @private
+   */
+  result(index, value, status, expected) {
+    return {
+      success: true,
+      index: index,
+      value: value,
+      status: status,
+      ...(expected !== undefined && { expected: expected === null ? null : this.output(expected) }),
+      regime: this.summarize(this.regime)
+    };
+  }
+}
+
+module.exports = SequenceStream;
@@ -0,0 +1,126 @@
+/**
+ * Similarity - Distance and correlation measures between two sequences
+ *
+ * Used by SequenceAnalyzer.comparSequences(). Every function works on plain
+ * doubles; measures that are undefined for the given input return null so
+ * the caller can leave them out of a combined score.
+ */
+
+/**
+ * Relative Euclidean distance between two parameter vectors
+ *
+ * The shorter vector is padded with zeros (a missing polynomial coefficient
+ * is zero). The distance is ||p - q|| / (||p|| + ||q||), so it lies in [0, 1]
+ * whatever the scale: 0 for equal vectors, 1 for opposite ones.
+ *
+ * @param {number[]} p - First parameter vector
+ * @param {number[]} q - Second parameter vector
+ * @returns {number} Distance in [0, 1]
+ */
+function parameterDistance(p, q) {
+  const length = Math.max(p.length, q.length);
+  const at = (vector, i) => (i < vector.length ? vector[i] : 0);
+
+  let difference = 0;
+  let normP = 0;
+  let normQ = 0;
+  for (let i = 0; i < length; i++) {
+    difference += (at(p, i) - at(q, i)) ** 2;
+    normP += at(p, i) ** 2;
+    normQ += at(q, i) ** 2;
+  }
+
+  const scale = Math.sqrt(normP) + Math.sqrt(normQ);
+  return scale === 0 ? 0 : Math.sqrt(difference) / scale;
+}
+
+/**
+ * Pearson correlation of the overlapping terms
+ *
+ * @param {number[]} xs - First sequence
+ * @param {number[]} ys - Second sequence
+ * @returns {number|null} Correlation in [-1, 1], or null with fewer than two
+ *   overlapping terms or when exactly one of them is constant. Two constant
+ *   sequences have the same shape and correlate with 1.
+ */
+function pearsonCorrelation(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 2) {
+    return null;
+  }
+
+  const meanX = xs.slice(0, n).reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.slice(0, n).reduce((sum, y) => sum + y, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+
+  if (varianceX === 0 && varianceY === 0) {
+    return 1;
+  }
+  if (varianceX === 0 || varianceY === 0) {
+    return null;
+  }
+
+  // Clamp rounding error just outside [-1, 1]
+  return Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)));
+}
+
+/**
+ * Dynamic time warping distance with absolute differences as the cost
+ *
+ * Aligns the sequences so that terms can be matched out of step (a shifted
+ * copy stays close). Only two rows of the cost table are kept.
+ *
+ * @param {number[]} xs - First sequence
+ * @param {number[]} ys - Second sequence
+ * @returns {number} Total cost of the best alignment
+ */
+function dtwDistance(xs, ys) {
+  if (xs.length === 0 || ys.length === 0) {
+    return xs.length === ys.length ? 0 : Infinity;
+  }
+
+  let previous = new Array(ys.length + 1).fill(Infinity);
+  previous[0] = 0;
+
+  for (let i = 1; i <= xs.length; i++) {
+    const current = new Array(ys.length + 1).fill(Infinity);
+    for (let j = 1; j <= ys.length; j++) {
+      const cost = Math.abs(xs[i - 1] - ys[j - 1]);
+      current[j] = cost + Math.min(previous[j], current[j - 1], previous[j - 1]);
+    }
+    previous = current;
+  }
+
+  return previous[ys.length];
+}
+
+/**
+ * Number of leading terms the two sequences share
+ *
+ * @param {Array} a - First sequence (numbers or exact strings)
+ * @param {Array} b - Second sequence
+ * @returns {number} Length of the common prefix
+ */
+function sharedPrefixLength(a, b) {
+  const n = Math.min(a.length, b.length);
+  let length = 0;
+  while (length < n && String(a[length]) === String(b[length])) {
+    length++;
+  }
+  return length;
+}
+
+module.exports = {
+  parameterDistance,
+  pearsonCorrelation,
+  dtwDistance,
+  sharedPrefixLength
+};
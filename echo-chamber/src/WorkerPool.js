@@ -0,0 +1,93 @@
+/**
+ * WorkerPool - Runs a list of tasks on a pool of worker threads
+ *
+ * Used by SequenceAnalyzer.analyzeMany() so large batches do not block the
+ * event loop. Each worker takes the next task as soon as it replies to the
+ * previous one, so slow tasks do not hold up the others. A worker that
+ * crashes fails only the task it was running and is replaced while tasks
+ * remain. Every worker is terminated before the returned promise resolves.
+ */
+
+const { Worker } = require('worker_threads');
+
+/**
+ * @param {string} file - Worker script; it replies once to every message
+ * @param {*} workerData - Passed to every worker
+ * @param {Array} tasks - Messages to post, one per task
+ * @param {object} handlers - Callbacks, called with the task index
+ * @param {Function} handlers.onReply - (index, reply) for a finished task
+ * @param {Function} handlers.onError - (index, error) for a failed task
+ * @param {number} concurrency - Maximum number of workers
+ * @returns {Promise<number>} Resolves with the number of workers started
+ */
+function runWorkerPool(file, workerData, tasks, { onReply, onError }, concurrency) {
+  return new Promise(resolve => {
+    let next = 0;
+    let running = 0;
+    let started = 0;
+
+    if (tasks.length === 0) {
+      resolve(0);
+      return;
+    }
+
+    const startWorker = () => {
+      const worker = new Worker(file, { workerData });
+      let current = null;
+      running++;
+      started++;
+
+      const fail = error => {
+        if (current !== null) {
+          onError(current, error);
+          current = null;
+        }
+      };
+
+      const dispatch = () => {
+        while (next < tasks.length) {
+          current = next++;
+          try {
+            worker.postMessage(tasks[current]);
+            return;
+          } catch (error) {
+            // The task could not be sent (e.g. it holds a function), so try the next one
+            fail(error);
+          }
+        }
+        current = null;
+        worker.terminate();
+      };
+
+      worker.on('message', reply => {
+        const index = current;
+        current = null;
+        onReply(index, reply);
+        dispatch();
+      });
+
+      worker.on('error', fail);
+
+      worker.on('exit', code => {
+        fail(new Error(`Worker stopped with exit code ${code}`));
+        running--;
+
+        if (next < tasks.length) {
+          startWorker();
+        } else if (running === 0) {
+          resolve(started);
+        }
+      });
+
+      dispatch();
+    };
+
+    for (let i = 0; i < Math.min(concurrency, tasks.length); i++) {
+      startWorker();
+    }
+  });
+}
+
+module.exports = {
+  runWorkerPool
+};
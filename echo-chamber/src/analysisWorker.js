@@ -0,0 +1,44 @@
+/**
+ * Worker thread for SequenceAnalyzer.analyzeMany()
+ *
+ * Mirrors the built-in detector setup and the catalog of the analyzer that
+ * started it, then analyzes one chunk of sequences per message. The reply holds a result or
+ * an error per item (in chunk order) and the detector metrics of the chunk,
+ * so the main thread can cache, record and count everything itself.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const SequenceAnalyzer = require('./SequenceAnalyzer');
+const SequenceCatalog = require('./SequenceCatalog');
+
+const { options, detectors, catalog } = workerData;
+
+// Each chunk only holds distinct sequences, so a cache would never be hit
+const analyzer = new SequenceAnalyzer({
+  ...options,
+  maxHistory: 0,
+  cache: { maxEntries: 1 },
+  catalog: catalog && new SequenceCatalog({ bundled: false, entries: catalog })
+});
+
+const present = new Set(detectors.map(detector => detector.name));
+analyzer.getDetectors().forEach(({ name }) => {
+  if (!present.has(name)) analyzer.unregisterDetector(name);
+});
+detectors.forEach(({ name, enabled }) => {
+  if (!enabled) analyzer.disableDetector(name);
+});
+
+parentPort.on('message', ({ sequences, settings }) => {
+  analyzer.clear();
+
+  const results = sequences.map(sequence => {
+    try {
+      return { result: analyzer.analyze(sequence, { ...settings, record: false }) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  parentPort.postMessage({ results, detectors: analyzer.getMetrics().detectors });
+});
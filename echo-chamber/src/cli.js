@@ -6,9 +6,27 @@
  */
 
 const SequenceAnalyzer = require('./SequenceAnalyzer');
+const SequenceGenerator = require('./SequenceGenerator');
+const PuzzleGame = require('./PuzzleGame');
+const { JsonLinesHistoryStore } = require('./HistoryStore');
 const readline = require('readline');
+const fs = require('fs');
+const path = require('path');
 
-const analyzer = new SequenceAnalyzer();
+// Persisting history is opt-in: HISTORY_FILE names the file, shared with the web server
+const historyFile = process.env.HISTORY_FILE || null;
+
+const analyzer = new SequenceAnalyzer({
+    historyStore: historyFile ? new JsonLinesHistoryStore(historyFile) : null
+});
+
+const puzzleGame = new PuzzleGame({ analyzer });
+
+// Whether analyses print their step-by-step derivation trace (toggled from the menu)
+let explain = false;
+
+// Where snapshots are saved and loaded unless another file is given
+const defaultSnapshotFile = path.join(__dirname, '../data/snapshot.json');
 
 // ANSI Colors
 const colors = {
@@ -24,6 +42,9 @@ const colors = {
     blue: '\x1b[34m'
 };
 
+// Inputs that mark a missing term
+const GAP_TOKENS = ['?', '_', 'null'];
+
 const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout
@@ -51,6 +72,10 @@ function displayMenu() {
     console.log('│ 6. Clear history                                          │');
     console.log('│ 7. Help                                                   │');
     console.log('│ 8. Exit                                                   │');
+    console.log('│ 9. Puzzle mode                                            │');
+    console.log('│ 10. Save snapshot                                         │');
+    console.log('│ 11. Load snapshot                                         │');
+    console.log(`│ 12. Explanation trace: ${explain ? 'on ' : 'off'}                                │`);
     console.log(`${colors.cyan}└────────────────────────────────────────────────────────────┘${colors.reset}\n`);
 }
 
@@ -68,10 +93,12 @@ function displayPresets() {
 // ============================================================================
 
 function analyzeSequenceInteractive() {
-    rl.question(`${colors.cyan}Enter sequence (comma-separated numbers):${colors.reset} `, (input) => {
+    rl.question(`${colors.cyan}Enter sequence (comma-separated numbers, ? for a gap):${colors.reset} `, (input) => {
         try {
             const sequence = input.split(',').map(x => {
-                const num = parseFloat(x.trim());
+                const token = x.trim();
+                if (GAP_TOKENS.includes(token.toLowerCase())) return null;
+                const num = parseFloat(token);
                 if (isNaN(num)) throw new Error('Invalid number');
                 return num;
             });
@@ -82,7 +109,7 @@ function analyzeSequenceInteractive() {
                 return;
             }
 
-            const result = analyzer.analyze(sequence);
+            const result = analyzer.analyze(sequence, { explain });
             displayAnalysisResult(result);
             mainMenu();
 
@@ -93,6 +120,10 @@ function analyzeSequenceInteractive() {
     });
 }
 
+function formatSequence(sequence) {
+    return sequence.map(value => (value === null ? '?' : value)).join(', ');
+}
+
 function displayAnalysisResult(result) {
     if (!result.success) {
         console.log(`\n${colors.red}${result.error}${colors.reset}\n`);
@@ -105,9 +136,19 @@ function displayAnalysisResult(result) {
 
     console.log(`\n${colors.bright}Pattern Type:${colors.reset} ${colors.cyan}${result.pattern.toUpperCase()}${colors.reset}`);
     console.log(`${colors.bright}Confidence:${colors.reset}   ${colors.cyan}${result.confidence}%${colors.reset}`);
-    console.log(`${colors.bright}Sequence:${colors.reset}     [${result.sequence.join(', ')}]`);
+    console.log(`${colors.bright}Sequence:${colors.reset}     [${formatSequence(result.sequence)}]`);
     console.log(`${colors.bright}Analysis Time:${colors.reset} ${colors.cyan}${result.analysisTime.toFixed(2)}ms${colors.reset}`);
 
+    if (result.inferredTerms) {
+        if (result.inferredTerms.length > 0) {
+            const inferred = result.inferredTerms.map(t => `a_${t.index} = ${colors.green}${t.value}${colors.reset}`);
+            console.log(`${colors.bright}Inferred Gaps:${colors.reset} ${inferred.join(', ')}`);
+            console.log(`${colors.bright}Completed:${colors.reset}    [${result.filledSequence.join(', ')}]`);
+        } else {
+            console.log(`${colors.yellow}The missing terms could not be inferred from the known ones${colors.reset}`);
+        }
+    }
+
     if (result.commonDifference !== undefined) {
         console.log(`${colors.bright}Common Difference:${colors.reset} ${colors.yellow}${result.commonDifference}${colors.reset}`);
     }
@@ -116,6 +157,17 @@ function displayAnalysisResult(result) {
         console.log(`${colors.bright}Common Ratio:${colors.reset}      ${colors.yellow}${result.commonRatio.toFixed(4)}${colors.reset}`);
     }
 
+    if (result.rSquared !== undefined) {
+        console.log(`${colors.bright}R²:${colors.reset}                ${colors.yellow}${result.rSquared}${colors.reset}`);
+    }
+
+    if (result.segments) {
+        console.log(`${colors.bright}Segments:${colors.reset}`);
+        result.segments.forEach(s => {
+            console.log(`  terms ${s.start}-${s.end}: ${colors.cyan}${s.pattern}${colors.reset} (${s.formula})`);
+        });
+    }
+
     console.log(`\n${colors.bright}Formula:${colors.reset} ${colors.magenta}${result.formula}${colors.reset}`);
     console.log(`${colors.bright}Explanation:${colors.reset} ${result.explanation}`);
 
@@ -124,9 +176,52 @@ function displayAnalysisResult(result) {
         console.log(`  ${i + 1}. ${colors.green}${num}${colors.reset}`);
     });
 
+    if (result.hypotheses && result.hypotheses.length > 1) {
+        console.log(`\n${colors.bright}Ranked Hypotheses:${colors.reset}`);
+        result.hypotheses.forEach(h => {
+            console.log(`  ${h.rank}. ${colors.cyan}${h.pattern}${colors.reset} (score ${h.score}) → next ${colors.green}${h.nextNumbers[0]}${colors.reset}`);
+        });
+    }
+
+    if (result.ambiguity && result.ambiguity.ambiguous) {
+        console.log(`\n${colors.yellow}⚠️  ${result.ambiguity.note}${colors.reset}`);
+    }
+
+    if (result.trace) {
+        displayTrace(result.trace);
+    }
+
     console.log('\n' + '─'.repeat(70) + '\n');
 }
 
+function displayTrace(trace) {
+    const statusColors = { matched: colors.green, rejected: colors.red, error: colors.red, disabled: colors.yellow };
+
+    console.log(`\n${colors.bright}How It Was Found:${colors.reset}`);
+    if (trace.gaps) {
+        const filled = trace.gaps.inferredTerms.map(t => `a_${t.index} = ${t.value}`).join(', ');
+        console.log(trace.gaps.model
+            ? `\n  ${colors.bright}Gaps${colors.reset}       filled by a ${trace.gaps.model} fit: ${filled}`
+            : `\n  ${colors.bright}Gaps${colors.reset}       no model fits the known terms`);
+    }
+    console.log(`\n  ${colors.bright}Difference table${colors.reset}`);
+    trace.differenceTable.forEach((row, level) => {
+        const label = level === 0 ? 'a_n' : `Δ${level}`;
+        console.log(`    ${label.padEnd(4)} ${row.join(', ')}`);
+    });
+
+    const ratios = trace.ratios.map(r => (r === null ? '—' : r));
+    console.log(`\n  ${colors.bright}Ratios${colors.reset}     ${ratios.join(', ')}`);
+
+    console.log(`\n  ${colors.bright}Detectors tried${colors.reset}`);
+    trace.detectors.forEach(entry => {
+        const color = statusColors[entry.status] || colors.reset;
+        console.log(`    ${color}${entry.status.padEnd(8)}${colors.reset} ${entry.detector}: ${entry.reason}`);
+    });
+
+    console.log(`\n  ${colors.bright}Conclusion:${colors.reset} ${trace.conclusion}`);
+}
+
 function testPresets() {
     console.log(`\n${colors.cyan}Testing Preset Examples:${colors.reset}\n`);
 
@@ -178,6 +273,11 @@ function compareSequences() {
                 const seq2 = input2.split(',').map(x => parseFloat(x.trim()));
 
                 const result = analyzer.comparSequences(seq1, seq2);
+                if (!result.success) {
+                    console.log(`${colors.red}${result.error}${colors.reset}`);
+                    mainMenu();
+                    return;
+                }
 
                 console.log('\n' + '─'.repeat(70));
                 console.log(`${colors.cyan}Comparison Results:${colors.reset}`);
@@ -194,6 +294,11 @@ function compareSequences() {
                 console.log(`\n${colors.bright}Comparison:${colors.reset}`);
                 console.log(`  Same Pattern: ${result.samePattern ? colors.green + '✓ Yes' : colors.red + '✗ No'}${colors.reset}`);
                 console.log(`  Similarity: ${colors.yellow}${result.similarity}%${colors.reset}`);
+                Object.entries(result.breakdown).forEach(([name, metric]) => {
+                    const score = metric.score === null ? 'n/a' : `${Math.round(metric.score * 100)}%`;
+                    const value = metric.value === null ? 'n/a' : metric.value;
+                    console.log(`    ${name.padEnd(18)} ${String(value).padEnd(10)} score ${score.padEnd(5)} weight ${metric.weight}`);
+                });
 
                 console.log('\n' + '─'.repeat(70) + '\n');
 
@@ -222,7 +327,7 @@ function viewHistory() {
 
     history.slice(-10).reverse().forEach((item, i) => {
         console.log(`${colors.bright}#${history.length - i}${colors.reset} ${item.pattern.toUpperCase()}`);
-        console.log(`   Sequence: [${item.sequence.join(', ')}]`);
+        console.log(`   Sequence: [${formatSequence(item.sequence)}]`);
         console.log(`   Next: ${colors.green}${item.nextNumbers[0]}${colors.reset}`);
         console.log(`   Time: ${new Date(item.timestamp).toLocaleString()}`);
         console.log();
@@ -243,12 +348,26 @@ function viewMetrics() {
     console.log(`${colors.bright}Cache Hits:${colors.reset}          ${colors.yellow}${metrics.cacheHits}${colors.reset}`);
     console.log(`${colors.bright}Cache Size:${colors.reset}          ${colors.yellow}${metrics.cacheSize}${colors.reset}`);
     console.log(`${colors.bright}Avg Analysis Time:${colors.reset}   ${colors.yellow}${metrics.averageAnalysisTime.toFixed(2)}ms${colors.reset}`);
+    console.log(`${colors.bright}Cache Memory:${colors.reset}        ${colors.yellow}${(metrics.cacheBytes / 1024).toFixed(1)} KB${colors.reset}`);
+    console.log(`${colors.bright}Cache Evictions:${colors.reset}     ${colors.yellow}${metrics.cacheEvictions} (+${metrics.cacheExpirations} expired)${colors.reset}`);
+    console.log(`${colors.bright}History:${colors.reset}             ${colors.yellow}${metrics.historySize} (${metrics.historyEvictions} dropped)${colors.reset}`);
 
     if (metrics.totalAnalyses > 0) {
         const hitRate = ((metrics.cacheHits / metrics.totalAnalyses) * 100).toFixed(1);
         console.log(`${colors.bright}Cache Hit Rate:${colors.reset}    ${colors.green}${hitRate}%${colors.reset}`);
     }
 
+    const detectorNames = Object.keys(metrics.detectors).filter(name => metrics.detectors[name].calls > 0);
+    if (detectorNames.length > 0) {
+        console.log(`\n${colors.bright}Detectors:${colors.reset}`);
+        detectorNames.forEach(name => {
+            const stats = metrics.detectors[name];
+            const status = stats.enabled ? '' : ' (disabled)';
+            const errors = stats.errors > 0 ? `, ${colors.red}${stats.errors} errors${colors.reset}` : '';
+            console.log(`  ${name}${status}: ${stats.matches}/${stats.calls} matched, ${stats.averageTime.toFixed(3)}ms avg${errors}`);
+        });
+    }
+
     console.log('\n' + '─'.repeat(70) + '\n');
     mainMenu();
 }
@@ -265,6 +384,103 @@ function clearHistory() {
     });
 }
 
+function saveSnapshot() {
+    rl.question(`${colors.cyan}Save snapshot to [${defaultSnapshotFile}]:${colors.reset} `, (input) => {
+        const file = input.trim() || defaultSnapshotFile;
+        try {
+            const state = analyzer.exportState();
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(state, null, 2));
+            console.log(`${colors.green}✓ Saved ${state.history.length} analyses and ${state.cache.length} cached results to ${file}${colors.reset}\n`);
+        } catch (error) {
+            console.log(`${colors.red}❌ Could not save the snapshot: ${error.message}${colors.reset}\n`);
+        }
+        mainMenu();
+    });
+}
+
+function loadSnapshot() {
+    rl.question(`${colors.cyan}Load snapshot from [${defaultSnapshotFile}]:${colors.reset} `, (input) => {
+        const file = input.trim() || defaultSnapshotFile;
+        try {
+            const imported = analyzer.importState(JSON.parse(fs.readFileSync(file, 'utf8')));
+            console.log(`${colors.green}✓ Loaded ${imported.historySize} analyses and ${imported.cacheSize} cached results from ${file}${colors.reset}\n`);
+        } catch (error) {
+            console.log(`${colors.red}❌ Could not load the snapshot: ${error.message}${colors.reset}\n`);
+        }
+        mainMenu();
+    });
+}
+
+// ============================================================================
+// Puzzle Mode
+// ============================================================================
+
+function puzzleMode() {
+    const difficulties = SequenceGenerator.DIFFICULTIES;
+    const options = difficulties.map((name, i) => `${i + 1}. ${name}`).join('  ');
+
+    rl.question(`${colors.cyan}Difficulty (${options}) [2]:${colors.reset} `, (choice) => {
+        const difficulty = difficulties[(parseInt(choice, 10) || 2) - 1];
+        if (!difficulty) {
+            console.log(`${colors.red}Invalid difficulty. Please select 1-${difficulties.length}.${colors.reset}\n`);
+            mainMenu();
+            return;
+        }
+        playPuzzle(difficulty);
+    });
+}
+
+function playPuzzle(difficulty) {
+    let puzzle;
+    try {
+        puzzle = puzzleGame.next({ difficulty });
+    } catch (error) {
+        console.log(`${colors.red}❌ ${error.message}${colors.reset}\n`);
+        mainMenu();
+        return;
+    }
+
+    console.log('\n' + '─'.repeat(70));
+    console.log(`${colors.cyan}Puzzle ${puzzle.round}${colors.reset} (${difficulty}, ${puzzle.points} points)`);
+    console.log(`\n  ${colors.yellow}${puzzle.sequence.join(', ')}, ?${colors.reset}\n`);
+
+    askGuess(difficulty);
+}
+
+function askGuess(difficulty) {
+    rl.question(`${colors.cyan}Your guess for the next term:${colors.reset} `, (input) => {
+        const result = puzzleGame.guess(input);
+        if (!result.success) {
+            console.log(`${colors.red}${result.error}${colors.reset}`);
+            askGuess(difficulty);
+            return;
+        }
+
+        if (result.correct) {
+            console.log(`\n${colors.green}✓ Correct! +${result.points} points${colors.reset}`);
+        } else {
+            console.log(`\n${colors.red}✗ Not quite - the next term is ${result.answer}${colors.reset}`);
+        }
+        console.log(`${colors.bright}Pattern:${colors.reset}     ${result.pattern}`);
+        console.log(`${colors.bright}Formula:${colors.reset}     ${result.formula}`);
+        console.log(`${colors.bright}Explanation:${colors.reset} ${result.explanation}`);
+
+        const score = result.score;
+        console.log(`\n${colors.bright}Score:${colors.reset} ${colors.yellow}${score.points}${colors.reset} points, ` +
+            `${score.correct}/${score.played} correct, streak ${score.streak} (best ${score.bestStreak})`);
+        console.log('─'.repeat(70) + '\n');
+
+        rl.question(`${colors.cyan}Another puzzle? (y/n):${colors.reset} `, (answer) => {
+            if (answer.trim().toLowerCase() === 'y') {
+                playPuzzle(difficulty);
+            } else {
+                mainMenu();
+            }
+        });
+    });
+}
+
 function displayHelp() {
     console.log(`\n${colors.cyan}HELP - Echo Chamber CLI${colors.reset}\n`);
     console.log('This tool analyzes mathematical sequences and predicts the next numbers.');
@@ -273,12 +489,25 @@ function displayHelp() {
     console.log('  • Geometric: Constant ratio (e.g., 2, 4, 8, 16)');
     console.log('  • Polynomial: Polynomial functions (e.g., 1, 4, 9, 16)');
     console.log('  • Fibonacci: Sum of previous two (e.g., 1, 1, 2, 3, 5)');
+    console.log('  • Linear Recurrence: Constant-coefficient rules (e.g., 0, 1, 2, 5, 12, 29)');
+    console.log('  • Power: c*n^k + d (e.g., 1, 8, 27, 64)');
+    console.log('  • Exponential: c*b^n + d (e.g., 4, 10, 28, 82)');
+    console.log('  • Factorial: c*(n+k)! (e.g., 1, 2, 6, 24, 120)');
+    console.log('  • Ratio Progression: Ratios form a progression (e.g., 1, 3, 15, 105)');
+    console.log('  • Periodic: Repeating cycles (e.g., 4, 7, 1, 4, 7, 1)');
+    console.log('  • Interleaved: Alternating progressions (e.g., 1, 10, 2, 20, 3, 30)');
+    console.log('  • Transformed: Differences, sums, ratios or logs follow a pattern (e.g., 1, 2, 4, 7, 12, 20)');
+    console.log('  • Catalog: Well-known sequences, also scaled or shifted (e.g., 2, 3, 5, 7, 11, 13)');
     console.log('\nInput Format:');
     console.log('  Enter numbers separated by commas: 3, 6, 9, 12');
+    console.log('  Mark missing terms with ?: 2, ?, 8, 11, ?, 17');
     console.log('\nTips:');
     console.log('  • Minimum 2 numbers required');
     console.log('  • Use presets to test different pattern types');
     console.log('  • Compare sequences to find similarities');
+    console.log('  • Practice spotting patterns in puzzle mode');
+    console.log('  • Turn on the explanation trace to see how a pattern was found');
+    console.log('  • Save a snapshot to carry your history and cache to another machine');
     console.log(`\nFor more info: ${colors.cyan}https://github.com/microsoft/CopilotAdventures${colors.reset}\n`);
 
     mainMenu();
@@ -291,7 +520,7 @@ function displayHelp() {
 function mainMenu() {
     displayMenu();
 
-    rl.question(`${colors.cyan}Select option (1-8):${colors.reset} `, (choice) => {
+    rl.question(`${colors.cyan}Select option (1-12):${colors.reset} `, (choice) => {
         switch (choice.trim()) {
             case '1':
                 analyzeSequenceInteractive();
@@ -319,8 +548,22 @@ function mainMenu() {
                 rl.close();
                 process.exit(0);
                 break;
+            case '9':
+                puzzleMode();
+                break;
+            case '10':
+                saveSnapshot();
+                break;
+            case '11':
+                loadSnapshot();
+                break;
+            case '12':
+                explain = !explain;
+                console.log(`\n${colors.green}✓ Explanation trace ${explain ? 'on' : 'off'}${colors.reset}\n`);
+                mainMenu();
+                break;
             default:
-                console.log(`${colors.red}Invalid option. Please select 1-8.${colors.reset}\n`);
+                console.log(`${colors.red}Invalid option. Please select 1-12.${colors.reset}\n`);
                 mainMenu();
         }
     });
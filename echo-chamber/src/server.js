@@ -7,13 +7,76 @@
 
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const SequenceAnalyzer = require('./SequenceAnalyzer');
+const Formula = require('./Formula');
+const SequenceCatalog = require('./SequenceCatalog');
+const { normalizeTolerance } = require('./Arithmetic');
+const PuzzleGame = require('./PuzzleGame');
+const LRUCache = require('./LRUCache');
+const { JsonLinesHistoryStore } = require('./HistoryStore');
 const Logger = require('./Logger');
 
+/**
+ * Reads a numeric setting from the environment (undefined when unset)
+ */
+function envNumber(name) {
+  return process.env[name] === undefined ? undefined : Number(process.env[name]);
+}
+
+/**
+ * Error response for a tolerance in a request body, or null when it is
+ * absent or valid
+ */
+function invalidTolerance(tolerance) {
+  if (tolerance === undefined) return null;
+  try {
+    normalizeTolerance(tolerance);
+    return null;
+  } catch (error) {
+    return { success: false, error: `❌ Invalid tolerance - ${error.message}` };
+  }
+}
+
 const app = express();
-const analyzer = new SequenceAnalyzer();
 const logger = new Logger();
 
+// Persisting history is opt-in: HISTORY_FILE names the JSON-lines file to keep it in
+const historyFile = process.env.HISTORY_FILE || null;
+
+// CATALOG_FILES adds comma-separated JSON files of our own to the bundled catalog
+const catalogFiles = (process.env.CATALOG_FILES || '').split(',').map(file => file.trim()).filter(Boolean);
+
+// The analyzer lives as long as the server, so its cache and history are bounded
+const analyzer = new SequenceAnalyzer({
+  cache: {
+    maxEntries: envNumber('CACHE_MAX_ENTRIES'),
+    maxBytes: envNumber('CACHE_MAX_BYTES'),
+    ttl: envNumber('CACHE_TTL_MS')
+  },
+  maxHistory: envNumber('HISTORY_LIMIT'),
+  historyStore: historyFile
+    ? new JsonLinesHistoryStore(historyFile, { maxRecords: envNumber('HISTORY_MAX_RECORDS') })
+    : null,
+  catalog: new SequenceCatalog({ files: catalogFiles })
+});
+
+// Worker threads per batch; unset uses one less than the number of CPUs
+const batchConcurrency = envNumber('BATCH_CONCURRENCY');
+if (batchConcurrency !== undefined && !(Number.isInteger(batchConcurrency) && batchConcurrency >= 1)) {
+  throw new RangeError('BATCH_CONCURRENCY must be a positive integer');
+}
+
+// Terms are computed on the request thread, so the API caps their index far
+// below term()'s own limit; a Pell term at n = 10,000,000 takes seconds
+const termIndexLimit = envNumber('TERM_INDEX_LIMIT') ?? 100000;
+if (!(Number.isInteger(termIndexLimit) && termIndexLimit >= 1)) {
+  throw new RangeError('TERM_INDEX_LIMIT must be a positive integer');
+}
+
+// Puzzle games by id; idle games expire after an hour
+const puzzleGames = new LRUCache({ maxEntries: 1000, ttl: 60 * 60 * 1000, sizeOf: () => 1 });
+
 // Middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
@@ -32,12 +95,28 @@ app.use((req, res, next) => {
 /**
  * POST /api/analyze
  * Analyzes a sequence and returns pattern detection results
+ * Body: { sequence, exact?, fit?, explain?, tolerance? } - exact enables
+ * rational/BigInt arithmetic, fit falls back to least-squares regression for
+ * noisy data, explain adds a step-by-step derivation trace, and tolerance
+ * (a number or { absolute, relative }) sets how close floats must be to count
+ * as equal
+ * Body: { points, at?, exact?, fit?, tolerance? } - analyzes (x, y) pairs at
+ * irregular indices instead, predicting the values at the indices in at
+ * Query: ?format=latex|mathml|js - also renders the structured formula
  */
 app.post('/api/analyze', (req, res) => {
   try {
-    const { sequence } = req.body;
+    const { sequence, points, at, exact, fit, explain, tolerance } = req.body;
+    const { format } = req.query;
 
-    if (!Array.isArray(sequence)) {
+    if (format !== undefined && !Formula.FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `❌ Unknown formula format "${format}" - use ${Formula.FORMATS.join(', ')}`
+      });
+    }
+
+    if (points === undefined && !Array.isArray(sequence)) {
       logger.warn('Invalid sequence format received');
       return res.status(400).json({
         success: false,
@@ -45,7 +124,30 @@ app.post('/api/analyze', (req, res) => {
       });
     }
 
-    const result = analyzer.analyze(sequence);
+    const toleranceError = invalidTolerance(tolerance);
+    if (toleranceError) {
+      return res.status(400).json(toleranceError);
+    }
+
+    const options = {
+      exact: exact === true,
+      fit: fit === true,
+      ...(tolerance !== undefined && { tolerance: tolerance })
+    };
+
+    let result;
+    if (points !== undefined) {
+      try {
+        result = analyzer.analyzePoints(points, { ...options, ...(at !== undefined && { at: at }) });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `❌ Invalid point analysis - ${error.message}`
+        });
+      }
+    } else {
+      result = analyzer.analyze(sequence, { ...options, explain: explain === true });
+    }
     
     if (!result.success) {
       logger.warn('Sequence analysis failed', { error: result.error });
@@ -54,9 +156,19 @@ app.post('/api/analyze', (req, res) => {
 
     logger.info('Sequence analyzed successfully', { 
       pattern: result.pattern,
-      length: sequence.length 
+      length: points !== undefined ? points.length : sequence.length 
     });
 
+    if (format) {
+      return res.json({
+        ...result,
+        renderedFormula: {
+          format: format,
+          value: result.structuredFormula ? Formula.render(result.structuredFormula, format) : null
+        }
+      });
+    }
+
     res.json(result);
   } catch (error) {
     logger.error('Analysis endpoint error', error);
@@ -67,14 +179,76 @@ app.post('/api/analyze', (req, res) => {
   }
 });
 
+/**
+ * POST /api/analyze/batch
+ * Analyzes many sequences on worker threads without blocking the server
+ * Body: { sequences, exact?, fit? } - results come back in input order, and
+ * sequences that fail are listed in failures instead of failing the batch
+ */
+app.post('/api/analyze/batch', async (req, res) => {
+  try {
+    const { sequences, exact, fit } = req.body;
+
+    if (!Array.isArray(sequences)) {
+      logger.warn('Invalid batch format received');
+      return res.status(400).json({
+        success: false,
+        error: 'Sequences must be an array of sequences'
+      });
+    }
+
+    const result = await analyzer.analyzeMany(sequences, {
+      exact: exact === true,
+      fit: fit === true,
+      concurrency: batchConcurrency
+    });
+
+    logger.info('Batch analyzed', {
+      total: result.stats.total,
+      failed: result.stats.failed,
+      workers: result.stats.workers
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Batch endpoint error', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during batch analysis'
+    });
+  }
+});
+
 /**
  * GET /api/history
  * Returns the history of all analyzed sequences
+ * Query: ?pattern=&from=&to=&prefix=1,2,3&limit= - any filter searches the
+ * whole persisted audit trail instead of the current history
  */
 app.get('/api/history', (req, res) => {
   try {
-    const history = analyzer.getHistory();
-    logger.info('History retrieved', { count: history.length });
+    const { pattern, from, to, prefix, limit } = req.query;
+    const filtered = [pattern, from, to, prefix, limit].some(value => value !== undefined);
+
+    let history;
+    try {
+      history = filtered
+        ? analyzer.queryHistory({
+          pattern: pattern,
+          from: from,
+          to: to,
+          prefix: prefix === undefined ? undefined : prefix.split(',').map(value => value.trim()),
+          limit: limit === undefined ? undefined : parseInt(limit, 10)
+        })
+        : analyzer.getHistory();
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `❌ Invalid history query - ${error.message}`
+      });
+    }
+
+    logger.info('History retrieved', { count: history.length, filtered: filtered });
     res.json({
       success: true,
       history: history,
@@ -109,6 +283,233 @@ app.get('/api/metrics', (req, res) => {
   }
 });
 
+/**
+ * GET /api/state
+ * Returns a snapshot of the analyzer's history, cache and metrics
+ */
+app.get('/api/state', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      state: analyzer.exportState()
+    });
+  } catch (error) {
+    logger.error('State export error', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export the analyzer state'
+    });
+  }
+});
+
+/**
+ * PUT /api/state
+ * Replaces the analyzer's history, cache and metrics with a snapshot
+ * Body: { state } - as returned by GET /api/state, so its response can be
+ * sent back as is
+ */
+app.put('/api/state', (req, res) => {
+  try {
+    let imported;
+    try {
+      imported = analyzer.importState(req.body.state);
+    } catch (error) {
+      logger.warn('Invalid state snapshot received', { error: error.message });
+      return res.status(400).json({
+        success: false,
+        error: `❌ Invalid snapshot - ${error.message}`
+      });
+    }
+
+    logger.info('State imported', imported);
+    res.json({
+      success: true,
+      ...imported
+    });
+  } catch (error) {
+    logger.error('State import error', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import the analyzer state'
+    });
+  }
+});
+
+/**
+ * POST /api/term
+ * Evaluates the term at any index of a sequence's pattern
+ * Body: { sequence, n, exact?, fit?, tolerance? } - n counts from 1, and 0 or
+ * negative indices extend the pattern backward, up to TERM_INDEX_LIMIT
+ */
+app.post('/api/term', (req, res) => {
+  try {
+    const { sequence, n, exact, fit, tolerance } = req.body;
+
+    if (!Array.isArray(sequence)) {
+      logger.warn('Invalid sequence format received');
+      return res.status(400).json({
+        success: false,
+        error: 'Sequence must be an array of numbers'
+      });
+    }
+
+    const toleranceError = invalidTolerance(tolerance);
+    if (toleranceError) {
+      return res.status(400).json(toleranceError);
+    }
+
+    if (typeof n === 'number' && Math.abs(n) > termIndexLimit) {
+      return res.status(400).json({
+        success: false,
+        error: `❌ The API evaluates indices between -${termIndexLimit} and ${termIndexLimit}.`
+      });
+    }
+
+    const result = analyzer.term(sequence, n, {
+      exact: exact === true,
+      fit: fit === true,
+      ...(tolerance !== undefined && { tolerance: tolerance })
+    });
+
+    if (!result.success) {
+      logger.warn('Term evaluation failed', { error: result.error });
+      return res.status(400).json(result);
+    }
+
+    logger.info('Term evaluated', { pattern: result.pattern, n: n });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Term endpoint error', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during term evaluation'
+    });
+  }
+});
+
+/**
+ * POST /api/catalog/search
+ * Lists the catalog sequences that contain a sequence, simplest match first
+ * Body: { sequence, limit?, exact? }
+ */
+app.post('/api/catalog/search', (req, res) => {
+  try {
+    const { sequence, limit, exact } = req.body;
+
+    if (!Array.isArray(sequence)) {
+      logger.warn('Invalid sequence format received');
+      return res.status(400).json({
+        success: false,
+        error: 'Sequence must be an array of numbers'
+      });
+    }
+
+    let result;
+    try {
+      result = analyzer.searchCatalog(sequence, { limit: limit, exact: exact === true });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `❌ Invalid catalog search - ${error.message}`
+      });
+    }
+
+    if (!result.success) {
+      logger.warn('Catalog search failed', { error: result.error });
+      return res.status(400).json(result);
+    }
+
+    logger.info('Catalog searched', { matches: result.matches.length });
+    res.json(result);
+  } catch (error) {
+    logger.error('Catalog endpoint error', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during catalog search'
+    });
+  }
+});
+
+/**
+ * POST /api/puzzle
+ * Deals the next puzzle of a game, starting a new game without a gameId
+ * Body: { gameId?, difficulty?, family? } - difficulty is easy, medium
+ * (default) or hard; family defaults to a random one for the difficulty
+ */
+app.post('/api/puzzle', (req, res) => {
+  try {
+    const { gameId, difficulty, family } = req.body;
+
+    let id = gameId;
+    let game = id === undefined ? undefined : puzzleGames.get(id);
+    if (id !== undefined && !game) {
+      return res.status(404).json({ success: false, error: `❌ Unknown or expired puzzle game "${id}"` });
+    }
+    if (!game) {
+      id = crypto.randomUUID();
+      game = new PuzzleGame({ analyzer });
+      puzzleGames.set(id, game);
+    }
+
+    let puzzle;
+    try {
+      puzzle = game.next({ difficulty, family });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: `❌ Invalid puzzle request - ${error.message}` });
+    }
+
+    logger.info('Puzzle dealt', { gameId: id, difficulty: puzzle.difficulty });
+    res.json({ success: true, gameId: id, puzzle: puzzle, score: game.getScore() });
+  } catch (error) {
+    logger.error('Puzzle endpoint error', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while dealing a puzzle'
+    });
+  }
+});
+
+/**
+ * GET /api/puzzle/:gameId
+ * Returns the current puzzle and the score of a game
+ */
+app.get('/api/puzzle/:gameId', (req, res) => {
+  const game = puzzleGames.get(req.params.gameId);
+  if (!game) {
+    return res.status(404).json({ success: false, error: `❌ Unknown or expired puzzle game "${req.params.gameId}"` });
+  }
+  res.json({ success: true, gameId: req.params.gameId, puzzle: game.getPuzzle(), score: game.getScore() });
+});
+
+/**
+ * POST /api/puzzle/:gameId/guess
+ * Scores a guess for the next term and reveals the answer and explanation
+ * Body: { guess }
+ */
+app.post('/api/puzzle/:gameId/guess', (req, res) => {
+  try {
+    const game = puzzleGames.get(req.params.gameId);
+    if (!game) {
+      return res.status(404).json({ success: false, error: `❌ Unknown or expired puzzle game "${req.params.gameId}"` });
+    }
+
+    const result = game.guess(req.body.guess);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    logger.info('Puzzle answered', { gameId: req.params.gameId, correct: result.correct });
+    res.json(result);
+  } catch (error) {
+    logger.error('Puzzle guess endpoint error', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while scoring a guess'
+    });
+  }
+});
+
 /**
  * POST /api/compare
  * Compares two sequences
@@ -125,15 +526,17 @@ app.post('/api/compare', (req, res) => {
     }
 
     const result = analyzer.comparSequences(sequence1, sequence2);
+    if (!result.success) {
+      logger.warn('Sequence comparison failed', { error: result.error });
+      return res.status(400).json(result);
+    }
+
     logger.info('Sequences compared', { 
       samePattern: result.samePattern,
       similarity: result.similarity 
     });
 
-    res.json({
-      success: true,
-      ...result
-    });
+    res.json(result);
   } catch (error) {
     logger.error('Comparison endpoint error', error);
     res.status(500).json({
@@ -229,6 +632,11 @@ app.listen(PORT, HOST, () => {
   console.log('║                                                            ║');
   console.log('║  Available Routes:                                         ║');
   console.log('║  • POST   /api/analyze        - Analyze a sequence       ║');
+  console.log('║  • POST   /api/analyze/batch  - Analyze many sequences   ║');
+  console.log('║  • POST   /api/term           - Evaluate the nth term    ║');
+  console.log('║  • POST   /api/catalog/search - Search the catalog       ║');
+  console.log('║  • POST   /api/puzzle         - Deal a puzzle            ║');
+  console.log('║  • POST   /api/puzzle/:id/guess - Guess the next term    ║');
   console.log('║  • GET    /api/history        - Get analysis history     ║');
   console.log('║  • GET    /api/metrics        - Get performance metrics  ║');
   console.log('║  • POST   /api/compare        - Compare two sequences    ║');
@@ -5,7 +5,18 @@
  * Run with: node tests/test-suite.js
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const SequenceAnalyzer = require('../src/SequenceAnalyzer');
+const SequenceStream = require('../src/SequenceStream');
+const Formula = require('../src/Formula');
+const Similarity = require('../src/Similarity');
+const SequenceCatalog = require('../src/SequenceCatalog');
+const SequenceGenerator = require('../src/SequenceGenerator');
+const PuzzleGame = require('../src/PuzzleGame');
+const { MemoryHistoryStore, JsonLinesHistoryStore, filterHistory } = require('../src/HistoryStore');
+const { runWorkerPool } = require('../src/WorkerPool');
 
 // Color codes for output
 const COLORS = {
@@ -46,6 +57,9 @@ function section(title) {
     console.log(`\n${COLORS.blue}${title}${COLORS.reset}`);
 }
 
+// Asynchronous test blocks run one after another once the synchronous ones are done
+const asyncTests = [];
+
 // ============================================================================
 // Arithmetic Progression Tests
 // ============================================================================
@@ -146,9 +160,12 @@ describe('POLYNOMIAL PROGRESSION TESTS');
 
     section('Cubic Sequences');
 
-    result = analyzer.analyze([1, 8, 27, 64]);
-    assert(result.pattern === 'polynomial', 'Detects cubic sequence (perfect cubes)');
+    result = analyzer.analyze([2, 10, 30, 68, 130]);
+    assert(result.pattern === 'polynomial', 'Detects cubic sequence (n^3 + n)');
     assert(result.degree === 3, 'Identifies degree 3 polynomial');
+
+    result = analyzer.analyze([1, 8, 27, 64]);
+    assert(result.pattern === 'power' && result.exponent === 3, 'Perfect cubes are a power of n');
 })();
 
 // ============================================================================
@@ -253,6 +270,13 @@ describe('PERFORMANCE & OPTIMIZATION TESTS');
     assert(resultLarge.pattern === 'arithmetic', 'Handles 1000-element sequence');
     assert(timeLarge < 100, 'Processes large sequence in < 100ms');
 
+    // Logarithms and fractional ratios of random terms skip the exact recurrence search
+    const random = [412, 87, 903, 256, 771, 38, 645, 190, 527, 964, 11, 358, 702, 149, 880, 63, 495, 236, 817, 574];
+    analyzer.analyze(random.slice(1));
+    const startRandom = performance.now();
+    analyzer.analyze(random);
+    assert(performance.now() - startRandom < 300, 'Analyzes 20 random terms in < 300ms');
+
     section('Metrics Tracking');
 
     const metrics = analyzer.getMetrics();
@@ -290,8 +314,8 @@ describe('SEQUENCE COMPARISON TESTS');
     const seq3 = [10, 20, 30, 40];
     const result2 = analyzer.comparSequences(seq1, seq3);
 
-    assert(result.similarity <= result2.similarity, 
-        'Same difference gives higher similarity');
+    assert(result.similarity > result2.similarity, 
+        'Closer parameters give higher similarity');
 })();
 
 // ============================================================================
@@ -366,6 +390,1889 @@ describe('PATTERN DETECTION ACCURACY TESTS');
     assert(result.success, 'Handles near-geometric sequences');
 })();
 
+// ============================================================================
+// Exact Arithmetic Mode
+// ============================================================================
+
+describe('EXACT ARITHMETIC MODE TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Fractional Ratios');
+
+    let result = analyzer.analyze([9, 3, 1, '1/3'], { exact: true });
+    assert(result.pattern === 'geometric', 'Detects geometric progression with fractional terms');
+    assert(result.commonRatio === '1/3', 'Reports exact ratio 1/3');
+    assert(result.nextNumbers[0] === '1/9' && result.nextNumbers[1] === '1/27', 'Predicts exact fractions');
+    assert(result.formula.includes('r = 1/3'), 'Formula uses the exact ratio');
+    assert(result.arithmetic === 'exact', 'Result reports exact arithmetic');
+
+    result = analyzer.analyze([0.1, 0.2, 0.3, 0.4], { exact: true });
+    assert(result.pattern === 'arithmetic', 'Decimal inputs are exact in exact mode');
+    assert(result.commonDifference === '1/10', 'Reports exact difference 1/10');
+
+    section('Large Integers');
+
+    const fib = [1n, 1n];
+    while (fib.length < 90) {
+        fib.push(fib[fib.length - 1] + fib[fib.length - 2]);
+    }
+    result = analyzer.analyze(fib.map(String), { exact: true });
+    assert(result.pattern === 'fibonacci', 'Detects Fibonacci past 2^53');
+    assert(result.nextNumbers[0] === (fib[88] + fib[89]).toString(), 'Predicts next Fibonacci term exactly');
+
+    result = analyzer.analyze([1n, 2n, 4n, 8n], { exact: true });
+    assert(result.nextNumbers[0] === '16', 'Accepts bigint input');
+
+    result = analyzer.analyze(['1/2', '2', '9/2', '8', '25/2'], { exact: true });
+    assert(result.pattern === 'polynomial' && result.degree === 2, 'Detects fractional polynomial in exact mode');
+    assert(result.constantDifference === '1', 'Reports exact constant difference');
+
+    section('Mode Selection');
+
+    result = analyzer.analyze([1, 'abc', 3], { exact: true });
+    assert(!result.success, 'Rejects non-numeric strings in exact mode');
+
+    result = analyzer.analyze(['1', '2', '3']);
+    assert(!result.success, 'Rejects strings in floating point mode');
+
+    const exactAnalyzer = new SequenceAnalyzer({ exact: true });
+    result = exactAnalyzer.analyze([3, 6, 9]);
+    assert(result.nextNumbers[0] === '12', 'Constructor option enables exact mode');
+
+    result = analyzer.analyze([3, 6, 9]);
+    assert(result.nextNumbers[0] === 12, 'Cache distinguishes exact and float results');
+})();
+
+// ============================================================================
+// Linear Recurrence Detection
+// ============================================================================
+
+describe('LINEAR RECURRENCE TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Second Order Recurrences');
+
+    let result = analyzer.analyze([0, 1, 2, 5, 12, 29, 70]);
+    assert(result.pattern === 'linear-recurrence', 'Detects Pell numbers');
+    assert(result.order === 2, 'Finds minimal order 2');
+    assert(result.coefficients[0] === 2 && result.coefficients[1] === 1, 'Reports coefficients [2, 1]');
+    assert(result.nextNumbers[0] === 169, 'Predicts 169 for Pell numbers');
+    assert(result.formula === 'a_n = 2a_(n-1) + a_(n-2)', 'Formats the recurrence');
+
+    result = analyzer.analyze([1, 2, 1, -4, -11, -10, 13]);
+    assert(result.pattern === 'linear-recurrence', 'Detects a(n) = 2a(n-1) - 3a(n-2)');
+    assert(result.formula === 'a_n = 2a_(n-1) - 3a_(n-2)', 'Formats negative coefficients');
+    assert(result.initialTerms.length === 2 && result.initialTerms[0] === 1, 'Reports initial terms');
+    assert(result.nextNumbers[0] === 56, 'Predicts 56');
+
+    section('Higher Orders');
+
+    result = analyzer.analyze([1, 1, 2, 4, 7, 13, 24, 44]);
+    assert(result.pattern === 'linear-recurrence' && result.order === 3, 'Detects tribonacci (order 3)');
+    assert(result.nextNumbers[0] === 81, 'Predicts 81 for tribonacci');
+
+    result = analyzer.analyze(['1', '1/2', '5/4', '9/8', '29/16'], { exact: true });
+    assert(result.pattern === 'linear-recurrence', 'Detects recurrences with fractional coefficients');
+    assert(result.coefficients[0] === '1/2', 'Reports exact fractional coefficient');
+    assert(result.nextNumbers[0] === '65/32', 'Predicts exact fractional term');
+
+    section('Simpler Patterns Win');
+
+    result = analyzer.analyze([1, 4, 9, 16, 25, 36, 49, 64]);
+    assert(result.pattern === 'polynomial', 'Long quadratic stays polynomial');
+
+    result = analyzer.analyze([2, 1, 3, 4, 7, 11, 18]);
+    assert(result.pattern === 'fibonacci', 'Lucas numbers stay Fibonacci-like');
+})();
+
+// ============================================================================
+// Polynomial Closed Forms
+// ============================================================================
+
+describe('POLYNOMIAL CLOSED FORM TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Coefficient Solving');
+
+    let result = analyzer.analyze([4, 9, 18, 31, 48]);
+    assert(result.pattern === 'polynomial' && result.degree === 2, 'Detects quadratic 2n^2 - n + 3');
+    assert(JSON.stringify(result.coefficients) === '[3,-1,2]', 'Reports coefficients by power of n');
+    assert(result.formula === 'a_n = 2n^2 - n + 3', 'Formula shows the closed form');
+    assert(result.explanation.includes('2n^2 - n + 3'), 'Explanation mentions the closed form');
+
+    result = analyzer.analyze([2, 10, 30, 68, 130]);
+    assert(result.formula === 'a_n = n^3 + n', 'Solves n^3 + n');
+
+    section('Predictions From The Closed Form');
+
+    result = analyzer.analyze([2, 6, 12, 20, 30]);
+    assert(result.nextNumbers[0] === 42 && result.nextNumbers[1] === 56, 'Predicts 42, 56 for n^2 + n');
+
+    result = analyzer.analyze([1, 4, 9, 16, 25]);
+    assert(result.nextNumbers[0] === 36, 'Predicts 36 for perfect squares');
+
+    section('Fractional Coefficients');
+
+    result = analyzer.analyze([1, 3, 6, 10, 15], { exact: true });
+    assert(result.formula === 'a_n = (1/2)n^2 + (1/2)n', 'Triangular numbers have exact 1/2 coefficients');
+    assert(result.nextNumbers[0] === '21', 'Predicts 21 for triangular numbers');
+
+    result = analyzer.analyze([1, 3, 6, 10, 15]);
+    assert(result.coefficients[2] === 0.5, 'Float mode reports 0.5 for the leading coefficient');
+})();
+
+// ============================================================================
+// Regression Fitting Mode
+// ============================================================================
+
+describe('REGRESSION FITTING TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Noisy Linear Data');
+
+    const noisyLinear = [1.02, 1.98, 3.01, 4.0, 4.97, 6.03];
+    let result = analyzer.analyze(noisyLinear);
+    assert(result.pattern !== 'regression', 'Fitting is off by default');
+
+    result = analyzer.analyze(noisyLinear, { fit: true });
+    assert(result.pattern === 'regression' && result.model === 'linear', 'Fits a line to noisy linear data');
+    assert(result.rSquared > 0.999, 'Reports R² close to 1');
+    assert(result.residuals.length === noisyLinear.length, 'Reports one residual per value');
+    assert(Math.abs(result.nextNumbers[0] - 7) < 0.1, 'Predicts roughly 7 next');
+    assert(result.informationCriterion.name === 'AICc', 'Reports the information criterion used');
+    assert(result.formula.startsWith('a_n ≈'), 'Formula marks the fit as approximate');
+
+    section('Model Selection');
+
+    result = analyzer.analyze([2.1, 3.9, 8.2, 15.8, 32.3, 63.7], { fit: true });
+    assert(result.model === 'exponential', 'Chooses exponential model for doubling data');
+    assert(Math.abs(result.parameters.base - 2) < 0.05, 'Estimates growth base close to 2');
+
+    result = analyzer.analyze([1.1, 4.05, 8.9, 16.2, 24.8, 36.1, 49.2], { fit: true });
+    assert(result.model === 'polynomial' && result.degree === 2, 'Chooses quadratic for noisy squares');
+    assert(result.candidates.length > 1 && result.candidates[0].model === result.model, 'Lists ranked candidate models');
+
+    section('Confidence From Goodness Of Fit');
+
+    result = analyzer.analyze([1, 4, 2, 6, 5, 8, 7], { fit: true });
+    assert(result.pattern === 'regression' && result.confidence < 90, 'A loose trend yields lower confidence');
+
+    result = analyzer.analyze([5.2, 1.1, 7.9, 3.3, 9.4, 0.7, 6.1], { fit: true, explain: true });
+    assert(result.pattern === 'unknown' && result.confidence === 0, 'Erratic data is not reported as a fit');
+    assert(result.trace.detectors.find(d => d.detector === 'regression').reason.includes('noise'),
+        'The trace explains why the fit was rejected');
+
+    result = analyzer.analyze([3, 6, 9, 12], { fit: true });
+    assert(result.pattern === 'arithmetic', 'Exact patterns take precedence over fits');
+})();
+
+// ============================================================================
+// Ranked Hypotheses
+// ============================================================================
+
+describe('RANKED HYPOTHESES TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Multiple Candidates');
+
+    let result = analyzer.analyze([1, 2, 4]);
+    const patterns = result.hypotheses.map(h => h.pattern);
+    assert(result.pattern === 'geometric', 'Top hypothesis for [1,2,4] is geometric');
+    assert(patterns.includes('polynomial'), 'Polynomial is listed as an alternative');
+    assert(result.hypotheses[0].rank === 1 && result.hypotheses[0].pattern === result.pattern,
+        'First hypothesis is the reported pattern');
+    assert(result.hypotheses.every((h, i) => i === 0 || result.hypotheses[i - 1].score >= h.score),
+        'Hypotheses are sorted by score');
+    assert(result.hypotheses.every(h => Array.isArray(h.nextNumbers)), 'Every hypothesis has predictions');
+
+    section('Ambiguity Notes');
+
+    assert(result.ambiguity.ambiguous === true, 'Flags [1,2,4] as ambiguous');
+    assert(result.ambiguity.note.includes('too short'), 'Explains the sequence is too short');
+
+    result = analyzer.analyze([5, 10]);
+    assert(result.ambiguity.ambiguous && result.ambiguity.alternatives.includes('geometric'),
+        'Two points fit both arithmetic and geometric');
+
+    result = analyzer.analyze([3, 6, 9, 12, 15, 18]);
+    assert(result.ambiguity.ambiguous === false, 'Long arithmetic sequence is unambiguous');
+
+    section('Evidence Beats Flexibility');
+
+    result = analyzer.analyze([1, 1, 2, 3, 5, 8]);
+    const fibonacci = result.hypotheses.find(h => h.pattern === 'fibonacci');
+    const polynomial = result.hypotheses.find(h => h.pattern === 'polynomial');
+    assert(fibonacci.score > polynomial.score, 'Fibonacci outranks an interpolating polynomial');
+    assert(polynomial.supportingTerms === 0, 'Interpolating polynomial has no supporting terms');
+
+    result = analyzer.analyze([1, 2, 6, 22, 92, 426, 2146]);
+    assert(result.pattern === 'unknown' && result.hypotheses.length === 0, 'Unknown sequences have no hypotheses');
+})();
+
+// ============================================================================
+// Interleaved & Periodic Sequences
+// ============================================================================
+
+describe('INTERLEAVED & PERIODIC TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Periodic Cycles');
+
+    let result = analyzer.analyze([4, 7, 1, 4, 7, 1]);
+    assert(result.pattern === 'periodic', 'Detects repeating cycle 4, 7, 1');
+    assert(result.period === 3, 'Reports period 3');
+    assert(JSON.stringify(result.cycle) === '[4,7,1]', 'Reports the cycle values');
+    assert(JSON.stringify(result.nextNumbers) === '[4,7,1,4,7]', 'Continues the cycle');
+
+    result = analyzer.analyze([4, 7, 1, 4, 7]);
+    assert(result.pattern !== 'periodic', 'Requires the cycle to repeat fully');
+
+    result = analyzer.analyze([5, 5, 5, 5]);
+    assert(result.hypotheses.every(h => h.pattern !== 'periodic'), 'Constant sequences are not periodic');
+
+    section('Interleaved Progressions');
+
+    result = analyzer.analyze([1, 10, 2, 20, 3, 30]);
+    assert(result.pattern === 'interleaved', 'Detects two interleaved progressions');
+    assert(result.ways === 2, 'Reports two subsequences');
+    assert(result.components[0].pattern === 'arithmetic' && result.components[1].pattern === 'arithmetic',
+        'Analyzes each subsequence');
+    assert(JSON.stringify(result.nextNumbers) === '[4,40,5,50,6]', 'Continues the interleave');
+
+    result = analyzer.analyze([1, 100, 2, 200, 4, 400, 8, 800]);
+    assert(result.pattern === 'interleaved', 'Detects interleaved geometric progressions');
+    assert(result.nextNumbers[0] === 16 && result.nextNumbers[1] === 1600, 'Predicts 16 then 1600');
+
+    result = analyzer.analyze([1, 10, 2, 20, 3, 30, 4]);
+    assert(result.nextNumbers[0] === 40, 'Resumes with the right subsequence for odd lengths');
+
+    result = analyzer.analyze([1, 2, 3, 4, 5, 6]);
+    assert(result.pattern === 'arithmetic', 'Plain arithmetic outranks an interleaved split');
+})();
+
+// ============================================================================
+// Detector Registry Tests
+// ============================================================================
+
+describe('DETECTOR REGISTRY TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Built-in Detectors');
+
+    const names = analyzer.getDetectors().map(d => d.name);
+    assert(names[0] === 'arithmetic' && names.includes('linear-recurrence'), 'Built-in detectors are registered');
+    assert(analyzer.getDetectors().every((d, i, all) => i === 0 || all[i - 1].priority <= d.priority),
+        'Detectors are listed in priority order');
+
+    section('Custom Detectors');
+
+    analyzer.registerDetector('squares-plus-one', {
+        detect: seq => (seq.every((v, i) => v === (i + 1) * (i + 1) + 1)
+            ? { pattern: 'squares-plus-one', parameterCount: 0, formula: 'a_n = n^2 + 1' }
+            : null),
+        predict: (seq, match, count) => Array.from({ length: count }, (_, i) => Math.pow(seq.length + i + 1, 2) + 1),
+        priority: 5
+    });
+
+    let result = analyzer.analyze([2, 5, 10, 17]);
+    assert(result.pattern === 'squares-plus-one', 'Custom detector match is reported');
+    assert(result.detector === 'squares-plus-one', 'Result names the detector that matched');
+    assert(JSON.stringify(result.nextNumbers) === '[26,37,50,65,82]', 'Custom predict function is used');
+    assert(analyzer.getDetectors()[0].name === 'squares-plus-one', 'Lower priority runs first');
+
+    let error = null;
+    try {
+        analyzer.registerDetector('squares-plus-one', { detect: () => null });
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('already registered'), 'Duplicate names are rejected');
+
+    error = null;
+    try {
+        analyzer.registerDetector('broken', {});
+    } catch (e) {
+        error = e;
+    }
+    assert(error instanceof TypeError, 'A detect function is required');
+
+    section('Enable & Disable');
+
+    analyzer.disableDetector('squares-plus-one');
+    result = analyzer.analyze([2, 5, 10, 17]);
+    assert(result.pattern !== 'squares-plus-one', 'Disabled detector is skipped');
+
+    analyzer.enableDetector('squares-plus-one');
+    result = analyzer.analyze([2, 5, 10, 17]);
+    assert(result.pattern === 'squares-plus-one', 'Re-enabled detector runs again');
+
+    analyzer.disableDetector('arithmetic');
+    result = analyzer.analyze([3, 6, 9, 12, 15]);
+    assert(result.pattern !== 'arithmetic', 'Built-in detectors can be disabled');
+    analyzer.enableDetector('arithmetic');
+
+    section('Detector Metrics & Errors');
+
+    analyzer.registerDetector('faulty', {
+        detect: () => { throw new Error('boom'); }
+    });
+    result = analyzer.analyze([1, 3, 5, 7]);
+    assert(result.success && result.pattern === 'arithmetic', 'A throwing detector does not break analysis');
+
+    const metrics = analyzer.getMetrics().detectors;
+    assert(metrics.faulty.errors > 0 && metrics.faulty.errors === metrics.faulty.calls &&
+        metrics.faulty.lastError === 'boom', 'Detector errors are counted');
+    assert(metrics.arithmetic.calls > 0 && metrics.arithmetic.matches > 0, 'Calls and matches are counted');
+    assert(typeof metrics.arithmetic.averageTime === 'number', 'Average time is reported');
+
+    assert(analyzer.unregisterDetector('faulty') === true, 'Detectors can be unregistered');
+    assert(!('faulty' in analyzer.getMetrics().detectors), 'Unregistered detector leaves the metrics');
+
+    analyzer.clear();
+    assert(analyzer.getMetrics().detectors.arithmetic.calls === 0, 'clear() resets detector metrics');
+})();
+
+// ============================================================================
+// Explanation Trace Tests
+// ============================================================================
+
+describe('EXPLANATION TRACE TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Opt-in Trace');
+
+    let result = analyzer.analyze([1, 4, 9, 16, 25]);
+    assert(result.trace === undefined, 'No trace unless explain is requested');
+
+    result = analyzer.analyze([1, 4, 9, 16, 25], { explain: true });
+    assert(result.trace !== undefined, 'explain option adds a trace');
+    assert(result.pattern === 'polynomial', 'Explaining does not change the result');
+
+    section('Difference Table & Ratios');
+
+    const table = result.trace.differenceTable;
+    assert(JSON.stringify(table) === '[[1,4,9,16,25],[3,5,7,9],[2,2,2]]',
+        'Difference table stops at the first constant row');
+    assert(result.trace.ratios.length === 4 && result.trace.ratios[0] === 4, 'Ratios between consecutive terms');
+
+    const zeros = analyzer.analyze([0, 1, 0, 1, 0, 1], { explain: true });
+    assert(zeros.trace.ratios[0] === null, 'Ratio after a zero term is null');
+
+    section('Detector Outcomes');
+
+    const byName = name => result.trace.detectors.find(d => d.detector === name);
+    assert(result.trace.detectors.length === analyzer.getDetectors().length, 'Every detector appears in the trace');
+    assert(byName('polynomial').status === 'matched' && byName('polynomial').rank === 1,
+        'Winning detector is marked as matched with rank 1');
+    assert(byName('arithmetic').status === 'rejected' && byName('arithmetic').reason.includes('not constant'),
+        'Rejected detectors explain why');
+    assert(byName('regression').reason === 'Fit mode is off', 'Regression explains it needs fit mode');
+    assert(result.trace.conclusion.includes('polynomial'), 'Conclusion names the winning pattern');
+
+    const geometric = analyzer.analyze([2, 4, 8, 16], { explain: true });
+    const polynomial = geometric.trace.detectors.find(d => d.detector === 'polynomial');
+    assert(polynomial.status === 'matched' && polynomial.reason.includes('outranked by geometric'),
+        'Outranked matches say what beat them');
+
+    analyzer.disableDetector('fibonacci');
+    result = analyzer.analyze([1, 1, 2, 3, 5, 8], { explain: true });
+    assert(result.trace.detectors.find(d => d.detector === 'fibonacci').status === 'disabled',
+        'Disabled detectors are listed as disabled');
+    analyzer.enableDetector('fibonacci');
+
+    const exact = analyzer.analyze(['1', '3', '9', '27'], { exact: true, explain: true });
+    assert(JSON.stringify(exact.trace.ratios) === '["3","3","3"]', 'Exact mode trace uses exact strings');
+})();
+
+// ============================================================================
+// Nth Term Tests
+// ============================================================================
+
+describe('NTH TERM TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Closed Forms');
+
+    assert(analyzer.term([3, 6, 9, 12], 100).value === 300, 'Arithmetic term 100');
+    assert(analyzer.term([3, 6, 9, 12], 0).value === 0, 'Arithmetic term 0 runs backward');
+    assert(analyzer.term([2, 4, 8, 16], 20).value === 1048576, 'Geometric term 20');
+    assert(analyzer.term([2, 4, 8, 16], -1).value === 0.5, 'Geometric negative index');
+    assert(analyzer.term([1, 4, 9, 16, 25], 1000).value === 1000000, 'Polynomial term 1000');
+    assert(analyzer.term([4, 7, 1, 4, 7, 1], 101).value === 7, 'Periodic term follows the cycle');
+    assert(analyzer.term([1, 10, 2, 20, 3, 30], 10).value === 50, 'Interleaved term uses its subsequence');
+
+    section('Recurrences');
+
+    assert(analyzer.term([1, 1, 2, 3, 5, 8], 50).value === 12586269025, 'Fibonacci term 50');
+    assert(analyzer.term([1, 1, 2, 3, 5, 8], -6).value === -8, 'Fibonacci extends backward');
+    assert(analyzer.term([1, 2, 5, 12, 29, 70, 169], 10).value === 2378, 'Linear recurrence term 10');
+
+    const nextNumbers = analyzer.analyze([1, 1, 2, 3, 5, 8]).nextNumbers;
+    assert([7, 8, 9, 10, 11].every((n, i) => analyzer.term([1, 1, 2, 3, 5, 8], n).value === nextNumbers[i]),
+        'term() agrees with nextNumbers');
+
+    const huge = analyzer.term([1, 1, 2, 3, 5, 8], 1000000);
+    assert(huge.success && huge.exactValue.length === 208988, 'Fibonacci term 10^6 is returned exactly');
+    assert(huge.exactValue.endsWith('546875'), 'Exact value of F(10^6) has the right last digits');
+
+    const overflow = analyzer.term([2, 6, 18, 54], 5000);
+    assert(overflow.success && overflow.value === undefined && overflow.exactValue.startsWith('2') &&
+        overflow.exactValue.length === 2386, 'Integers beyond the double range return only exactValue');
+    assert(!JSON.stringify(overflow).includes('null'), 'No null value beside the exact one');
+
+    section('Exact Mode');
+
+    let result = analyzer.term(['1', '1/3', '1/9'], 6, { exact: true });
+    assert(result.value === '1/243', 'Exact geometric term is a fraction string');
+    result = analyzer.term([1, 1, 2, 3, 5, 8], 100, { exact: true });
+    assert(result.value === '354224848179261915075', 'Exact Fibonacci term 100');
+
+    section('Errors');
+
+    assert(analyzer.term([1, 2, 3], 1.5).success === false, 'Rejects a non-integer index');
+    assert(analyzer.term([1, 2, 3], 1e9).success === false, 'Rejects an index beyond the limit');
+    assert(analyzer.term([1, 2, 6, 22, 92, 426, 2146], 8).success === false, 'Unknown pattern has no nth term');
+    assert(analyzer.term([5], 3).success === false, 'Invalid sequences are rejected');
+
+    section('Fractional Ratios');
+
+    assert(analyzer.term([2, 5, 12.5, 31.25], 10).value === 7629.39453125, 'Fractional ratios evaluate in float mode');
+    let started = Date.now();
+    result = analyzer.term([2, 5, 12.5, 31.25], 1000000);
+    assert(result.success === false && /floating-point range/.test(result.error) && Date.now() - started < 1000,
+        'Terms beyond the float range fail fast instead of returning null');
+    started = Date.now();
+    result = analyzer.term([2, 5, 12.5, 31.25], 1000000, { exact: true });
+    assert(result.success === false && Date.now() - started < 1000, 'Exact powers of fractional ratios are capped');
+})();
+
+// ============================================================================
+// Missing Term Tests
+// ============================================================================
+
+describe('MISSING TERM TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Filling Gaps');
+
+    let result = analyzer.analyze([2, null, 8, 11, null, 17]);
+    assert(result.success && result.pattern === 'arithmetic', 'Gapped arithmetic sequence is recognized');
+    assert(JSON.stringify(result.inferredTerms) === '[{"index":2,"value":5},{"index":5,"value":14}]',
+        'Reports the inferred terms with their positions');
+    assert(JSON.stringify(result.filledSequence) === '[2,5,8,11,14,17]', 'Returns the completed sequence');
+    assert(result.sequence[1] === null, 'Original sequence keeps its gaps');
+    assert(result.nextNumbers[0] === 20, 'Predicts from the completed sequence');
+
+    result = analyzer.analyze([null, 4, null, 16, 32]);
+    assert(result.pattern === 'geometric' && result.filledSequence[0] === 2, 'Leading gap in a geometric sequence');
+
+    result = analyzer.analyze([1, 1, null, 3, 5, null, 13]);
+    assert(result.pattern === 'fibonacci' && result.filledSequence[5] === 8, 'Gaps in a Fibonacci sequence');
+
+    result = analyzer.analyze([1, null, 9, 16, null, 36]);
+    assert(result.pattern === 'polynomial' && result.filledSequence[4] === 25, 'Gaps in a polynomial sequence');
+
+    result = analyzer.analyze([4, 7, null, 4, null, 1, 4]);
+    assert(result.pattern === 'periodic' && JSON.stringify(result.filledSequence) === '[4,7,1,4,7,1,4]',
+        'Gaps in a periodic sequence');
+
+    result = analyzer.analyze(['1', null, '1/9', '1/27'], { exact: true });
+    assert(result.inferredTerms[0].value === '1/3', 'Exact mode infers exact gaps');
+
+    section('Filling Gaps With the Detectors');
+
+    result = analyzer.analyze([0, 1, 2, null, 12, 29, 70, 169, 408]);
+    assert(result.pattern === 'linear-recurrence' && result.filledSequence[3] === 5, 'Gap in the Pell numbers');
+
+    result = analyzer.analyze([1, 10, 2, null, 3, 30, 4, 40]);
+    assert(result.pattern === 'interleaved' && result.filledSequence[3] === 20, 'Gap in interleaved sequences');
+
+    result = analyzer.analyze([3, 5, 9, null, 33, 65]);
+    assert(result.pattern === 'exponential' && result.filledSequence[3] === 17, 'Gap in 2^n + 1');
+
+    result = analyzer.analyze([1, 2, 6, null, 120, 720]);
+    assert(result.pattern === 'factorial' && result.filledSequence[3] === 24, 'Gap in the factorials');
+
+    result = analyzer.analyze([2, 3, 5, null, 11, 13, 17]);
+    assert(result.catalog.id === 'A000040' && result.filledSequence[3] === 7, 'Gap in the primes (catalog)');
+
+    result = analyzer.analyze([1, 1, 2, null, 14, 42, 132]);
+    assert(result.catalog.id === 'A000108' && result.filledSequence[3] === 5, 'Gap in the Catalan numbers (catalog)');
+
+    result = analyzer.analyze([6, 3, 10, null, 16, 8, 4, 2, 1]);
+    assert(result.pattern === 'conditional' && result.filledSequence[3] === 5, 'Gap in a Collatz trajectory');
+
+    const digitSum = value => String(value).split('').reduce((sum, digit) => sum + Number(digit), 0);
+    const plain = new SequenceAnalyzer({ catalog: null });
+    plain.registerDetector('digit-sum', {
+        detect: seq => (seq.length >= 3 && seq.slice(1).every((v, i) => v === seq[i] + digitSum(seq[i]))
+            ? { pattern: 'digit-sum', parameterCount: 1 }
+            : null),
+        term: (seq, match, n) => {
+            let value = seq[seq.length - 1];
+            for (let i = seq.length; i < n; i++) value += digitSum(value);
+            return value;
+        }
+    });
+    result = plain.analyze([1, 2, 4, 8, 16, null, 28, 38, 49]);
+    assert(result.pattern === 'digit-sum' && result.filledSequence[5] === 23,
+        'Custom detectors fill gaps through their term function');
+
+    plain.registerDetector('odd-squares', {
+        detect: seq => (seq.every((v, i) => v === (2 * i + 1) * (2 * i + 1))
+            ? { pattern: 'odd-squares', parameterCount: 0 }
+            : null),
+        fill: seq => seq.map((v, i) => (2 * i + 1) * (2 * i + 1)),
+        priority: 5
+    });
+    result = plain.analyze([null, 9, null, 49]);
+    assert(result.pattern === 'odd-squares' && result.filledSequence.join(',') === '1,9,25,49',
+        'Custom detectors fill gaps through their fill function');
+
+    let fillError = null;
+    try {
+        plain.registerDetector('bad-fill', { detect: () => null, fill: 'no' });
+    } catch (e) {
+        fillError = e;
+    }
+    assert(fillError instanceof TypeError, 'fill must be a function');
+
+    section('Evidence');
+
+    result = analyzer.analyze([2, null, 8, 11, null, 17]);
+    const top = result.hypotheses[0];
+    assert(top.supportingTerms === 2, 'Only known terms count as supporting evidence');
+
+    result = analyzer.analyze([1, null, 2, null, 17, -3, 99]);
+    assert(result.success && result.pattern === 'unknown', 'Unfillable gaps give an unknown pattern');
+    assert(result.inferredTerms.length === 0 && result.filledSequence === null, 'No terms are invented');
+
+    result = analyzer.analyze([2, null, 8, 11, null, 17], { explain: true });
+    assert(result.trace.gaps.model === 'arithmetic', 'Trace records how the gaps were filled');
+
+    assert(analyzer.term([2, null, 8, 11, null, 17], 10).value === 29, 'term() works on gapped sequences');
+
+    section('Validation');
+
+    assert(analyzer.analyze([1, null]).success === false, 'Needs at least 2 known terms');
+    assert(analyzer.analyze([1, 'x', 3]).success === false, 'Other non-numeric values are still rejected');
+    result = analyzer.analyze([3, 6, 9, 12]);
+    assert(result.inferredTerms === undefined, 'Complete sequences have no inferredTerms');
+})();
+
+// ============================================================================
+// Cache & Retention Tests
+// ============================================================================
+
+describe('CACHE & RETENTION TESTS');
+
+(() => {
+    section('LRU Eviction');
+
+    let analyzer = new SequenceAnalyzer({ cache: { maxEntries: 2 } });
+    analyzer.analyze([1, 2, 3]);
+    analyzer.analyze([2, 4, 8]);
+    analyzer.analyze([1, 2, 3]);            // refreshes [1, 2, 3]
+    analyzer.analyze([5, 10, 15]);          // evicts [2, 4, 8]
+    let metrics = analyzer.getMetrics();
+    assert(metrics.cacheSize === 2, 'Cache never exceeds maxEntries');
+    assert(metrics.cacheEvictions === 1, 'Evictions are counted');
+
+    analyzer.analyze([1, 2, 3]);
+    assert(analyzer.getMetrics().cacheHits === 2, 'Recently used entry survives eviction');
+    analyzer.analyze([2, 4, 8]);
+    assert(analyzer.getMetrics().cacheHits === 2, 'Least recently used entry was evicted');
+
+    section('Byte Limit');
+
+    analyzer = new SequenceAnalyzer({ cache: { maxBytes: 6000 } });
+    for (let i = 1; i <= 10; i++) {
+        analyzer.analyze([i, i * 2, i * 3]);
+    }
+    metrics = analyzer.getMetrics();
+    assert(metrics.cacheBytes <= 6000, 'Cache stays within maxBytes');
+    assert(metrics.cacheEvictions > 0 && metrics.cacheSize < 10, 'Byte limit evicts old entries');
+
+    section('Time To Live');
+
+    let clock = 0;
+    analyzer = new SequenceAnalyzer({ cache: { ttl: 1000, now: () => clock } });
+    analyzer.analyze([3, 6, 9]);
+    clock = 500;
+    analyzer.analyze([3, 6, 9]);
+    assert(analyzer.getMetrics().cacheHits === 1, 'Entry is served before it expires');
+    clock = 1500;
+    analyzer.analyze([3, 6, 9]);
+    metrics = analyzer.getMetrics();
+    assert(metrics.cacheHits === 1 && metrics.cacheExpirations === 1, 'Expired entry is recomputed');
+
+    clock = 5000;
+    assert(analyzer.getMetrics().cacheSize === 0, 'Expired entries are pruned from the metrics');
+
+    section('History Retention');
+
+    analyzer = new SequenceAnalyzer({ maxHistory: 3 });
+    [[1, 2], [2, 3], [3, 4], [4, 5], [5, 6]].forEach(seq => analyzer.analyze(seq));
+    const history = analyzer.getHistory();
+    assert(history.length === 3, 'History is capped at maxHistory');
+    assert(history[0].sequence[0] === 3, 'Oldest entries are dropped first');
+    assert(analyzer.getMetrics().historyEvictions === 2, 'Dropped history entries are counted');
+
+    analyzer.clear();
+    metrics = analyzer.getMetrics();
+    assert(metrics.historyEvictions === 0 && metrics.cacheEvictions === 0, 'clear() resets eviction counts');
+
+    section('Defaults');
+
+    metrics = new SequenceAnalyzer().getMetrics();
+    assert(metrics.cacheEvictions === 0 && metrics.historySize === 0, 'Default analyzer reports retention metrics');
+    analyzer = new SequenceAnalyzer({ exact: true, cache: { maxEntries: 5 } });
+    assert(analyzer.options.cache === undefined && analyzer.options.exact === true,
+        'Cache options are kept apart from analysis defaults');
+})();
+
+// ============================================================================
+// History Store Tests
+// ============================================================================
+
+describe('HISTORY STORE TESTS');
+
+(() => {
+    section('JSON Lines Persistence');
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-chamber-'));
+    const file = path.join(directory, 'nested', 'history.jsonl');
+
+    try {
+        let analyzer = new SequenceAnalyzer({ historyStore: new JsonLinesHistoryStore(file) });
+        analyzer.analyze([2, 4, 6, 8]);
+        analyzer.analyze([3, 9, 27]);
+        assert(fs.readFileSync(file, 'utf8').trim().split('\n').length === 2, 'Each analysis is appended as one line');
+
+        analyzer = new SequenceAnalyzer({ historyStore: new JsonLinesHistoryStore(file) });
+        let history = analyzer.getHistory();
+        assert(history.length === 2 && history[1].pattern === 'geometric', 'History is loaded at startup');
+
+        analyzer = new SequenceAnalyzer({ historyStore: new JsonLinesHistoryStore(file), maxHistory: 1 });
+        assert(analyzer.getHistory().length === 1, 'Loaded history respects maxHistory');
+
+        section('Clearing');
+
+        analyzer.clear();
+        analyzer.analyze([1, 1, 2, 3, 5]);
+        analyzer = new SequenceAnalyzer({ historyStore: new JsonLinesHistoryStore(file) });
+        history = analyzer.getHistory();
+        assert(history.length === 1 && history[0].pattern === 'fibonacci', 'Cleared entries are not reloaded');
+        assert(analyzer.queryHistory().length === 3, 'The audit trail keeps cleared entries');
+
+        section('Damaged Files');
+
+        fs.appendFileSync(file, '{"sequence": [1, 2\n');
+        const store = new JsonLinesHistoryStore(file);
+        assert(store.load().length === 1 && store.skippedLines === 1, 'Unreadable lines are skipped and counted');
+
+        section('Slim Records and Retention');
+
+        const slimFile = path.join(directory, 'slim.jsonl');
+        analyzer = new SequenceAnalyzer({ historyStore: new JsonLinesHistoryStore(slimFile) });
+        const explained = analyzer.analyze([2, 4, 6, 8], { explain: true });
+        const stored = JSON.parse(fs.readFileSync(slimFile, 'utf8'));
+        assert(explained.trace && stored.trace === undefined && stored.hypotheses === undefined,
+            'Stored records leave out the trace and the hypotheses');
+        assert(stored.pattern === 'arithmetic' && stored.formula === explained.formula, 'Stored records keep the result');
+
+        const cappedFile = path.join(directory, 'capped.jsonl');
+        analyzer = new SequenceAnalyzer({ historyStore: new JsonLinesHistoryStore(cappedFile, { maxRecords: 3 }) });
+        [1, 2, 3, 4, 5, 6, 7].forEach(step => analyzer.analyze([step, 2 * step, 3 * step]));
+        assert(fs.readFileSync(cappedFile, 'utf8').trim().split('\n').length === 4,
+            'The file is compacted to maxRecords once it holds twice as many');
+        assert(analyzer.queryHistory().map(entry => entry.sequence[0]).join(',') === '4,5,6,7',
+            'Compaction keeps the most recent records');
+
+        const longFile = path.join(directory, 'long.jsonl');
+        const longStore = new JsonLinesHistoryStore(longFile);
+        for (let i = 0; i < 100; i++) {
+            longStore.append({ pattern: 'arithmetic', sequence: [i], timestamp: new Date().toISOString(), note: 'é'.repeat(1000) });
+        }
+        assert(longStore.load().length === 100 && longStore.skippedLines === 0, 'Reads files longer than one chunk from the end');
+        const latest = longStore.load(2);
+        assert(latest.length === 2 && latest[1].sequence[0] === 99 && latest[1].note.length === 1000,
+            'load(limit) returns the most recent records intact');
+        assert(longStore.query({ limit: 1 })[0].sequence[0] === 99, 'Limited queries read from the end');
+
+        let threw = false;
+        try {
+            new JsonLinesHistoryStore(file, { maxRecords: 0 });
+        } catch (error) {
+            threw = error instanceof RangeError;
+        }
+        assert(threw, 'Rejects a maxRecords below 1');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    section('Queries');
+
+    const analyzer = new SequenceAnalyzer({ historyStore: new MemoryHistoryStore() });
+    analyzer.analyze([2, 4, 6, 8]);
+    analyzer.analyze([2, 4, 8, 16]);
+    analyzer.analyze([5, 10, 15]);
+
+    assert(analyzer.queryHistory({ pattern: 'arithmetic' }).length === 2, 'Filter by pattern');
+    assert(analyzer.queryHistory({ pattern: ['arithmetic', 'geometric'] }).length === 3, 'Filter by several patterns');
+    assert(analyzer.queryHistory({ prefix: [2, 4] }).length === 2, 'Filter by sequence prefix');
+    assert(analyzer.queryHistory({ prefix: [2, 4, 8] })[0].pattern === 'geometric', 'Prefix matches leading terms only');
+    assert(analyzer.queryHistory({ pattern: 'arithmetic', limit: 1 })[0].sequence[0] === 5, 'Limit keeps the most recent matches');
+    assert(analyzer.queryHistory({ limit: 0 }).length === 0, 'A limit of 0 returns nothing');
+
+    const entries = [
+        { pattern: 'arithmetic', sequence: [1, 2], timestamp: '2024-01-01T00:00:00.000Z' },
+        { pattern: 'arithmetic', sequence: [1, 2], timestamp: '2024-02-01T00:00:00.000Z' },
+        { pattern: 'arithmetic', sequence: [1, 2], timestamp: '2024-03-01T00:00:00.000Z' }
+    ];
+    assert(filterHistory(entries, { from: '2024-02-01T00:00:00.000Z' }).length === 2, 'from is inclusive');
+    assert(filterHistory(entries, { to: '2024-02-01T00:00:00.000Z' }).length === 2, 'to is inclusive');
+    assert(filterHistory(entries, { from: '2024-01-15', to: '2024-02-15' }).length === 1, 'Filter by date range');
+    assert(filterHistory([{ sequence: ['1/2', '3'] }], { prefix: ['1/2'] }).length === 1, 'Exact-mode prefixes match as text');
+
+    let error = null;
+    try {
+        filterHistory(entries, { from: 'yesterday-ish' });
+    } catch (e) {
+        error = e;
+    }
+    assert(error instanceof RangeError, 'Invalid dates are rejected');
+
+    section('Without A Store');
+
+    const plain = new SequenceAnalyzer();
+    plain.analyze([1, 2, 3]);
+    plain.analyze([1, 3, 9]);
+    assert(plain.queryHistory({ pattern: 'geometric' }).length === 1, 'queryHistory searches in-memory history');
+
+    const failing = new SequenceAnalyzer({
+        historyStore: { load: () => [], append: () => { throw new Error('disk full'); }, clear() {}, query: () => [] }
+    });
+    const result = failing.analyze([4, 8, 12]);
+    assert(result.success && failing.getMetrics().historyStoreErrors === 1, 'Store failures do not fail the analysis');
+})();
+
+// ============================================================================
+// Streaming Tests
+// ============================================================================
+
+describe('STREAMING TESTS');
+
+(() => {
+    section('Confirming A Pattern');
+
+    let stream = new SequenceStream();
+    const regimes = [];
+    stream.on('regime', regime => regimes.push(regime));
+
+    const statuses = [3, 6, 9, 12].map(value => stream.push(value).status);
+    assert(statuses.slice(0, 3).every(status => status === 'pending'), 'Values are pending until the pattern is supported');
+    assert(statuses[3] === 'confirmed', 'The pattern is confirmed by supporting terms');
+    assert(regimes.length === 1 && regimes[0].pattern === 'arithmetic', 'A regime event reports the confirmed pattern');
+
+    let result = stream.push(15);
+    assert(result.status === 'match' && result.expected === 15, 'Matching values follow the confirmed pattern');
+    assert(result.regime.start === 0 && result.regime.end === 4, 'The regime grows with each match');
+
+    section('Incremental Updates');
+
+    const analyzer = new SequenceAnalyzer();
+    stream = new SequenceStream({ analyzer });
+    [1, 1, 2, 3, 5].forEach(value => stream.push(value));
+    const analyses = analyzer.getMetrics().totalAnalyses;
+    [8, 13, 21, 34, 55].forEach(value => stream.push(value));
+    assert(analyzer.getMetrics().totalAnalyses === analyses, 'Matching values are not re-analyzed');
+    assert(stream.getState().regime.nextNumber === 89, 'The regime knows its next term');
+    assert(analyzer.getHistory().length === 0, 'Stream analyses stay out of the history');
+
+    section('Change Points');
+
+    stream = new SequenceStream();
+    const breaks = [];
+    const changes = [];
+    stream.on('break', event => breaks.push(event));
+    stream.on('changepoint', event => changes.push(event));
+
+    [1, 2, 3, 4, 5].forEach(value => stream.push(value));
+    result = stream.push(10);
+    assert(result.status === 'break' && result.index === 5 && result.expected === 6, 'A mismatch is reported as a break');
+    assert(breaks.length === 1 && breaks[0].previous.pattern === 'arithmetic', 'The break event carries the previous regime');
+    assert(changes.length === 0, 'The change point waits for the new regime');
+
+    [20, 40, 80].forEach(value => stream.push(value));
+    assert(changes.length === 1 && changes[0].index === 5, 'The change point is reported at the breaking value');
+    assert(changes[0].regime.pattern === 'geometric' && changes[0].regime.start === 5, 'The change point carries the new regime');
+
+    const state = stream.getState();
+    assert(JSON.stringify(state.changePoints) === '[5]', 'State lists the change points');
+    assert(state.regimes.length === 2 && state.regimes[0].end === 4, 'State lists closed and current regimes');
+
+    section('Arithmetic Modes');
+
+    stream = new SequenceStream({ exact: true });
+    ['1/3', '2/3', '1', '4/3'].forEach(value => stream.push(value));
+    assert(stream.push('5/3').status === 'match', 'Exact streams match fractions exactly');
+
+    stream = new SequenceStream({ tolerance: 0.01 });
+    [10, 20, 30, 40].forEach(value => stream.push(value));
+    assert(stream.push(50.1).status === 'match', 'Float streams match within the tolerance');
+    assert(stream.push(70).status === 'break', 'Values outside the tolerance break the pattern');
+
+    section('Validation And Reset');
+
+    result = stream.push('abc');
+    assert(!result.success && result.error.includes('❌'), 'Invalid values are rejected');
+    assert(stream.getState().length === 6, 'Rejected values are not counted');
+
+    stream.reset();
+    assert(stream.getState().length === 0 && stream.getRegimes()[0].pattern === 'unknown', 'reset() forgets every value');
+
+    stream = new SequenceStream({ window: 4 });
+    [5, 1, 9, 2, 7, 3].forEach(value => stream.push(value));
+    assert(stream.getState().regime.length === 4, 'Unsettled regimes keep only the latest values');
+
+    let error = null;
+    try {
+        new SequenceStream({ window: 1 });
+    } catch (e) {
+        error = e;
+    }
+    assert(error instanceof RangeError, 'An invalid window is rejected');
+})();
+
+// ============================================================================
+// Formula Export Tests
+// ============================================================================
+
+describe('FORMULA EXPORT TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+    const formulaOf = (sequence, options) => analyzer.analyze(sequence, options).structuredFormula;
+    const firstTerms = (fn, count) => Array.from({ length: count }, (_, i) => fn(i + 1));
+
+    section('Structured Formulas');
+
+    assert(formulaOf([3, 6, 9, 12]).kind === 'closed', 'Arithmetic progressions have a closed form');
+    assert(formulaOf([1, 1, 2, 3, 5]).kind === 'recurrence', 'Fibonacci-like sequences are recurrences');
+    assert(formulaOf([1, 2, 3, 1, 2, 3]).kind === 'periodic', 'Cycles are periodic formulas');
+    assert(formulaOf([1, 10, 2, 20, 3, 30]).kind === 'interleaved', 'Interleaved sequences keep their components');
+    assert(formulaOf([1, 2, 5, 14, 42, 132, 429]) === null, 'Unrecognized sequences have no structured formula');
+    const json = JSON.stringify(formulaOf([2, 6, 18, 54]));
+    assert(JSON.stringify(JSON.parse(json)) === json, 'Structured formulas are plain JSON');
+
+    section('LaTeX');
+
+    assert(Formula.toLatex(formulaOf([3, 6, 9, 12])) === 'a_{n} = 3n', 'Arithmetic as LaTeX');
+    assert(Formula.toLatex(formulaOf([5, 3, 1, -1])) === 'a_{n} = -2n + 7', 'Negative coefficients as LaTeX');
+    assert(Formula.toLatex(formulaOf([2, 6, 18, 54])) === 'a_{n} = 2 \\cdot 3^{n - 1}', 'Geometric as LaTeX');
+    assert(Formula.toLatex(formulaOf([1, 4, 9, 16, 25])) === 'a_{n} = n^{2}', 'Polynomial as LaTeX');
+    assert(Formula.toLatex(formulaOf([1, 1, 2, 3, 5, 8])) === 'a_{n} = a_{n - 1} + a_{n - 2}, \\quad a_{1} = 1, a_{2} = 1',
+        'Recurrence as LaTeX with initial terms');
+    assert(Formula.toLatex(formulaOf(['1/2', '1', '3/2'], { exact: true })) === 'a_{n} = \\frac{1}{2}n',
+        'Exact fractions as LaTeX');
+    assert(Formula.toLatex(formulaOf([1, 10, 2, 20, 3, 30])) === 'a_{n} = \\begin{cases} m & n = 2m - 1 \\\\ 10m & n = 2m \\end{cases}',
+        'Interleaved as LaTeX cases');
+    assert(Formula.toLatex(formulaOf([1.1, 2.3, 2.9, 4.2, 5.1, 5.8], { fit: true })).includes('\\approx'),
+        'Fits are approximate');
+
+    section('MathML');
+
+    const mathml = Formula.toMathML(formulaOf([1, 4, 9, 16]));
+    assert(mathml.startsWith('<math xmlns="http://www.w3.org/1998/Math/MathML"'), 'MathML has the namespace');
+    assert(mathml.includes('<msup><mi>n</mi><mn>2</mn></msup>'), 'Powers use msup');
+    assert(Formula.toMathML(formulaOf(['1/3', '2/3', '1'], { exact: true })).includes('<mfrac><mn>1</mn><mn>3</mn></mfrac>'),
+        'Fractions use mfrac');
+    assert(Formula.toMathML(formulaOf([1, 2, 3, 1, 2, 3])).includes('<mo>mod</mo>'), 'Periodic MathML uses mod');
+
+    section('JavaScript');
+
+    const sequences = [
+        [2, 5, 8, 11],
+        [3, -6, 12, -24],
+        [2, 5, 10, 17, 26],
+        [1, 2, 5, 12, 29, 70],
+        [4, 7, 1, 4, 7, 1],
+        [1, 1, 2, 1, 3, 2, 4, 3]
+    ];
+    sequences.forEach(sequence => {
+        const result = analyzer.analyze(sequence);
+        const fn = Formula.compile(result.structuredFormula);
+        const expected = [...sequence, ...result.nextNumbers];
+        assert(JSON.stringify(firstTerms(fn, expected.length)) === JSON.stringify(expected),
+            `Compiled ${result.pattern} formula reproduces ${sequence.join(', ')}`);
+    });
+
+    const source = Formula.toJavaScript(formulaOf([3, 6, 9, 12]));
+    assert(source === '(n) => 3 * n', 'Closed forms export as arrow functions');
+    const exported = new Function(`return ${Formula.toJavaScript(formulaOf([1, 1, 2, 3, 5]))};`)();
+    assert(exported(10) === 55, 'Exported recurrence source runs');
+
+    let error = null;
+    try {
+        Formula.compile(Formula.closed(Formula.number('1; process.exit()')));
+    } catch (e) {
+        error = e;
+    }
+    assert(error instanceof TypeError, 'Only numbers are compiled into source');
+
+    error = null;
+    try {
+        Formula.render(formulaOf([1, 2, 3]), 'svg');
+    } catch (e) {
+        error = e;
+    }
+    assert(error instanceof RangeError, 'Unknown formats are rejected');
+
+    section('Custom Detectors');
+
+    const custom = new SequenceAnalyzer();
+    custom.registerDetector('squares-plus-one', {
+        priority: 5,
+        detect: values => (values.every((v, i) => v === (i + 1) ** 2 + 1)
+            ? {
+                pattern: 'squares-plus-one',
+                structuredFormula: Formula.closed(Formula.add(
+                    Formula.pow(Formula.variable(), Formula.number(2)),
+                    Formula.number(1)
+                ))
+            }
+            : null)
+    });
+    assert(Formula.toLatex(custom.analyze([2, 5, 10, 17]).structuredFormula) === 'a_{n} = n^{2} + 1',
+        'Custom detectors can supply a structured formula');
+})();
+
+// ============================================================================
+// Similarity Metric Tests
+// ============================================================================
+
+describe('SIMILARITY METRIC TESTS');
+
+(() => {
+    section('Metric Functions');
+
+    assert(Similarity.parameterDistance([2, 3], [2, 3]) === 0, 'Equal parameters have distance 0');
+    assert(Similarity.parameterDistance([1, 0], [-1, 0]) === 1, 'Opposite parameters have distance 1');
+    assert(Similarity.parameterDistance([1, 2], [1, 2, 0]) === 0, 'Missing parameters count as zero');
+    assert(Math.abs(Similarity.pearsonCorrelation([1, 2, 3, 4], [2, 4, 6, 8]) - 1) < 1e-12, 'Proportional terms correlate with 1');
+    assert(Math.abs(Similarity.pearsonCorrelation([1, 2, 3], [3, 2, 1]) + 1) < 1e-12, 'Reversed terms correlate with -1');
+    assert(Similarity.pearsonCorrelation([5, 5, 5], [1, 2, 3]) === null, 'Correlation with a constant sequence is undefined');
+    assert(Similarity.pearsonCorrelation([1], [1]) === null, 'Correlation needs two terms');
+    assert(Similarity.dtwDistance([1, 2, 3], [1, 2, 3]) === 0, 'Identical sequences have DTW distance 0');
+    assert(Similarity.dtwDistance([1, 2, 3, 4], [1, 1, 2, 3, 4]) === 0, 'DTW absorbs a repeated term');
+    assert(Similarity.dtwDistance([0, 0], [1, 2]) === 3, 'DTW sums absolute differences');
+    assert(Similarity.sharedPrefixLength([1, 2, 3, 9], [1, 2, 3, 4, 5]) === 3, 'Shared prefix length');
+    assert(Similarity.sharedPrefixLength(['1/2', '1'], ['1/2', '2']) === 1, 'Exact values compare as text');
+
+    section('Breakdown');
+
+    const analyzer = new SequenceAnalyzer();
+    let result = analyzer.comparSequences([1, 2, 3, 4], [1, 2, 3, 4]);
+    assert(result.similarity === 100, 'Identical sequences are 100% similar');
+    const names = Object.keys(result.breakdown).join(',');
+    assert(names === 'pattern,parameterDistance,correlation,dtwDistance,sharedPrefix', 'Breakdown lists every metric');
+    assert(Object.values(result.breakdown).every(m => 'value' in m && 'score' in m && 'weight' in m),
+        'Each metric has a value, score and weight');
+
+    result = analyzer.comparSequences([3, 6, 9, 12], [2, 4, 8, 16]);
+    assert(result.similarity > 0, 'Different patterns can still be similar');
+    assert(result.breakdown.parameterDistance.value === null && result.breakdown.parameterDistance.score === 0,
+        'Different patterns share no parameters');
+    assert(result.breakdown.correlation.value > 0.9, 'Both rising sequences correlate');
+
+    const near = analyzer.comparSequences([2, 4, 8, 16], [2, 4, 8, 16, 32]);
+    const far = analyzer.comparSequences([2, 4, 8, 16], [5, 15, 45, 135]);
+    assert(near.similarity > far.similarity, 'Geometric sequences rank by their parameters');
+    assert(near.breakdown.sharedPrefix.value === 4 && near.breakdown.sharedPrefix.score === 1, 'A continuation shares the whole prefix');
+
+    result = analyzer.comparSequences([5, 5, 5, 5], [1, 2, 3, 4]);
+    assert(result.breakdown.correlation.score === null, 'Undefined metrics have no score');
+    const { pattern, parameterDistance, dtwDistance, sharedPrefix } = result.breakdown;
+    const expected = (0.25 * pattern.score + 0.25 * parameterDistance.score + 0.2 * dtwDistance.score + 0.1 * sharedPrefix.score) / 0.8;
+    assert(Math.abs(result.similarity - expected * 100) < 0.1, 'Undefined metrics are left out of the weighted score');
+
+    section('Options');
+
+    result = analyzer.comparSequences([1, 2, 3, 4], [1, 2, 30, 40], { weights: { pattern: 0, parameterDistance: 0, correlation: 0, dtwDistance: 0, sharedPrefix: 1 } });
+    assert(result.similarity === 50, 'Weights can be overridden');
+    assert(analyzer.comparSequences(['1/2', '1', '3/2'], ['1/2', '1', '3/2'], { exact: true }).similarity === 100,
+        'Exact mode sequences can be compared');
+
+    result = analyzer.comparSequences([1, 2, 3], [1, 'x', 3]);
+    assert(result.success === false && result.error.includes('❌'), 'Invalid sequences are reported');
+})();
+
+// ============================================================================
+// Power, Exponential and Factorial Tests
+// ============================================================================
+
+describe('POWER, EXPONENTIAL AND FACTORIAL TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Powers of n');
+
+    let result = analyzer.analyze([1, 8, 27, 64]);
+    assert(result.pattern === 'power', 'Detects perfect cubes as a power');
+    assert(result.formula === 'a_n = n^3', 'Formats n^3');
+    assert(result.nextNumbers[0] === 125, 'Predicts 125');
+
+    result = analyzer.analyze([3, 33, 163, 513, 1251]);
+    assert(result.pattern === 'power' && result.exponent === 4, 'Detects 2n^4 + 1');
+    assert(result.scale === 2 && result.offset === 1, 'Reports scale and offset');
+    assert(result.formula === 'a_n = 2n^4 + 1', 'Formats the scaled power');
+
+    result = analyzer.analyze([1, 4, 9, 16, 25]);
+    assert(result.pattern === 'polynomial', 'Squares stay polynomial');
+
+    section('Shifted Exponentials');
+
+    result = analyzer.analyze([4, 10, 28, 82, 244]);
+    assert(result.pattern === 'exponential', 'Detects 3^n + 1');
+    assert(result.formula === 'a_n = 3^n + 1', 'Formats 3^n + 1');
+    assert(result.base === 3 && result.offset === 1, 'Reports base and offset');
+    assert(result.nextNumbers[0] === 730, 'Predicts 730');
+
+    result = analyzer.analyze([1, 3, 7, 15, 31]);
+    assert(result.pattern === 'exponential' && result.formula === 'a_n = 2^n - 1',
+        'Detects 2^n - 1 ahead of its linear recurrence');
+
+    result = analyzer.analyze([0, 2, 8, 26, 80]);
+    assert(result.formula === 'a_n = 3^(n-1) - 1', 'Shifts the exponent instead of a fractional factor');
+
+    result = analyzer.analyze([2, 6, 18, 54]);
+    assert(result.pattern === 'geometric', 'Plain geometric progressions stay geometric');
+
+    section('Factorials');
+
+    result = analyzer.analyze([1, 2, 6, 24, 120]);
+    assert(result.pattern === 'factorial', 'Detects n!');
+    assert(result.formula === 'a_n = n!', 'Formats n!');
+    assert(result.nextNumbers[0] === 720 && result.nextNumbers[1] === 5040, 'Predicts 720, 5040');
+
+    result = analyzer.analyze([2, 6, 24, 120]);
+    assert(result.pattern === 'factorial' && result.formula === 'a_n = (n+1)!', 'Detects (n+1)!');
+
+    result = analyzer.analyze([3, 6, 18, 72]);
+    assert(result.formula === 'a_n = 3 * n!', 'Detects 3 * n!');
+
+    result = analyzer.analyze(['1', '2', '6', '24', '120', '720', '5040', '40320', '362880',
+        '3628800', '39916800', '479001600', '6227020800', '87178291200', '1307674368000',
+        '20922789888000', '355687428096000', '6402373705728000'], { exact: true });
+    assert(result.pattern === 'factorial' && result.nextNumbers[0] === '121645100408832000',
+        'Exact mode predicts 19! exactly');
+
+    section('Ratio Progressions');
+
+    result = analyzer.analyze([1, 3, 15, 105, 945]);
+    assert(result.pattern === 'ratio-progression', 'Detects double factorials');
+    assert(result.ratioStart === 3 && result.ratioStep === 2, 'Reports the ratio progression');
+    assert(result.formula === 'a_n = (2n - 1) * a_(n-1), a_1 = 1', 'Formats the product rule');
+    assert(result.nextNumbers[0] === 10395, 'Predicts 10395');
+
+    section('Nth Terms');
+
+    assert(analyzer.term([1, 2, 6, 24], 10).value === 3628800, 'Evaluates 10!');
+    assert(analyzer.term([1, 2, 6, 24], 0).value === 1, 'Extends n! back to 0! = 1');
+    assert(analyzer.term([1, 2, 6, 24], -1).success === false, 'Factorials are undefined below 0');
+    assert(analyzer.term([1, 2, 6, 24], 30000).success === false, 'Rejects huge factorial indices');
+    assert(analyzer.term([1, 8, 27, 64], 100).value === 1000000, 'Evaluates 100^3');
+    assert(analyzer.term([4, 10, 28, 82], 10).value === 59050, 'Evaluates 3^10 + 1');
+    assert(analyzer.term([4, 10, 28, 82], 0).value === 2, 'Extends 3^n + 1 back to n = 0');
+    assert(analyzer.term([2.5, 3.25, 4.375, 6.0625], 8).value === 26.62890625, 'Evaluates a fractional base in float mode');
+    const started = Date.now();
+    const beyond = analyzer.term([2.5, 3.25, 4.375, 6.0625], 100000);
+    assert(beyond.success === false && Date.now() - started < 1000, 'Fractional bases beyond the float range fail fast');
+    assert(analyzer.term([1, 3, 15, 105], 6).value === 10395, 'Evaluates a ratio progression');
+
+    section('Structured Formulas');
+
+    const nFactorial = analyzer.analyze([2, 6, 24, 120]).structuredFormula;
+    assert(Formula.toLatex(nFactorial) === 'a_{n} = \\left(n + 1\\right)!', 'Factorial as LaTeX');
+    assert(Formula.toMathML(nFactorial).includes('<mo>!</mo>'), 'Factorial as MathML');
+    assert(Formula.compile(nFactorial)(5) === 720, 'Compiled factorial evaluates (n+1)!');
+
+    const doubleFactorial = analyzer.analyze([1, 3, 15, 105]).structuredFormula;
+    assert(Formula.toLatex(doubleFactorial) === 'a_{n} = \\left(2n - 1\\right)a_{n - 1}, \\quad a_{1} = 1',
+        'Ratio progression as a recurrence in n');
+    assert(Formula.compile(doubleFactorial)(5) === 945, 'Compiled ratio progression evaluates');
+    assert(Formula.compile(analyzer.analyze([4, 10, 28, 82]).structuredFormula)(6) === 730,
+        'Compiled exponential evaluates');
+})();
+
+// ============================================================================
+// Transform Tests
+// ============================================================================
+
+describe('TRANSFORM TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Transforms');
+
+    let result = analyzer.analyze([1, 2, 4, 7, 12, 20, 33]);
+    assert(result.pattern === 'transformed' && result.transform === 'differences',
+        'Detects differences that are Fibonacci-like');
+    assert(result.inner.pattern === 'fibonacci', 'Reports the pattern of the differences');
+    assert(result.formula === 'a_n = a_(n-1) + b_(n-1), a_1 = 1; b_n = b_(n-1) + b_(n-2)',
+        'Formats the rule and the renamed inner formula');
+    assert(result.nextNumbers[0] === 54 && result.nextNumbers[1] === 88, 'Predicts by summing the differences');
+
+    result = analyzer.analyze([1, 1, 4, 18, 96, 600]);
+    assert(result.transform === 'partial-sums' && result.inner.pattern === 'factorial',
+        'Detects partial sums that are factorials');
+    assert(result.nextNumbers[0] === 4320, 'Predicts 7! - 6!');
+
+    result = analyzer.analyze([1, 1, 2, 8, 64, 1024]);
+    assert(result.transform === 'ratios' && result.inner.pattern === 'geometric', 'Detects geometric ratios');
+    assert(result.nextNumbers[0] === 32768, 'Predicts by multiplying by the next ratio');
+
+    result = analyzer.analyze([2, 3, 6, 18, 108, 1944]);
+    assert(result.transform === 'log' && result.inner.pattern === 'fibonacci', 'Detects logarithms that are Fibonacci-like');
+    assert(result.nextNumbers[0] === 209952, 'Predicts a_(n-1) * a_(n-2)');
+    assert(result.structuredFormula.approximate === true, 'Log-space formulas are approximate');
+
+    result = analyzer.analyze([0, 1, 3, 7, 14, 26, 46, 79]);
+    assert(result.transform === 'differences' && result.inner.transform === 'differences' &&
+        result.inner.inner.pattern === 'fibonacci', 'Finds second differences by stacking transforms');
+    assert(result.formula.endsWith('b_n = b_(n-1) + d_(n-1), b_1 = 1; d_n = d_(n-1) + d_(n-2)'),
+        'Names stacked sequences b, d, ...');
+    assert(result.nextNumbers[0] === 133, 'Predicts through both transforms');
+
+    section('Direct Patterns Win');
+
+    assert(analyzer.analyze([2, 3, 5, 9, 17]).pattern === 'exponential', 'Geometric differences stay exponential');
+    assert(analyzer.analyze([1, 3, 6, 10, 15, 21]).pattern === 'polynomial', 'Triangular numbers stay polynomial');
+    assert(analyzer.analyze([3, 1, 4, 1, 5, 9, 2, 6]).pattern === 'unknown', 'Random digits stay unknown');
+
+    section('Large Magnitudes');
+
+    result = analyzer.analyze([1e9, 1e9 + 1, 1e9 + 3, 1e9 + 6, 1e9 + 10]);
+    assert(result.pattern === 'polynomial' && result.nextNumbers[0] === 1000000015,
+        'Large quadratic counters are not geometric in their logarithms');
+    assert(analyzer.analyze([1700000000, 1700000060, 1700000125, 1700000180, 1700000245]).pattern !== 'transformed',
+        'Irregular timestamps have no log-space pattern');
+    assert(analyzer.analyze([5e9, 5e9 + 3, 5e9 + 7, 5e9 + 8, 5e9 + 20, 5e9 + 21]).pattern !== 'transformed',
+        'Random offsets on a large value have no log-space pattern');
+
+    const counter = new SequenceStream();
+    [0, 1, 2, 3, 4, 5, 10, 15, 20, 25, 30, 35].forEach(k => counter.push(1e9 + k));
+    assert(counter.getRegimes().map(regime => regime.pattern).join(',') === 'arithmetic,arithmetic',
+        'Streams of large counters still split into regimes');
+
+    section('Depth and Exact Mode');
+
+    result = analyzer.analyze([0, 1, 3, 7, 14, 26, 46, 79], { transformDepth: 1 });
+    const single = result.hypotheses.find(h => h.pattern === 'transformed');
+    assert(single.inner.pattern === 'linear-recurrence', 'transformDepth limits how many transforms stack');
+    assert(analyzer.analyze([1, 2, 4, 7, 12, 20, 33], { transformDepth: 0 }).pattern !== 'transformed',
+        'transformDepth 0 turns the search off');
+
+    let threw = false;
+    try {
+        new SequenceAnalyzer({ transformDepth: -1 });
+    } catch (error) {
+        threw = error instanceof RangeError;
+    }
+    assert(threw, 'Rejects a negative transformDepth');
+
+    result = analyzer.analyze(['1/2', '1/2', '2', '9', '48'], { exact: true });
+    assert(result.transform === 'partial-sums' && result.nextNumbers[0] === '300',
+        'Transforms work in exact mode');
+    assert(analyzer.analyze([2, 3, 6, 18, 108, 1944], { exact: true }).transform !== 'log',
+        'Logarithms are skipped in exact mode');
+
+    section('Nth Term and Formulas');
+
+    assert(analyzer.term([1, 2, 4, 7, 12, 20, 33], 10).value === 143, 'Evaluates the nth term by summing');
+    assert(analyzer.term([1, 2, 4, 7, 12, 20, 33], 0).value === 0, 'Extends differences backward');
+    assert(analyzer.term([1, 1, 4, 18, 96, 600], 8).value === 35280, 'Evaluates partial sums');
+    assert(analyzer.term([1, 1, 2, 8, 64, 1024], 8).value === 2097152, 'Evaluates products of ratios');
+    assert(analyzer.term([2, 3, 6, 18, 108, 1944], 7).value === 209952, 'Evaluates log-space terms');
+    assert(analyzer.term([1, 2, 4, 7, 12, 20, 33], 5000).success === false, 'Limits sums to a bounded index');
+    const started = Date.now();
+    const stacked = analyzer.term([1, 2, 4, 8, 15, 27, 47], 1000);
+    assert(stacked.success && stacked.pattern === 'transformed' && Date.now() - started < 5000,
+        'Stacked transforms reach the index limit in one pass');
+    assert(analyzer.term([1, 2, 4, 8, 15, 27, 47], 15).value === 2568, 'Stacked transforms rebuild the right terms');
+
+    const differences = analyzer.analyze([1, 2, 4, 7, 12, 20, 33]).structuredFormula;
+    assert(differences.kind === 'transformed' && differences.inner.kind === 'recurrence',
+        'Structured formula nests the inner formula');
+    assert(Formula.toLatex(differences) === 'a_{n} = a_{n - 1} + b_{n - 1}, \\quad a_{1} = 1, ' +
+        '\\quad b_{n} = b_{n - 1} + b_{n - 2}, \\quad b_{1} = 1, b_{2} = 2', 'Renders the transform as LaTeX');
+    assert(Formula.toMathML(differences).includes('<msub><mi>b</mi><mn>2</mn></msub>'),
+        'Renders the inner sequence as b in MathML');
+    assert(Formula.compile(differences)(8) === 54, 'Compiled transform evaluates');
+    assert(Formula.compile(analyzer.analyze([1, 1, 4, 18, 96, 600]).structuredFormula)(7) === 4320,
+        'Compiled partial sums evaluate');
+})();
+
+// ============================================================================
+// Catalog Tests
+// ============================================================================
+
+describe('CATALOG TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer();
+
+    section('Bundled Catalog');
+
+    const catalog = new SequenceCatalog();
+    assert(catalog.size >= 200, 'Bundles a few hundred sequences');
+    assert(catalog.get('A000040').name === 'Prime numbers', 'Looks entries up by id');
+
+    let result = analyzer.analyze([2, 3, 5, 7, 11, 13]);
+    assert(result.pattern === 'catalog' && result.catalog.id === 'A000040', 'Recognizes the primes');
+    assert(result.catalog.name === 'Prime numbers', 'Reports the catalog name');
+    assert(result.nextNumbers.join(',') === '17,19,23,29,31', 'Predicts from the catalog continuation');
+    assert(result.catalog.continuation.length === 10, 'Reports the next ten listed terms');
+    assert(result.formula === 'a_n = A000040(n)', 'Formula names the catalog entry');
+
+    result = analyzer.analyze([1, 1, 2, 5, 14, 42]);
+    assert(result.catalog && result.catalog.id === 'A000108', 'Recognizes the Catalan numbers');
+    assert(catalog.search([2, 3, null, 7, 11, 13])[0].id === 'A000040', 'Gaps match any listed term');
+    assert(catalog.search([2, null, null, 7]).length === 0, 'Gaps do not count as confirmation');
+    assert(analyzer.analyze([1, 2, 5, 15, 52, 203]).catalog.id === 'A000110', 'Recognizes the Bell numbers');
+
+    section('Offset and Scaled Matches');
+
+    result = analyzer.analyze([11, 13, 17, 19, 23, 29]);
+    assert(result.catalog.id === 'A000040' && result.catalog.start === 5, 'Matches from a later term');
+    assert(result.formula === 'a_n = A000040(n+4)', 'Formula shifts the index');
+
+    result = analyzer.analyze([4, 6, 10, 14, 22, 26, 34, 38]);
+    assert(result.catalog.id === 'A000040' && result.catalog.scale === 2, 'Matches a scaled sequence');
+    assert(result.nextNumbers[0] === 46, 'Scales the continuation');
+
+    result = analyzer.analyze([5, 7, 11, 15, 23, 27, 35, 39]);
+    assert(result.catalog.scale === 2 && result.catalog.offset === 1, 'Matches a scaled and shifted sequence');
+    assert(result.formula === 'a_n = 2 * A000040(n) + 1', 'Formula shows scale and offset');
+
+    result = analyzer.analyze(['1/2', '1/2', '1', '5/2', '7', '21'], { exact: true });
+    assert(result.catalog.scale === '1/2' && result.nextNumbers[0] === '66', 'Finds exact fractional scales');
+
+    section('Derived Rules Win');
+
+    result = analyzer.analyze([0, 1, 2, 5, 12, 29, 70]);
+    assert(result.pattern === 'linear-recurrence', 'Pell numbers stay a recurrence');
+    assert(result.hypotheses.some(h => h.pattern === 'catalog' && h.catalog.id === 'A000129'),
+        'Catalog match is listed as a hypothesis');
+    assert(analyzer.analyze([1, 2, 4, 8, 16]).pattern === 'geometric', 'Powers of two stay geometric');
+    assert(analyzer.analyze([1, 4, 9]).pattern !== 'catalog', 'Short sequences do not match the catalog');
+
+    section('Search and Nth Term');
+
+    result = analyzer.searchCatalog([1, 2, 3, 5, 8, 13]);
+    assert(result.success && result.matches[0].id === 'A000045', 'Lists the simplest match first');
+    assert(result.matches.length > 1, 'Lists every matching entry');
+    assert(analyzer.searchCatalog([1, 2, 3, 5, 8, 13], { limit: 1 }).matches.length === 1, 'Respects the limit');
+    assert(analyzer.searchCatalog([1, 1, 1, 1, 1]).matches.length === 0, 'Constant sequences do not match');
+    assert(analyzer.searchCatalog([1, 'x', 3]).success === false, 'Rejects invalid input');
+
+    assert(analyzer.term([2, 3, 5, 7, 11, 13], 10).value === 29, 'Evaluates listed terms');
+    assert(analyzer.term([2, 3, 5, 7, 11, 13], 1000).success === false, 'Stops at the end of the listed terms');
+
+    section('Custom Entries');
+
+    const custom = new SequenceAnalyzer({ catalog: new SequenceCatalog({ bundled: false }) });
+    assert(custom.analyze([3, 1, 4, 1, 5, 9, 2, 6]).pattern === 'unknown', 'Empty catalog matches nothing');
+    assert(custom.addCatalogEntries([
+        { id: 'X1', name: 'Digits of pi', terms: [3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5, 8, 9, 7] }
+    ]) === 1, 'Adds custom entries');
+    result = custom.analyze([3, 1, 4, 1, 5, 9, 2, 6]);
+    assert(result.catalog && result.catalog.id === 'X1', 'Custom entries match (cache is cleared)');
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-catalog-'));
+    try {
+        const file = path.join(directory, 'catalog.json');
+        fs.writeFileSync(file, JSON.stringify([{ id: 'X2', name: 'Big', terms: ['9007199254740993', '1', '2', '3'] }]));
+        const fromFile = new SequenceCatalog({ bundled: false, files: [file] });
+        assert(fromFile.get('X2').terms[0].toString() === '9007199254740993', 'Loads entries from JSON files');
+
+        let message = '';
+        try {
+            new SequenceCatalog({ bundled: false, files: [path.join(directory, 'missing.json')] });
+        } catch (error) {
+            message = error.message;
+        }
+        assert(message.startsWith('Could not read catalog file'), 'Reports unreadable files');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    let threw = false;
+    try {
+        custom.addCatalogEntries([{ id: 'X1', name: 'Again', terms: [1, 2, 3, 4] }]);
+    } catch (error) {
+        threw = error.message.includes('already registered');
+    }
+    assert(threw, 'Rejects duplicate ids');
+
+    threw = false;
+    try {
+        custom.addCatalogEntries([{ id: 'X3', name: 'Halves', terms: [1, 1.5, 2, 2.5] }]);
+    } catch (error) {
+        threw = error instanceof TypeError;
+    }
+    assert(threw, 'Rejects non-integer terms');
+
+    section('Disabled Catalog');
+
+    const plain = new SequenceAnalyzer({ catalog: null });
+    assert(plain.analyze([2, 3, 5, 7, 11, 13]).pattern !== 'catalog', 'catalog: null turns matching off');
+    assert(plain.searchCatalog([2, 3, 5, 7, 11, 13]).matches.length === 0, 'Search finds nothing without a catalog');
+})();
+
+// ============================================================================
+// Generator and Puzzle Tests
+// ============================================================================
+
+describe('GENERATOR AND PUZZLE TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer({ maxHistory: 0 });
+
+    section('Sequence Generator');
+
+    const generator = new SequenceGenerator({ seed: 42 });
+    let generated = generator.generate({ family: 'arithmetic', difficulty: 'easy' });
+    assert(generated.family === 'arithmetic' && generated.sequence.length === 6, 'Generates the requested family');
+    assert(generated.nextNumbers.length === 5, 'Reports the next five terms');
+    const difference = generated.parameters.difference;
+    assert(generated.sequence.every((v, i) => i === 0 || v - generated.sequence[i - 1] === difference),
+        'Arithmetic terms follow the reported difference');
+
+    const again = new SequenceGenerator({ seed: 42 }).generate({ family: 'arithmetic', difficulty: 'easy' });
+    assert(again.sequence.join() === generated.sequence.join(), 'The same seed gives the same sequence');
+
+    assert(generator.generate({ family: 'interleaved' }).sequence.length >= 8, 'Families get the terms they need');
+    assert(generator.generate({ family: 'arithmetic', length: 10 }).sequence.length === 10, 'Honors the length option');
+    assert(SequenceGenerator.familiesFor('easy').join() === 'arithmetic,geometric,periodic', 'Easy offers simple families');
+    assert(SequenceGenerator.familiesFor('hard').includes('linear-recurrence'), 'Hard offers recurrences');
+
+    let mismatches = 0;
+    let generatedCount = 0;
+    SequenceGenerator.DIFFICULTIES.forEach(difficulty => {
+        SequenceGenerator.familiesFor(difficulty).forEach(family => {
+            for (let i = 0; i < 5; i++) {
+                generated = generator.generate({ family, difficulty });
+                generatedCount++;
+                const result = analyzer.analyze(generated.sequence, { record: false });
+                if (result.nextNumbers[0] !== generated.nextNumbers[0]) mismatches++;
+            }
+        });
+    });
+    assert(mismatches === 0, `The analyzer continues all ${generatedCount} generated sequences`);
+
+    const invalid = [
+        { difficulty: 'insane' },
+        { family: 'primes' },
+        { family: 'factorial', difficulty: 'easy' },
+        { family: 'arithmetic', length: 3 }
+    ];
+    assert(invalid.every(options => {
+        try {
+            generator.generate(options);
+            return false;
+        } catch (error) {
+            return error instanceof RangeError;
+        }
+    }), 'Rejects unknown families, difficulties and short lengths');
+
+    section('Puzzle Game');
+
+    const game = new PuzzleGame({ analyzer, generator: new SequenceGenerator({ seed: 7 }) });
+    assert(game.getPuzzle() === null, 'No puzzle before the first deal');
+    assert(game.guess(1).success === false, 'Guessing without a puzzle fails');
+
+    const puzzle = game.next({ difficulty: 'easy' });
+    assert(puzzle.round === 1 && puzzle.points === 10, 'Deals an easy puzzle worth 10 points');
+    assert(puzzle.nextNumbers === undefined && puzzle.answer === undefined, 'Does not reveal the answer');
+
+    let answer = game.puzzle.nextNumbers[0];
+    let result = game.guess(String(answer));
+    assert(result.success && result.correct && result.points === 10, 'Scores a correct guess');
+    assert(result.explanation && result.formula, 'Explains the pattern');
+    assert(game.guess(answer).success === false, 'A puzzle is answered only once');
+
+    game.next({ difficulty: 'hard' });
+    answer = game.puzzle.nextNumbers[0];
+    result = game.guess(answer);
+    assert(result.points === 35, 'Adds a streak bonus');
+
+    game.next({ difficulty: 'medium' });
+    assert(game.guess('twelve').success === false, 'Rejects a guess that is not a number');
+    result = game.guess(game.puzzle.nextNumbers[0] + 1);
+    assert(result.success && !result.correct && result.points === 0, 'Scores a wrong guess with no points');
+    assert(result.answer === game.puzzle.nextNumbers[0], 'Reveals the answer');
+
+    const score = game.getScore();
+    assert(score.points === 45 && score.played === 3 && score.correct === 2, 'Keeps the score');
+    assert(score.streak === 0 && score.bestStreak === 2 && score.accuracy === 67, 'Tracks streaks and accuracy');
+
+    game.reset();
+    assert(game.getScore().points === 0 && game.getPuzzle() === null, 'reset() starts over');
+})();
+
+// ============================================================================
+// Tolerance Tests
+// ============================================================================
+
+describe('TOLERANCE TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer({ maxHistory: 0, catalog: null });
+    const same = (list, expected) => JSON.stringify(list) === JSON.stringify(expected);
+
+    section('Decimal Sequences');
+
+    let result = analyzer.analyze([0.1, 0.2, 0.3]);
+    assert(result.pattern === 'arithmetic', 'Detects 0.1, 0.2, 0.3 as arithmetic');
+    assert(same(result.nextNumbers, [0.4, 0.5, 0.6, 0.7, 0.8]), 'Predictions keep the input\'s decimals');
+    assert(same(analyzer.analyze([0.3, 0.6, 0.9, 1.2]).nextNumbers, [1.5, 1.8, 2.1, 2.4, 2.7]),
+        'Repeated decimal steps do not accumulate noise');
+    assert(same(analyzer.analyze([0.1, 0.1, 0.2, 0.3, 0.5]).nextNumbers.slice(0, 3), [0.8, 1.3, 2.1]),
+        'Decimal Fibonacci predictions stay clean');
+    assert(analyzer.analyze([1.1, 1.21, 1.331, 1.4641]).nextNumbers[0] === 1.61051,
+        'Finer values than the input keep their digits');
+    assert(analyzer.analyze([4, 2, 1, 0.5]).nextNumbers[0] === 0.25, 'Halving predicts 0.25');
+    assert(analyzer.term([0.1, 0.2, 0.3], 100).value === 10, 'Terms are rounded the same way');
+    result = analyzer.analyze([0.1, 0.30000000000000004, 0.5, 0.7]);
+    assert(result.commonDifference === 0.2 && result.formula.endsWith('d = 0.2'),
+        'Displayed parameters are cleaned like the predictions');
+    assert(analyzer.analyze([0.1, 0.4, 0.9, 1.6]).formula === 'a_n = 0.1n^2', 'Formula coefficients are cleaned');
+
+    section('Small Magnitudes');
+
+    result = analyzer.analyze([2e-10, 4e-10, 8e-10, 1.6e-9]);
+    assert(result.pattern === 'geometric' && result.nextNumbers[0] === 3.2e-9,
+        'The absolute epsilon shrinks with small input');
+    assert(analyzer.analyze([3e-11, 5e-11, 7e-11, 9e-11]).nextNumbers[0] === 1.1e-10, 'Tiny steps stay arithmetic');
+    assert(analyzer.analyze([2e-10, 2e-10, 2e-10, 2e-10]).pattern === 'arithmetic', 'Tiny constants stay constant');
+
+    section('Per-call Policy');
+
+    const noisy = [1.001, 2.002, 2.999, 4.001];
+    assert(analyzer.analyze(noisy).pattern !== 'arithmetic', 'Noisy values are not equal by default');
+    result = analyzer.analyze(noisy, { tolerance: { absolute: 0.01 } });
+    assert(result.pattern === 'arithmetic', 'A looser tolerance accepts them');
+    assert(analyzer.analyze(noisy).pattern !== 'arithmetic', 'Results are cached per tolerance');
+    assert(new SequenceAnalyzer({ tolerance: 0.01, catalog: null }).analyze(noisy).pattern === 'arithmetic',
+        'The constructor sets the default tolerance');
+    assert(same(new SequenceAnalyzer({ tolerance: 0, catalog: null }).options.tolerance, { absolute: 0, relative: 0 }),
+        'A zero tolerance is kept rather than replaced by the default');
+    assert(same(analyzer.analyze(['1/10', '2/10', '3/10'], { exact: true, tolerance: 0.5 }).nextNumbers.slice(0, 2), ['2/5', '1/2']),
+        'Exact mode ignores the tolerance');
+
+    const stream = new SequenceStream({ tolerance: { absolute: 0.01, relative: 0 } });
+    [10, 20, 30, 40].forEach(value => stream.push(value));
+    assert(stream.push(50.005).status === 'match', 'Streams match under the same policy');
+    assert(stream.push(60.5).status === 'break', 'Streams break outside it');
+
+    section('Validation');
+
+    const throws = (options, type) => {
+        try {
+            analyzer.analyze([1, 2, 3], options);
+            return false;
+        } catch (error) {
+            return error instanceof type;
+        }
+    };
+    assert(throws({ tolerance: -1 }, RangeError), 'Rejects a negative tolerance');
+    assert(throws({ tolerance: { relative: Infinity } }, RangeError), 'Rejects an infinite epsilon');
+    assert(throws({ tolerance: 'loose' }, TypeError), 'Rejects a tolerance that is not a number or object');
+})();
+
+// ============================================================================
+// Point Analysis Tests
+// ============================================================================
+
+describe('POINT ANALYSIS TESTS');
+
+(() => {
+    const analyzer = new SequenceAnalyzer({ maxHistory: 0 });
+    const ys = result => result.predictions.map(({ y }) => y).join();
+
+    section('Irregular Indices');
+
+    let result = analyzer.analyzePoints([[1, 3], [2, 5], [5, 11], [9, 19]]);
+    assert(result.success && result.pattern === 'arithmetic', 'Fits a line through irregular indices');
+    assert(result.formula === 'a_n = 2n + 1' && result.commonDifference === 2, 'Reports the line');
+    assert(result.predictions.map(({ x }) => x).join() === '10,11,12,13,14', 'Predicts the next five indices by default');
+    assert(ys(result) === '21,23,25,27,29', 'Predicts values on the line');
+
+    result = analyzer.analyzePoints([{ x: 9, y: 512 }, { x: 1, y: 2 }, { x: 5, y: 32 }]);
+    assert(result.pattern === 'exponential' && result.formula === 'a_n = 2^n', 'Fits an exponential');
+    assert(result.points[0].x === 1, 'Sorts the points by index');
+
+    result = analyzer.analyzePoints([[1, 1], [3, 9], [4, 16], [10, 100]], { at: [12, 20] });
+    assert(result.pattern === 'polynomial' && result.degree === 2, 'Fits a polynomial');
+    assert(ys(result) === '144,400', 'Predicts at the requested indices');
+
+    result = analyzer.analyzePoints([[0.5, 0.1], [1, 0.2], [3, 0.6]], { at: [4] });
+    assert(result.pattern === 'arithmetic' && result.predictions[0].y === 0.8, 'Fractional indices and decimal values work');
+
+    result = analyzer.analyzePoints([[1, 2], [3, 8], [4, 16]], { exact: true, at: [6] });
+    assert(result.arithmetic === 'exact' && result.predictions[0].y === '64', 'Exact mode returns exact predictions');
+
+    section('Noisy Points');
+
+    const noisy = [[1, 1], [2, 2.1], [4, 3.9], [7, 7.2], [9, 8.8], [11, 11.1]];
+    assert(analyzer.analyzePoints(noisy).pattern === 'unknown', 'No exact model passes through noisy points');
+    result = analyzer.analyzePoints(noisy, { fit: true, at: [12] });
+    assert(result.pattern === 'regression' && result.model === 'linear', 'fit falls back to least squares');
+    assert(Math.abs(result.predictions[0].y - 12) < 0.1, 'The regression predicts at the requested index');
+    assert(analyzer.getHistory().length === 0, 'Point analyses are not added to the history');
+
+    section('Validation');
+
+    assert(analyzer.analyzePoints([1, 2, 3]).success === false, 'Rejects values that are not points');
+    assert(analyzer.analyzePoints([[1, 2]]).success === false, 'Needs at least two points');
+    assert(analyzer.analyzePoints([[1, 2], [1, 3]]).error.includes('share the index'), 'Rejects repeated indices');
+    assert(analyzer.analyzePoints([[1, 'a'], [2, 3]]).success === false, 'Rejects invalid values');
+    let threw = false;
+    try {
+        analyzer.analyzePoints([[1, 2], [2, 3]], { at: 5 });
+    } catch (error) {
+        threw = error instanceof RangeError;
+    }
+    assert(threw, 'Rejects indices to predict that are not an array');
+})();
+
+// ============================================================================
+// State Snapshot Tests
+// ============================================================================
+
+describe('STATE SNAPSHOT TESTS');
+
+(() => {
+    section('Export');
+
+    const source = new SequenceAnalyzer({ catalog: null });
+    [[1, 2, 3], [2, 4, 8], [1, 2, 3], [5, 10, 15]].forEach(seq => source.analyze(seq));
+    const state = JSON.parse(JSON.stringify(source.exportState()));
+    assert(state.format === 'echo-chamber-state' && state.version === 1, 'Snapshots are versioned');
+    assert(state.history.length === 3 && state.cache.length === 3, 'Snapshots hold the history and cache');
+    assert(state.performanceMetrics.totalAnalyses === 3 && state.performanceMetrics.cacheHits === 1,
+        'Snapshots hold the performance metrics');
+    assert(state.detectorMetrics.arithmetic.calls > 0, 'Snapshots hold the detector metrics');
+
+    section('Import');
+
+    let target = new SequenceAnalyzer({ catalog: null });
+    const imported = target.importState(state);
+    assert(imported.historySize === 3 && imported.cacheSize === 3, 'Import reports what was restored');
+    assert(JSON.stringify(target.getHistory()) === JSON.stringify(state.history), 'Restores the history');
+    const metrics = target.getMetrics();
+    assert(metrics.totalAnalyses === 3 && metrics.detectors.arithmetic.calls === state.detectorMetrics.arithmetic.calls,
+        'Restores the metrics');
+    const keys = snapshot => snapshot.cache.map(entry => entry.key).join('|');
+    assert(keys(target.exportState()) === keys(state), 'Cache recency order survives the round trip');
+    target.analyze([2, 4, 8]);
+    assert(target.getMetrics().cacheHits === 2, 'Restored cache entries are served');
+
+    target = new SequenceAnalyzer({ catalog: null, maxHistory: 2, cache: { maxEntries: 1 } });
+    target.importState(state);
+    assert(target.getHistory().length === 2 && target.getHistory()[1].sequence[0] === 5,
+        'Import keeps the most recent analyses within maxHistory');
+    assert(target.getMetrics().cacheSize === 1, 'Import keeps the cache within its limits');
+
+    const store = new MemoryHistoryStore();
+    target = new SequenceAnalyzer({ catalog: null, historyStore: store });
+    target.analyze([7, 8, 9]);
+    target.importState(state);
+    assert(store.load().length === 3, 'A history store starts over with the imported history');
+
+    section('Expiry');
+
+    let clock = 0;
+    const expiring = new SequenceAnalyzer({ catalog: null, cache: { ttl: 1000, now: () => clock } });
+    expiring.analyze([3, 6, 9]);
+    const expiringState = expiring.exportState();
+    target = new SequenceAnalyzer({ catalog: null, cache: { now: () => clock } });
+    clock = 500;
+    target.importState(expiringState);
+    assert(target.getMetrics().cacheSize === 1, 'Live entries are imported');
+    clock = 1500;
+    assert(target.getMetrics().cacheSize === 0, 'Imported entries keep their expiry');
+    target.importState(expiringState);
+    assert(target.getMetrics().cacheSize === 0, 'Expired entries are not imported');
+
+    section('Validation');
+
+    const rejects = (snapshot, type) => {
+        try {
+            target.importState(snapshot);
+            return false;
+        } catch (error) {
+            return error instanceof type;
+        }
+    };
+    target = new SequenceAnalyzer({ catalog: null });
+    target.analyze([1, 3, 5]);
+    assert(rejects({ history: [] }, TypeError), 'Rejects objects that are not snapshots');
+    assert(rejects({ ...state, version: 2 }, RangeError), 'Rejects newer snapshot versions');
+    assert(rejects({ ...state, cache: [{ key: 1, value: {} }] }, TypeError), 'Rejects malformed cache entries');
+    assert(rejects({ ...state, performanceMetrics: { totalAnalyses: -1 } }, TypeError), 'Rejects invalid metrics');
+    assert(target.getHistory().length === 1 && target.getMetrics().cacheSize === 1,
+        'A rejected snapshot changes nothing');
+})();
+
+// ============================================================================
+// Conditional Recurrence Tests
+// ============================================================================
+
+describe('CONDITIONAL RECURRENCE TESTS');
+
+(() => {
+    section('Rules');
+
+    const analyzer = new SequenceAnalyzer({ catalog: null });
+    const collatz = analyzer.analyze([6, 3, 10, 5, 16, 8, 4, 2, 1]);
+    assert(collatz.pattern === 'conditional' && collatz.key === 'parity', 'Detects a Collatz-style parity rule');
+    assert(collatz.cases[0].rule === 'a_(n-1) / 2' && collatz.cases[1].rule === '3 * a_(n-1) + 1',
+        'Reports the rule for each parity');
+    assert(collatz.nextNumbers.join(',') === '4,2,1,4,2', 'Continues the sequence by the rules');
+
+    const alternating = analyzer.analyze([1, 4, 8, 11, 22, 25, 50]);
+    assert(alternating.pattern === 'conditional' && alternating.key === 'index' && alternating.modulus === 2,
+        'Detects operations alternating by position');
+    assert(alternating.formula.includes('a_(n-1) + 3 if n is even') && alternating.formula.includes('2 * a_(n-1) if n is odd'),
+        'Formula names each operation and its condition');
+    assert(alternating.nextNumbers[0] === 53 && alternating.nextNumbers[1] === 106, 'Alternates the operations in predictions');
+
+    const third = analyzer.analyze([1, 2, 4, 7, 8, 16, 19, 20, 40, 43]);
+    assert(third.pattern === 'conditional' && third.modulus === 3, 'Detects rules keyed on n mod 3');
+
+    const exact = analyzer.analyze([7, 22, 11, 34, 17, 52, 26], { exact: true });
+    assert(exact.pattern === 'conditional' && exact.nextNumbers.join(',') === '13,40,20,10,5',
+        'Works in exact mode');
+
+    assert(analyzer.analyze([2, 4, 6, 8, 10, 12]).pattern === 'arithmetic', 'A single rule is not conditional');
+    assert(analyzer.analyze([4, 7, 1, 4, 7, 1, 4]).pattern === 'periodic', 'Simpler patterns still win');
+    assert(analyzer.detectConditional([6, 3, 10, 5]).pattern === null, 'Needs a confirming step for every case');
+    assert(analyzer.detectConditional([1, 2, 3, 4, 9]).pattern === null, 'An affine rule needs more support');
+    assert(analyzer.detectConditional([1, 2, 3, 4, 9, 10]).pattern === null, 'Steps must outnumber parameters by two');
+    assert(analyzer.analyze([1, 2, 3, 4, 9]).pattern !== 'conditional', 'A rule pinned by a single step is not enough');
+
+    section('Transforms');
+
+    const ratios = analyzer.analyze([1, 1, 2, 6, 36, 252, 3528, 52920, 1587600]);
+    assert(!(ratios.pattern === 'transformed' && ratios.transform === 'ratios' && ratios.inner.pattern === 'conditional'),
+        'Ratios of the terms are not searched for conditional rules');
+    const differences = analyzer.analyze([0, 1, 3, 6, 12, 19, 33, 48, 78]);
+    assert(differences.pattern === 'transformed' && differences.transform === 'differences' &&
+        differences.inner.pattern === 'conditional', 'Differences of the terms still are');
+
+    section('Terms and formulas');
+
+    const sequence = [6, 3, 10, 5, 16, 8, 4, 2, 1];
+    assert(analyzer.term(sequence, 3).value === 10, 'Returns known terms');
+    assert(analyzer.term(sequence, 12).value === 1, 'Runs the rules past the sequence');
+    assert(analyzer.term(sequence, 0).success === false, 'Rejects indices before the first term');
+
+    const compiled = Formula.compile(collatz.structuredFormula);
+    assert([1, 2, 3, 10, 11].map(compiled).join(',') === '6,3,10,4,2', 'Compiled formula follows the rules');
+    assert(Formula.toLatex(alternating.structuredFormula).includes('n \\equiv 0 \\pmod{2}'),
+        'Renders LaTeX cases with their conditions');
+    assert(Formula.toMathML(collatz.structuredFormula).includes('odd'), 'Renders MathML conditions');
+})();
+
+// ============================================================================
+// Piecewise Tests
+// ============================================================================
+
+describe('PIECEWISE TESTS');
+
+(() => {
+    section('Segmentation');
+
+    const analyzer = new SequenceAnalyzer({ catalog: null });
+    const result = analyzer.analyze([1, 2, 3, 4, 8, 16, 32]);
+    assert(result.pattern === 'piecewise', 'Detects a switch from arithmetic to geometric');
+    assert(JSON.stringify(result.breaks) === '[5]', 'Reports where the new segment starts');
+    assert(result.segments.length === 2 && result.segments[0].pattern === 'arithmetic' &&
+        result.segments[0].end === 4 && result.segments[1].pattern === 'geometric' && result.segments[1].start === 5,
+        'Describes each segment');
+    assert(result.nextNumbers[0] === 64 && result.nextNumbers[1] === 128, 'Predicts from the last segment');
+    assert(result.confidence < 100, 'Trusts a piecewise match less than a single pattern');
+
+    const three = analyzer.analyze([1, 2, 3, 4, 5, 10, 20, 40, 80, 7, 7, 7, 7]);
+    assert(three.pattern === 'piecewise' && JSON.stringify(three.breaks) === '[6,10]', 'Finds several breaks');
+    assert(three.nextNumbers[0] === 7, 'Continues the last of several segments');
+
+    const tail = analyzer.analyze([1, 2, 3, 4, 5, 6, 8, 10]);
+    assert(tail.pattern === 'piecewise' && tail.segments[1].end - tail.segments[1].start + 1 >= 3,
+        'Never leaves a segment of fewer than 3 terms');
+
+    assert(analyzer.analyze([2, 4, 6, 8, 10, 12]).pattern === 'arithmetic', 'Single patterns are not split');
+    assert(analyzer.analyze([1, 2, 6, 22, 92, 426, 2146]).pattern === 'unknown', 'Unexplained segments give no match');
+    assert(analyzer.analyze([1, 2, 3, 4, 9, 16, 25, 36]).pattern === 'piecewise',
+        'A short conditional fit does not swallow a break');
+    const squares = analyzer.analyze([5, 5, 5, 1, 2, 3, 4, 9, 16, 25, 36]);
+    assert(squares.pattern === 'piecewise' && JSON.stringify(squares.breaks) === '[4,8]',
+        'Splits a constant, a count and squares');
+
+    section('Terms and formulas');
+
+    const sequence = [1, 2, 3, 4, 8, 16, 32];
+    assert(analyzer.term(sequence, 2).value === 2, 'Evaluates terms in the first segment');
+    assert(analyzer.term(sequence, 6).value === 16, 'Evaluates terms in a later segment');
+    assert(analyzer.term(sequence, 9).value === 128, 'Extends the last segment past the sequence');
+    assert(analyzer.term(sequence, 0).value === 0, 'Extends the first segment before the sequence');
+
+    const formula = result.structuredFormula;
+    assert(formula.kind === 'piecewise' && formula.segments[1].end === null, 'Structured formula leaves the last segment open');
+    const compiled = Formula.compile(formula);
+    assert([1, 4, 5, 7, 8].map(compiled).join(',') === '1,4,8,32,64', 'Compiled formula follows every segment');
+    const latex = Formula.toLatex(formula);
+    assert(latex.includes('\\begin{cases}') && latex.includes('n \\ge 5') && latex.includes('d_{n - 4}'),
+        'Renders LaTeX cases with the segment ranges');
+    assert(Formula.toMathML(formula).includes('&#x2265;'), 'Renders MathML conditions');
+    let rejected = false;
+    try {
+        Formula.toJavaScript({ kind: 'piecewise', segments: [{ start: '1; alert(1)', end: null, formula: Formula.periodic([1]) }] });
+    } catch (error) {
+        rejected = error instanceof TypeError;
+    }
+    assert(rejected, 'Rejects segment bounds that are not integers');
+})();
+
+// ============================================================================
+// Batch Analysis Tests
+// ============================================================================
+
+asyncTests.push(async () => {
+    describe('BATCH ANALYSIS TESTS');
+
+    const analyzer = new SequenceAnalyzer();
+
+    section('Results and Failures');
+
+    const sequences = [];
+    for (let i = 0; i < 150; i++) {
+        sequences.push([i, i + 3, i + 6, i + 9]);
+    }
+    sequences.push('not a sequence', [2, 4, 8, 16], [0, 3, 6, 9]);
+
+    let batch = await analyzer.analyzeMany(sequences, { concurrency: 2, chunkSize: 40 });
+    const serial = new SequenceAnalyzer();
+    sequences.forEach(sequence => serial.analyze(sequence));
+    assert(batch.success === true, 'Batch analysis succeeds');
+    assert(batch.results.length === sequences.length, 'Returns one result per sequence');
+    assert(batch.results.every((result, i) => i === 150 || result.sequence[0] === sequences[i][0]),
+        'Results are in input order');
+    assert(batch.results[151].pattern === 'geometric', 'Each sequence gets its own pattern');
+    assert(batch.failures.length === 1 && batch.failures[0].index === 150, 'Invalid sequence is reported as a failure');
+    assert(batch.results[150].success === false, 'Failed sequence gets an error result');
+    assert(batch.stats.succeeded === 152 && batch.stats.failed === 1, 'Stats count successes and failures');
+    assert(batch.stats.workers === 2, 'Uses the requested number of workers');
+
+    section('Merged Cache and Metrics');
+
+    assert(batch.stats.cacheHits === 1, 'Repeated sequence in a batch is analyzed once');
+    assert(analyzer.getMetrics().totalAnalyses === 151, 'Worker analyses count in the metrics');
+    assert(analyzer.getMetrics().detectors.arithmetic.calls === serial.getMetrics().detectors.arithmetic.calls,
+        'Detector metrics include worker calls');
+    assert(analyzer.getHistory().length === 151, 'Analyses are added to the history');
+    assert(analyzer.getHistory()[150].pattern === 'geometric', 'History is recorded in input order');
+
+    const analyzed = analyzer.analyze([5, 8, 11, 14]);
+    assert(analyzed === batch.results[5], 'Worker results are cached for analyze()');
+
+    batch = await analyzer.analyzeMany([[5, 8, 11, 14], [1, 1, 2, 3, 5]], { record: false });
+    assert(batch.stats.cacheHits === 1 && batch.stats.analyzed === 1, 'Cached sequences skip the workers');
+    assert(analyzer.getHistory().length === 151, 'record: false leaves the history alone');
+
+    section('Detector Setup');
+
+    const restricted = new SequenceAnalyzer();
+    restricted.disableDetector('arithmetic');
+    batch = await restricted.analyzeMany([[1, 2, 3, 4, 5]], { concurrency: 1 });
+    assert(batch.results[0].pattern !== 'arithmetic', 'Workers respect disabled detectors');
+
+    const custom = new SequenceAnalyzer();
+    custom.registerDetector('always-seven', {
+        detect: values => (values[0] === 7 ? { pattern: 'sevens', confidence: 100, nextNumbers: [7] } : null),
+        priority: 1
+    });
+    batch = await custom.analyzeMany([[7, 7, 7], [1, 2, 3]]);
+    assert(batch.results[0].pattern === 'sevens', 'Custom detectors run on the main thread');
+    assert(batch.stats.workers === 0, 'No workers are started for custom detectors');
+    assert(custom.getMetrics().totalAnalyses === 2, 'Main thread analyses are counted once');
+
+    section('Input Validation');
+
+    batch = await analyzer.analyzeMany('nope');
+    assert(batch.success === false, 'Rejects a batch that is not an array');
+
+    batch = await analyzer.analyzeMany([]);
+    assert(batch.success === true && batch.results.length === 0, 'Empty batch returns no results');
+
+    try {
+        await analyzer.analyzeMany([[1, 2, 3]], { concurrency: 0 });
+        assert(false, 'Rejects a concurrency of 0');
+    } catch (error) {
+        assert(error instanceof RangeError, 'Rejects a concurrency of 0');
+    }
+
+    section('Worker Pool');
+
+    // A worker that crashes on the task "crash" and echoes everything else
+    const workerFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'echo-pool-')), 'worker.js');
+    fs.writeFileSync(workerFile, `
+        const { parentPort } = require('worker_threads');
+        parentPort.on('message', task => {
+            if (task === 'crash') throw new Error('boom');
+            parentPort.postMessage(task.toUpperCase());
+        });
+    `);
+
+    const replies = [];
+    const errors = [];
+    const started = await runWorkerPool(workerFile, null, ['a', 'crash', 'b', 'c'], {
+        onReply: (index, reply) => replies.push([index, reply]),
+        onError: (index, error) => errors.push([index, error.message])
+    }, 1);
+    assert(errors.length === 1 && errors[0][0] === 1 && errors[0][1] === 'boom', 'Crash fails only the running task');
+    assert(replies.map(([index]) => index).join() === '0,2,3', 'Remaining tasks still complete');
+    assert(replies[2][1] === 'C', 'Replies reach the handler');
+    assert(started === 2, 'Crashed worker is replaced');
+
+    fs.rmSync(path.dirname(workerFile), { recursive: true, force: true });
+});
+
 // ============================================================================
 // Test Summary
 // ============================================================================
@@ -390,6 +2297,8 @@ function printSummary() {
     return failedTests === 0 ? 0 : 1;
 }
 
-// Run all tests and exit with appropriate code
-const exitCode = printSummary();
-process.exit(exitCode);
+// Run the asynchronous tests, then exit with appropriate code
+asyncTests
+    .reduce((previous, test) => previous.then(test), Promise.resolve())
+    .catch(error => assert(false, `Asynchronous tests crashed: ${error.message}`))
+    .then(() => process.exit(printSummary()));